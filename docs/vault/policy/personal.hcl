@@ -27,3 +27,9 @@ path "personal/delete/{{ identity.entity.aliases.auth_userpass_150b3b70.name }}/
 path "personal/undelete/{{ identity.entity.aliases.auth_userpass_150b3b70.name }}/*" {
   capabilities = ["update"]
 }
+
+# Permission to permanently destroy versions of secrets.
+# The data of destroyed versions cannot be recovered.
+path "personal/destroy/{{ identity.entity.aliases.auth_userpass_150b3b70.name }}/*" {
+  capabilities = ["update"]
+}
@@ -1,6 +1,7 @@
 /**
  * @fileoverview Background service worker for Vault Password Manager Extension.
- * Handles installation, content script injection, and automatic token renewal.
+ * Handles installation, content script injection, automatic token renewal, OIDC login, the searches of the popup
+ * and the search index of the secrets.
  */
 
 import './browser-polyfill.min.js';
@@ -11,18 +12,48 @@ import { dependencies } from '../services/background.js';
  * and automatic token renewal. Follows the same DI pattern as page controllers.
  */
 class BackgroundService {
+  /**
+   * Shared constants, such as the request message IDs.
+   * @type {object|null}
+   */
+  constants;
+
+  /**
+   * Internationalization service for the texts of the browser notifications.
+   * @type {object|null}
+   */
+  I18n;
+
   /**
    * Logger service for debugging and background operations.
    * @type {object|null}
    */
   logger;
 
+  /**
+   * Storage of the saved Vault server profiles, used to renew the session of each profile.
+   * @type {object|null}
+   */
+  profileStorage;
+
+  /**
+   * Search index of the secrets of each session, built and refreshed here.
+   * @type {object|null}
+   */
+  secretIndex;
+
   /**
    * Storage service for managing session data like tokens and URLs.
    * @type {object|null}
    */
   storage;
 
+  /**
+   * Registry of the authentication methods, used to know how each token is renewed.
+   * @type {object|null}
+   */
+  VaultAuthMethods;
+
   /**
    * Vault utility functions for token validation and path management.
    * @type {object|null}
@@ -35,28 +66,62 @@ class BackgroundService {
    */
   vaultFactory;
 
+  /**
+   * Runs the searches of the popup, so they go on when it is closed, and keeps their results.
+   * @type {object|null}
+   */
+  vaultSearches;
+
+  /**
+   * Finds the open sessions of all the profiles, whose secrets are indexed.
+   * @type {object|null}
+   */
+  vaultSessions;
+
   /**
    * Constructor that accepts dependencies via dependency injection.
    * @param {object} dependencies - The injected dependencies
+   * @param {object} dependencies.constants - Shared constants, such as the request message IDs
+   * @param {object} dependencies.I18n - Internationalization service for the browser notifications
    * @param {object} dependencies.logger - Logger instance for background operations
+   * @param {object} dependencies.profileStorage - Storage instance for the saved profiles
+   * @param {object} dependencies.secretIndex - Search index of the secrets of each session
    * @param {object} dependencies.storage - Storage instance for token/URL management
+   * @param {object} dependencies.VaultAuthMethods - Registry of the authentication methods
    * @param {object} dependencies.VaultUtils - Utility functions for Vault token management
    * @param {object} dependencies.vaultFactory - Factory to create Vault instances
+   * @param {object} dependencies.vaultSearches - Runs the searches of the popup and keeps their results
+   * @param {object} dependencies.vaultSessions - Finds the open sessions of all the profiles
    * @returns {void}
    */
   constructor(dependencies) {
+    this.constants = dependencies.constants;
+    this.I18n = dependencies.I18n;
     this.logger = dependencies.logger;
+    this.profileStorage = dependencies.profileStorage;
+    this.secretIndex = dependencies.secretIndex;
     this.storage = dependencies.storage;
+    this.VaultAuthMethods = dependencies.VaultAuthMethods;
     this.VaultUtils = dependencies.VaultUtils;
     this.vaultFactory = dependencies.vaultFactory;
+    this.vaultSearches = dependencies.vaultSearches;
+    this.vaultSessions = dependencies.vaultSessions;
 
     // Constants.
     this.TOKEN_CHECK_ALARM_NAME = 'tokenCheck';
+    this.SECRET_INDEX_ALARM_NAME = 'secretIndexRefresh';
+    // The alarm and the notification of the expiry of a session are named after its profile (e.g., 'tokenExpiry/<profile-id>').
+    this.TOKEN_EXPIRY_PREFIX = 'tokenExpiry/';
     this.ALARM_SETTINGS = {
       MIN_ALARM_MINUTES: 5,
       DEFAULT_ALARM_MINUTES: 45
     };
     this.RENEWAL_THRESHOLD_MINUTES = 60;
+    this.OIDC_AUTH_METHOD_ID = 'oidc';
+    this.OIDC_REDIRECT_PATH = 'oidc';
+
+    // The timer that keeps the service worker awake while a search runs, if any.
+    this.searchKeepAliveTimer = null;
   }
 
   /**
@@ -87,6 +152,18 @@ class BackgroundService {
 
     // Listen for alarm events to trigger token renewal checks.
     this.#getBrowserHandler().alarms.onAlarm.addListener(this.#handleAlarm.bind(this));
+
+    // Listen for requests sent by the extension pages.
+    this.#getBrowserHandler().runtime.onMessage.addListener(this.#handleMessage.bind(this));
+
+    // Listen for the popup connecting to start or resume a search.
+    this.#getBrowserHandler().runtime.onConnect.addListener(this.#handleConnect.bind(this));
+
+    // Listen for the logins and logouts of every session, to warn the user before their tokens expire.
+    this.#getBrowserHandler().storage.onChanged.addListener(this.#handleStorageChanged.bind(this));
+
+    // Listen for clicks on the notification that a session is about to expire.
+    this.#getBrowserHandler().notifications.onClicked.addListener(this.#handleNotificationClicked.bind(this));
   }
 
   /**
@@ -170,19 +247,60 @@ class BackgroundService {
   }
 
   /**
-   * Checks the current token's validity and TTL, renewing it if necessary.
+   * Checks the tokens of all the sessions, renewing them if necessary.
+   * Each profile has its own session, and the session without a profile is checked too.
+   * A session is checked even when its profile is not the active one, so switching back to it does not require a new login.
+   *
+   * @async
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #renewTokens() {
+    let profileIds;
+    try {
+      profileIds = await this.#getSessionProfileIds();
+    } catch (error) {
+      this.logger.error('Error retrieving profiles from storage:', error);
+
+      return;
+    }
+
+    for (const profileId of profileIds) {
+      const storage = this.storage.forProfile(profileId);
+
+      await this.#renewToken(storage);
+
+      // The user is warned before the token expires, unless it is renewed before then.
+      await this.#scheduleTokenExpiryWarning(storage);
+    }
+  }
+
+  /**
+   * Gets the IDs of the profiles that may have a session, including the session without a profile.
+   *
+   * @async
+   * @returns {Promise<string[]>} The IDs of the profiles, starting with an empty string for the session without a profile.
+   * @private
+   */
+  async #getSessionProfileIds() {
+    return ['', ...(await this.profileStorage.getProfiles()).map(profile => profile.id)];
+  }
+
+  /**
+   * Checks the token's validity and TTL, renewing it if necessary.
    * Validates the stored token, checks its remaining lifetime, and reschedules
    * the renewal alarm based on the new TTL. Clears the alarm if token is invalid.
    *
    * @async
+   * @param {VaultStorage} storage - The storage of the session to check.
    * @returns {Promise<void>}
    * @private
    */
-  async #renewToken() {
+  async #renewToken(storage) {
     let token;
     try {
       // Retrieve the token from storage.
-      token = await this.storage.getToken();
+      token = await storage.getToken();
 
       // Check if the token is valid.
       if (!this.VaultUtils.isTokenValid(token)) {
@@ -199,9 +317,18 @@ class BackgroundService {
 
     // If we reach this point, it means the token exists and is valid (in the memory of the browser).
     try {
+      // Some methods, such as a raw Vault token, do not let the extension renew their tokens.
+      const authMethod = this.VaultAuthMethods.get((await storage.getAuthMethod())?.id);
+
+      if (authMethod?.renewal === this.VaultAuthMethods.RENEWAL.NONE) {
+        this.logger.info(`Tokens of the '${authMethod.id}' auth method are not renewed.`);
+
+        return;
+      }
+
       // Create a Vault instance with the retrieved token.
       // Create a Vault instance with the retrieved token.
-      const vault = this.vaultFactory.create(await this.storage.getUrl(), token);
+      const vault = this.vaultFactory.create(await storage.getUrl(), token, await storage.getNamespace());
 
       // Check on Vault what is the token's real TTL (Time-To-Live).
       const currentTTLInMinutes = await this.#getCurrentTokenTTLInMinutes(vault);
@@ -220,7 +347,7 @@ class BackgroundService {
         const renewedTokenResult = await vault.renewToken();
 
         // Store the renewed token.
-        await this.storage.setToken(renewedTokenResult.token);
+        await storage.setToken(renewedTokenResult.token);
 
         // Get the new TTL after renewal.
         const newTTLInMinutes = await this.#getCurrentTokenTTLInMinutes(vault);
@@ -229,13 +356,198 @@ class BackgroundService {
           this.logger.error("Failed to get TTL after renewal. Using default alarm.");
         } else {
           this.logger.info(`Token renewed. New TTL: ${newTTLInMinutes} minutes.`);
+
+          // Vault caps the TTL of a renewed token at its max TTL, so a TTL still this low means the renewals no longer extend it.
+          if (newTTLInMinutes < this.RENEWAL_THRESHOLD_MINUTES) {
+            this.logger.info(`The token has reached its max TTL and expires in ${newTTLInMinutes} minutes.`);
+          }
         }
       }
     } catch (error) {
       this.logger.error("Failed to check/renew token:", error);
 
       // Clear token on error.
-      await this.storage.setToken(null);
+      await storage.setToken(null);
+      await storage.setPassphrase(null);
+
+      // The session is closed, so the paths of its secrets are not kept either.
+      await this.secretIndex.clear(await storage.getProfileId());
+    }
+  }
+
+  /**
+   * Schedules the warning that the token of a session is about to expire, a few minutes before it does.
+   * When the warning alarm fires, a last renewal is tried first, so the user is only warned when the token
+   * can not be renewed any longer (e.g., it has reached its max TTL, or its auth method does not renew it).
+   * A token already about to expire is warned at once, and a session without a valid token has its warning cleared.
+   *
+   * @async
+   * @param {VaultStorage} storage - The storage of the session.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #scheduleTokenExpiryWarning(storage) {
+    const browserHandler = this.#getBrowserHandler();
+
+    try {
+      const name = this.TOKEN_EXPIRY_PREFIX + await storage.getProfileId();
+      const token = await storage.getToken();
+
+      if (!this.VaultUtils.isTokenValid(token)) {
+        await browserHandler.alarms.clear(name);
+        await browserHandler.notifications.clear(name);
+      } else {
+        const warningTime = new Date(token.expire_date).getTime() - this.constants.TOKEN_EXPIRY.WARNING_MINUTES * 60 * 1000;
+
+        if (warningTime > Date.now()) {
+          // The token was renewed or replaced, so a warning already shown is no longer true.
+          await browserHandler.alarms.create(name, { when: warningTime });
+          await browserHandler.notifications.clear(name);
+        } else {
+          await this.#showTokenExpiryNotification(storage, token);
+        }
+      }
+    } catch (error) {
+      this.logger.error('Failed to schedule the warning of the token expiry:', error);
+    }
+
+    await this.#updateTokenExpiryBadge();
+  }
+
+  /**
+   * Shows the browser notification that the token of a session is about to expire. Clicking it opens the login page.
+   *
+   * @async
+   * @param {VaultStorage} storage - The storage of the session.
+   * @param {object} token - The token of the session, with its 'expire_date'.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #showTokenExpiryNotification(storage, token) {
+    const browserHandler = this.#getBrowserHandler();
+
+    const profileId = await storage.getProfileId();
+    const profile = (profileId) ? await this.profileStorage.getProfile(profileId) : null;
+    const minutes = Math.max(0, Math.ceil((new Date(token.expire_date).getTime() - Date.now()) / (60 * 1000)));
+
+    this.logger.info(`The session of the profile '${profileId}' expires in ${minutes} minutes. Warning the user...`);
+
+    await browserHandler.notifications.create(this.TOKEN_EXPIRY_PREFIX + profileId, {
+      type: 'basic',
+      iconUrl: browserHandler.runtime.getURL('/images/icons/logo128.png'),
+      title: this.I18n.getMessage('notification_token_expiry_title'),
+      message: this.I18n.getMessage('notification_token_expiry_message', [profile?.name || await storage.getUrl(), minutes]),
+      requireInteraction: true
+    });
+  }
+
+  /**
+   * Shows a badge on the action icon while the token of any session is about to expire or has expired,
+   * and removes it once every session was renewed, logged into again or logged out.
+   *
+   * @async
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #updateTokenExpiryBadge() {
+    const { WARNING_MINUTES, BADGE_TEXT, BADGE_COLOR } = this.constants.TOKEN_EXPIRY;
+
+    try {
+      let isExpiring = false;
+
+      for (const profileId of await this.#getSessionProfileIds()) {
+        const token = await this.storage.forProfile(profileId).getToken();
+
+        if (token?.expire_date && (new Date(token.expire_date).getTime() - Date.now() <= WARNING_MINUTES * 60 * 1000)) {
+          isExpiring = true;
+          break;
+        }
+      }
+
+      const action = this.#getBrowserHandler().action;
+
+      await action.setBadgeText({ text: (isExpiring) ? BADGE_TEXT : '' });
+
+      if (isExpiring) {
+        await action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+      }
+    } catch (error) {
+      this.logger.error('Failed to update the badge of the token expiry:', error);
+    }
+  }
+
+  /**
+   * Sets up the periodic alarm that refreshes the search index of the secrets of all the sessions.
+   *
+   * @async
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #setupSecretIndexRefresh() {
+    try {
+      await this.#getBrowserHandler().alarms.create(this.SECRET_INDEX_ALARM_NAME, {
+        periodInMinutes: this.constants.SECRET_INDEX.REFRESH_MINUTES
+      });
+    } catch (error) {
+      this.logger.error(`Failed to create alarm '${this.SECRET_INDEX_ALARM_NAME}':`, error);
+    }
+  }
+
+  /**
+   * Refreshes the search index of the secrets of all the open sessions, one session at a time.
+   * Only the stale folders are listed again, so a refresh is cheap when nothing has changed.
+   *
+   * @async
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #refreshSecretIndexes() {
+    for (const session of await this.vaultSessions.getSessions()) {
+      try {
+        await this.secretIndex.refresh(session);
+      } catch (error) {
+        this.logger.error(`Failed to refresh the secret index of '${session.name}':`, error);
+      }
+    }
+  }
+
+  /**
+   * Refreshes the search index of the secrets of a profile's session, as requested by an extension page.
+   * It runs here and not in the popup, because the popup is closed as soon as it loses the focus.
+   *
+   * @async
+   * @param {string} profileId - The ID of the profile, or an empty string for the session without a profile.
+   * @param {{engine: object, subkeys: string[]}|null} folder - A folder where a secret was saved or deleted.
+   * If informed, only this folder is listed again.
+   * @param {boolean} rebuild - If true, the whole index is built again.
+   * @returns {Promise<{success: boolean, error?: string}>} The result of the refresh.
+   * @private
+   */
+  async #refreshSecretIndex(profileId, folder, rebuild) {
+    // The searches kept would not show the secrets saved or deleted, nor the changes a rebuild finds.
+    if (folder || rebuild) {
+      this.vaultSearches.clear();
+    }
+
+    try {
+      const session = await this.vaultSessions.getSession(profileId);
+
+      // A closed session has nothing to index.
+      if (!session) {
+        return { success: true };
+      }
+
+      if (folder) {
+        await this.secretIndex.refreshFolder(session, folder.engine, folder.subkeys);
+      } else {
+        await this.secretIndex.refresh(session, rebuild);
+      }
+
+      return { success: true };
+    } catch (error) {
+      this.logger.error('Failed to refresh the secret index:', error);
+
+      return { success: false, error: error.message };
     }
   }
 
@@ -388,6 +700,9 @@ class BackgroundService {
       // Initialize the token renewal process.
       this.logger.info("Extension installed/updated. Setting up token auto-renewal...");
       await this.#setupTokenAutoRenew();
+
+      // Initialize the refresh of the search index.
+      await this.#setupSecretIndexRefresh();
     } catch (error) {
       this.logger.error("Error during onInstalled script injection:", error);
     }
@@ -433,8 +748,8 @@ class BackgroundService {
     try {
       this.logger.info("Chrome startup detected. Checking token...");
 
-      // Check and renew the token as needed.
-      await this.#renewToken();
+      // Check and renew the tokens as needed.
+      await this.#renewTokens();
 
     } catch (error) {
       this.logger.error("Error during token check:", error);
@@ -442,7 +757,7 @@ class BackgroundService {
   }
 
   /**
-   * Handles Chrome alarm events for token renewal checks.
+   * Handles Chrome alarm events for token renewal checks and the refresh of the secret index.
    * Listens for the token check alarm and triggers token validation
    * and renewal process when the alarm fires.
    *
@@ -457,13 +772,248 @@ class BackgroundService {
       if (alarm.name === this.TOKEN_CHECK_ALARM_NAME) {
         this.logger.info(`Alarm '${this.TOKEN_CHECK_ALARM_NAME}' fired. Checking token...`);
 
-        // Check and renew the token as needed.
-        await this.#renewToken();
+        // Check and renew the tokens as needed.
+        await this.#renewTokens();
+      } else if (alarm.name === this.SECRET_INDEX_ALARM_NAME) {
+        this.logger.info(`Alarm '${this.SECRET_INDEX_ALARM_NAME}' fired. Refreshing the secret index...`);
+
+        await this.#refreshSecretIndexes();
+      } else if (alarm.name.startsWith(this.TOKEN_EXPIRY_PREFIX)) {
+        this.logger.info(`Alarm '${alarm.name}' fired. Trying a last renewal before warning the user...`);
+
+        const storage = this.storage.forProfile(alarm.name.slice(this.TOKEN_EXPIRY_PREFIX.length));
+
+        await this.#renewToken(storage);
+        await this.#scheduleTokenExpiryWarning(storage);
       }
     } catch (error) {
       this.logger.error("Error during token check:", error);
     }
   }
+
+  /**
+   * Handles requests sent by the extension pages.
+   * Returning a promise makes the polyfill send its result back as the response.
+   * Other messages (e.g., the replies of the content scripts) are ignored.
+   *
+   * @listens chrome.runtime.onMessage
+   * @param {object} request - The message sent by the extension page.
+   * @returns {Promise<object>|undefined} The response for the handled requests, or undefined.
+   * @private
+   */
+  #handleMessage(request) {
+    if (request?.message === this.constants.REQUEST_MESSAGE_ID.OIDC_LOGIN) {
+      return this.#loginWithOidc(request.url, request.namespace, request.mount, request.role);
+    }
+
+    if (request?.message === this.constants.REQUEST_MESSAGE_ID.REFRESH_SECRET_INDEX) {
+      return this.#refreshSecretIndex(request.profileId, request.folder, request.rebuild);
+    }
+  }
+
+  /**
+   * Handles the changes of the storage, to follow the logins and logouts of every session.
+   * A new token gets its expiry warning scheduled, and a removed one gets its warning cleared.
+   * The renewals keep the same token and are handled where they are made.
+   *
+   * @listens chrome.storage.onChanged
+   * @param {object} changes - The changed items, with their old and new values, by key.
+   * @param {string} areaName - The storage area that changed (e.g., 'session').
+   * @returns {void}
+   * @private
+   */
+  #handleStorageChanged(changes, areaName) {
+    if (areaName !== 'session') {
+      return;
+    }
+
+    for (const [key, { oldValue, newValue }] of Object.entries(changes)) {
+      const profileId = this.storage.getProfileIdOfTokenKey(key);
+
+      if ((profileId !== null) && (oldValue?.client_token !== newValue?.client_token)) {
+        this.#scheduleTokenExpiryWarning(this.storage.forProfile(profileId));
+      }
+    }
+  }
+
+  /**
+   * Handles a click on the notification that a session is about to expire.
+   * The profile of the session becomes the active one and the login page is opened, pre-filled with it,
+   * so logging in again keeps the profile and replaces its token.
+   *
+   * @listens chrome.notifications.onClicked
+   * @async
+   * @param {string} notificationId - The ID of the notification clicked.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #handleNotificationClicked(notificationId) {
+    if (!notificationId.startsWith(this.TOKEN_EXPIRY_PREFIX)) {
+      return;
+    }
+
+    const browserHandler = this.#getBrowserHandler();
+
+    try {
+      await this.profileStorage.setActiveProfileId(notificationId.slice(this.TOKEN_EXPIRY_PREFIX.length));
+      await browserHandler.notifications.clear(notificationId);
+
+      // The login page shows the login form even if the token has not expired yet.
+      await browserHandler.tabs.create({ url: browserHandler.runtime.getURL(`${this.constants.Link.LoginPage}?relogin=true`) });
+    } catch (error) {
+      this.logger.error('Failed to open the login page:', error);
+    }
+  }
+
+  /**
+   * Handles the port the popup connects to, to start, resume or cancel a search.
+   * The search runs here, so it goes on when the popup is closed. Its messages are sent through the port,
+   * starting with the secrets found so far, so the popup opened again picks up the search where it was.
+   *
+   * @listens chrome.runtime.onConnect
+   * @param {chrome.runtime.Port} port - The port connected by the popup.
+   * @returns {void}
+   * @private
+   */
+  #handleConnect(port) {
+    if (port.name !== this.constants.BACKGROUND_SEARCH.PORT_NAME) {
+      return;
+    }
+
+    const messageId = this.constants.REQUEST_MESSAGE_ID;
+
+    let search = null;
+    let unsubscribe = null;
+    let isDisconnected = false;
+
+    port.onMessage.addListener(async (request) => {
+      if (request?.message === messageId.SEARCH_START) {
+        try {
+          unsubscribe?.();
+
+          search = await this.vaultSearches.start(request.text, request.tag);
+
+          if (!isDisconnected) {
+            unsubscribe = this.vaultSearches.subscribe(search, (message) => port.postMessage(message));
+          }
+
+          this.#keepAliveWhileSearching();
+        } catch (error) {
+          this.logger.error('Failed to start the search:', error);
+
+          if (!isDisconnected) {
+            port.postMessage({ message: messageId.SEARCH_DONE, errors: [], clusters: 0, cancelled: false, error: error.message });
+          }
+        }
+      } else if ((request?.message === messageId.SEARCH_CANCEL) && search) {
+        this.vaultSearches.cancel(search);
+      }
+    });
+
+    // Closing the popup does not stop the search. Its results are kept for the next time the popup is opened.
+    port.onDisconnect.addListener(() => {
+      isDisconnected = true;
+
+      unsubscribe?.();
+    });
+  }
+
+  /**
+   * Keeps the service worker awake while a search runs, even if the popup that started it is closed.
+   * An idle service worker is stopped after 30 seconds, and calling an extension API resets that timer.
+   *
+   * @returns {void}
+   * @private
+   */
+  #keepAliveWhileSearching() {
+    if (this.searchKeepAliveTimer) {
+      return;
+    }
+
+    this.searchKeepAliveTimer = setInterval(() => {
+      if (!this.vaultSearches.isRunning()) {
+        clearInterval(this.searchKeepAliveTimer);
+        this.searchKeepAliveTimer = null;
+        return;
+      }
+
+      this.#getBrowserHandler().runtime.getPlatformInfo();
+    }, this.constants.BACKGROUND_SEARCH.KEEP_ALIVE_SECONDS * 1000);
+  }
+
+  /**
+   * Logs into Vault with the OIDC auth method, using the browser web auth flow.
+   * It runs here and not in the popup, because the popup is closed as soon as the provider's window opens.
+   * The token is stored like a normal login, so the popup is already logged in when it is opened again.
+   *
+   * @async
+   * @param {string} url - The Vault address.
+   * @param {string} namespace - The Vault Enterprise namespace. Empty for the root namespace.
+   * @param {string} [mount] - The mount path of the OIDC auth method. The default mount is used when empty.
+   * @param {string} role - The OIDC role. An empty role uses the default role of the auth method.
+   * @returns {Promise<{success: boolean, error?: string}>} The result of the login.
+   * @private
+   */
+  async #loginWithOidc(url, namespace, mount, role) {
+    try {
+      // The login may take minutes, so the session is stored in the profile that started it, even if the user switches profiles.
+      const storage = this.storage.forProfile(await this.storage.getProfileId());
+
+      const authMethod = this.VaultAuthMethods.get(this.OIDC_AUTH_METHOD_ID);
+      const oidcMount = this.VaultUtils.getAuthMount(mount) || authMethod.defaultMount;
+
+      const identity = this.#getBrowserHandler().identity;
+      const vault = this.vaultFactory.create(url, null, namespace);
+
+      // The provider redirects to https://<extension-id>.chromiumapp.org/oidc, which must be allowed by the role.
+      const redirectUri = identity.getRedirectURL(this.OIDC_REDIRECT_PATH);
+
+      // The nonce binds the authorization URL to the callback, so only this flow can complete the login.
+      const clientNonce = crypto.randomUUID();
+
+      const authUrl = await vault.getOidcAuthUrl(role, redirectUri, clientNonce, oidcMount);
+
+      this.logger.info('Starting the OIDC web auth flow.');
+      const responseUrl = await identity.launchWebAuthFlow({ url: authUrl, interactive: true });
+
+      const params = new URL(responseUrl).searchParams;
+      if (params.has('error')) {
+        throw new Error(params.get('error_description') || params.get('error'));
+      }
+
+      const result = await vault.completeOidcLogin({
+        state: params.get('state'),
+        code: params.get('code'),
+        clientNonce
+      }, oidcMount);
+
+      // The provider's window is closed by now, so there is nowhere to prompt for the factor.
+      if (result.mfa_requirement) {
+        throw new Error(this.I18n.getMessage('error_oidc_mfa_not_supported'));
+      }
+
+      // The username is used to find the personal secrets, and OIDC only returns it in the token's display name.
+      const tokenData = await vault.getCurrentToken();
+
+      // The version is kept with the session, so the features the server does not support are left out.
+      const serverStatus = await vault.getServerStatus();
+
+      await storage.setUrl(url);
+      await storage.setNamespace(namespace);
+      await storage.setServerVersion(serverStatus?.version || '');
+      await storage.setUsername(this.VaultUtils.getUsernameFromDisplayName(tokenData?.data?.display_name, oidcMount));
+      await storage.setAuthMethod({ id: authMethod.id, mount: oidcMount });
+      await storage.setToken(result.token);
+
+      this.logger.info('OIDC login completed successfully.');
+
+      return { success: true };
+    } catch (error) {
+      this.logger.error('OIDC login failed:', error);
+
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 // Initialize the background service.
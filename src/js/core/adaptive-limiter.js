@@ -0,0 +1,249 @@
+/**
+ * Limits the number of requests in flight to a server, adapting the limit to how the server is coping (AIMD).
+ * The limit grows by one every round trip (additive increase) while the latency stays low, and is cut by a factor
+ * (multiplicative decrease) as soon as the server is overloaded: a rate limit (429), an unavailable server (503),
+ * a timeout or a latency rising well above the lowest latency seen. Fast servers get more requests at once,
+ * and struggling ones get fewer.
+ *
+ * A single limiter is shared by all the operations on a server, so they share one request budget.
+ *
+ * Example usage:
+ * const release = await limiter.acquire(signal);
+ * const response = await fetch(url);
+ * release({ overloaded: response.status === 429 });
+ */
+export class AdaptiveLimiter {
+
+  /**
+   * How fast the average latency follows the latency of each request (0 to 1).
+   * @private
+   * @static
+   * @readonly
+   */
+  static #LATENCY_SMOOTHING = 0.3;
+
+  /**
+   * How fast the lowest latency seen drifts up to a higher latency (0 to 1), so a single fast response
+   * does not make every later one look slow.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #BASELINE_DRIFT = 0.05;
+
+  /**
+   * The settings of the limiter, with the same properties as ADAPTIVE_CONCURRENCY in the constants.
+   * @type {object}
+   * @private
+   */
+  #options;
+
+  /**
+   * The current limit. It is fractional, because it grows by a fraction on each response.
+   * @type {number}
+   * @private
+   */
+  #limit;
+
+  /**
+   * The number of requests in flight.
+   * @type {number}
+   * @private
+   */
+  #inFlight = 0;
+
+  /**
+   * The requests waiting for a free slot, in the order they arrived.
+   * @type {Array<{resolve: function, reject: function, signal: AbortSignal | null, onAbort: function}>}
+   * @private
+   */
+  #waiting = [];
+
+  /**
+   * The average latency of the recent requests, in milliseconds, or null before the first response.
+   * @type {number | null}
+   * @private
+   */
+  #latency = null;
+
+  /**
+   * The lowest latency seen, in milliseconds, or null before the first response.
+   * @type {number | null}
+   * @private
+   */
+  #baselineLatency = null;
+
+  /**
+   * When the limit was last cut. The requests started before it do not cut the limit again.
+   * @type {number}
+   * @private
+   */
+  #lastDecreaseTime = 0;
+
+  /**
+   * Creates an instance of the AdaptiveLimiter class.
+   * @param {object} [options={}] - The settings of the limiter.
+   * @param {number} [options.INITIAL=6] - The limit at the start.
+   * @param {number} [options.MIN=1] - The lowest limit.
+   * @param {number} [options.MAX=32] - The highest limit.
+   * @param {number} [options.LATENCY_TOLERANCE=2] - The limit is cut when the average latency grows beyond
+   * this multiple of the lowest latency seen.
+   * @param {number} [options.DECREASE_FACTOR=0.5] - The factor the limit is multiplied by when it is cut.
+   */
+  constructor(options = {}) {
+    this.#options = {
+      INITIAL: 6,
+      MIN: 1,
+      MAX: 32,
+      LATENCY_TOLERANCE: 2,
+      DECREASE_FACTOR: 0.5,
+      ...options
+    };
+
+    this.#limit = this.#options.INITIAL;
+  }
+
+  /**
+   * Gets the number of requests that can be in flight at once.
+   * @returns {number} The current limit, between MIN and MAX.
+   */
+  get limit() {
+    return Math.max(this.#options.MIN, Math.floor(this.#limit));
+  }
+
+  /**
+   * Gets the number of requests in flight.
+   * @returns {number} The requests in flight.
+   */
+  get inFlight() {
+    return this.#inFlight;
+  }
+
+  /**
+   * Waits for a free slot to send a request. The slot must be released when the response arrives,
+   * telling whether the server was overloaded, so the limit can be adapted.
+   * @param {AbortSignal | null} [signal=null] - A signal that stops the wait.
+   * @returns {Promise<function({overloaded?: boolean, ignored?: boolean}=): void>} A promise resolving with the
+   * function that releases the slot. Pass 'overloaded' for a rate limit, an unavailable server or a timeout,
+   * and 'ignored' when the request tells nothing about the server (e.g., it was cancelled).
+   * @throws {Error} The reason of the signal, if it is aborted before a slot is free.
+   */
+  acquire(signal = null) {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    if ((this.#waiting.length === 0) && (this.#inFlight < this.limit)) {
+      return Promise.resolve(this.#createSlot());
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, signal, onAbort: null };
+
+      waiter.onAbort = () => {
+        this.#waiting.splice(this.#waiting.indexOf(waiter), 1);
+        reject(signal.reason);
+      };
+
+      signal?.addEventListener('abort', waiter.onAbort, { once: true });
+
+      this.#waiting.push(waiter);
+    });
+  }
+
+  /**
+   * Takes a slot and creates the function that releases it.
+   * @returns {function({overloaded?: boolean, ignored?: boolean}=): void} The function that releases the slot.
+   * @private
+   */
+  #createSlot() {
+    this.#inFlight++;
+
+    const startTime = Date.now();
+    let isReleased = false;
+
+    return ({ overloaded = false, ignored = false } = {}) => {
+      if (isReleased) {
+        return;
+      }
+
+      isReleased = true;
+
+      // The limit only grows while it is used, so a few idle requests do not raise it forever.
+      const wasLimited = (this.#inFlight >= this.limit);
+
+      this.#inFlight--;
+
+      if (overloaded) {
+        this.#decrease(startTime);
+      } else if (!ignored) {
+        this.#onResponse(Date.now() - startTime, startTime, wasLimited);
+      }
+
+      this.#startWaiting();
+    };
+  }
+
+  /**
+   * Adapts the limit to the latency of a response that was not overloaded.
+   * @param {number} latency - The latency of the request, in milliseconds.
+   * @param {number} startTime - When the request was sent.
+   * @param {boolean} wasLimited - Whether the limit was reached when the response arrived.
+   * @returns {void}
+   * @private
+   */
+  #onResponse(latency, startTime, wasLimited) {
+    this.#latency = (this.#latency === null) ? latency : this.#latency + (latency - this.#latency) * AdaptiveLimiter.#LATENCY_SMOOTHING;
+
+    if ((this.#baselineLatency === null) || (latency < this.#baselineLatency)) {
+      this.#baselineLatency = latency;
+    } else {
+      this.#baselineLatency += (latency - this.#baselineLatency) * AdaptiveLimiter.#BASELINE_DRIFT;
+    }
+
+    // A latency rising well above the lowest one means the requests are queueing on the server.
+    if (this.#latency > Math.max(1, this.#baselineLatency) * this.#options.LATENCY_TOLERANCE) {
+      this.#decrease(startTime);
+      return;
+    }
+
+    // One more request every round trip: each response of a full window adds 1 / limit.
+    if (wasLimited) {
+      this.#limit = Math.min(this.#options.MAX, this.#limit + 1 / this.#limit);
+    }
+  }
+
+  /**
+   * Cuts the limit, at most once per round trip: the requests sent before the last cut were sent with
+   * the old limit, so their errors do not cut it again.
+   * @param {number} startTime - When the request that reported the overload was sent.
+   * @returns {void}
+   * @private
+   */
+  #decrease(startTime) {
+    if (startTime < this.#lastDecreaseTime) {
+      return;
+    }
+
+    this.#limit = Math.max(this.#options.MIN, this.#limit * this.#options.DECREASE_FACTOR);
+    this.#lastDecreaseTime = Date.now();
+
+    // The latency is measured again with the new limit.
+    this.#latency = null;
+  }
+
+  /**
+   * Gives the free slots to the requests waiting, in the order they arrived.
+   * @returns {void}
+   * @private
+   */
+  #startWaiting() {
+    while ((this.#waiting.length > 0) && (this.#inFlight < this.limit)) {
+      const waiter = this.#waiting.shift();
+
+      waiter.signal?.removeEventListener('abort', waiter.onAbort);
+      waiter.resolve(this.#createSlot());
+    }
+  }
+
+}
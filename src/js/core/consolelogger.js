@@ -11,9 +11,27 @@ export class ConsoleLogger {
   #requestCount = {
     listEngines: 0,
     listSecrets: 0,
-    getSecretData: 0
+    getSecretData: 0,
+    getSecretMetadata: 0,
+    getResultantAcl: 0,
+    getCapabilities: 0,
+    getServerStatus: 0,
+    transitEncrypt: 0,
+    transitDecrypt: 0
   };
 
+  /**
+   * Counter of the requests retried after a rate-limited or transient error.
+   * @private
+   */
+  #retryCount = 0;
+
+  /**
+   * Counter of the folders skipped because the resultant ACL of the token does not allow listing them.
+   * @private
+   */
+  #skippedCount = 0;
+
   /**
    * Creates a new ConsoleLogger instance.
    * @param {boolean} debugEnabled - Whether debug logging is enabled.
@@ -107,8 +125,16 @@ export class ConsoleLogger {
     this.#requestCount = {
       listEngines: 0,
       listSecrets: 0,
-      getSecretData: 0
+      getSecretData: 0,
+      getSecretMetadata: 0,
+      getResultantAcl: 0,
+      getCapabilities: 0,
+      getServerStatus: 0,
+      transitEncrypt: 0,
+      transitDecrypt: 0
     };
+    this.#retryCount = 0;
+    this.#skippedCount = 0;
   }
 
   /**
@@ -137,6 +163,28 @@ export class ConsoleLogger {
     this.info(`API Request #${this.#requestCount[type]} - ${type}${details ? ': [' + details + ']' : ''}`);
   }
 
+  /**
+   * Logs a retried API request and increments the retry counter.
+   * @param {string} [details=''] - Additional details about the retry, such as the URL and the delay.
+   */
+  logRetry(details = '') {
+    if (!this.debugEnabled) return;
+
+    this.#retryCount++;
+    this.warn(`API Retry #${this.#retryCount}${details ? ': [' + details + ']' : ''}`);
+  }
+
+  /**
+   * Logs a folder skipped by the resultant ACL of the token and increments the skipped counter.
+   * @param {string} [details=''] - Additional details about the skipped folder, such as its path.
+   */
+  logSkipped(details = '') {
+    if (!this.debugEnabled) return;
+
+    this.#skippedCount++;
+    this.debug(`Skipped by ACL #${this.#skippedCount}${details ? ': [' + details + ']' : ''}`);
+  }
+
   /**
    * Creates a new inline group in the browser console, indenting all subsequent log messages.
    * Call groupEnd() to exit the group.
@@ -167,7 +215,15 @@ export class ConsoleLogger {
     this.info(`List Engines: ${this.#requestCount.listEngines} requests`);
     this.info(`List Secrets: ${this.#requestCount.listSecrets} requests`);
     this.info(`Get Secret Data: ${this.#requestCount.getSecretData} requests`);
+    this.info(`Get Secret Metadata: ${this.#requestCount.getSecretMetadata} requests`);
+    this.info(`Get Resultant ACL: ${this.#requestCount.getResultantAcl} requests`);
+    this.info(`Get Capabilities: ${this.#requestCount.getCapabilities} requests`);
+    this.info(`Get Server Status: ${this.#requestCount.getServerStatus} requests`);
+    this.info(`Transit Encrypt: ${this.#requestCount.transitEncrypt} requests`);
+    this.info(`Transit Decrypt: ${this.#requestCount.transitDecrypt} requests`);
     this.info(`Total API Calls: ${this.#getTotalRequests()}`);
+    this.info(`Retries: ${this.#retryCount}`);
+    this.info(`Folders Skipped by ACL: ${this.#skippedCount}`);
     this.groupEnd();
   }
 }
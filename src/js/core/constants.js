@@ -9,11 +9,122 @@ export const PATH_SEPARATOR = '/';
 // Secret names that should be ignored during secret discovery and processing.
 export const IGNORED_SECRET_NAMES = new Set(['_data', '_do-not-delete']);
 
+// Retry policy of the HTTP requests for rate-limited (429) and transient (5xx or network) errors.
+// - MAX_RETRIES: Retries of a single request.
+// - BASE_DELAY_MS and MAX_DELAY_MS: Exponential backoff with full jitter, between 0 and min(MAX, BASE * 2^retry).
+// - MAX_RETRY_AFTER_MS: A longer 'Retry-After' is not waited, the error is returned instead.
+// - BUDGET: Retries shared by all the requests of an operation (e.g., a search), so a struggling server is not flooded.
+export const RETRY_POLICY = {
+  MAX_RETRIES: 3,
+  BASE_DELAY_MS: 250,
+  MAX_DELAY_MS: 5000,
+  MAX_RETRY_AFTER_MS: 30000,
+  BUDGET: 30
+};
+
+// The maximum time of each attempt of an HTTP request, so a hung request does not stall a search forever.
+export const REQUEST_TIMEOUT_MS = 15000;
+
+// Adaptive concurrency (AIMD) of the requests in flight to each Vault server, shared by all the operations on it.
+// - INITIAL, MIN and MAX: The number of requests in flight at the start, and its bounds.
+// - LATENCY_TOLERANCE: The limit is cut when the average latency grows beyond this multiple of the lowest latency seen.
+// - DECREASE_FACTOR: The limit is multiplied by this on a 429, a 503, a timeout or a rising latency.
+//   Otherwise it grows by one request every round trip.
+export const ADAPTIVE_CONCURRENCY = {
+  INITIAL: 6,
+  MIN: 1,
+  MAX: 32,
+  LATENCY_TOLERANCE: 2,
+  DECREASE_FACTOR: 0.5
+};
+
+// Warnings of the sessions whose token is about to expire and can not be renewed any longer (e.g., its max TTL is reached).
+// - WARNING_MINUTES: A last renewal is tried, and the user is notified if it fails, this long before the token expires.
+// - BADGE_TEXT and BADGE_COLOR: The badge of the action icon while a session is about to expire or has expired.
+export const TOKEN_EXPIRY = {
+  WARNING_MINUTES: 10,
+  BADGE_TEXT: '!',
+  BADGE_COLOR: '#d93025'
+};
+
+// Login multi-factor authentication (MFA), validated on sys/mfa/validate when a login returns an MFA requirement.
+// - METHOD_TYPE: The types of the MFA methods. A TOTP passcode is typed, while a Duo, Okta or PingID push is approved
+//   on the phone, unless the method is configured to use a passcode.
+// - VALIDATE_TIMEOUT_MS: Vault only answers the validation of a push once it is approved, denied or expired,
+//   so it waits longer than the other requests.
+export const MFA = {
+  METHOD_TYPE: {
+    TOTP: 'totp',
+    DUO: 'duo',
+    OKTA: 'okta',
+    PINGID: 'pingid'
+  },
+  VALIDATE_TIMEOUT_MS: 90000
+};
+
+// The minimum Vault versions of the features the extension uses, checked against the version of the server
+// found on the Login page. A server whose version is unknown is assumed to support them.
+// - RESULTANT_ACL: sys/internal/ui/resultant-acl, used to skip the folders the token can not list.
+// - CUSTOM_METADATA: The 'custom_metadata' of the KVv2 secrets (owner, login URL, tags and rotation interval).
+export const VAULT_MIN_VERSION = {
+  RESULTANT_ACL: '1.10.0',
+  CUSTOM_METADATA: '1.9.0'
+};
+
+// Search index of the paths of the secrets, refreshed by the background service worker.
+// - REFRESH_MINUTES: How often the index of each session is refreshed.
+// - FOLDER_MAX_AGE_MINUTES: A folder is listed again on a refresh once its listing is older than this.
+// - ACTIVE_FOLDER_HOURS: A folder whose secrets changed (KVv2 'updated_time') within this is listed on every refresh.
+// - MAX_METADATA_READS: The number of new secrets of a folder whose metadata is read to date the change of the folder.
+export const SECRET_INDEX = {
+  REFRESH_MINUTES: 15,
+  FOLDER_MAX_AGE_MINUTES: 60,
+  ACTIVE_FOLDER_HOURS: 24,
+  MAX_METADATA_READS: 10
+};
+
+// Searches run by the background service worker, so they go on when the popup is closed.
+// - PORT_NAME: The name of the port the popup connects to, to start or resume a search.
+// - MAX_AGE_MINUTES: A finished search is reused, and the last query is restored, until it is older than this.
+// - MAX_SEARCHES: The number of finished searches kept, the oldest ones are dropped first.
+// - KEEP_ALIVE_SECONDS: How often the service worker is kept awake while a search runs without any popup open.
+export const BACKGROUND_SEARCH = {
+  PORT_NAME: 'search',
+  MAX_AGE_MINUTES: 5,
+  MAX_SEARCHES: 10,
+  KEEP_ALIVE_SECONDS: 25
+};
+
+// Where the KV engines of a session were found, in the order they are tried.
+// - UI_MOUNTS: The mounts the token can use (sys/internal/ui/mounts).
+// - SYS_MOUNTS: All the mounts, when the token can read sys/mounts.
+// - ADMIN: The engines set by the administrator in the managed storage (browser policy).
+// - USER: The engines typed on the Login page.
+export const ENGINE_SOURCE = {
+  UI_MOUNTS: 'ui-mounts',
+  SYS_MOUNTS: 'sys-mounts',
+  ADMIN: 'admin',
+  USER: 'user'
+};
+
+// Capabilities of the Vault policies, checked on sys/capabilities-self before an action is offered.
+// - ROOT: A root token can do anything.
+// - DENY: The path is denied, whatever the other capabilities are.
+export const CAPABILITY = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  ROOT: 'root',
+  DENY: 'deny'
+};
+
 // Named links for different pages in the application.
 export const Link = {
   LoginPage: '/html/login/index.html',
   SecretsList: '/html/secrets/list.html',
-  SecretsAdd: '/html/secrets/add.html'
+  SecretsAdd: '/html/secrets/add.html',
+  SecretsVersions: '/html/secrets/versions.html',
+  SecretsDeleted: '/html/secrets/deleted.html'
 };
 
 // Request message constants for communication between content scripts and extension.
@@ -28,5 +139,15 @@ export const REQUEST_MESSAGE_ID = {
 
   // Error response messages from content script.
   FILL_CREDENTIALS_FAILED: 'error_page_fill_credentials_failed',
-  FILL_TOKEN_FAILED: 'error_page_fill_token_failed'
+  FILL_TOKEN_FAILED: 'error_page_fill_token_failed',
+
+  // Messages sent from extension pages to the background service worker.
+  OIDC_LOGIN: 'oidcLogin',
+  REFRESH_SECRET_INDEX: 'refreshSecretIndex',
+
+  // Messages exchanged with the background service worker through the search port.
+  SEARCH_START: 'searchStart',
+  SEARCH_CANCEL: 'searchCancel',
+  SEARCH_PROGRESS: 'searchProgress',
+  SEARCH_DONE: 'searchDone'
 };
@@ -27,21 +27,127 @@ export class HttpRequest {
    * @readonly
    * @property {string} INVALID_ENDPOINT - Error message for an invalid URL.
    * @property {string} HTTP_REQUEST_ERROR - Error message for a failed network request.
+   * @property {string} HTTP_REQUEST_TIMEOUT - Error message for a request that took too long.
+   * @property {string} HTTP_REQUEST_CANCELLED - Error message for a request cancelled by the user.
    */
   #i18nKeys = {
     INVALID_ENDPOINT: 'error_api_invalid_endpoint',
-    HTTP_REQUEST_ERROR: 'error_api_request_failed'
+    HTTP_REQUEST_ERROR: 'error_api_request_failed',
+    HTTP_REQUEST_TIMEOUT: 'error_api_request_timeout',
+    HTTP_REQUEST_CANCELLED: 'error_api_request_cancelled'
   };
 
+  /**
+   * The status codes that are retried.
+   * - 429: Rate limited. The request was not processed, so it is retried for every method.
+   * - 500, 502 and 504: Transient server errors. Only retried for the idempotent methods.
+   * - 503: Sealed or standby server. The request was not processed, so it is retried for every method.
+   * @private
+   * @readonly
+   */
+  #RetryableStatus = {
+    ALWAYS: [429, 503],
+    IDEMPOTENT: [500, 502, 504]
+  };
+
+  /**
+   * The methods that can be sent twice without changing the result.
+   * @private
+   * @readonly
+   */
+  #IDEMPOTENT_METHODS = ['GET', 'LIST', 'DELETE'];
+
+  /**
+   * The status codes that tell the server is overloaded, so fewer requests are sent at once.
+   * @private
+   * @readonly
+   */
+  #OVERLOADED_STATUS = [429, 503];
+
+  /**
+   * The logger used to report the retries. Optional.
+   * @type {object | null}
+   * @private
+   */
+  #logger;
+
+  /**
+   * The retry policy, with the same properties as RETRY_POLICY in the constants.
+   * @type {object}
+   * @private
+   */
+  #retryPolicy;
+
+  /**
+   * The retries left for the current operation.
+   * @type {number}
+   * @private
+   */
+  #retryBudget;
+
+  /**
+   * The maximum time of each attempt of a request, in milliseconds. Zero means no timeout.
+   * @type {number}
+   * @private
+   */
+  #timeout;
+
+  /**
+   * The limiter of the requests in flight to the server, shared by all the operations on it. Optional.
+   * @type {object | null}
+   * @private
+   */
+  #limiter;
+
+  /**
+   * Creates an instance of the HttpRequest class.
+   * @param {object | null} [logger=null] - The logger used to report the retries.
+   * @param {object} [retryPolicy={}] - The retry policy. Without it, the requests are not retried.
+   * @param {number} [retryPolicy.MAX_RETRIES=0] - Retries of a single request.
+   * @param {number} [retryPolicy.BASE_DELAY_MS=0] - The base delay of the exponential backoff.
+   * @param {number} [retryPolicy.MAX_DELAY_MS=0] - The maximum delay of the exponential backoff.
+   * @param {number} [retryPolicy.MAX_RETRY_AFTER_MS=0] - The longest 'Retry-After' that is waited.
+   * @param {number} [retryPolicy.BUDGET=0] - Retries shared by all the requests of an operation.
+   * @param {number} [timeout=0] - The maximum time of each attempt of a request, in milliseconds. Zero means no timeout.
+   * @param {object | null} [limiter=null] - An AdaptiveLimiter that limits the requests in flight to the server.
+   * Without it, the requests are sent at once.
+   */
+  constructor(logger = null, retryPolicy = {}, timeout = 0, limiter = null) {
+    this.#logger = logger;
+    this.#timeout = timeout;
+    this.#limiter = limiter;
+    this.#retryPolicy = {
+      MAX_RETRIES: 0,
+      BASE_DELAY_MS: 0,
+      MAX_DELAY_MS: 0,
+      MAX_RETRY_AFTER_MS: 0,
+      BUDGET: 0,
+      ...retryPolicy
+    };
+
+    this.resetRetryBudget();
+  }
+
+  /**
+   * Restores the retries of a new operation.
+   * It should be called at the start of operations made of many requests (e.g., a search),
+   * so each one has its own budget.
+   * @returns {void}
+   */
+  resetRetryBudget() {
+    this.#retryBudget = this.#retryPolicy.BUDGET;
+  }
+
   /**
    * Performs an HTTP GET request.
    * @param {string} endpoint - The URL to send the request to.
    * @param {HeadersInit | null} [headers=null] - Request headers.
+   * @param {AbortSignal | null} [signal=null] - A signal to cancel the request.
    * @returns {Promise<Response>} A promise that resolves with the Fetch API Response object.
-   * @throws {Error} If a network error occurs.
+   * @throws {Error} If a network error occurs, the request times out or it is cancelled.
    */
-  get(endpoint, headers = null) {
-    return this.#request(this.#RequestMethod.GET, endpoint, headers);
+  get(endpoint, headers = null, signal = null) {
+    return this.#request(this.#RequestMethod.GET, endpoint, headers, null, signal);
   }
 
   /**
@@ -49,11 +155,12 @@ export class HttpRequest {
    * Used for listing secrets or paths in HashiCorp Vault.
    * @param {string} endpoint - The URL to send the request to.
    * @param {HeadersInit | null} [headers=null] - Request headers, typically including 'X-Vault-Token'.
+   * @param {AbortSignal | null} [signal=null] - A signal to cancel the request.
    * @returns {Promise<Response>} A promise that resolves with the Fetch API Response object.
-   * @throws {Error} If a network error occurs.
+   * @throws {Error} If a network error occurs, the request times out or it is cancelled.
    */
-  list(endpoint, headers = null) {
-    return this.#request(this.#RequestMethod.LIST, endpoint, headers);
+  list(endpoint, headers = null, signal = null) {
+    return this.#request(this.#RequestMethod.LIST, endpoint, headers, null, signal);
   }
 
   /**
@@ -61,11 +168,14 @@ export class HttpRequest {
    * @param {string} endpoint - The URL to send the request to.
    * @param {HeadersInit | null} [headers=null] - Request headers.
    * @param {BodyInit | null} [body=null] - The request body.
+   * @param {AbortSignal | null} [signal=null] - A signal to cancel the request.
+   * @param {number | null} [timeout=null] - The maximum time of each attempt, in milliseconds, for requests that
+   * are expected to take longer than the others (e.g., waiting for the user to approve a push). Null uses the default.
    * @returns {Promise<Response>} A promise that resolves with the Fetch API Response object.
-   * @throws {Error} If a network error occurs.
+   * @throws {Error} If a network error occurs, the request times out or it is cancelled.
    */
-  post(endpoint, headers = null, body = null) {
-    return this.#request(this.#RequestMethod.POST, endpoint, headers, body);
+  post(endpoint, headers = null, body = null, signal = null, timeout = null) {
+    return this.#request(this.#RequestMethod.POST, endpoint, headers, body, signal, timeout);
   }
 
   /**
@@ -73,61 +183,255 @@ export class HttpRequest {
    * @param {string} endpoint - The URL to send the request to.
    * @param {HeadersInit | null} [headers=null] - Request headers.
    * @param {BodyInit | null} [body=null] - The request body.
+   * @param {AbortSignal | null} [signal=null] - A signal to cancel the request.
    * @returns {Promise<Response>} A promise that resolves with the Fetch API Response object.
-   * @throws {Error} If a network error occurs.
+   * @throws {Error} If a network error occurs, the request times out or it is cancelled.
    */
-  patch(endpoint, headers = null, body = null) {
-    return this.#request(this.#RequestMethod.PATCH, endpoint, headers, body);
+  patch(endpoint, headers = null, body = null, signal = null) {
+    return this.#request(this.#RequestMethod.PATCH, endpoint, headers, body, signal);
   }
 
   /**
    * Performs an HTTP DELETE request.
    * @param {string} endpoint - The URL to send the request to.
    * @param {HeadersInit | null} [headers=null] - Request headers.
+   * @param {AbortSignal | null} [signal=null] - A signal to cancel the request.
    * @returns {Promise<Response>} A promise that resolves with the Fetch API Response object.
-   * @throws {Error} If a network error occurs.
+   * @throws {Error} If a network error occurs, the request times out or it is cancelled.
    */
-  delete(endpoint, headers = null) {
-    return this.#request(this.#RequestMethod.DELETE, endpoint, headers);
+  delete(endpoint, headers = null, signal = null) {
+    return this.#request(this.#RequestMethod.DELETE, endpoint, headers, null, signal);
   }
 
   /**
    * Private method to execute the fetch request.
+   * Rate-limited and transient errors are retried with exponential backoff and jitter,
+   * as long as the retry policy and the budget of the operation allow it.
+   * Each attempt is aborted when it takes longer than the timeout, which is handled like a network error.
+   * Each attempt waits for a free slot of the limiter, if any, and the slot is released before waiting for a retry.
    * @param {string} method - The HTTP method (e.g., 'GET', 'POST').
    * @param {string} endpoint - The URL for the request.
    * @param {HeadersInit | null} [headers=null] - Request headers.
    * @param {BodyInit | null} [body=null] - Request body.
-   * @returns {Promise<Response>} A promise that resolves with the Response object.
-   * @throws {Error} Localized error if the fetch operation fails due to network issues.
+   * @param {AbortSignal | null} [signal=null] - A signal to cancel the request, including its retries.
+   * @param {number | null} [timeout=null] - The maximum time of each attempt, in milliseconds. Null uses the default.
+   * @returns {Promise<Response>} A promise that resolves with the Response object. The response of the last
+   * attempt is returned when the retries are exhausted, so the caller still handles the error status.
+   * @throws {Error} Localized error if the fetch operation fails due to network issues, times out or is cancelled.
    * @private
    */
-  async #request(method, endpoint, headers = null, body = null) {
+  async #request(method, endpoint, headers = null, body = null, signal = null, timeout = null) {
     // Basic input validation to ensure endpoint is a valid string.
     if (!endpoint || typeof endpoint !== 'string') {
       throw new Error(I18n.getMessage(this.#i18nKeys.INVALID_ENDPOINT));
     }
 
-    try {
-      // Build fetch options object, automatically excluding null/undefined values.
-      // This approach is cleaner than manual deletion and handles edge cases better.
-      const options = {
-        method,
-        // Only include if truthy.
-        ...(headers && { headers }),
-        // Only include if truthy.
-        ...(body && { body })
-      };
+    // Build fetch options object, automatically excluding null/undefined values.
+    // This approach is cleaner than manual deletion and handles edge cases better.
+    const options = {
+      method,
+      // Only include if truthy.
+      ...(headers && { headers }),
+      // Only include if truthy.
+      ...(body && { body })
+    };
+
+    for (let retry = 0; ; retry++) {
+      let response;
+
+      const release = await this.#acquireSlot(signal);
+
+      try {
+        response = await fetch(endpoint, { ...options, signal: this.#getAttemptSignal(signal, timeout ?? this.#timeout) });
+
+        release({ overloaded: this.#OVERLOADED_STATUS.includes(response.status) });
+      } catch (error) {
+        // A timeout means the server is overloaded. A cancelled request or a network error tells nothing about its load.
+        release({ overloaded: (error?.name === 'TimeoutError'), ignored: (error?.name !== 'TimeoutError') });
+
+        // A cancelled request is never retried.
+        this.#throwIfCancelled(signal);
+
+        // Network errors (e.g., DNS, server unreachable) and timeouts may be transient,
+        // but the server may have processed the request.
+        if (this.#canRetry(retry) && this.#isIdempotent(method)) {
+          await this.#waitBeforeRetry(method, endpoint, retry, this.#getBackoffDelay(retry), error.message, signal);
+          continue;
+        }
+
+        const errorMessageKey = (error?.name === 'TimeoutError') ? this.#i18nKeys.HTTP_REQUEST_TIMEOUT : this.#i18nKeys.HTTP_REQUEST_ERROR;
+        const errorMessage = I18n.getMessage(errorMessageKey, [endpoint]);
 
-      const response = await fetch(endpoint, options);
+        throw new Error(errorMessage);
+      }
 
-      // Return the raw response object.
-      return response;
+      if (!this.#isRetryableResponse(method, response) || !this.#canRetry(retry)) {
+        // Return the raw response object.
+        return response;
+      }
+
+      const retryAfter = this.#getRetryAfterDelay(response);
+
+      // The server asked to wait longer than we are willing to, so the error is returned at once.
+      if (retryAfter > this.#retryPolicy.MAX_RETRY_AFTER_MS) {
+        return response;
+      }
+
+      await this.#waitBeforeRetry(method, endpoint, retry, Math.max(retryAfter, this.#getBackoffDelay(retry)), response.status, signal);
+    }
+  }
+
+  /**
+   * Waits for a free slot of the limiter to send an attempt of a request.
+   * @param {AbortSignal | null} signal - The signal of the caller, which stops the wait.
+   * @returns {Promise<function(object=): void>} A promise resolving with the function that releases the slot.
+   * It does nothing when there is no limiter.
+   * @throws {Error} If the request is cancelled during the wait.
+   * @private
+   */
+  async #acquireSlot(signal) {
+    if (!this.#limiter) {
+      return () => { };
+    }
 
+    try {
+      return await this.#limiter.acquire(signal);
     } catch (error) {
-      // Catch network errors (e.g., DNS, server unreachable).
-      const errorMessage = I18n.getMessage(this.#i18nKeys.HTTP_REQUEST_ERROR, [endpoint]);
+      this.#throwIfCancelled(signal);
+
+      throw error;
+    }
+  }
+
+  /**
+   * Creates the signal of one attempt of a request, which is aborted by the caller or by the timeout.
+   * @param {AbortSignal | null} signal - The signal of the caller.
+   * @param {number} timeout - The maximum time of the attempt, in milliseconds. Zero means no timeout.
+   * @returns {AbortSignal | undefined} The signal of the attempt, or undefined if there is nothing to abort it.
+   * @private
+   */
+  #getAttemptSignal(signal, timeout) {
+    const signals = [signal, (timeout > 0) ? AbortSignal.timeout(timeout) : null].filter(Boolean);
+
+    return (signals.length > 0) ? AbortSignal.any(signals) : undefined;
+  }
 
-      throw new Error(errorMessage);
+  /**
+   * Throws a localized error if the caller cancelled the request.
+   * @param {AbortSignal | null} signal - The signal of the caller.
+   * @returns {void}
+   * @throws {Error} If the signal was aborted.
+   * @private
+   */
+  #throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      throw new Error(I18n.getMessage(this.#i18nKeys.HTTP_REQUEST_CANCELLED));
     }
   }
+
+  /**
+   * Checks if a request can be retried once more.
+   * @param {number} retry - The number of retries already made for the request.
+   * @returns {boolean} True if the policy and the budget of the operation allow another retry.
+   * @private
+   */
+  #canRetry(retry) {
+    return (retry < this.#retryPolicy.MAX_RETRIES) && (this.#retryBudget > 0);
+  }
+
+  /**
+   * Checks if an HTTP method is idempotent.
+   * @param {string} method - The HTTP method.
+   * @returns {boolean} True if sending the request twice does not change the result.
+   * @private
+   */
+  #isIdempotent(method) {
+    return this.#IDEMPOTENT_METHODS.includes(method);
+  }
+
+  /**
+   * Checks if the status of a response is worth a retry.
+   * @param {string} method - The HTTP method of the request.
+   * @param {Response} response - The response to check.
+   * @returns {boolean} True if the request should be retried.
+   * @private
+   */
+  #isRetryableResponse(method, response) {
+    if (this.#RetryableStatus.ALWAYS.includes(response.status)) {
+      return true;
+    }
+
+    return this.#RetryableStatus.IDEMPOTENT.includes(response.status) && this.#isIdempotent(method);
+  }
+
+  /**
+   * Calculates the exponential backoff delay with full jitter.
+   * A random delay spreads the retries of the concurrent requests, so they do not hit the server at the same time.
+   * @param {number} retry - The number of retries already made for the request.
+   * @returns {number} The delay in milliseconds, between 0 and min(MAX_DELAY_MS, BASE_DELAY_MS * 2^retry).
+   * @private
+   */
+  #getBackoffDelay(retry) {
+    const maximumDelay = Math.min(this.#retryPolicy.MAX_DELAY_MS, this.#retryPolicy.BASE_DELAY_MS * (2 ** retry));
+
+    return Math.floor(Math.random() * maximumDelay);
+  }
+
+  /**
+   * Reads the 'Retry-After' header of a response, in seconds or as an HTTP date.
+   * @param {Response} response - The response to read.
+   * @returns {number} The delay in milliseconds, or 0 if the header is missing or invalid.
+   * @private
+   */
+  #getRetryAfterDelay(response) {
+    const retryAfter = response.headers?.get('Retry-After');
+
+    if (!retryAfter) {
+      return 0;
+    }
+
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(retryAfter);
+
+    return (Number.isNaN(date)) ? 0 : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Spends one retry of the budget, reports it and waits before the next attempt.
+   * @param {string} method - The HTTP method of the request.
+   * @param {string} endpoint - The URL of the request.
+   * @param {number} retry - The number of retries already made for the request.
+   * @param {number} delay - The delay in milliseconds.
+   * @param {number | string} reason - The status code or the network error that caused the retry.
+   * @param {AbortSignal | null} [signal=null] - A signal to cancel the request, which also stops the wait.
+   * @returns {Promise<void>} A promise that resolves when the delay has passed.
+   * @throws {Error} If the request is cancelled during the wait.
+   * @private
+   */
+  async #waitBeforeRetry(method, endpoint, retry, delay, reason, signal = null) {
+    this.#retryBudget--;
+
+    this.#logger?.logRetry(`${method} ${endpoint} - retry ${retry + 1} of ${this.#retryPolicy.MAX_RETRIES} in ${delay} ms (${reason})`);
+
+    await new Promise(resolve => {
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        resolve();
+      };
+
+      // The signal of a search outlives many retries, so the listener is removed when the wait ends normally.
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+
+    this.#throwIfCancelled(signal);
+  }
 }
@@ -4,11 +4,21 @@ import { I18n } from './i18n.js';
  * A utility class to process asynchronous tasks in parallel with a concurrency limit.
  * This implements a "worker pool" pattern that is more efficient than sequential
  * batching, as it starts a new task the moment a worker becomes free.
+ * The limit can be fixed, or follow an AdaptiveLimiter shared with other pools (adaptive mode).
+ * Optionally, it reports the progress, stops starting new items when a signal is aborted,
+ * and starts the items with the highest priority first.
  *
  * Example usage:
  * const results = await PromisePool.process(engines, async (engine) => {
  *   return await vault.processEngine(engine);
  * });
+ *
+ * const results = await PromisePool.process(secrets, loadSecret, 6, {
+ *   signal,
+ *   priority: (secret) => (secret.isVisible) ? 1 : 0,
+ *   onProgress: ({ completed, total }) => progressBar.update(completed, total),
+ *   logger
+ * });
  */
 export class PromisePool {
 
@@ -32,23 +42,40 @@ export class PromisePool {
   static #ERROR_INVALID_ITEMS = 'error_promise_pool_invalid_items';
   static #ERROR_INVALID_FUNCTION = 'error_promise_pool_invalid_function';
   static #ERROR_INVALID_CONCURRENCY = 'error_promise_pool_invalid_concurrency';
+  static #ERROR_INVALID_CALLBACK = 'error_promise_pool_invalid_callback';
+  static #ERROR_ABORTED = 'error_promise_pool_aborted';
+
   /**
    * Processes an array of items with a given async function, respecting the concurrency limit.
-   * Uses a worker pool pattern where multiple workers pull items from a shared generator,
-   * ensuring optimal resource utilization and maintaining result order.
+   * A new item is started the moment another one finishes, maintaining result order.
+   *
+   * With a limiter (adaptive mode), the number of items processed at once also follows the current limit
+   * of the limiter, which adapts to how the server is coping. The concurrency is then the limit of this call,
+   * while the limiter is the request budget shared with the other calls (e.g., the engines and their folders).
    *
    * @param {Array<T>} items - The array of items to process.
    * @param {function(item: T, index: number): Promise<U>} asyncFn - The async function to apply to each item.
    *   Receives the item and its original index as parameters.
    * @param {number} [concurrency] - The maximum number of promises to run in parallel (must be > 0).
    *   Defaults to PromisePool.#DEFAULT_CONCURRENCY if not provided.
+   * @param {object} [options={}] - Optional settings of this call.
+   * @param {{limit: number} | null} [options.limiter=null] - An AdaptiveLimiter whose current limit also caps
+   *   the number of promises run in parallel. It is read again every time an item finishes.
+   * @param {AbortSignal | null} [options.signal=null] - A signal that stops starting new items. The items in progress
+   *   are awaited, and the ones not started are stored as `{ status: 'rejected', reason: Error }` objects.
+   * @param {function({completed: number, total: number, index: number, result: U|Object}): void | null} [options.onProgress=null] -
+   *   Called every time an item finishes, with the number of items finished, the total, and the index and result of the item.
+   * @param {{error: function(...any): void} | null} [options.logger=null] - The logger of the errors thrown by onProgress,
+   *   which do not stop the pool. Without it, they are ignored.
+   * @param {function(item: T, index: number): number | null} [options.priority=null] - Gives the priority of each item.
+   *   The items with the highest priority are started first, and the items with the same priority keep their order.
    * @returns {Promise<Array<U|Object>>} A promise that resolves with an array of results.
    *   Successful results are stored directly, failed results are stored as
    *   `{ status: 'rejected', reason: Error }` objects.
    * @template T, U
-   * @throws {Error} If concurrency is not a positive integer or asyncFn is not a function.
+   * @throws {Error} If concurrency is not a positive integer, or asyncFn, onProgress or priority is not a function.
    */
-  static async process(items, asyncFn, concurrency = PromisePool.#DEFAULT_CONCURRENCY) {
+  static async process(items, asyncFn, concurrency = PromisePool.#DEFAULT_CONCURRENCY, { limiter = null, signal = null, onProgress = null, priority = null, logger = null } = {}) {
     // Input validation (following your style of proper error handling)
     if (!Array.isArray(items)) {
       throw new Error(I18n.getMessage(PromisePool.#ERROR_INVALID_ITEMS));
@@ -62,48 +89,101 @@ export class PromisePool {
       throw new Error(I18n.getMessage(PromisePool.#ERROR_INVALID_CONCURRENCY));
     }
 
+    if ([onProgress, priority].some(callback => callback !== null && typeof callback !== 'function')) {
+      throw new Error(I18n.getMessage(PromisePool.#ERROR_INVALID_CALLBACK));
+    }
+
     // Early return for empty arrays
     if (items.length === 0) {
       return [];
     }
 
-    // Optimize concurrency to not exceed the number of items
-    const effectiveConcurrency = Math.min(concurrency, items.length);
-
-    // A generator makes it easy for multiple workers to pull items from the list without conflict.
-    const itemGenerator = items.entries();
-
     // Pre-allocate the results array to guarantee order is preserved.
     const results = new Array(items.length);
 
-    /**
-     * The "worker" function. Each worker will pull items from the generator
-     * and process them until the generator is exhausted.
-     * @returns {Promise<void>} A promise that resolves when this worker has processed all available items.
-     */
-    const worker = async () => {
-      // The `for...of` loop will automatically handle the generator's state.
-      for (const [index, item] of itemGenerator) {
-        try {
-          // Await the user-provided async function for the current item.
-          const result = await asyncFn(item, index);
-
-          // Store the result at its original index.
-          results[index] = result;
-
-        } catch (error) {
-          // Similar to Promise.allSettled.
-          results[index] = { status: PromisePool.#STATUS_REJECTED, reason: error };
+    // The indexes of the items in the order they are started.
+    const order = PromisePool.#getOrder(items, priority);
+
+    let nextPosition = 0;
+    let activeTasks = 0;
+    let finishedTasks = 0;
+
+    return new Promise(resolve => {
+      /**
+       * Starts items until the limit is reached. It is called again every time an item finishes,
+       * so the limit of the limiter is followed as it changes.
+       * @returns {void}
+       */
+      const startItems = () => {
+        // An aborted pool does not start new items. The items left are rejected with the reason of the abort.
+        if (signal?.aborted) {
+          const reason = new Error(I18n.getMessage(PromisePool.#ERROR_ABORTED));
+
+          for (; nextPosition < order.length; nextPosition++) {
+            results[order[nextPosition]] = { status: PromisePool.#STATUS_REJECTED, reason };
+            finishedTasks++;
+          }
+        }
+
+        if (finishedTasks === items.length) {
+          resolve(results);
+          return;
         }
-      }
-    };
 
-    // Create and start all the worker promises.
-    const workerPromises = Array.from({ length: effectiveConcurrency }, () => worker());
+        // The limiter never goes below one, so there is always an item in progress.
+        const limit = Math.min(concurrency, limiter?.limit ?? concurrency);
+
+        while ((nextPosition < order.length) && (activeTasks < limit)) {
+          const index = order[nextPosition++];
+          activeTasks++;
+
+          // Await the user-provided async function for the current item, even if it throws synchronously.
+          Promise.resolve()
+            .then(() => asyncFn(items[index], index))
+            .then(result => {
+              // Store the result at its original index.
+              results[index] = result;
+            }, error => {
+              // Similar to Promise.allSettled.
+              results[index] = { status: PromisePool.#STATUS_REJECTED, reason: error };
+            })
+            .finally(() => {
+              activeTasks--;
+              finishedTasks++;
+
+              try {
+                onProgress?.({ completed: finishedTasks, total: items.length, index, result: results[index] });
+              } catch (error) {
+                // A failing progress callback must not stop the pool.
+                logger?.error('PromisePool: onProgress failed:', error);
+              }
+
+              startItems();
+            });
+        }
+      };
+
+      startItems();
+    });
+  }
+
+  /**
+   * Gets the order the items are started in: the highest priority first, then the original order.
+   * @param {Array<T>} items - The array of items to process.
+   * @param {function(item: T, index: number): number | null} priority - Gives the priority of each item, if any.
+   * @returns {number[]} The indexes of the items, in the order they are started.
+   * @template T
+   * @private
+   */
+  static #getOrder(items, priority) {
+    const order = items.map((_, index) => index);
+
+    if (!priority) {
+      return order;
+    }
 
-    // Wait for all workers to complete their tasks.
-    await Promise.all(workerPromises);
+    const priorities = items.map((item, index) => Number(priority(item, index)) || 0);
 
-    return results;
+    return order.sort((a, b) => (priorities[b] - priorities[a]) || (a - b));
   }
 }
@@ -44,11 +44,527 @@ class Storage {
   }
 }
 
+/**
+ * Manages the saved Vault server profiles (e.g., prod, staging and lab).
+ * It uses the browser.storage.local API, so the profiles survive browser restarts.
+ * A profile holds the URL, namespace, auth method, mount path and username, but never the password or the token.
+ */
+export class ProfileStorage extends Storage {
+  /** * Storage key for the list of profiles.
+   * @private
+   * @type {string}
+   */
+  static #KEY_PROFILES = 'profiles';
+
+  /** * Storage key for the ID of the active profile.
+   * @private
+   * @type {string}
+   */
+  static #KEY_ACTIVE_PROFILE_ID = 'active_profile_id';
+
+  /**
+   * Retrieves all the saved profiles, sorted by name.
+   * @returns {Promise<Array<{id: string, name: string, url: string, namespace: string, includeChildNamespaces: boolean,
+   * authMethod: {id: string, mount: string}, username: string}>>} The profiles, or an empty array if there is none.
+   */
+  async getProfiles() {
+    const result = await this.get(ProfileStorage.#KEY_PROFILES);
+
+    const profiles = result?.[ProfileStorage.#KEY_PROFILES] || [];
+
+    return profiles.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Retrieves a saved profile.
+   * @param {string} id - The ID of the profile.
+   * @returns {Promise<object | undefined>} The profile, or undefined if it does not exist.
+   */
+  async getProfile(id) {
+    return (await this.getProfiles()).find(profile => profile.id === id);
+  }
+
+  /**
+   * Saves a profile, replacing the saved profile with the same ID.
+   * A new ID is created for profiles without one.
+   * @param {object} profile - The profile to save. Only the known properties are saved, so credentials are never stored.
+   * @returns {Promise<object>} The saved profile, with its ID.
+   */
+  async saveProfile(profile) {
+    // The profiles are persistent, so they must never hold credentials, such as the password or the token.
+    const profileToSave = {
+      id: profile.id || crypto.randomUUID(),
+      name: profile.name,
+      url: profile.url,
+      namespace: profile.namespace || '',
+      includeChildNamespaces: Boolean(profile.includeChildNamespaces),
+      authMethod: profile.authMethod,
+      username: profile.username || ''
+    };
+
+    const profiles = (await this.getProfiles()).filter(x => x.id !== profileToSave.id);
+    profiles.push(profileToSave);
+
+    await this.set({ [ProfileStorage.#KEY_PROFILES]: profiles });
+
+    return profileToSave;
+  }
+
+  /**
+   * Deletes a saved profile. If it is the active profile, no profile is active anymore.
+   * @param {string} id - The ID of the profile.
+   * @returns {Promise<void>} A promise that resolves when the profile is deleted.
+   */
+  async deleteProfile(id) {
+    const profiles = (await this.getProfiles()).filter(x => x.id !== id);
+
+    await this.set({ [ProfileStorage.#KEY_PROFILES]: profiles });
+
+    if (await this.getActiveProfileId() === id) {
+      await this.setActiveProfileId('');
+    }
+  }
+
+  /**
+   * Retrieves the ID of the active profile.
+   * @returns {Promise<string>} The ID, or an empty string if no profile is active.
+   */
+  async getActiveProfileId() {
+    const result = await this.get(ProfileStorage.#KEY_ACTIVE_PROFILE_ID);
+
+    return result?.[ProfileStorage.#KEY_ACTIVE_PROFILE_ID] || '';
+  }
+
+  /**
+   * Sets the active profile.
+   * @param {string} id - The ID of the profile, or an empty string for no profile.
+   * @returns {Promise<void>} A promise that resolves when the active profile is set.
+   */
+  async setActiveProfileId(id) {
+    return this.set({ [ProfileStorage.#KEY_ACTIVE_PROFILE_ID]: id });
+  }
+
+  /**
+   * Retrieves the active profile.
+   * @returns {Promise<object | undefined>} The profile, or undefined if no profile is active.
+   */
+  async getActiveProfile() {
+    return this.getProfile(await this.getActiveProfileId());
+  }
+}
+
+/**
+ * Manages the search index of the secrets of each profile's session.
+ * It uses the browser.storage.local API, so the index survives browser restarts.
+ * The index holds the engines, the folders and the names of the secrets, but never their values.
+ */
+export class SecretIndexStorage extends Storage {
+  /** * Prefix of the storage key of the index of each profile (e.g., 'secret_index/<profile-id>').
+   * @private
+   * @type {string}
+   */
+  static #KEY_PREFIX = 'secret_index/';
+
+  /**
+   * Gets the storage key of the index of a profile.
+   * @param {string} profileId - The ID of the profile, or an empty string for the session without a profile.
+   * @returns {string} The storage key.
+   * @private
+   */
+  #getKey(profileId) {
+    return `${SecretIndexStorage.#KEY_PREFIX}${profileId}`;
+  }
+
+  /**
+   * Retrieves the index of a profile's session.
+   * @param {string} profileId - The ID of the profile, or an empty string for the session without a profile.
+   * @returns {Promise<object | null>} The index, or null if the session has not been indexed.
+   */
+  async getIndex(profileId) {
+    const key = this.#getKey(profileId);
+    const result = await this.get(key);
+
+    return result?.[key] || null;
+  }
+
+  /**
+   * Stores the index of a profile's session.
+   * @param {string} profileId - The ID of the profile, or an empty string for the session without a profile.
+   * @param {object} index - The index to store.
+   * @returns {Promise<void>} A promise that resolves when the index is stored.
+   */
+  async setIndex(profileId, index) {
+    return this.set({ [this.#getKey(profileId)]: index });
+  }
+
+  /**
+   * Deletes the index of a profile's session.
+   * @param {string} profileId - The ID of the profile, or an empty string for the session without a profile.
+   * @returns {Promise<void>} A promise that resolves when the index is deleted.
+   */
+  async clearIndex(profileId) {
+    return this.set({ [this.#getKey(profileId)]: null });
+  }
+}
+
+/**
+ * Manages the KV engines configured for the tokens that can not list the mounts of a Vault server.
+ * The engines typed by the user are kept in browser.storage.local, by Vault address and namespace.
+ * The engines set by an administrator are read from browser.storage.managed (a browser policy),
+ * as an 'engines' array of { url, namespace, path, version }. An entry without 'url' applies to every server.
+ * The Transit keys that encrypt the passwords and tokens of each engine are kept the same way, as a 'transit_keys'
+ * array of { url, namespace, engine, mount, key }.
+ * The check of the passphrase of each server and namespace is kept in browser.storage.local too, never the passphrase.
+ */
+export class EngineStorage extends Storage {
+  /** * Prefix of the storage key of the engines of each server and namespace (e.g., 'engines/<url>|<namespace>').
+   * @private
+   * @type {string}
+   */
+  static #KEY_PREFIX = 'engines/';
+
+  /** * Prefix of the storage key of the Transit keys of each server and namespace (e.g., 'transit_keys/<url>|<namespace>').
+   * @private
+   * @type {string}
+   */
+  static #KEY_PREFIX_TRANSIT_KEYS = 'transit_keys/';
+
+  /** * Prefix of the storage key of the check of the passphrase of each server and namespace (e.g., 'passphrase_check/<url>|<namespace>').
+   * @private
+   * @type {string}
+   */
+  static #KEY_PREFIX_PASSPHRASE_CHECK = 'passphrase_check/';
+
+  /** * Key of the engines in the managed storage.
+   * @private
+   * @type {string}
+   */
+  static #MANAGED_KEY_ENGINES = 'engines';
+
+  /** * Key of the Transit keys in the managed storage.
+   * @private
+   * @type {string}
+   */
+  static #MANAGED_KEY_TRANSIT_KEYS = 'transit_keys';
+
+  /**
+   * The managed storage, set by the administrator. It is read-only.
+   * @type {object | null}
+   * @private
+   */
+  #managedStorage;
+
+  /**
+   * Creates an instance of the EngineStorage class.
+   * @param {object} storage - The browser storage object of the user's engines (e.g., browser.storage.local).
+   * @param {object | null} [managedStorage=null] - The managed storage of the administrator's engines (browser.storage.managed).
+   */
+  constructor(storage, managedStorage = null) {
+    super(storage);
+    this.#managedStorage = managedStorage;
+  }
+
+  /**
+   * Normalizes a Vault address by removing its trailing slashes.
+   * @param {string} url - The Vault address.
+   * @returns {string} The normalized address.
+   * @private
+   */
+  #normalizeUrl(url) {
+    return (url || '').trim().replace(/\/+$/, '');
+  }
+
+  /**
+   * Normalizes a namespace by removing its leading and trailing slashes.
+   * @param {string} namespace - The namespace.
+   * @returns {string} The normalized namespace.
+   * @private
+   */
+  #normalizeNamespace(namespace) {
+    return (namespace || '').trim().replace(/^\/+|\/+$/g, '');
+  }
+
+  /**
+   * Gets the storage key of the engines of a server and namespace.
+   * @param {string} url - The Vault address.
+   * @param {string} namespace - The namespace, or an empty string for the root namespace.
+   * @param {string} [prefix=EngineStorage.#KEY_PREFIX] - The prefix of the key (e.g., of the Transit keys).
+   * @returns {string} The storage key.
+   * @private
+   */
+  #getKey(url, namespace, prefix = EngineStorage.#KEY_PREFIX) {
+    return `${prefix}${this.#normalizeUrl(url)}|${this.#normalizeNamespace(namespace)}`;
+  }
+
+  /**
+   * Retrieves the entries set by the administrator for a server and namespace.
+   * Browsers without managed storage, or without a policy, have no entries.
+   * @param {string} managedKey - The key of the entries in the managed storage.
+   * @param {string} url - The Vault address.
+   * @param {string} namespace - The namespace, or an empty string for the root namespace.
+   * @returns {Promise<Array<object>>} The entries of the server and namespace, or an empty array if there is none.
+   * @private
+   */
+  async #getManagedEntries(managedKey, url, namespace) {
+    if (!this.#managedStorage) {
+      return [];
+    }
+
+    let entries;
+
+    try {
+      const result = await this.#managedStorage.get(managedKey);
+      entries = result?.[managedKey];
+    } catch {
+      return [];
+    }
+
+    if (!Array.isArray(entries)) {
+      return [];
+    }
+
+    return entries
+      .filter(entry => entry && (!entry.url || this.#normalizeUrl(entry.url) === this.#normalizeUrl(url)))
+      .filter(entry => this.#normalizeNamespace(entry.namespace) === this.#normalizeNamespace(namespace));
+  }
+
+  /**
+   * Retrieves the engines typed by the user for a server and namespace.
+   * @param {string} url - The Vault address.
+   * @param {string} [namespace=''] - The namespace, or an empty string for the root namespace.
+   * @returns {Promise<Array<{path: string, version: string}>>} The engines, or an empty array if there is none.
+   */
+  async getUserEngines(url, namespace = '') {
+    const key = this.#getKey(url, namespace);
+    const result = await this.get(key);
+
+    return result?.[key] || [];
+  }
+
+  /**
+   * Stores the engines typed by the user for a server and namespace.
+   * @param {string} url - The Vault address.
+   * @param {string} namespace - The namespace, or an empty string for the root namespace.
+   * @param {Array<{path: string, version: string}>} engines - The engines, or an empty array to remove them.
+   * @returns {Promise<void>} A promise that resolves when the engines are stored.
+   */
+  async setUserEngines(url, namespace, engines) {
+    return this.set({ [this.#getKey(url, namespace)]: engines });
+  }
+
+  /**
+   * Retrieves the engines set by the administrator for a server and namespace.
+   * Browsers without managed storage, or without a policy, have no engines.
+   * @param {string} url - The Vault address.
+   * @param {string} [namespace=''] - The namespace, or an empty string for the root namespace.
+   * @returns {Promise<Array<{path: string, version: string}>>} The engines, or an empty array if there is none.
+   */
+  async getAdminEngines(url, namespace = '') {
+    const engines = await this.#getManagedEntries(EngineStorage.#MANAGED_KEY_ENGINES, url, namespace);
+
+    return engines
+      .filter(engine => engine.path)
+      .map(engine => ({ path: engine.path, version: String(engine.version || '2') }));
+  }
+
+  /**
+   * Retrieves the Transit keys typed by the user for the engines of a server and namespace.
+   * @param {string} url - The Vault address.
+   * @param {string} [namespace=''] - The namespace, or an empty string for the root namespace.
+   * @returns {Promise<Array<{engine: string, mount: string, key: string}>>} The Transit keys, or an empty array if there is none.
+   */
+  async getUserTransitKeys(url, namespace = '') {
+    const key = this.#getKey(url, namespace, EngineStorage.#KEY_PREFIX_TRANSIT_KEYS);
+    const result = await this.get(key);
+
+    return result?.[key] || [];
+  }
+
+  /**
+   * Stores the Transit keys typed by the user for the engines of a server and namespace.
+   * @param {string} url - The Vault address.
+   * @param {string} namespace - The namespace, or an empty string for the root namespace.
+   * @param {Array<{engine: string, mount: string, key: string}>} transitKeys - The Transit keys, or an empty array to remove them.
+   * @returns {Promise<void>} A promise that resolves when the Transit keys are stored.
+   */
+  async setUserTransitKeys(url, namespace, transitKeys) {
+    return this.set({ [this.#getKey(url, namespace, EngineStorage.#KEY_PREFIX_TRANSIT_KEYS)]: transitKeys });
+  }
+
+  /**
+   * Retrieves the Transit keys set by the administrator for the engines of a server and namespace.
+   * @param {string} url - The Vault address.
+   * @param {string} [namespace=''] - The namespace, or an empty string for the root namespace.
+   * @returns {Promise<Array<{engine: string, mount: string, key: string}>>} The Transit keys, or an empty array if there is none.
+   */
+  async getAdminTransitKeys(url, namespace = '') {
+    const transitKeys = await this.#getManagedEntries(EngineStorage.#MANAGED_KEY_TRANSIT_KEYS, url, namespace);
+
+    return transitKeys
+      .filter(transitKey => transitKey.engine && transitKey.key)
+      .map(transitKey => ({ engine: transitKey.engine, mount: transitKey.mount || 'transit', key: transitKey.key }));
+  }
+
+  /**
+   * Retrieves the check of the passphrase used on a server and namespace.
+   * @param {string} url - The Vault address.
+   * @param {string} [namespace=''] - The namespace, or an empty string for the root namespace.
+   * @returns {Promise<string|null>} The check of the passphrase, or null if no passphrase was used on them.
+   */
+  async getPassphraseCheck(url, namespace = '') {
+    const key = this.#getKey(url, namespace, EngineStorage.#KEY_PREFIX_PASSPHRASE_CHECK);
+    const result = await this.get(key);
+
+    return result?.[key] || null;
+  }
+
+  /**
+   * Stores the check of the passphrase used on a server and namespace.
+   * @param {string} url - The Vault address.
+   * @param {string} namespace - The namespace, or an empty string for the root namespace.
+   * @param {string} check - The check of the passphrase, from VaultCrypto.createPassphraseCheck.
+   * @returns {Promise<void>} A promise that resolves when the check is stored.
+   */
+  async setPassphraseCheck(url, namespace, check) {
+    return this.set({ [this.#getKey(url, namespace, EngineStorage.#KEY_PREFIX_PASSPHRASE_CHECK)]: check });
+  }
+}
+
+/**
+ * Manages the last search of the secrets list, so it is restored when the popup is opened again.
+ * It uses the browser.storage.session API, so the last search is forgotten when the browser is closed.
+ */
+export class SearchStorage extends Storage {
+  /** * Storage key for the last search.
+   * @private
+   * @type {string}
+   */
+  static #KEY_LAST_SEARCH = 'last_search';
+
+  /**
+   * Retrieves the last search.
+   * @returns {Promise<{text: string, tag: string, pageNumber: number, time: number} | null>} The search text, the tag,
+   * the page displayed and when it was last used, or null if there was no search.
+   */
+  async getLastSearch() {
+    const result = await this.get(SearchStorage.#KEY_LAST_SEARCH);
+
+    return result?.[SearchStorage.#KEY_LAST_SEARCH] || null;
+  }
+
+  /**
+   * Stores the last search.
+   * @param {{text: string, tag: string, pageNumber: number, time: number}} search - The search text, the tag,
+   * the page displayed and when it was last used.
+   * @returns {Promise<void>} A promise that resolves when the search is stored.
+   */
+  async setLastSearch(search) {
+    return this.set({ [SearchStorage.#KEY_LAST_SEARCH]: search });
+  }
+}
+
 /**
  * Manages storage specific to the Vault extension, such as URL, username, and token.
  * It uses the browser.storage.session API.
+ * Each profile has its own session, so switching profiles does not require a new login.
+ * The keys of a profile's session are prefixed by its ID (e.g., '<profile-id>/token').
  */
 export class VaultStorage extends Storage {
+  /**
+   * The storage of the profiles, used to find the active profile.
+   * @type {ProfileStorage | null}
+   * @private
+   */
+  #profileStorage;
+
+  /**
+   * The ID of the profile this instance is bound to, or undefined to follow the active profile.
+   * @type {string | undefined}
+   * @private
+   */
+  #profileId;
+
+  /**
+   * The underlying storage API, kept to create instances bound to other profiles.
+   * @type {object}
+   * @private
+   */
+  #storage;
+
+  /**
+   * Creates an instance of the VaultStorage class.
+   * @param {object} storage - The browser storage object (e.g., browser.storage.session).
+   * @param {ProfileStorage | null} [profileStorage=null] - The storage of the profiles. Without it, there is a single session.
+   * @param {string} [profileId] - The ID of the profile to bind to. If omitted, the active profile is used on every call.
+   */
+  constructor(storage, profileStorage = null, profileId = undefined) {
+    super(storage);
+
+    this.#storage = storage;
+    this.#profileStorage = profileStorage;
+    this.#profileId = profileId;
+  }
+
+  /**
+   * Creates an instance bound to a profile, which reads and writes its session even if it is not the active profile.
+   * @param {string} profileId - The ID of the profile, or an empty string for the session without a profile.
+   * @returns {VaultStorage} The storage of the profile's session.
+   */
+  forProfile(profileId) {
+    return new VaultStorage(this.#storage, this.#profileStorage, profileId);
+  }
+
+  /**
+   * Gets the ID of the profile whose session is read and written.
+   * @returns {Promise<string>} The ID, or an empty string for the session without a profile.
+   */
+  async getProfileId() {
+    if (this.#profileId !== undefined) {
+      return this.#profileId;
+    }
+
+    return (this.#profileStorage) ? await this.#profileStorage.getActiveProfileId() : '';
+  }
+
+  /**
+   * Prefixes a key with the ID of the profile, so each profile has its own session.
+   * @param {string} key - The key to prefix.
+   * @returns {Promise<string>} The prefixed key, or the key itself when there is no profile.
+   * @private
+   */
+  async #getProfileKey(key) {
+    const profileId = await this.getProfileId();
+
+    return (profileId) ? `${profileId}/${key}` : key;
+  }
+
+  /**
+   * Retrieves an item from the session of the profile.
+   * @param {string} key - The key to retrieve.
+   * @returns {Promise<object>} A promise that resolves with an object containing the item under the given key.
+   */
+  async get(key) {
+    const profileKey = await this.#getProfileKey(key);
+    const result = await super.get(profileKey);
+
+    return { [key]: result?.[profileKey] };
+  }
+
+  /**
+   * Stores items in the session of the profile.
+   * @param {object} items - An object where keys are item names and values are their content.
+   * @returns {Promise<void>} A promise that resolves when the operation is complete.
+   */
+  async set(items) {
+    const profileItems = {};
+
+    for (const [key, value] of Object.entries(items)) {
+      profileItems[await this.#getProfileKey(key)] = value;
+    }
+
+    return super.set(profileItems);
+  }
+
   /** * Storage key for the Vault URL.
    * @private
    * @type {string}
@@ -67,6 +583,37 @@ export class VaultStorage extends Storage {
    */
   static #KEY_TOKEN = 'token';
 
+  /** * Storage key for the authentication method and its mount path.
+   * @private
+   * @type {string}
+   */
+  static #KEY_AUTH_METHOD = 'auth_method';
+
+  /** * Storage key for the Vault Enterprise namespace.
+   * @private
+   * @type {string}
+   */
+  static #KEY_NAMESPACE = 'namespace';
+
+  /** * Storage key for the option of searching the child namespaces.
+   * @private
+   * @type {string}
+   */
+  static #KEY_INCLUDE_CHILD_NAMESPACES = 'include_child_namespaces';
+
+  /** * Storage key for the version of the Vault server, found when logging in.
+   * @private
+   * @type {string}
+   */
+  static #KEY_SERVER_VERSION = 'server_version';
+
+  /** * Storage key for the passphrase of the encryption of the passwords and tokens (v4).
+   * It is only kept in the session storage, which is held in memory, and never saved in the profile.
+   * @private
+   * @type {string}
+   */
+  static #KEY_PASSPHRASE = 'encryption_passphrase';
+
   /**
    * Retrieves the Vault URL from session storage.
    * @returns {Promise<string | undefined>} The Vault URL, or undefined if not set.
@@ -107,6 +654,101 @@ export class VaultStorage extends Storage {
     return this.set({ [VaultStorage.#KEY_USERNAME]: value });
   }
 
+  /**
+   * Retrieves the authentication method used on the last login from session storage.
+   * @returns {Promise<{id: string, mount: string} | undefined>} The ID and mount path of the method, or undefined if not set.
+   */
+  async getAuthMethod() {
+    const result = await this.get(VaultStorage.#KEY_AUTH_METHOD);
+
+    return result?.[VaultStorage.#KEY_AUTH_METHOD];
+  }
+
+  /**
+   * Sets the authentication method used on the login in session storage.
+   * @param {{id: string, mount: string}} value - The ID and mount path of the method.
+   * @returns {Promise<void>} A promise that resolves when the method is set.
+   */
+  async setAuthMethod(value) {
+    return this.set({ [VaultStorage.#KEY_AUTH_METHOD]: value });
+  }
+
+  /**
+   * Retrieves the Vault Enterprise namespace from session storage.
+   * @returns {Promise<string>} The namespace, or an empty string for the root namespace.
+   */
+  async getNamespace() {
+    const result = await this.get(VaultStorage.#KEY_NAMESPACE);
+
+    return result?.[VaultStorage.#KEY_NAMESPACE] || '';
+  }
+
+  /**
+   * Sets the Vault Enterprise namespace in session storage.
+   * @param {string} value - The namespace to store, or an empty string for the root namespace.
+   * @returns {Promise<void>} A promise that resolves when the namespace is set.
+   */
+  async setNamespace(value) {
+    return this.set({ [VaultStorage.#KEY_NAMESPACE]: value });
+  }
+
+  /**
+   * Retrieves whether the searches also cover the child namespaces.
+   * @returns {Promise<boolean>} True if the child namespaces are searched, false otherwise.
+   */
+  async getIncludeChildNamespaces() {
+    const result = await this.get(VaultStorage.#KEY_INCLUDE_CHILD_NAMESPACES);
+
+    return result?.[VaultStorage.#KEY_INCLUDE_CHILD_NAMESPACES] === true;
+  }
+
+  /**
+   * Sets whether the searches also cover the child namespaces.
+   * @param {boolean} value - True to search the child namespaces.
+   * @returns {Promise<void>} A promise that resolves when the option is set.
+   */
+  async setIncludeChildNamespaces(value) {
+    return this.set({ [VaultStorage.#KEY_INCLUDE_CHILD_NAMESPACES]: value });
+  }
+
+  /**
+   * Retrieves the version of the Vault server, used to leave out the features it does not support.
+   * @returns {Promise<string>} The version (e.g., '1.15.2'), or an empty string if it is unknown.
+   */
+  async getServerVersion() {
+    const result = await this.get(VaultStorage.#KEY_SERVER_VERSION);
+
+    return result?.[VaultStorage.#KEY_SERVER_VERSION] || '';
+  }
+
+  /**
+   * Sets the version of the Vault server.
+   * @param {string} value - The version (e.g., '1.15.2'), or an empty string if it is unknown.
+   * @returns {Promise<void>} A promise that resolves when the version is set.
+   */
+  async setServerVersion(value) {
+    return this.set({ [VaultStorage.#KEY_SERVER_VERSION]: value });
+  }
+
+  /**
+   * Retrieves the passphrase of the encryption of the passwords and tokens.
+   * @returns {Promise<string | null>} The passphrase, or null if it is not set.
+   */
+  async getPassphrase() {
+    const result = await this.get(VaultStorage.#KEY_PASSPHRASE);
+
+    return result?.[VaultStorage.#KEY_PASSPHRASE] || null;
+  }
+
+  /**
+   * Sets the passphrase of the encryption of the passwords and tokens.
+   * @param {string | null} value - The passphrase, or null to clear it.
+   * @returns {Promise<void>} A promise that resolves when the passphrase is set.
+   */
+  async setPassphrase(value) {
+    return this.set({ [VaultStorage.#KEY_PASSPHRASE]: value });
+  }
+
   /**
    * Retrieves the authentication token object from session storage.
    * The token object typically has properties like 'client_token' and 'expire_date'.
@@ -126,4 +768,19 @@ export class VaultStorage extends Storage {
   async setToken(value) {
     return this.set({ [VaultStorage.#KEY_TOKEN]: value });
   }
+
+  /**
+   * Gets the ID of the profile whose token is stored under a key of the session storage, to follow the logins and logouts of every profile.
+   * @param {string} key - A key of the session storage, as reported by its change events.
+   * @returns {string | null} The ID of the profile, an empty string for the session without a profile, or null if the key is not of a token.
+   */
+  getProfileIdOfTokenKey(key) {
+    if (key === VaultStorage.#KEY_TOKEN) {
+      return '';
+    }
+
+    const suffix = `/${VaultStorage.#KEY_TOKEN}`;
+
+    return (key.endsWith(suffix)) ? key.slice(0, -suffix.length) : null;
+  }
 }
@@ -58,6 +58,43 @@ export class CryptoProviderBase {
     return new TextDecoder().decode(value);
   }
 
+  /**
+   * Converts an ArrayBuffer to a Base64 string.
+   * @param {ArrayBuffer} buffer - The buffer to convert.
+   * @returns {string} The Base64 encoded string.
+   * @protected
+   * @static
+   */
+  static arrayBufferToBase64(buffer) {
+    let binary = '';
+    const bytes = new Uint8Array(buffer);
+
+    for (let i = 0; i < bytes.byteLength; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+
+    return window.btoa(binary);
+  }
+
+  /**
+   * Converts a Base64 string back to an ArrayBuffer.
+   * @param {string} value - The Base64 string.
+   * @returns {ArrayBuffer} The resulting ArrayBuffer.
+   * @protected
+   * @static
+   */
+  static base64ToArrayBuffer(value) {
+    const binary = window.atob(value);
+    const buffer = new ArrayBuffer(binary.length);
+    const bytes = new Uint8Array(buffer);
+
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+
+    return buffer;
+  }
+
   /**
    * Replicates a string to a specific length.
    * @param {string} value - The string to replicate.
@@ -0,0 +1,124 @@
+import { I18n } from '../core/i18n.js';
+import { CryptoProviderBase } from './base.js';
+
+/**
+ * Cryptography provider backed by the Transit secrets engine of Vault.
+ * The values are encrypted and decrypted by Vault with the current token, so there is no key on the client:
+ * the rotation of the keys, the audit of their use and the access to them are handled by Vault and its policies.
+ * The mount and the name of the key are kept in the envelope, so a value is still decrypted after the key
+ * of its engine is changed: "encrypted:transit:<mount>:<key>:<ciphertext>", where the ciphertext is the one
+ * returned by Vault (e.g., "vault:v1:...").
+ */
+export class VaultCryptoTransit extends CryptoProviderBase {
+
+  /**
+   * The prefix tag used to identify encrypted data.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #ENCRYPT_TAG = 'encrypted';
+
+  /**
+   * The prefix tag used to identify Transit encrypted data.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #ENCRYPT_VERSION = 'transit';
+
+  /**
+   * Internationalization keys used by this crypto version.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #i18nKeys = {
+    CRYPTO_SESSION_REQUIRED: 'error_crypto_transit_session_required',
+    CRYPTO_INVALID_ENVELOPE: 'error_crypto_invalid_envelope'
+  };
+
+  /**
+   * Adds the Transit encryption tag to the parts of the envelope.
+   * @param {string} mount - The mount path of the Transit engine.
+   * @param {string} key - The name of the key.
+   * @param {string} ciphertext - The ciphertext returned by Vault.
+   * @returns {string} The tagged value, e.g., "encrypted:transit:transit:team:vault:v1:..."
+   * @private
+   * @static
+   */
+  static #addEncryptTag(mount, key, ciphertext) {
+    // encrypted:transit:mount:key:ciphertext
+    return `${this.#ENCRYPT_TAG}:${this.#ENCRYPT_VERSION}:${mount}:${key}:${ciphertext}`;
+  }
+
+  /**
+   * Splits a Transit value into the parts of its envelope.
+   * The ciphertext of Vault has colons of its own, so it is everything after the key.
+   * @param {string} value - The tagged value.
+   * @returns {{mount: string, key: string, ciphertext: string}} The parts of the envelope.
+   * @throws {Error} If the value is not a valid Transit envelope.
+   * @private
+   * @static
+   */
+  static #parseEnvelope(value) {
+    const [tag, version, mount, key, ...ciphertext] = value.split(':');
+
+    if ((tag !== this.#ENCRYPT_TAG) || (version !== this.#ENCRYPT_VERSION) || !mount || !key || (ciphertext.length === 0)) {
+      throw new Error(I18n.getMessage(this.#i18nKeys.CRYPTO_INVALID_ENVELOPE));
+    }
+
+    return { mount, key, ciphertext: ciphertext.join(':') };
+  }
+
+  /**
+   * Ensures there is a Vault session to send the value to.
+   * @param {Vault} vault - The Vault instance with the token of the session.
+   * @returns {void}
+   * @throws {Error} If there is no session.
+   * @private
+   * @static
+   */
+  static #validateSession(vault) {
+    if (!vault) {
+      throw new Error(I18n.getMessage(this.#i18nKeys.CRYPTO_SESSION_REQUIRED));
+    }
+  }
+
+  /**
+   * Encrypts a value with a key of the Transit engine.
+   * @param {string} value - The plaintext value to encrypt.
+   * @param {Vault} vault - The Vault instance with the token of the session.
+   * @param {{mount: string, key: string, namespace: string}} transitKey - The Transit key of the engine of the secret.
+   * @returns {Promise<string>} A promise that resolves with the encrypted envelope.
+   * @override
+   * @static
+   */
+  static async encrypt(value, vault, transitKey) {
+    this.#validateSession(vault);
+
+    // Vault expects the plaintext encoded in Base64.
+    const ciphertext = await vault.transitEncrypt(transitKey, this.arrayBufferToBase64(this.encode(value)));
+
+    return this.#addEncryptTag(transitKey.mount, transitKey.key, ciphertext);
+  }
+
+  /**
+   * Decrypts a value with the Transit key it was encrypted with.
+   * @param {string} value - The encrypted envelope.
+   * @param {Vault} vault - The Vault instance with the token of the session.
+   * @param {string} [namespace=''] - The child namespace of the engine of the secret, where the Transit engine is mounted.
+   * @returns {Promise<string>} A promise that resolves with the decrypted plaintext string.
+   * @throws {Error} If the envelope is invalid, or Vault does not decrypt the value (e.g., the policies do not allow it).
+   * @override
+   * @static
+   */
+  static async decrypt(value, vault, namespace = '') {
+    this.#validateSession(vault);
+
+    const { mount, key, ciphertext } = this.#parseEnvelope(value);
+    const plaintext = await vault.transitDecrypt({ mount, key, namespace }, ciphertext);
+
+    return this.decode(this.base64ToArrayBuffer(plaintext));
+  }
+}
@@ -4,7 +4,7 @@ import { CryptoProviderBase } from './base.js';
  * Cryptography provider for version 3.
  * This version uses the Web Crypto API with AES-GCM and a salt to derive
  * the key and IV. The final output is Base64 encoded for safe string storage.
- * This is the current standard for all new encryption.
+ * Anyone who can read the secret knows its path, so this version is only used when no passphrase is set.
  */
 export class VaultCryptov3 extends CryptoProviderBase {
 
@@ -32,43 +32,6 @@ export class VaultCryptov3 extends CryptoProviderBase {
    */
   static #ENCRYPT_VERSION = 'v3';
 
-  /**
-   * Converts an ArrayBuffer to a Base64 string.
-   * @param {ArrayBuffer} buffer - The buffer to convert.
-   * @returns {string} The Base64 encoded string.
-   * @private
-   * @static
-   */
-  static #arrayBufferToBase64(buffer) {
-    let binary = '';
-    const bytes = new Uint8Array(buffer);
-
-    for (let i = 0; i < bytes.byteLength; i++) {
-      binary += String.fromCharCode(bytes[i]);
-    }
-
-    return window.btoa(binary);
-  }
-
-  /**
-   * Converts a Base64 string back to an ArrayBuffer.
-   * @param {string} value - The Base64 string.
-   * @returns {ArrayBuffer} The resulting ArrayBuffer.
-   * @private
-   * @static
-   */
-  static #base64ToArrayBuffer(value) {
-    const binary = window.atob(value);
-    const buffer = new ArrayBuffer(binary.length);
-    const bytes = new Uint8Array(buffer);
-
-    for (let i = 0; i < binary.length; i++) {
-      bytes[i] = binary.charCodeAt(i);
-    }
-
-    return buffer;
-  }
-
   /**
    * Adds the V3 encryption tag to a value.
    * @param {string} value - The Base64 value to tag.
@@ -168,7 +131,7 @@ export class VaultCryptov3 extends CryptoProviderBase {
       encoded
     );
 
-    return this.#addEncryptTag(this.#arrayBufferToBase64(encrypted));
+    return this.#addEncryptTag(this.arrayBufferToBase64(encrypted));
   }
 
   /**
@@ -187,7 +150,7 @@ export class VaultCryptov3 extends CryptoProviderBase {
     const decrypted = await subtleCrypto.decrypt(
       { name: algorithm, iv: iv },
       key,
-      this.#base64ToArrayBuffer(this.#removeEncryptTag(value))
+      this.base64ToArrayBuffer(this.#removeEncryptTag(value))
     );
 
     return this.decode(decrypted);
@@ -0,0 +1,232 @@
+import { I18n } from '../core/i18n.js';
+import { CryptoProviderBase } from './base.js';
+
+/**
+ * Cryptography provider for version 4.
+ * This version uses the Web Crypto API with AES-GCM and a key derived with PBKDF2 from a passphrase
+ * of the user or the team, which is never stored in Vault. Each value gets its own random salt and IV,
+ * which are kept in the envelope with the number of iterations:
+ * "encrypted:v4:<iterations>:<salt>:<iv>:<data>", all Base64 encoded except the iterations.
+ * The path of the secret is bound to the value as additional data, so a value copied to another secret is refused.
+ * This is the current standard for all new encryption.
+ */
+export class VaultCryptov4 extends CryptoProviderBase {
+
+  /**
+   * Defines the default algorithm for this crypto version.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #DEFAULT_ALGORITHM = 'AES-GCM';
+
+  /**
+   * The prefix tag used to identify encrypted data.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #ENCRYPT_TAG = 'encrypted';
+
+  /**
+   * The prefix tag used to identify V4 encrypted data.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #ENCRYPT_VERSION = 'v4';
+
+  /**
+   * The number of PBKDF2 iterations of new values (OWASP recommendation for PBKDF2-HMAC-SHA256).
+   * It is kept in the envelope, so it can be raised without breaking the values already saved.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #ITERATIONS = 600000;
+
+  /**
+   * The lowest number of PBKDF2 iterations accepted from an envelope, so a value can not weaken its own key.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #MIN_ITERATIONS = 100000;
+
+  /**
+   * The highest number of PBKDF2 iterations accepted from an envelope, so a value can not hang the browser
+   * of everyone who reads it.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #MAX_ITERATIONS = 10 * VaultCryptov4.#ITERATIONS;
+
+  /**
+   * The size of the random salt of each value, in bytes.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #SALT_LENGTH = 16;
+
+  /**
+   * The size of the random IV of each value, in bytes (the size recommended for AES-GCM).
+   * @private
+   * @static
+   * @readonly
+   */
+  static #IV_LENGTH = 12;
+
+  /**
+   * Internationalization keys used by this crypto version.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #i18nKeys = {
+    CRYPTO_PASSPHRASE_REQUIRED: 'error_crypto_passphrase_required',
+    CRYPTO_INVALID_ENVELOPE: 'error_crypto_invalid_envelope'
+  };
+
+  /**
+   * Adds the V4 encryption tag to the parts of the envelope.
+   * @param {number} iterations - The number of PBKDF2 iterations.
+   * @param {string} salt - The Base64 salt.
+   * @param {string} iv - The Base64 IV.
+   * @param {string} value - The Base64 encrypted value.
+   * @returns {string} The tagged value, e.g., "encrypted:v4:600000:...:...:..."
+   * @private
+   * @static
+   */
+  static #addEncryptTag(iterations, salt, iv, value) {
+    // encrypted:v4:iterations:salt:iv:value
+    return `${this.#ENCRYPT_TAG}:${this.#ENCRYPT_VERSION}:${iterations}:${salt}:${iv}:${value}`;
+  }
+
+  /**
+   * Splits a V4 value into the parts of its envelope.
+   * @param {string} value - The tagged value.
+   * @returns {{iterations: number, salt: ArrayBuffer, iv: ArrayBuffer, data: ArrayBuffer}} The parts of the envelope.
+   * @throws {Error} If the value is not a valid V4 envelope.
+   * @private
+   * @static
+   */
+  static #parseEnvelope(value) {
+    const [tag, version, iterationsText, salt, iv, data, ...rest] = value.split(':');
+
+    // The envelope is written by anyone who can write the secret, so the iterations are only trusted within bounds.
+    const iterations = Number(iterationsText);
+    const isValidIterations = Number.isInteger(iterations) && (iterations >= this.#MIN_ITERATIONS) && (iterations <= this.#MAX_ITERATIONS);
+
+    if ((tag !== this.#ENCRYPT_TAG) || (version !== this.#ENCRYPT_VERSION) || !isValidIterations || !salt || !iv || !data || (rest.length > 0)) {
+      throw new Error(I18n.getMessage(this.#i18nKeys.CRYPTO_INVALID_ENVELOPE));
+    }
+
+    return {
+      iterations,
+      salt: this.base64ToArrayBuffer(salt),
+      iv: this.base64ToArrayBuffer(iv),
+      data: this.base64ToArrayBuffer(data)
+    };
+  }
+
+  /**
+   * Generates random bytes, used for the salt and the IV of each value.
+   * @param {number} length - The number of bytes.
+   * @returns {Uint8Array} The random bytes.
+   * @private
+   * @static
+   */
+  static #getRandomBytes(length) {
+    return (window.crypto || window.msCrypto).getRandomValues(new Uint8Array(length));
+  }
+
+  /**
+   * Derives the encryption key for V4 from the passphrase, with PBKDF2 and SHA-256.
+   * @param {string} passphrase - The passphrase of the user or the team.
+   * @param {BufferSource} salt - The random salt of the value.
+   * @param {number} iterations - The number of PBKDF2 iterations.
+   * @returns {Promise<CryptoKey>} The derived AES-256 key.
+   * @throws {Error} If the passphrase is empty.
+   * @private
+   * @static
+   */
+  static async #getKey(passphrase, salt, iterations) {
+    if (!passphrase) {
+      throw new Error(I18n.getMessage(this.#i18nKeys.CRYPTO_PASSPHRASE_REQUIRED));
+    }
+
+    // Get the subtle crypto interface.
+    const subtleCrypto = this.getCryptoSubtle();
+
+    // The same passphrase typed on another system (e.g., with composed accents) must give the same key.
+    const baseKey = await subtleCrypto.importKey(
+      'raw',
+      this.encode(passphrase.normalize('NFC')),
+      'PBKDF2',
+      false,
+      ['deriveKey'],
+    );
+
+    return await subtleCrypto.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+      baseKey,
+      { name: this.#DEFAULT_ALGORITHM, length: 256 },
+      false,
+      ['encrypt', 'decrypt'],
+    );
+  }
+
+  /**
+   * Encrypts a value using the V4 method.
+   * @param {string} value - The plaintext value to encrypt.
+   * @param {string} passphrase - The passphrase of the user or the team.
+   * @param {string} [associatedData=''] - The path of the secret, bound to the value.
+   * @returns {Promise<string>} A promise that resolves with the encrypted envelope.
+   * @override
+   * @static
+   */
+  static async encrypt(value, passphrase, associatedData = '') {
+    const salt = this.#getRandomBytes(this.#SALT_LENGTH);
+    const iv = this.#getRandomBytes(this.#IV_LENGTH);
+    const key = await this.#getKey(passphrase, salt, this.#ITERATIONS);
+
+    // Get the subtle crypto interface.
+    const subtleCrypto = this.getCryptoSubtle();
+
+    const encrypted = await subtleCrypto.encrypt(
+      { name: this.#DEFAULT_ALGORITHM, iv: iv, additionalData: this.encode(associatedData) },
+      key,
+      this.encode(value)
+    );
+
+    return this.#addEncryptTag(this.#ITERATIONS, this.arrayBufferToBase64(salt), this.arrayBufferToBase64(iv), this.arrayBufferToBase64(encrypted));
+  }
+
+  /**
+   * Decrypts a value using the V4 method.
+   * @param {string} value - The encrypted envelope.
+   * @param {string} passphrase - The passphrase the value was encrypted with.
+   * @param {string} [associatedData=''] - The path of the secret the value was encrypted for.
+   * @returns {Promise<string>} A promise that resolves with the decrypted plaintext string.
+   * @throws {Error} If the envelope is invalid, or the passphrase or the path are not the ones of the encryption.
+   * @override
+   * @static
+   */
+  static async decrypt(value, passphrase, associatedData = '') {
+    const { iterations, salt, iv, data } = this.#parseEnvelope(value);
+    const key = await this.#getKey(passphrase, salt, iterations);
+
+    // Get the subtle crypto interface.
+    const subtleCrypto = this.getCryptoSubtle();
+
+    const decrypted = await subtleCrypto.decrypt(
+      { name: this.#DEFAULT_ALGORITHM, iv: iv, additionalData: this.encode(associatedData) },
+      key,
+      data
+    );
+
+    return this.decode(decrypted);
+  }
+}
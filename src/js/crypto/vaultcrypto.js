@@ -2,6 +2,8 @@ import { I18n } from '../core/i18n.js';
 import { VaultCryptov1 } from './v1.js';
 import { VaultCryptov2 } from './v2.js';
 import { VaultCryptov3 } from './v3.js';
+import { VaultCryptov4 } from './v4.js';
+import { VaultCryptoTransit } from './transit.js';
 
 /**
  * Main cryptography dispatcher class.
@@ -28,8 +30,26 @@ export class VaultCrypto {
     V1: 'v1', // Plain text.
     V2: 'v2', // encrypted:binary data.
     V3: 'v3', // encrypted:v3:base64 data.
+    V4: 'v4', // encrypted:v4:iterations:salt:iv:base64 data, with a key derived from a passphrase.
+    TRANSIT: 'transit', // encrypted:transit:mount:key:vault ciphertext, encrypted by the Transit engine of Vault.
   };
 
+  /**
+   * The known value encrypted with the passphrase to check it on the next logins (V4).
+   * @private
+   * @static
+   * @readonly
+   */
+  static #PASSPHRASE_CHECK_VALUE = 'vault-chromium-extension';
+
+  /**
+   * The data bound to the check of the passphrase, in place of the path of a secret (V4).
+   * @private
+   * @static
+   * @readonly
+   */
+  static #PASSPHRASE_CHECK_SALT = 'passphrase_check';
+
   /**
    * Internationalization keys used by the Crypto dispatcher.
    * @private
@@ -40,13 +60,15 @@ export class VaultCrypto {
     CRYPTO_NULL_VALUE: 'error_crypto_null_value',
     CRYPTO_UNSUPPORTED_VERSION: 'error_crypto_unsupported_version',
     CRYPTO_ENCRYPTION_FAILED: 'error_crypto_encryption_failed',
-    CRYPTO_DECRYPTION_FAILED: 'error_crypto_decryption_failed'
+    CRYPTO_DECRYPTION_FAILED: 'error_crypto_decryption_failed',
+    CRYPTO_PASSPHRASE_REQUIRED: 'error_crypto_passphrase_required',
+    CRYPTO_PASSPHRASE_INVALID: 'error_crypto_passphrase_invalid'
   };
 
   /**
    * Determines the encryption version of a given string value based on its prefix.
    * @param {string} value - The value to check.
-   * @returns {string} The detected version ('v1', 'v2', or 'v3').
+   * @returns {string} The detected version ('v1', 'v2', 'v3', 'v4' or 'transit').
    * @private
    * @static
    */
@@ -56,6 +78,12 @@ export class VaultCrypto {
     }
 
     switch (true) {
+      case value.startsWith(`${this.#ENCRYPT_TAG}:transit:`):
+        return this.#EncryptionVersion.TRANSIT;
+
+      case value.startsWith(`${this.#ENCRYPT_TAG}:v4:`):
+        return this.#EncryptionVersion.V4;
+
       case value.startsWith(`${this.#ENCRYPT_TAG}:v3:`):
         return this.#EncryptionVersion.V3;
 
@@ -68,18 +96,34 @@ export class VaultCrypto {
   }
 
   /**
-   * Encrypts a value using the latest (V3) encryption standard.
+   * Encrypts a value with the Transit engine of Vault when the engine of the secret has a Transit key.
+   * Otherwise, the latest (V4) encryption standard is used when a passphrase is set.
+   * Without a passphrase, the V3 standard is used, whose key is derived from the salt alone.
    * @param {string} value - The plaintext value to encrypt.
-   * @param {string} salt - The salt for deriving the key and IV.
-   * @param {string} [algorithm] - Optional algorithm, defaults to AES-GCM.
-   * @param {CryptoKey} [key] - Optional pre-existing key.
-   * @param {Uint8Array} [iv] - Optional initialization vector.
+   * @param {string} salt - The salt for deriving the key and IV (V3), or the path bound to the value (V4).
+   * @param {object} [options={}] - The options of the encryption.
+   * @param {Vault} [options.vault] - The Vault instance with the token of the session (Transit).
+   * @param {object} [options.transitKey] - The Transit key of the engine of the secret, from Vault.getTransitKey (Transit).
+   * @param {string} [options.passphrase] - The passphrase of the user or the team (V4).
+   * @param {string} [options.algorithm] - Optional algorithm, defaults to AES-GCM (V3).
+   * @param {CryptoKey} [options.key] - Optional pre-existing key (V3).
+   * @param {Uint8Array} [options.iv] - Optional initialization vector (V3).
    * @returns {Promise<string>} A promise that resolves with the encrypted string.
    * @throws {Error} If encryption fails.
    * @static
    */
-  static async encrypt(value, salt, algorithm, key, iv) {
+  static async encrypt(value, salt, options = {}) {
+    const { vault, transitKey, passphrase, algorithm, key, iv } = options;
+
     try {
+      if (transitKey) {
+        return await VaultCryptoTransit.encrypt(value, vault, transitKey);
+      }
+
+      if (passphrase) {
+        return await VaultCryptov4.encrypt(value, passphrase, salt);
+      }
+
       return await VaultCryptov3.encrypt(value, salt, algorithm, key, iv);
 
       // Not used anymore.
@@ -88,6 +132,11 @@ export class VaultCrypto {
       // Not used anymore.
       // return VaultCryptov1.encrypt(value);
     } catch (error) {
+      // Vault decides who can encrypt with a Transit key, so its reason (e.g., permission denied) is kept.
+      if (transitKey) {
+        throw error;
+      }
+
       throw new Error(I18n.getMessage(this.#i18nKeys.CRYPTO_ENCRYPTION_FAILED));
     }
   }
@@ -95,19 +144,32 @@ export class VaultCrypto {
   /**
    * Decrypts a value by dispatching to the correct versioned crypto provider.
    * @param {string} value - The value to decrypt (can be plaintext or any supported encrypted format).
-   * @param {string} salt - The salt for deriving the key and IV (used for V3).
-   * @param {string} [algorithm] - Optional algorithm, defaults to AES-GCM.
-   * @param {CryptoKey} [key] - Optional pre-existing key.
-   * @param {Uint8Array} [iv] - Optional initialization vector.
+   * @param {string} salt - The salt for deriving the key and IV (V3), or the path bound to the value (V4).
+   * @param {object} [options={}] - The options of the decryption.
+   * @param {Vault} [options.vault] - The Vault instance with the token of the session (Transit).
+   * @param {string} [options.namespace] - The child namespace of the engine of the secret (Transit).
+   * @param {string} [options.passphrase] - The passphrase the value was encrypted with (V4).
+   * @param {string} [options.algorithm] - Optional algorithm, defaults to AES-GCM.
+   * @param {CryptoKey} [options.key] - Optional pre-existing key.
+   * @param {Uint8Array} [options.iv] - Optional initialization vector.
    * @returns {Promise<string>} A promise that resolves with the decrypted plaintext string.
-   * @throws {Error} If decryption fails.
+   * @throws {Error} If decryption fails, e.g., a V4 value without a passphrase or with a wrong one.
    * @static
    */
-  static async decrypt(value, salt, algorithm, key, iv) {
+  static async decrypt(value, salt, options = {}) {
+    const { vault, namespace, passphrase, algorithm, key, iv } = options;
+    let encryptVersion = null;
+
     try {
-      const encryptVersion = this.#getEncryptVersion(value);
+      encryptVersion = this.#getEncryptVersion(value);
 
       switch (encryptVersion) {
+        case this.#EncryptionVersion.TRANSIT:
+          return await VaultCryptoTransit.decrypt(value, vault, namespace);
+
+        case this.#EncryptionVersion.V4:
+          return await VaultCryptov4.decrypt(value, passphrase, salt);
+
         case this.#EncryptionVersion.V3:
           return await VaultCryptov3.decrypt(value, salt, algorithm, key, iv);
 
@@ -121,7 +183,47 @@ export class VaultCrypto {
           throw new Error(I18n.getMessage(this.#i18nKeys.CRYPTO_UNSUPPORTED_VERSION, [encryptVersion]));
       }
     } catch (error) {
+      // Vault decides who can decrypt a Transit value, so its reason (e.g., permission denied) is kept.
+      if (encryptVersion === this.#EncryptionVersion.TRANSIT) {
+        throw error;
+      }
+
+      if ((encryptVersion === this.#EncryptionVersion.V4) && !passphrase) {
+        throw new Error(I18n.getMessage(this.#i18nKeys.CRYPTO_PASSPHRASE_REQUIRED));
+      }
+
+      // AES-GCM does not tell a wrong passphrase from a tampered value, the passphrase is by far the most likely cause.
+      if ((encryptVersion === this.#EncryptionVersion.V4) && (error?.name === 'OperationError')) {
+        throw new Error(I18n.getMessage(this.#i18nKeys.CRYPTO_PASSPHRASE_INVALID));
+      }
+
       throw new Error(I18n.getMessage(this.#i18nKeys.CRYPTO_DECRYPTION_FAILED));
     }
   }
+
+  /**
+   * Encrypts a known value with a passphrase, so the passphrase can be checked on the next logins without keeping it.
+   * @param {string} passphrase - The passphrase of the user or the team.
+   * @returns {Promise<string>} A promise that resolves with the check of the passphrase (a V4 value).
+   * @throws {Error} If encryption fails.
+   * @static
+   */
+  static async createPassphraseCheck(passphrase) {
+    return this.encrypt(this.#PASSPHRASE_CHECK_VALUE, this.#PASSPHRASE_CHECK_SALT, { passphrase });
+  }
+
+  /**
+   * Checks if a passphrase is the one the check was created with.
+   * @param {string} check - The check of the passphrase, from createPassphraseCheck.
+   * @param {string} passphrase - The passphrase to check.
+   * @returns {Promise<boolean>} A promise that resolves with true if the passphrase is the same, false otherwise.
+   * @static
+   */
+  static async isPassphraseCheckValid(check, passphrase) {
+    try {
+      return (await this.decrypt(check, this.#PASSPHRASE_CHECK_SALT, { passphrase })) === this.#PASSPHRASE_CHECK_VALUE;
+    } catch {
+      return false;
+    }
+  }
 }
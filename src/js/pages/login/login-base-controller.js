@@ -11,23 +11,117 @@ export class PageController extends PageBaseController {
   static i18nKeys = {
     constants: {
       ...PageBaseController.i18nKeys.constants, // Inherit all base constants.
-      PASSWORD_MINIMUM_SIZE: 7
+      PASSPHRASE_MIN_LENGTH: 12,
     },
     messages: {
       ...PageBaseController.i18nKeys.messages, // Inherit base messages.
       CONFIG_VAULT_URL: 'config_vault_url',
       UI_MESSAGE_LOGGED_IN_URL: 'ui_message_logged_in_url',
       UI_MESSAGE_LOGGED_IN_USER: 'ui_message_logged_in_user',
-      ERROR_FORM_PASSWORD_SIZE_INVALID: 'error_form_password_size_invalid'
+      UI_MESSAGE_LOGGED_IN_PROFILE: 'ui_message_logged_in_profile',
+      UI_CONFIRM_DELETE_PROFILE: 'ui_confirm_delete_profile',
+      UI_MESSAGE_SECRET_INDEX_STATUS: 'ui_message_secret_index_status',
+      UI_MESSAGE_SECRET_INDEX_NOT_BUILT: 'ui_message_secret_index_not_built',
+      UI_MESSAGE_SECRET_INDEX_REBUILDING: 'ui_message_secret_index_rebuilding',
+      UI_MESSAGE_TOKEN_POLICIES: 'ui_message_token_policies',
+      UI_MESSAGE_TOKEN_TTL: 'ui_message_token_ttl',
+      UI_MESSAGE_TOKEN_TTL_NEVER: 'ui_message_token_ttl_never',
+      UI_MESSAGE_TOKEN_EXPIRED: 'ui_message_token_expired',
+      UI_MESSAGE_TOKEN_MAX_TTL: 'ui_message_token_max_ttl',
+      UI_MESSAGE_TOKEN_MAX_TTL_DEFAULT: 'ui_message_token_max_ttl_default',
+      UI_MESSAGE_TOKEN_RENEWABLE: 'ui_message_token_renewable',
+      UI_MESSAGE_TOKEN_ENTITY_ID: 'ui_message_token_entity_id',
+      UI_MESSAGE_TOKEN_AUTH_MOUNT: 'ui_message_token_auth_mount',
+      UI_MESSAGE_TOKEN_RENEWED: 'ui_message_token_renewed',
+      UI_VALUE_YES: 'ui_value_yes',
+      UI_VALUE_NO: 'ui_value_no',
+      UI_MESSAGE_SERVER_VERSION: 'ui_message_server_version',
+      UI_MESSAGE_SERVER_CLUSTER_NAME: 'ui_message_server_cluster_name',
+      UI_MESSAGE_SERVER_INITIALIZED: 'ui_message_server_initialized',
+      UI_MESSAGE_SERVER_SEALED: 'ui_message_server_sealed',
+      UI_MESSAGE_SERVER_STANDBY: 'ui_message_server_standby',
+      UI_MESSAGE_SERVER_UNREACHABLE: 'ui_message_server_unreachable',
+      UI_VALUE_PERFORMANCE_STANDBY: 'ui_value_performance_standby',
+      ERROR_VAULT_SERVER_NOT_INITIALIZED: 'error_vault_server_not_initialized',
+      ERROR_VAULT_SERVER_SEALED: 'error_vault_server_sealed',
+      UI_MESSAGE_MFA_STEP: 'ui_message_mfa_step',
+      UI_MESSAGE_MFA_TOTP: 'ui_message_mfa_totp',
+      UI_MESSAGE_MFA_PASSCODE: 'ui_message_mfa_passcode',
+      UI_MESSAGE_MFA_PUSH: 'ui_message_mfa_push',
+      UI_MESSAGE_MFA_PUSH_DUO: 'ui_message_mfa_push_duo',
+      UI_MESSAGE_MFA_PUSH_OKTA: 'ui_message_mfa_push_okta',
+      UI_MESSAGE_MFA_WAITING_PUSH: 'ui_message_mfa_waiting_push',
+      UI_VALUE_MFA_TYPE_TOTP: 'ui_value_mfa_type_totp',
+      UI_VALUE_MFA_TYPE_DUO: 'ui_value_mfa_type_duo',
+      UI_VALUE_MFA_TYPE_OKTA: 'ui_value_mfa_type_okta',
+      UI_VALUE_MFA_TYPE_PINGID: 'ui_value_mfa_type_pingid',
+      ERROR_FORM_PASSWORD_SIZE_INVALID: 'error_form_password_size_invalid',
+      ERROR_FORM_PASSPHRASE_SIZE_INVALID: 'error_form_passphrase_size_invalid',
+      ERROR_FORM_PASSPHRASE_CONFIRM: 'error_form_passphrase_confirm',
+      ERROR_FORM_PASSPHRASE_CHANGED: 'error_form_passphrase_changed',
+      ERROR_OIDC_LOGIN_FAILED: 'error_oidc_login_failed',
+      ERROR_SECRET_INDEX_REFRESH_FAILED: 'error_secret_index_refresh_failed'
     },
   };
 
+  /**
+   * Registry of the authentication methods shown on the login form.
+   * @type {object|null}
+   */
+  VaultAuthMethods;
+
+  /**
+   * Storage of the saved Vault server profiles.
+   * @type {object|null}
+   */
+  profileStorage;
+
+  /**
+   * Storage of the KV engines typed for tokens that can not list the mounts.
+   * @type {object|null}
+   */
+  engineStorage;
+
+  /**
+   * Cryptography dispatcher, which checks the passphrase against the one used before on the server.
+   * @type {object|null}
+   */
+  VaultCrypto;
+
+  /**
+   * Search index of the secrets of each session, whose status is shown on the logged-in page.
+   * @type {object|null}
+   */
+  secretIndex;
+
+  /**
+   * Finds the open session of the active profile, to show the status of its search index.
+   * @type {object|null}
+   */
+  vaultSessions;
+
   /**
    * Constructor that accepts dependencies and passes them to the base class.
    * @param {object} dependencies - The injected dependencies
    */
   constructor(dependencies) {
     super(dependencies);
+
+    // Extract specific dependencies this controller needs.
+    this.VaultAuthMethods = dependencies.VaultAuthMethods;
+    this.profileStorage = dependencies.profileStorage;
+    this.engineStorage = dependencies.engineStorage;
+    this.VaultCrypto = dependencies.VaultCrypto;
+    this.secretIndex = dependencies.secretIndex;
+    this.vaultSessions = dependencies.vaultSessions;
+  }
+
+  /**
+   * Gets the profile name input element from the login form.
+   * @returns {HTMLInputElement|null} The profile name input element, or null if not found.
+   */
+  getInputProfileName() {
+    return this.getElementById('profile_name');
   }
 
   /**
@@ -38,6 +132,70 @@ export class PageController extends PageBaseController {
     return this.getElementById('url');
   }
 
+  /**
+   * Gets the Vault Enterprise namespace input element from the login form.
+   * @returns {HTMLInputElement|null} The namespace input element, or null if not found.
+   */
+  getInputNamespace() {
+    return this.getElementById('namespace');
+  }
+
+  /**
+   * Gets the radio button that enables the search on the child namespaces.
+   * @returns {HTMLInputElement|null} The radio button, or null if not found.
+   */
+  getInputChildNamespacesYes() {
+    return this.getElementById('child_namespaces_yes');
+  }
+
+  /**
+   * Gets the radio button that disables the search on the child namespaces.
+   * @returns {HTMLInputElement|null} The radio button, or null if not found.
+   */
+  getInputChildNamespacesNo() {
+    return this.getElementById('child_namespaces_no');
+  }
+
+  /**
+   * Gets the input of the KV engines searched when the token can not list the mounts.
+   * @returns {HTMLInputElement|null} The engines input element, or null if not found.
+   */
+  getInputEngines() {
+    return this.getElementById('engines');
+  }
+
+  /**
+   * Gets the input of the Transit keys that encrypt the passwords and tokens of each engine.
+   * @returns {HTMLInputElement|null} The Transit keys input element, or null if not found.
+   */
+  getInputTransitKeys() {
+    return this.getElementById('transit_keys');
+  }
+
+  /**
+   * Gets the input of the passphrase that encrypts the passwords and tokens of the secrets.
+   * @returns {HTMLInputElement|null} The passphrase input element, or null if not found.
+   */
+  getInputPassphrase() {
+    return this.getElementById('passphrase');
+  }
+
+  /**
+   * Gets the input of the confirmation of a passphrase not used before on the server.
+   * @returns {HTMLInputElement|null} The passphrase confirmation input element, or null if not found.
+   */
+  getInputPassphraseConfirm() {
+    return this.getElementById('passphrase_confirm');
+  }
+
+  /**
+   * Gets the label of the passphrase confirmation input, shown for a passphrase not used before on the server.
+   * @returns {HTMLLabelElement|null} The passphrase confirmation label element, or null if not found.
+   */
+  getLabelPassphraseConfirm() {
+    return this.getElementById('passphrase_confirm_label');
+  }
+
   /**
    * Gets the authentication method select element from the login form.
    * @returns {HTMLSelectElement|null} The auth method select element, or null if not found.
@@ -48,6 +206,7 @@ export class PageController extends PageBaseController {
 
   /**
    * Gets the username input element from the login form.
+   * It only exists while a method that uses a username is selected.
    * @returns {HTMLInputElement|null} The username input element, or null if not found.
    */
   getInputUsername() {
@@ -55,11 +214,43 @@ export class PageController extends PageBaseController {
   }
 
   /**
-   * Gets the password input element from the login form.
-   * @returns {HTMLInputElement|null} The password input element, or null if not found.
+   * Gets the mount path input element of the authentication method.
+   * @returns {HTMLInputElement|null} The mount path input element, or null if not found.
+   */
+  getInputAuthMount() {
+    return this.getElementById('auth_mount');
+  }
+
+  /**
+   * Gets the template that is cloned for each field of the selected authentication method.
+   * @returns {HTMLLabelElement|null} The field template, or null if not found.
+   */
+  getAuthFieldTemplate() {
+    return this.getElementById('auth_field_template');
+  }
+
+  /**
+   * Gets the container of the fields of the selected authentication method.
+   * @returns {HTMLDivElement|null} The fields container, or null if not found.
    */
-  getInputPassword() {
-    return this.getElementById('password');
+  getDivAuthFields() {
+    return this.getElementById('auth_fields');
+  }
+
+  /**
+   * Gets the inputs of the fields of the selected authentication method.
+   * @returns {HTMLInputElement[]} The inputs, in the order of the fields.
+   */
+  getAuthFieldInputs() {
+    return [...this.getDivAuthFields().getElementsByTagName('input')];
+  }
+
+  /**
+   * Gets the label element that displays the logged-in profile.
+   * @returns {HTMLElement|null} The logged-in profile label element, or null if not found.
+   */
+  getLabelLoggedInProfile() {
+    return this.getElementById('loggedin_profile');
   }
 
   /**
@@ -78,6 +269,14 @@ export class PageController extends PageBaseController {
     return this.getElementById('loggedin_user');
   }
 
+  /**
+   * Gets the label element that displays the status of the search index.
+   * @returns {HTMLElement|null} The search index status label element, or null if not found.
+   */
+  getLabelSecretIndexStatus() {
+    return this.getElementById('secret_index_status');
+  }
+
   /**
    * Gets the login button element.
    * @returns {HTMLButtonElement|null} The login button element, or null if not found.
@@ -86,6 +285,14 @@ export class PageController extends PageBaseController {
     return this.getElementById('button_login');
   }
 
+  /**
+   * Gets the button that deletes the active profile.
+   * @returns {HTMLButtonElement|null} The delete profile button element, or null if not found.
+   */
+  getButtonDeleteProfile() {
+    return this.getElementById('button_delete_profile');
+  }
+
   /**
    * Gets the logout button element.
    * @returns {HTMLButtonElement|null} The logout button element, or null if not found.
@@ -94,6 +301,206 @@ export class PageController extends PageBaseController {
     return this.getElementById('button_logout');
   }
 
+  /**
+   * Gets the button that rebuilds the search index.
+   * @returns {HTMLButtonElement|null} The rebuild index button element, or null if not found.
+   */
+  getButtonRebuildIndex() {
+    return this.getElementById('button_rebuild_index');
+  }
+
+  /**
+   * Gets the panel with the details of the token of the session.
+   * @returns {HTMLElement|null} The token details panel, or null if not found.
+   */
+  getPanelTokenDetails() {
+    return this.getElementById('token_details');
+  }
+
+  /**
+   * Gets the label element that displays the policies of the token.
+   * @returns {HTMLElement|null} The token policies label element, or null if not found.
+   */
+  getLabelTokenPolicies() {
+    return this.getElementById('token_policies');
+  }
+
+  /**
+   * Gets the label element that displays the remaining TTL of the token, counting down.
+   * @returns {HTMLElement|null} The token TTL label element, or null if not found.
+   */
+  getLabelTokenTtl() {
+    return this.getElementById('token_ttl');
+  }
+
+  /**
+   * Gets the label element that displays the maximum TTL of the token.
+   * @returns {HTMLElement|null} The token maximum TTL label element, or null if not found.
+   */
+  getLabelTokenMaxTtl() {
+    return this.getElementById('token_max_ttl');
+  }
+
+  /**
+   * Gets the label element that displays whether the token can be renewed.
+   * @returns {HTMLElement|null} The token renewable label element, or null if not found.
+   */
+  getLabelTokenRenewable() {
+    return this.getElementById('token_renewable');
+  }
+
+  /**
+   * Gets the label element that displays the ID of the entity of the token.
+   * @returns {HTMLElement|null} The token entity ID label element, or null if not found.
+   */
+  getLabelTokenEntityId() {
+    return this.getElementById('token_entity_id');
+  }
+
+  /**
+   * Gets the label element that displays the auth mount the token was created by.
+   * @returns {HTMLElement|null} The token auth mount label element, or null if not found.
+   */
+  getLabelTokenAuthMount() {
+    return this.getElementById('token_auth_mount');
+  }
+
+  /**
+   * Gets the button that renews the token now.
+   * @returns {HTMLButtonElement|null} The renew token button element, or null if not found.
+   */
+  getButtonRenewToken() {
+    return this.getElementById('button_renew_token');
+  }
+
+  /**
+   * Gets the button that copies the VAULT_ADDR and VAULT_TOKEN exports for the terminal.
+   * @returns {HTMLButtonElement|null} The copy token export button element, or null if not found.
+   */
+  getButtonCopyTokenExport() {
+    return this.getElementById('button_copy_token_export');
+  }
+
+  /**
+   * Gets the panel with the state of the Vault server typed on the login form.
+   * @returns {HTMLDivElement|null} The server status panel, or null if not found.
+   */
+  getPanelServerStatus() {
+    return this.getElementById('server_status');
+  }
+
+  /**
+   * Gets the label that explains why the Vault server can not log anyone in, or that it did not answer.
+   * @returns {HTMLSpanElement|null} The server status reason label element, or null if not found.
+   */
+  getLabelServerStatusReason() {
+    return this.getElementById('server_status_reason');
+  }
+
+  /**
+   * Gets the label of the version of the Vault server.
+   * @returns {HTMLSpanElement|null} The server version label element, or null if not found.
+   */
+  getLabelServerVersion() {
+    return this.getElementById('server_version');
+  }
+
+  /**
+   * Gets the label of the cluster name of the Vault server.
+   * @returns {HTMLSpanElement|null} The server cluster name label element, or null if not found.
+   */
+  getLabelServerClusterName() {
+    return this.getElementById('server_cluster_name');
+  }
+
+  /**
+   * Gets the label of whether the Vault server is initialized.
+   * @returns {HTMLSpanElement|null} The server initialized label element, or null if not found.
+   */
+  getLabelServerInitialized() {
+    return this.getElementById('server_initialized');
+  }
+
+  /**
+   * Gets the label of whether the Vault server is sealed.
+   * @returns {HTMLSpanElement|null} The server sealed label element, or null if not found.
+   */
+  getLabelServerSealed() {
+    return this.getElementById('server_sealed');
+  }
+
+  /**
+   * Gets the label of whether the Vault server is a standby node.
+   * @returns {HTMLSpanElement|null} The server standby label element, or null if not found.
+   */
+  getLabelServerStandby() {
+    return this.getElementById('server_standby');
+  }
+
+  /**
+   * Gets the container div of the multi-factor authentication (MFA) step of the login.
+   * @returns {HTMLDivElement|null} The MFA container, or null if not found.
+   */
+  getDivMfa() {
+    return this.getElementById('mfa');
+  }
+
+  /**
+   * Gets the label that tells the user what to do for the current MFA factor.
+   * @returns {HTMLSpanElement|null} The MFA instructions label element, or null if not found.
+   */
+  getLabelMfaInstructions() {
+    return this.getElementById('mfa_instructions');
+  }
+
+  /**
+   * Gets the label of the MFA method select, shown when a factor can be satisfied by more than one method.
+   * @returns {HTMLLabelElement|null} The MFA method label element, or null if not found.
+   */
+  getLabelMfaMethod() {
+    return this.getElementById('mfa_method_label');
+  }
+
+  /**
+   * Gets the select of the MFA methods of the current factor.
+   * @returns {HTMLSelectElement|null} The MFA method select element, or null if not found.
+   */
+  getInputMfaMethod() {
+    return this.getElementById('mfa_method');
+  }
+
+  /**
+   * Gets the label of the MFA passcode input, shown for the methods that use a passcode.
+   * @returns {HTMLLabelElement|null} The MFA passcode label element, or null if not found.
+   */
+  getLabelMfaPasscode() {
+    return this.getElementById('mfa_passcode_label');
+  }
+
+  /**
+   * Gets the MFA passcode input.
+   * @returns {HTMLInputElement|null} The MFA passcode input element, or null if not found.
+   */
+  getInputMfaPasscode() {
+    return this.getElementById('mfa_passcode');
+  }
+
+  /**
+   * Gets the button that verifies the current MFA factor.
+   * @returns {HTMLButtonElement|null} The MFA verify button element, or null if not found.
+   */
+  getButtonMfaVerify() {
+    return this.getElementById('button_mfa_verify');
+  }
+
+  /**
+   * Gets the button that cancels the MFA step and returns to the login form.
+   * @returns {HTMLButtonElement|null} The MFA cancel button element, or null if not found.
+   */
+  getButtonMfaCancel() {
+    return this.getElementById('button_mfa_cancel');
+  }
+
   /**
    * Gets the main container div for the login form.
    * @returns {HTMLDivElement|null} The login form container, or null if not found.
@@ -113,20 +520,33 @@ export class PageController extends PageBaseController {
   /**
    * Validates a given form element based on its ID.
    * This function delegates to more specific validation methods.
+   * The fields of the authentication methods are validated with their descriptors.
    * @param {HTMLElement} element - The HTML element to validate.
    * @returns {{isValid: boolean, errorMessage?: string}} An object indicating if the element is valid and an optional error message.
    */
   isValid(element) {
     if (element) {
       switch (element.id) {
+        case 'profile_name':
+          return this.isValidText(element.value);
         case 'url':
           return this.isValidURL(element.value);
+        case 'namespace':
+          return this.isValidNamespace(element.value);
+        case 'engines':
+          return this.isValidEngines(element.value);
+        case 'transit_keys':
+          return this.isValidTransitKeys(element.value);
+        case 'passphrase':
+          return this.isValidPassphrase(element.value);
         case 'auth_method':
           return this.isValidAuthMethod(element.value);
-        case 'username':
-          return this.isValidUserName(element.value);
-        case 'password':
-          return this.isValidPassword(element.value);
+        case 'auth_mount':
+          return this.isValidAuthMount(element.value);
+        case 'mfa_passcode':
+          return this.isValidText(element.value.trim());
+        default:
+          return this.isValidAuthField(element);
       }
     }
 
@@ -138,28 +558,120 @@ export class PageController extends PageBaseController {
 
   /**
    * Validates the authentication method value.
-   * It checks if the value consists of 4 to 8 lowercase letters.
-   * @param {string} text - The authentication method string to validate.
+   * It checks if the method is in the registry.
+   * @param {string} text - The authentication method ID to validate.
    * @returns {{isValid: boolean, errorMessage?: string}} An object indicating if the value is valid.
    */
   isValidAuthMethod(text) {
     return {
-      // Regex: ^([a-z]{4,8})$
+      isValid: this.VaultAuthMethods.has(text),
+      errorMessage: ''
+    };
+  }
+
+  /**
+   * Validates the Vault Enterprise namespace.
+   * @param {string} text - The namespace to validate (e.g., 'org' or 'org/team').
+   * @returns {{isValid: boolean, errorMessage?: string}} An object indicating if the value is valid.
+   */
+  isValidNamespace(text) {
+    return {
+      // Regex: ^\/?[\w.-]+(\/[\w.-]+)*\/?$
       // - ^ and $: Ensure the entire string matches.
-      // - [a-z]: Allows only lowercase alphabetic characters.
-      // - {4,8}: Ensures the length is between 4 and 8 characters.
-      isValid: this.isValidElement(text, /^([a-z]{4,8})$/gi),
+      // - \/?: Allows an optional leading and trailing slash.
+      // - [\w.-]+: Allows alphanumeric characters, underscores, dots and hyphens in each namespace.
+      // - (\/[\w.-]+)*: Allows child namespaces (e.g., 'org/team').
+      isValid: this.isValidElement(text, /^\/?[\w.-]+(\/[\w.-]+)*\/?$/gi),
+      errorMessage: ''
+    };
+  }
+
+  /**
+   * Validates the KV engines typed for tokens that can not list the mounts.
+   * @param {string} text - The comma-separated engines and their KV version (e.g., 'personal:2, team/apps:1').
+   * @returns {{isValid: boolean, errorMessage?: string}} An object indicating if the value is valid.
+   */
+  isValidEngines(text) {
+    return {
+      // Regex: ^\/?[\w.-]+(\/[\w.-]+)*\/?(:[12])?(\s*,\s*<same>)*$
+      // - \/?[\w.-]+(\/[\w.-]+)*\/?: The mount path of an engine (e.g., 'team/apps').
+      // - (:[12])?: An optional KV version, 1 or 2 (the default).
+      // - (\s*,\s*...)*: More engines, separated by commas.
+      isValid: this.isValidElement(text.trim(), /^\/?[\w.-]+(\/[\w.-]+)*\/?(:[12])?(\s*,\s*\/?[\w.-]+(\/[\w.-]+)*\/?(:[12])?)*$/gi),
+      errorMessage: ''
+    };
+  }
+
+  /**
+   * Validates the Transit keys of the engines.
+   * @param {string} text - The comma-separated engines and their Transit keys (e.g., 'team=transit/team, personal=transit/user1').
+   * @returns {{isValid: boolean, errorMessage?: string}} An object indicating if the value is valid.
+   */
+  isValidTransitKeys(text) {
+    return {
+      // Regex: ^\/?[\w.-]+(\/[\w.-]+)*\/?\s*=\s*[\w.-]+(\/[\w.-]+)*(\s*,\s*<same>)*$
+      // - \/?[\w.-]+(\/[\w.-]+)*\/?: The mount path of the KV engine (e.g., 'team/apps').
+      // - \s*=\s*: The separator of the engine and its Transit key.
+      // - [\w.-]+(\/[\w.-]+)*: The mount of the Transit engine and the name of the key (e.g., 'transit/team').
+      // - (\s*,\s*...)*: More engines, separated by commas.
+      isValid: this.isValidElement(text.trim(), /^\/?[\w.-]+(\/[\w.-]+)*\/?\s*=\s*[\w.-]+(\/[\w.-]+)*(\s*,\s*\/?[\w.-]+(\/[\w.-]+)*\/?\s*=\s*[\w.-]+(\/[\w.-]+)*)*$/gi),
       errorMessage: ''
     };
   }
 
   /**
-   * Validates the username value.
-   * Ensures that the username field is not empty.
-   * @param {string} text - The username string to validate.
+   * Validates the mount path of the authentication method.
+   * @param {string} text - The mount path to validate (e.g., 'ldap', 'corp-ldap' or 'auth/corp-ldap').
    * @returns {{isValid: boolean, errorMessage?: string}} An object indicating if the value is valid.
    */
-  isValidUserName(text) {
+  isValidAuthMount(text) {
+    return {
+      // Regex: ^\/?[\w.-]+(\/[\w.-]+)*\/?$
+      // - ^ and $: Ensure the entire string matches.
+      // - \/?: Allows an optional leading and trailing slash.
+      // - [\w.-]+: Allows alphanumeric characters, underscores, dots and hyphens in each segment.
+      // - (\/[\w.-]+)*: Allows nested segments (e.g., 'auth/corp-ldap').
+      isValid: this.isValidElement(text, /^\/?[\w.-]+(\/[\w.-]+)*\/?$/gi),
+      errorMessage: ''
+    };
+  }
+
+  /**
+   * Validates a field of the selected authentication method with the rules of its descriptor.
+   * @param {HTMLInputElement} element - The input of the field.
+   * @returns {{isValid: boolean, errorMessage?: string}} An object indicating if the value is valid.
+   */
+  isValidAuthField(element) {
+    const field = this.getSelectedAuthMethod()?.fields.find(field => field.id === element.id);
+
+    if (!field) {
+      return {
+        isValid: false,
+        errorMessage: ''
+      };
+    }
+
+    if (field.minLength) {
+      return this.isValidPassword(element.value, field.minLength);
+    }
+
+    if (field.pattern) {
+      return {
+        isValid: this.isValidElement(element.value, field.pattern),
+        errorMessage: ''
+      };
+    }
+
+    return this.isValidText(element.value);
+  }
+
+  /**
+   * Validates a text value.
+   * Ensures that the field is not empty.
+   * @param {string} text - The string to validate.
+   * @returns {{isValid: boolean, errorMessage?: string}} An object indicating if the value is valid.
+   */
+  isValidText(text) {
     return {
       // Regex: ^(.)+$
       // - ^ and $: Ensure the entire string matches.
@@ -173,26 +685,118 @@ export class PageController extends PageBaseController {
    * Validates the password value.
    * Checks if the password meets the minimum length requirement.
    * @param {string} text - The password string to validate.
+   * @param {number} passwordMinimumSize - The minimum length, from the field descriptor.
    * @returns {{isValid: boolean, errorMessage?: string}} An object indicating if the value is valid and a specific error message if it's not.
    */
-  isValidPassword(text) {
-    const passwordMinimumSize = PageController.i18nKeys.constants.PASSWORD_MINIMUM_SIZE;
-
+  isValidPassword(text, passwordMinimumSize) {
     let errorMessage;
     if (text.length < passwordMinimumSize) {
       errorMessage = this.I18n.getMessage(PageController.i18nKeys.messages.ERROR_FORM_PASSWORD_SIZE_INVALID, [passwordMinimumSize]);
     }
 
     return {
-      // Regex: ^(.){7,}$
-      // - ^ and $: Ensure the entire string matches.
-      // - (.): Matches any single character.
-      // - {7,}: Ensures at least 7 characters.
-      isValid: this.isValidElement(text, /^(.){7,}$/gi),
+      isValid: (text.length >= passwordMinimumSize),
+      errorMessage: errorMessage
+    };
+  }
+
+  /**
+   * Validates the passphrase of the encryption.
+   * The key is derived from it, so a short passphrase would be easy to guess by anyone who can read the secrets.
+   * @param {string} text - The passphrase to validate.
+   * @returns {{isValid: boolean, errorMessage?: string}} An object indicating if the value is valid and a specific error message if it's not.
+   */
+  isValidPassphrase(text) {
+    const passphraseMinimumSize = PageController.i18nKeys.constants.PASSPHRASE_MIN_LENGTH;
+
+    let errorMessage;
+    if (text.length < passphraseMinimumSize) {
+      errorMessage = this.I18n.getMessage(PageController.i18nKeys.messages.ERROR_FORM_PASSPHRASE_SIZE_INVALID, [passphraseMinimumSize]);
+    }
+
+    return {
+      isValid: (text.length >= passphraseMinimumSize),
       errorMessage: errorMessage
     };
   }
 
+  /**
+   * Gets the descriptor of the authentication method selected on the form.
+   * @returns {object|undefined} The descriptor, or undefined if the method is not registered.
+   */
+  getSelectedAuthMethod() {
+    return this.VaultAuthMethods.get(this.getInputAuthMethod().value);
+  }
+
+  /**
+   * Fills the authentication method select with the methods of the registry.
+   * @param {string} selectedId - The ID of the method to select.
+   * @returns {void}
+   */
+  fillAuthMethods(selectedId) {
+    const select = this.getInputAuthMethod();
+    this.form.clear(select);
+
+    for (const authMethod of this.VaultAuthMethods.getAll()) {
+      select.add(this.createOption(authMethod.id, this.I18n.getMessage(authMethod.labelKey)));
+    }
+
+    this.form.setValue(select, (this.VaultAuthMethods.has(selectedId)) ? selectedId : this.VaultAuthMethods.DEFAULT_METHOD_ID);
+  }
+
+  /**
+   * Shows the fields required by the selected authentication method,
+   * cloning the field template for each field of its descriptor.
+   * @returns {void}
+   */
+  showAuthMethodFields() {
+    const divAuthFields = this.getDivAuthFields();
+    this.form.clear(divAuthFields);
+
+    for (const field of this.getSelectedAuthMethod()?.fields || []) {
+      const fieldElement = this.getAuthFieldTemplate().cloneNode(true);
+      // Clear the ID to avoid duplicates.
+      fieldElement.id = '';
+      fieldElement.htmlFor = field.id;
+
+      this.form.setValue(fieldElement.querySelector('.auth_field_label'), this.I18n.getMessage(field.labelKey));
+
+      const input = fieldElement.querySelector('input');
+      input.id = field.id;
+      input.name = field.id;
+      input.type = field.type;
+      input.autocomplete = field.autocomplete;
+      input.placeholder = (field.placeholderKey) ? this.I18n.getMessage(field.placeholderKey) : '';
+
+      divAuthFields.appendChild(fieldElement);
+      this.form.show(fieldElement);
+    }
+  }
+
+  /**
+   * Gets the values of the fields of the selected authentication method.
+   * @returns {object} The values, by field ID.
+   */
+  getAuthFieldValues() {
+    return Object.fromEntries(this.getAuthFieldInputs().map(input => [input.id, input.value]));
+  }
+
+  /**
+   * Gets the inputs of the selected authentication method, split as the form validation expects.
+   * @returns {{required: HTMLInputElement[], optional: HTMLInputElement[]}} The required and optional inputs.
+   */
+  getAuthFieldsToValidate() {
+    const fields = this.getSelectedAuthMethod()?.fields || [];
+    const isRequired = (input) => fields.find(field => field.id === input.id)?.required;
+
+    const inputs = this.getAuthFieldInputs();
+
+    return {
+      required: inputs.filter(input => isRequired(input)),
+      optional: inputs.filter(input => !isRequired(input))
+    };
+  }
+
   /**
    * Sets focus on the first visible form element on the page,
    * prioritizing the first empty one to guide user input.
@@ -200,10 +804,8 @@ export class PageController extends PageBaseController {
    */
   setFocusOnFirstElementOrFirstEmpty() {
     const url = this.getInputUrl();
-    const username = this.getInputUsername();
-    const password = this.getInputPassword();
 
-    this.form.setFocusOnFirstElementOrFirstEmpty([url, username, password]);
+    this.form.setFocusOnFirstElementOrFirstEmpty([url, ...this.getAuthFieldInputs()]);
   }
 
   /**
@@ -220,6 +822,20 @@ export class PageController extends PageBaseController {
     this.form.hide(this.getDivLogin());
   }
 
+  /**
+   * Shows the MFA step of the login.
+   */
+  showMfaForm() {
+    this.form.show(this.getDivMfa());
+  }
+
+  /**
+   * Hides the MFA step of the login.
+   */
+  hideMfaForm() {
+    this.form.hide(this.getDivMfa());
+  }
+
   /**
    * Shows the logout form.
    */
@@ -252,6 +868,30 @@ export class PageController extends PageBaseController {
     this.notification.info(this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_CONNECTING), { removeOption: false });
   }
 
+  /**
+   * Shows MFA loading state by disabling the MFA buttons and displaying a loading message.
+   * A push waits for the user to approve it on the phone, which is told instead.
+   * @param {boolean} isPush - Whether the factor is a push, without passcode.
+   */
+  showMfaLoading(isPush) {
+    this.form.disable(this.getButtonMfaVerify());
+    this.form.disable(this.getButtonMfaCancel());
+
+    const messageKey = (isPush) ? PageController.i18nKeys.messages.UI_MESSAGE_MFA_WAITING_PUSH : PageController.i18nKeys.messages.UI_MESSAGE_CONNECTING;
+
+    this.notification.info(this.I18n.getMessage(messageKey), { removeOption: false });
+  }
+
+  /**
+   * Hides MFA loading state by enabling the MFA buttons and clearing notifications.
+   */
+  hideMfaLoading() {
+    this.form.enable(this.getButtonMfaVerify());
+    this.form.enable(this.getButtonMfaCancel());
+
+    this.notification.clear();
+  }
+
   /**
    * Hides login loading state by enabling the login button and clearing notifications.
    */
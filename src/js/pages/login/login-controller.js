@@ -12,6 +12,25 @@ document.addEventListener('i18nReady', () => {
 
 class LoginController extends PageController {
 
+  /**
+   * State variables for the controller.
+   */
+  tokenExpireTime = null;
+  tokenCountdownTimer = null;
+
+  /**
+   * The state of the Vault server last found for the address on the login form, as { url, status },
+   * and the number of the last probe, so the answer of an address typed before is not shown.
+   */
+  serverStatus = null;
+  serverStatusProbe = 0;
+
+  /**
+   * The login waiting for its MFA requirement to be validated: the Vault instance, the auth method, its values
+   * and mount, the requirement, the index of the constraint (factor) shown and the passcodes typed so far.
+   */
+  mfaLogin = null;
+
   /**
    * Constructor that accepts dependencies and passes them to the page controller.
    * @param {object} dependencies - The injected dependencies.
@@ -23,7 +42,8 @@ class LoginController extends PageController {
   /**
    * Main entry point called after i18n translation is complete.
    * Checks if user has a valid token and shows either the logged-in
-   * page or the login form accordingly.
+   * page or the login form accordingly. The login form is also shown when the page
+   * is opened from the notification that the session is about to expire ('relogin').
    *
    * @async
    * @returns {Promise<void>}
@@ -32,7 +52,12 @@ class LoginController extends PageController {
     try {
       const token = await this.storage.getToken();
 
-      if (this.VaultUtils.isTokenValid(token)) {
+      const relogin = (this.getQueryString('relogin') === 'true');
+      if (relogin) {
+        this.deleteAllQueryStrings();
+      }
+
+      if (this.VaultUtils.isTokenValid(token) && !relogin) {
         await this.showLoggedInPage();
       } else {
         await this.showLoginPage();
@@ -45,7 +70,7 @@ class LoginController extends PageController {
   /**
    * Displays the logged-in state interface.
    * Hides the login form, shows logout interface, and displays
-   * current Vault URL and username information.
+   * current profile, Vault URL, username and search index information.
    *
    * @async
    * @returns {Promise<void>}
@@ -54,6 +79,14 @@ class LoginController extends PageController {
     this.hideLoginForm();
     this.showLogoutForm();
 
+    const profile = await this.profileStorage.getActiveProfile();
+    if (profile) {
+      const loggedinProfile = this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_LOGGED_IN_PROFILE, [profile.name]);
+
+      this.form.setValue(this.getLabelLoggedInProfile(), loggedinProfile);
+      this.form.show(this.getLabelLoggedInProfile());
+    }
+
     const loggedinUrl = this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_LOGGED_IN_URL, [await this.storage.getUrl()]);
     const loggedinUser = this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_LOGGED_IN_USER, [await this.storage.getUsername()]);
 
@@ -61,12 +94,233 @@ class LoginController extends PageController {
     this.form.setValue(this.getLabelLoggedInUser(), loggedinUser);
 
     this.form.addClickListener(this.getButtonLogout(), this.logout.bind(this));
+    this.form.addClickListener(this.getButtonRebuildIndex(), this.rebuildSecretIndex.bind(this));
+    this.form.addClickListener(this.getButtonRenewToken(), this.renewToken.bind(this));
+    this.form.addClickListener(this.getButtonCopyTokenExport(), this.copyTokenExport.bind(this));
+
+    await this.showSecretIndexStatus();
+
+    await this.showTokenDetails();
+  }
+
+  /**
+   * Displays the details of the token of the session, as returned by Vault: its policies, remaining TTL
+   * (counting down every second), maximum TTL, whether it can be renewed, its entity ID and its auth mount.
+   * A failure is shown as an error, without hiding the rest of the logged-in page.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async showTokenDetails() {
+    const messages = PageController.i18nKeys.messages;
+
+    try {
+      const vault = this.vaultFactory.create(await this.storage.getUrl(), await this.storage.getToken(), await this.storage.getNamespace());
+      const tokenData = (await vault.getCurrentToken())?.data || {};
+
+      const policies = tokenData.policies || [];
+      const yesOrNo = this.I18n.getMessage((tokenData.renewable) ? messages.UI_VALUE_YES : messages.UI_VALUE_NO);
+      const maxTtl = (tokenData.explicit_max_ttl > 0)
+        ? this.I18n.getMessage(messages.UI_MESSAGE_TOKEN_MAX_TTL, [this.VaultUtils.formatDuration(tokenData.explicit_max_ttl)])
+        : this.I18n.getMessage(messages.UI_MESSAGE_TOKEN_MAX_TTL_DEFAULT);
+
+      this.form.setValue(this.getLabelTokenPolicies(), this.I18n.getMessage(messages.UI_MESSAGE_TOKEN_POLICIES, [policies.join(', ') || '-']));
+      this.form.setValue(this.getLabelTokenMaxTtl(), maxTtl);
+      this.form.setValue(this.getLabelTokenRenewable(), this.I18n.getMessage(messages.UI_MESSAGE_TOKEN_RENEWABLE, [yesOrNo]));
+      this.form.setValue(this.getLabelTokenEntityId(), this.I18n.getMessage(messages.UI_MESSAGE_TOKEN_ENTITY_ID, [tokenData.entity_id || '-']));
+      this.form.setValue(this.getLabelTokenAuthMount(), this.I18n.getMessage(messages.UI_MESSAGE_TOKEN_AUTH_MOUNT, [await this.getTokenAuthMount(tokenData)]));
+
+      // Some methods, such as a raw Vault token, do not let the extension renew their tokens.
+      const authMethod = this.VaultAuthMethods.get((await this.storage.getAuthMethod())?.id);
+      const canRenew = (tokenData.renewable === true) && (authMethod?.renewal !== this.VaultAuthMethods.RENEWAL.NONE);
+
+      if (canRenew) {
+        this.form.enable(this.getButtonRenewToken());
+      } else {
+        this.form.disable(this.getButtonRenewToken());
+      }
+
+      // A TTL of zero means the token never expires (e.g., a root token).
+      this.tokenExpireTime = (tokenData.ttl > 0) ? Date.now() + tokenData.ttl * 1000 : null;
+      this.startTokenCountdown();
+
+      this.form.show(this.getPanelTokenDetails());
+    } catch (error) {
+      this.notification.error(error);
+    }
+  }
+
+  /**
+   * Gets the auth mount the token was created by. It is the mount used to log in, or, for a token typed
+   * by the user, the mount at the start of the path the token was created on (e.g., "auth/token" for "auth/token/create").
+   *
+   * @async
+   * @param {object} tokenData - The 'data' object of the token lookup.
+   * @returns {Promise<string>} The auth mount (e.g., "auth/corp-ldap"), or '-' if it is not known.
+   */
+  async getTokenAuthMount(tokenData) {
+    const authMethod = await this.storage.getAuthMethod();
+    const descriptor = this.VaultAuthMethods.get(authMethod?.id);
+
+    if (authMethod?.mount && (descriptor?.flow !== this.VaultAuthMethods.FLOW.TOKEN)) {
+      return `auth/${this.VaultUtils.getAuthMount(authMethod.mount)}`;
+    }
+
+    return tokenData.path?.split(PageController.i18nKeys.constants.PATH_SEPARATOR).slice(0, 2).join(PageController.i18nKeys.constants.PATH_SEPARATOR) || '-';
+  }
+
+  /**
+   * Starts the countdown of the remaining TTL of the token, updated every second until the token expires.
+   *
+   * @returns {void}
+   */
+  startTokenCountdown() {
+    clearInterval(this.tokenCountdownTimer);
+    this.tokenCountdownTimer = null;
+
+    this.updateTokenCountdown();
+
+    if (this.tokenExpireTime) {
+      this.tokenCountdownTimer = setInterval(this.updateTokenCountdown.bind(this), 1000);
+    }
+  }
+
+  /**
+   * Displays the remaining TTL of the token, and stops the countdown once it has expired.
+   *
+   * @returns {void}
+   */
+  updateTokenCountdown() {
+    const messages = PageController.i18nKeys.messages;
+    const label = this.getLabelTokenTtl();
+
+    if (!this.tokenExpireTime) {
+      this.form.setValue(label, this.I18n.getMessage(messages.UI_MESSAGE_TOKEN_TTL_NEVER));
+      return;
+    }
+
+    const remainingSeconds = (this.tokenExpireTime - Date.now()) / 1000;
+
+    if (remainingSeconds <= 0) {
+      clearInterval(this.tokenCountdownTimer);
+      this.tokenCountdownTimer = null;
+
+      this.form.setValue(label, this.I18n.getMessage(messages.UI_MESSAGE_TOKEN_EXPIRED));
+      this.form.disable(this.getButtonRenewToken());
+      return;
+    }
+
+    this.form.setValue(label, this.I18n.getMessage(messages.UI_MESSAGE_TOKEN_TTL, [this.VaultUtils.formatDuration(remainingSeconds)]));
+  }
+
+  /**
+   * Renews the token of the session now, instead of waiting for the background service worker to renew it,
+   * and displays its new details.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async renewToken() {
+    const btnRenewToken = this.getButtonRenewToken();
+
+    try {
+      this.notification.clear();
+
+      this.form.disable(btnRenewToken);
+
+      const vault = this.vaultFactory.create(await this.storage.getUrl(), await this.storage.getToken(), await this.storage.getNamespace());
+      const result = await vault.renewToken();
+
+      // The new expiration date is stored, so the token is not seen as expired before it is.
+      await this.storage.setToken(result.token);
+
+      this.notification.info(this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_TOKEN_RENEWED));
+    } catch (error) {
+      this.notification.error(error);
+    } finally {
+      await this.showTokenDetails();
+    }
+  }
+
+  /**
+   * Copies the exports of VAULT_ADDR, VAULT_TOKEN and, on Vault Enterprise, VAULT_NAMESPACE to the clipboard,
+   * so the Vault CLI can be used in a terminal with the session of the extension.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async copyTokenExport() {
+    // Single quotes keep the shell from expanding the values.
+    const quote = (value) => `'${String(value).replaceAll('\'', '\'\\\'\'')}'`;
+
+    const token = await this.storage.getToken();
+    const namespace = await this.storage.getNamespace();
+
+    const lines = [
+      `export VAULT_ADDR=${quote(await this.storage.getUrl())}`,
+      `export VAULT_TOKEN=${quote(token?.client_token || '')}`
+    ];
+
+    if (namespace) {
+      lines.push(`export VAULT_NAMESPACE=${quote(namespace)}`);
+    }
+
+    await this.copyValueToClipboard(lines.join('\n'));
+  }
+
+  /**
+   * Displays the number of secrets on the search index of the session and the time of its last refresh.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async showSecretIndexStatus() {
+    const messages = PageController.i18nKeys.messages;
+
+    const session = await this.vaultSessions.getSession(await this.storage.getProfileId());
+    const status = (session) ? await this.secretIndex.getStatus(session) : null;
+
+    const text = (status)
+      ? this.I18n.getMessage(messages.UI_MESSAGE_SECRET_INDEX_STATUS, [status.secretCount, new Date(status.updatedTime).toLocaleString()])
+      : this.I18n.getMessage(messages.UI_MESSAGE_SECRET_INDEX_NOT_BUILT);
+
+    this.form.setValue(this.getLabelSecretIndexStatus(), text);
+  }
+
+  /**
+   * Builds the search index of the session again, listing every folder of every engine.
+   * It is useful when secrets were created or deleted outside of the extension and the index has not been refreshed yet.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async rebuildSecretIndex() {
+    const btnRebuildIndex = this.getButtonRebuildIndex();
+
+    try {
+      this.notification.clear();
+
+      this.form.disable(btnRebuildIndex);
+      this.form.setValue(this.getLabelSecretIndexStatus(), this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_SECRET_INDEX_REBUILDING));
+
+      const response = await this.refreshSecretIndex(await this.storage.getProfileId(), null, true);
+
+      if (!response?.success) {
+        throw new Error(response?.error || this.I18n.getMessage(PageController.i18nKeys.messages.ERROR_SECRET_INDEX_REFRESH_FAILED));
+      }
+    } catch (error) {
+      this.notification.error(error);
+    } finally {
+      this.form.enable(btnRebuildIndex);
+
+      await this.showSecretIndexStatus();
+    }
   }
 
   /**
    * Displays the login form interface.
    * Hides logout interface, shows login form, and pre-fills form fields
-   * with any stored values from previous sessions.
+   * with the active profile or any stored values from previous sessions.
    *
    * @async
    * @returns {Promise<void>}
@@ -75,29 +329,244 @@ class LoginController extends PageController {
     this.hideLogoutForm();
     this.showLoginForm();
 
+    const profileName = this.getInputProfileName();
     const url = this.getInputUrl();
+    const namespace = this.getInputNamespace();
+    const engines = this.getInputEngines();
+    const transitKeys = this.getInputTransitKeys();
+    const passphrase = this.getInputPassphrase();
     const authMethod = this.getInputAuthMethod();
-    const username = this.getInputUsername();
-    const password = this.getInputPassword();
+    const authMount = this.getInputAuthMount();
+
+    const settings = await this.getLoginSettings();
 
     // Set value of the elements if there is any in the storage.
-    this.form.setValue(url, await this.storage.getUrl() || this.I18n.getMessage(PageController.i18nKeys.messages.CONFIG_VAULT_URL));
-    this.form.setValue(username, await this.storage.getUsername());
+    this.form.setValue(profileName, settings.profileName);
+    this.form.setValue(url, settings.url || this.I18n.getMessage(PageController.i18nKeys.messages.CONFIG_VAULT_URL));
+    this.form.setValue(namespace, settings.namespace);
+    if (settings.includeChildNamespaces) {
+      this.getInputChildNamespacesYes().checked = true;
+    }
+    this.form.setValue(engines, this.VaultUtils.formatEnginePaths(await this.engineStorage.getUserEngines(settings.url, settings.namespace)));
+    this.form.setValue(transitKeys, this.VaultUtils.formatTransitKeys(await this.engineStorage.getUserTransitKeys(settings.url, settings.namespace)));
+    this.fillAuthMethods(settings.authMethod?.id);
 
     const btnLogin = this.getButtonLogin();
     this.form.addClickListener(btnLogin, this.login.bind(this));
 
+    // Only a saved profile can be deleted.
+    if (settings.profileName) {
+      const btnDeleteProfile = this.getButtonDeleteProfile();
+
+      this.form.addClickListener(btnDeleteProfile, this.deleteProfile.bind(this));
+      this.form.show(btnDeleteProfile);
+    }
+
+    this.form.addChangeListener(authMethod, this.showAuthMethod.bind(this));
+    await this.showAuthMethod();
+
+    // The server is probed as soon as its address is typed, and once for the address already on the form.
+    this.form.addChangeListener(url, this.showServerStatus.bind(this));
+    this.showServerStatus();
+
+    this.form.addEnterKeydownListener(profileName, btnLogin);
     this.form.addEnterKeydownListener(url, btnLogin);
+    this.form.addEnterKeydownListener(namespace, btnLogin);
+    this.form.addEnterKeydownListener(engines, btnLogin);
+    this.form.addEnterKeydownListener(transitKeys, btnLogin);
+    this.form.addEnterKeydownListener(passphrase, btnLogin);
+    this.form.addEnterKeydownListener(this.getInputPassphraseConfirm(), btnLogin);
     this.form.addEnterKeydownListener(authMethod, btnLogin);
-    this.form.addEnterKeydownListener(username, btnLogin);
-    this.form.addEnterKeydownListener(password, btnLogin);
+    this.form.addEnterKeydownListener(authMount, btnLogin);
+
+    const btnMfaVerify = this.getButtonMfaVerify();
+    this.form.addClickListener(btnMfaVerify, this.verifyMfa.bind(this));
+    this.form.addClickListener(this.getButtonMfaCancel(), this.cancelMfa.bind(this));
+    this.form.addChangeListener(this.getInputMfaMethod(), this.showMfaMethod.bind(this));
+    this.form.addEnterKeydownListener(this.getInputMfaPasscode(), btnMfaVerify);
 
     this.setFocusOnFirstElementOrFirstEmpty();
   }
 
+  /**
+   * Probes the Vault server typed on the login form and shows its state: its version, its cluster name and
+   * whether it is initialized, sealed or a standby node. A server that can not log anyone in (not initialized
+   * or sealed) is explained, as is a server that did not answer at all.
+   *
+   * @async
+   * @returns {Promise<object|null>} The state of the server, as returned by Vault.getServerStatus, or null if it did not answer.
+   */
+  async showServerStatus() {
+    const messages = PageController.i18nKeys.messages;
+    const url = this.getInputUrl().value.trim();
+    const probe = ++this.serverStatusProbe;
+
+    if (!this.isValidURL(url).isValid) {
+      this.serverStatus = null;
+      this.form.hide(this.getPanelServerStatus());
+
+      return null;
+    }
+
+    try {
+      const status = await this.vaultFactory.create(url).getServerStatus();
+
+      // Another address was typed meanwhile, and its own probe shows its state.
+      if (probe !== this.serverStatusProbe) {
+        return status;
+      }
+
+      this.serverStatus = { url, status };
+
+      const yesOrNo = (value) => this.I18n.getMessage((value) ? messages.UI_VALUE_YES : messages.UI_VALUE_NO);
+      const standby = (status?.performanceStandby) ? this.I18n.getMessage(messages.UI_VALUE_PERFORMANCE_STANDBY) : yesOrNo(status?.standby);
+
+      this.form.setValue(this.getLabelServerVersion(), this.I18n.getMessage(messages.UI_MESSAGE_SERVER_VERSION, [status?.version || '-']));
+      this.form.setValue(this.getLabelServerClusterName(), this.I18n.getMessage(messages.UI_MESSAGE_SERVER_CLUSTER_NAME, [status?.clusterName || '-']));
+      this.form.setValue(this.getLabelServerInitialized(), this.I18n.getMessage(messages.UI_MESSAGE_SERVER_INITIALIZED, [yesOrNo(status?.initialized)]));
+      this.form.setValue(this.getLabelServerSealed(), this.I18n.getMessage(messages.UI_MESSAGE_SERVER_SEALED, [yesOrNo(status?.sealed)]));
+      this.form.setValue(this.getLabelServerStandby(), this.I18n.getMessage(messages.UI_MESSAGE_SERVER_STANDBY, [standby]));
+
+      // A server that did not answer may still be reached by the login (e.g., a proxy that only allows the auth paths).
+      const reason = (status) ? this.getServerUnavailableReason(status) : this.I18n.getMessage(messages.UI_MESSAGE_SERVER_UNREACHABLE);
+
+      this.form.setValue(this.getLabelServerStatusReason(), reason);
+      if (reason) {
+        this.form.show(this.getLabelServerStatusReason());
+      } else {
+        this.form.hide(this.getLabelServerStatusReason());
+      }
+
+      this.form.show(this.getPanelServerStatus());
+
+      return status;
+    } catch (error) {
+      this.notification.error(error);
+
+      return null;
+    }
+  }
+
+  /**
+   * Gets the reason why a Vault server can not log anyone in: it is not initialized yet, or it is sealed.
+   * A standby node forwards the requests to the active node, so it can log in.
+   *
+   * @param {object|null} status - The state of the server, as returned by Vault.getServerStatus.
+   * @returns {string} The localized reason, or an empty string if the server can log in (or its state is unknown).
+   */
+  getServerUnavailableReason(status) {
+    const messages = PageController.i18nKeys.messages;
+
+    if (status && !status.initialized) {
+      return this.I18n.getMessage(messages.ERROR_VAULT_SERVER_NOT_INITIALIZED);
+    }
+
+    if (status?.sealed) {
+      return this.I18n.getMessage(messages.ERROR_VAULT_SERVER_SEALED, [status.unsealProgress, status.unsealThreshold]);
+    }
+
+    return '';
+  }
+
+  /**
+   * Displays the fields and the mount path of the selected authentication method.
+   * The mount path of the last login is kept while its method is selected, because
+   * methods are often mounted on a custom path (e.g., 'auth/corp-ldap').
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async showAuthMethod() {
+    const settings = await this.getLoginSettings();
+    const storedAuthMethod = settings.authMethod;
+    const selectedAuthMethod = this.getSelectedAuthMethod();
+
+    const mount = (storedAuthMethod?.id === selectedAuthMethod.id) ? storedAuthMethod.mount : selectedAuthMethod.defaultMount;
+    this.form.setValue(this.getInputAuthMount(), mount);
+
+    this.showAuthMethodFields();
+    this.form.setValue(this.getInputUsername(), settings.username);
+
+    const btnLogin = this.getButtonLogin();
+    for (const input of this.getAuthFieldInputs()) {
+      this.form.addEnterKeydownListener(input, btnLogin);
+    }
+  }
+
+  /**
+   * Gets the values used to pre-fill the login form.
+   * The values of the active profile come first, because they are kept when the browser
+   * is closed, while the values of its session are lost.
+   *
+   * @async
+   * @returns {Promise<{profileName: string, url: string, namespace: string, includeChildNamespaces: boolean,
+   * authMethod: {id: string, mount: string}|undefined, username: string}>} The values of the form.
+   */
+  async getLoginSettings() {
+    const profile = await this.profileStorage.getActiveProfile();
+
+    return {
+      profileName: profile?.name || '',
+      url: profile?.url || await this.storage.getUrl(),
+      namespace: profile?.namespace ?? await this.storage.getNamespace(),
+      includeChildNamespaces: profile?.includeChildNamespaces ?? await this.storage.getIncludeChildNamespaces(),
+      authMethod: profile?.authMethod || await this.storage.getAuthMethod(),
+      username: profile?.username || await this.storage.getUsername()
+    };
+  }
+
+  /**
+   * Saves the profile typed on the login form and makes it the active profile, so the session is stored in it.
+   * A profile with the same name is replaced. Otherwise, the active profile is renamed, or a new one is created
+   * when no profile is active. Without a name, no profile is active and the session is not bound to any profile.
+   *
+   * @async
+   * @param {string} name - The name of the profile.
+   * @param {object} settings - The URL, namespace, child namespaces option, auth method and username of the profile.
+   * @returns {Promise<void>}
+   */
+  async saveProfile(name, settings) {
+    if (!name) {
+      await this.profileStorage.setActiveProfileId('');
+      return;
+    }
+
+    const profileWithSameName = (await this.profileStorage.getProfiles()).find(profile => profile.name === name);
+    const id = profileWithSameName?.id || await this.profileStorage.getActiveProfileId();
+
+    const profile = await this.profileStorage.saveProfile({ ...settings, id, name });
+
+    await this.profileStorage.setActiveProfileId(profile.id);
+  }
+
+  /**
+   * Deletes the active profile after the user confirms it, and reloads the page without an active profile.
+   * Its session is closed, because no profile can switch to it anymore.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async deleteProfile() {
+    try {
+      this.notification.clear();
+
+      const profile = await this.profileStorage.getActiveProfile();
+
+      if (profile && confirm(this.I18n.getMessage(PageController.i18nKeys.messages.UI_CONFIRM_DELETE_PROFILE, [profile.name]))) {
+        await this.storage.setToken(null);
+        await this.secretIndex.clear(profile.id);
+        await this.profileStorage.deleteProfile(profile.id);
+
+        location.reload();
+      }
+    } catch (error) {
+      this.notification.error(error);
+    }
+  }
+
   /**
    * Handles the login process when user submits credentials.
-   * Validates form data, authenticates with Vault using provided credentials,
+   * Validates form data, saves the profile, authenticates with Vault using the selected method,
    * stores the authentication token, and redirects to the secrets page.
    *
    * @async
@@ -107,24 +576,89 @@ class LoginController extends PageController {
     try {
       this.notification.clear();
 
+      const profileName = this.getInputProfileName();
       const url = this.getInputUrl();
+      const namespace = this.getInputNamespace();
+      const engines = this.getInputEngines();
+      const transitKeys = this.getInputTransitKeys();
+      const passphrase = this.getInputPassphrase();
       const authMethod = this.getInputAuthMethod();
-      const username = this.getInputUsername();
-      const password = this.getInputPassword();
+      const authMount = this.getInputAuthMount();
+      const authFields = this.getAuthFieldsToValidate();
+
+      const isValid = this.form.validate({
+        required: [url, authMethod, authMount, ...authFields.required],
+        optional: [profileName, namespace, engines, transitKeys, passphrase, ...authFields.optional]
+      }, this.isValid.bind(this));
 
-      const isValid = this.form.validate({ required: [url, authMethod, username, password] }, this.isValid.bind(this));
       if (isValid) {
         this.showLoginLoading();
 
-        this.storage.setUrl(url.value);
-        this.storage.setUsername(username.value);
+        // The state found when the address was typed may be outdated (e.g., the server was unsealed since), so only
+        // a server ready for the login is not probed again. A server that can not log anyone in is explained,
+        // instead of the generic error of the login request.
+        let serverStatus = (this.serverStatus?.url === url.value.trim()) ? this.serverStatus.status : null;
+        if (!serverStatus || this.getServerUnavailableReason(serverStatus)) {
+          serverStatus = await this.showServerStatus();
+        }
+
+        const unavailableReason = this.getServerUnavailableReason(serverStatus);
+        if (unavailableReason) {
+          throw new Error(unavailableReason);
+        }
+
+        const selectedAuthMethod = this.getSelectedAuthMethod();
+        const values = this.getAuthFieldValues();
+        const mount = this.VaultUtils.getAuthMount(authMount.value);
+        const namespaceValue = this.VaultUtils.joinNamespaces(namespace.value);
+        const includeChildNamespaces = this.getInputChildNamespacesYes().checked;
+
+        // A mistyped passphrase would encrypt the next saves with another key, so it is checked before anything is kept.
+        await this.verifyPassphrase(url.value, namespaceValue, passphrase.value);
 
-        const vault = this.vaultFactory.create(url.value);
-        const result = await vault.login(username.value, password.value, authMethod.value);
+        // The profile is kept even when the login fails, like the URL. It never holds the password or the token.
+        // It is activated first, because the session below is stored in the active profile.
+        await this.saveProfile(profileName.value.trim(), {
+          url: url.value,
+          namespace: namespaceValue,
+          includeChildNamespaces,
+          authMethod: { id: selectedAuthMethod.id, mount },
+          username: values.username || ''
+        });
 
-        this.storage.setToken(result.token);
+        // The option is kept even when the login fails, like the URL.
+        await this.storage.setIncludeChildNamespaces(includeChildNamespaces);
 
-        this.redirectToSecretsPage();
+        // The engines belong to the server and namespace, so they are kept for the next login on them.
+        await this.engineStorage.setUserEngines(url.value, namespaceValue, this.VaultUtils.parseEnginePaths(engines.value));
+        await this.engineStorage.setUserTransitKeys(url.value, namespaceValue, this.VaultUtils.parseTransitKeys(transitKeys.value));
+
+        // The passphrase is only kept in memory with the session, never in the profile, so it is typed on every login.
+        await this.storage.setPassphrase(passphrase.value || null);
+
+        if (selectedAuthMethod.flow === this.VaultAuthMethods.FLOW.OIDC) {
+          await this.loginWithOidc(url.value, namespaceValue, mount, values.role);
+          return;
+        }
+
+        await this.storage.setUrl(url.value);
+        await this.storage.setNamespace(namespaceValue);
+
+        // The version is kept with the session, so the features the server does not support are left out.
+        await this.storage.setServerVersion(serverStatus?.version || '');
+
+        // The auth method is mounted in the namespace, so the login request also carries it.
+        const vault = this.vaultFactory.create(url.value, null, namespaceValue);
+        const result = await vault.login(selectedAuthMethod, values, mount);
+
+        // Vault enforces MFA on this login, so there is no token until a factor is verified.
+        if (result.mfa_requirement) {
+          this.hideLoginLoading();
+          this.startMfa({ vault, authMethod: selectedAuthMethod, values, mount, requirement: result.mfa_requirement });
+          return;
+        }
+
+        await this.completeLogin(selectedAuthMethod, values, mount, result);
       }
     } catch (error) {
       this.hideLoginLoading();
@@ -132,9 +666,289 @@ class LoginController extends PageController {
     }
   }
 
+  /**
+   * Verifies the passphrase against the check of the one used before on the server and namespace.
+   * A passphrase not used before on them (the first one, or a new one) must be typed twice, then its check is kept.
+   *
+   * @async
+   * @param {string} url - The Vault address.
+   * @param {string} namespace - The namespace, or an empty string for the root namespace.
+   * @param {string} passphrase - The passphrase typed by the user, or an empty string if there is none.
+   * @returns {Promise<void>}
+   * @throws {Error} If the passphrase was not used before and its confirmation is different.
+   */
+  async verifyPassphrase(url, namespace, passphrase) {
+    if (!passphrase) {
+      return;
+    }
+
+    const check = await this.engineStorage.getPassphraseCheck(url, namespace);
+    if (check && await this.VaultCrypto.isPassphraseCheckValid(check, passphrase)) {
+      return;
+    }
+
+    const passphraseConfirm = this.getInputPassphraseConfirm();
+    if (passphraseConfirm.value !== passphrase) {
+      this.form.show(this.getLabelPassphraseConfirm());
+      this.form.setFocus(passphraseConfirm);
+
+      const messageKey = (check) ? PageController.i18nKeys.messages.ERROR_FORM_PASSPHRASE_CHANGED : PageController.i18nKeys.messages.ERROR_FORM_PASSPHRASE_CONFIRM;
+      throw new Error(this.I18n.getMessage(messageKey));
+    }
+
+    await this.engineStorage.setPassphraseCheck(url, namespace, await this.VaultCrypto.createPassphraseCheck(passphrase));
+  }
+
+  /**
+   * Stores the session of a successful login and redirects to the secrets page.
+   *
+   * @async
+   * @param {object} authMethod - The descriptor of the auth method, from VaultAuthMethods.
+   * @param {object} values - The values of the form fields of the method, by field ID.
+   * @param {string} mount - The mount path of the auth method.
+   * @param {object} result - The 'auth' object of the login, with its processed 'token'.
+   * @returns {Promise<void>}
+   */
+  async completeLogin(authMethod, values, mount, result) {
+    // The page is left right after, so the session must be stored before it.
+    await this.storage.setUsername(authMethod.getUsername(values, result));
+    await this.storage.setAuthMethod({ id: authMethod.id, mount });
+    await this.storage.setToken(result.token);
+
+    this.redirectToSecretsPage();
+  }
+
+  /**
+   * Replaces the login form with the MFA step, starting with the first factor (constraint) of the requirement.
+   *
+   * @param {object} mfaLogin - The login waiting for the MFA validation.
+   * @param {Vault} mfaLogin.vault - The Vault instance of the login.
+   * @param {object} mfaLogin.authMethod - The descriptor of the auth method.
+   * @param {object} mfaLogin.values - The values of the form fields of the method, by field ID.
+   * @param {string} mfaLogin.mount - The mount path of the auth method.
+   * @param {object} mfaLogin.requirement - The MFA requirement returned by the login.
+   * @returns {void}
+   */
+  startMfa(mfaLogin) {
+    this.mfaLogin = { ...mfaLogin, constraintIndex: 0, passcodes: {} };
+
+    this.hideLoginForm();
+    this.showMfaForm();
+    this.showMfaConstraint();
+  }
+
+  /**
+   * Shows the factor (constraint) of the MFA requirement the user is on, with its methods.
+   * The method select is only shown when the factor can be satisfied by more than one method.
+   *
+   * @returns {void}
+   */
+  showMfaConstraint() {
+    const constraint = this.mfaLogin.requirement.constraints[this.mfaLogin.constraintIndex];
+
+    const select = this.getInputMfaMethod();
+    this.form.clear(select);
+
+    for (const method of constraint?.methods || []) {
+      select.add(this.createOption(method.id, this.getMfaMethodLabel(method)));
+    }
+
+    if (select.options.length > 1) {
+      this.form.show(this.getLabelMfaMethod());
+    } else {
+      this.form.hide(this.getLabelMfaMethod());
+    }
+
+    this.showMfaMethod();
+  }
+
+  /**
+   * Shows the instructions of the selected MFA method, and the passcode input if it uses one.
+   *
+   * @returns {void}
+   */
+  showMfaMethod() {
+    const method = this.getSelectedMfaMethod();
+    const passcode = this.getInputMfaPasscode();
+
+    this.form.setValue(passcode, '');
+
+    if (method?.usesPasscode) {
+      this.form.show(this.getLabelMfaPasscode());
+    } else {
+      this.form.hide(this.getLabelMfaPasscode());
+    }
+
+    let instructions = this.getMfaInstructions(method);
+
+    const constraintCount = this.mfaLogin.requirement.constraints.length;
+    if (constraintCount > 1) {
+      instructions = this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_MFA_STEP, [this.mfaLogin.constraintIndex + 1, constraintCount, instructions]);
+    }
+
+    this.form.setValue(this.getLabelMfaInstructions(), instructions);
+
+    this.form.setFocus((method?.usesPasscode) ? passcode : this.getButtonMfaVerify());
+  }
+
+  /**
+   * Gets the MFA method selected for the current factor.
+   *
+   * @returns {{id: string, type: string, name: string, usesPasscode: boolean}|undefined} The method, or undefined if the factor has none.
+   */
+  getSelectedMfaMethod() {
+    const constraint = this.mfaLogin?.requirement.constraints[this.mfaLogin.constraintIndex];
+
+    return constraint?.methods.find(method => method.id === this.getInputMfaMethod().value);
+  }
+
+  /**
+   * Gets the label of an MFA method, with its name in Vault, if any, and its type (e.g., 'Corp (Duo)').
+   *
+   * @param {{type: string, name: string}} method - The MFA method.
+   * @returns {string} The label of the method.
+   */
+  getMfaMethodLabel(method) {
+    const { TOTP, DUO, OKTA, PINGID } = PageController.i18nKeys.constants.MFA.METHOD_TYPE;
+    const messages = PageController.i18nKeys.messages;
+
+    const typeKeys = {
+      [TOTP]: messages.UI_VALUE_MFA_TYPE_TOTP,
+      [DUO]: messages.UI_VALUE_MFA_TYPE_DUO,
+      [OKTA]: messages.UI_VALUE_MFA_TYPE_OKTA,
+      [PINGID]: messages.UI_VALUE_MFA_TYPE_PINGID
+    };
+
+    const type = (typeKeys[method.type]) ? this.I18n.getMessage(typeKeys[method.type]) : method.type;
+
+    return (method.name) ? `${method.name} (${type})` : type;
+  }
+
+  /**
+   * Gets the instructions of an MFA method: type a TOTP passcode, type the passcode of a push method
+   * configured to use one, or approve the push sent to the phone.
+   *
+   * @param {{type: string, name: string, usesPasscode: boolean}|undefined} method - The MFA method.
+   * @returns {string} The instructions of the method.
+   */
+  getMfaInstructions(method) {
+    const { TOTP, DUO, OKTA } = PageController.i18nKeys.constants.MFA.METHOD_TYPE;
+    const messages = PageController.i18nKeys.messages;
+
+    if (method?.type === TOTP) {
+      return this.I18n.getMessage(messages.UI_MESSAGE_MFA_TOTP);
+    }
+
+    if (method?.usesPasscode) {
+      return this.I18n.getMessage(messages.UI_MESSAGE_MFA_PASSCODE, [this.getMfaMethodLabel(method)]);
+    }
+
+    switch (method?.type) {
+      case DUO:
+        return this.I18n.getMessage(messages.UI_MESSAGE_MFA_PUSH_DUO);
+      case OKTA:
+        return this.I18n.getMessage(messages.UI_MESSAGE_MFA_PUSH_OKTA);
+      default:
+        return this.I18n.getMessage(messages.UI_MESSAGE_MFA_PUSH, [(method) ? this.getMfaMethodLabel(method) : '']);
+    }
+  }
+
+  /**
+   * Verifies the current MFA factor. Each factor of the requirement needs one of its methods, and all of them
+   * are validated together once the last one is filled. On success, the session is stored like a normal login.
+   * On failure, the user starts again from the first factor, or cancels to log in again.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async verifyMfa() {
+    try {
+      this.notification.clear();
+
+      const method = this.getSelectedMfaMethod();
+      const passcode = this.getInputMfaPasscode();
+
+      if (method) {
+        if (method.usesPasscode) {
+          const isValid = this.form.validate({ required: [passcode], optional: [] }, this.isValid.bind(this));
+
+          if (!isValid) {
+            return;
+          }
+        }
+
+        this.mfaLogin.passcodes[method.id] = (method.usesPasscode) ? passcode.value.trim() : '';
+      }
+
+      if (this.mfaLogin.constraintIndex < this.mfaLogin.requirement.constraints.length - 1) {
+        this.mfaLogin.constraintIndex++;
+        this.showMfaConstraint();
+        return;
+      }
+
+      this.showMfaLoading(!method?.usesPasscode);
+
+      const { vault, authMethod, values, mount, requirement, passcodes } = this.mfaLogin;
+      const result = await vault.validateMfa(requirement, passcodes);
+
+      await this.completeLogin(authMethod, values, mount, result);
+    } catch (error) {
+      this.hideMfaLoading();
+      this.notification.error(error);
+
+      this.mfaLogin.constraintIndex = 0;
+      this.mfaLogin.passcodes = {};
+      this.showMfaConstraint();
+    }
+  }
+
+  /**
+   * Cancels the MFA step and returns to the login form, whose values are kept.
+   *
+   * @returns {void}
+   */
+  cancelMfa() {
+    this.mfaLogin = null;
+
+    this.notification.clear();
+    this.hideMfaForm();
+    this.showLoginForm();
+
+    this.setFocusOnFirstElementOrFirstEmpty();
+  }
+
+  /**
+   * Handles the OIDC login process.
+   * The provider's page is opened by the background service worker, because the popup closes
+   * as soon as it loses the focus. The background stores the token, so the login also succeeds
+   * when the popup is not open anymore to receive the response.
+   *
+   * @async
+   * @param {string} url - The Vault address.
+   * @param {string} namespace - The Vault Enterprise namespace. Empty for the root namespace.
+   * @param {string} mount - The mount path of the OIDC auth method.
+   * @param {string} role - The OIDC role. An empty role uses the default role of the auth method.
+   * @returns {Promise<void>}
+   */
+  async loginWithOidc(url, namespace, mount, role) {
+    const response = await this.getBrowserHandler().runtime.sendMessage({
+      message: PageController.i18nKeys.constants.REQUEST_MESSAGE_ID.OIDC_LOGIN,
+      url,
+      namespace,
+      mount,
+      role
+    });
+
+    if (!response?.success) {
+      throw new Error(response?.error || this.I18n.getMessage(PageController.i18nKeys.messages.ERROR_OIDC_LOGIN_FAILED));
+    }
+
+    this.redirectToSecretsPage();
+  }
+
   /**
    * Handles the logout process when user clicks logout.
-   * Revokes the current token with Vault server, clears stored credentials,
+   * Revokes the current token with Vault server (unless its auth method says otherwise), clears stored credentials,
    * and reloads the page to return to login state.
    *
    * @async
@@ -145,21 +959,29 @@ class LoginController extends PageController {
       this.notification.clear();
 
       const token = await this.storage.getToken();
+      const authMethod = this.VaultAuthMethods.get((await this.storage.getAuthMethod())?.id);
 
-      if (this.VaultUtils.isTokenValid(token)) {
+      // A token typed by the user (e.g., a raw Vault token) is not revoked, because it may be used elsewhere.
+      if (this.VaultUtils.isTokenValid(token) && (authMethod?.revokeOnLogout !== false)) {
         this.showLogoutLoading();
 
-        const vault = this.vaultFactory.create(await this.storage.getUrl(), token);
+        const vault = this.vaultFactory.create(await this.storage.getUrl(), token, await this.storage.getNamespace());
         await vault.logout();
       }
-
-      location.reload();
     } catch (error) {
       this.hideLogoutLoading();
       this.notification.error(error);
+      return;
     } finally {
-      this.storage.setToken(null);
+      // The token of the active profile is looked up asynchronously, so it is cleared before the page is reloaded.
+      await this.storage.setToken(null);
+      await this.storage.setPassphrase(null);
+
+      // The paths of the secrets are not kept on the disk after the session is closed.
+      await this.secretIndex.clear(await this.storage.getProfileId());
     }
+
+    location.reload();
   }
 
 }
@@ -1,3 +1,4 @@
+import * as constants from '../../core/constants.js';
 import { PageBaseController } from '../../ui/page-base-controller.js';
 
 export class PageController extends PageBaseController {
@@ -25,10 +26,33 @@ export class PageController extends PageBaseController {
       CONFIG_SECRET_USERNAME_KEYS: 'config_secret_username_keys',
       CONFIG_SECRET_PASSWORD_KEYS: 'config_secret_password_keys',
       CONFIG_SECRET_TOKEN_KEYS: 'config_secret_token_keys',
-      CONFIG_SECRET_COMMENT_KEYS: 'config_secret_comment_keys'
+      CONFIG_SECRET_COMMENT_KEYS: 'config_secret_comment_keys',
+      UI_LABEL_USER: 'ui_label_user',
+      UI_LABEL_PASSWORD: 'ui_label_input_password',
+      UI_LABEL_TOKEN: 'ui_label_token',
+      UI_LABEL_COMMENT: 'ui_label_input_secret_comment',
+      UI_LABEL_CONFLICT_SERVER_VALUE: 'ui_label_conflict_server_value',
+      UI_LABEL_CONFLICT_YOUR_VALUE: 'ui_label_conflict_your_value',
+      UI_LABEL_CONFLICT_CHANGED_BY_BOTH: 'ui_label_conflict_changed_by_both',
+      UI_LABEL_CONFLICT_EMPTY_VALUE: 'ui_label_conflict_empty_value',
+      UI_LABEL_ENGINE_SOURCE: 'ui_label_engine_source',
+      UI_TOOLTIP_CAPABILITY_MISSING: 'ui_tooltip_capability_missing'
     },
   };
 
+  /**
+   * I18n keys of the sources an engine can be found on, by source.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #ENGINE_SOURCE_KEYS = {
+    [constants.ENGINE_SOURCE.UI_MOUNTS]: 'ui_label_engine_source_ui_mounts',
+    [constants.ENGINE_SOURCE.SYS_MOUNTS]: 'ui_label_engine_source_sys_mounts',
+    [constants.ENGINE_SOURCE.ADMIN]: 'ui_label_engine_source_admin',
+    [constants.ENGINE_SOURCE.USER]: 'ui_label_engine_source_user'
+  };
+
   /**
    * Crypto service for encryption and decryption operations.
    * @type {object|null}
@@ -51,6 +75,12 @@ export class PageController extends PageBaseController {
     // Extract specific dependencies this controller needs.
     this.VaultCrypto = dependencies.VaultCrypto;
     this.Password = dependencies.Password;
+
+    // A secret found in the session of another profile (e.g., another cluster) is handled with that session.
+    const profileId = this.getProfileFromQueryString();
+    if (profileId !== null) {
+      this.storage = this.storage.forProfile(profileId);
+    }
   }
 
   /**
@@ -85,6 +115,46 @@ export class PageController extends PageBaseController {
     return this.getElementById('secret_comment');
   }
 
+  /**
+   * Gets the container of the KVv2 metadata fields (owner, URL, tags and rotation).
+   * @returns {HTMLDivElement|null} The metadata fields container, or null if not found.
+   */
+  getSecretDetails() {
+    return this.getElementById('div_secret_details');
+  }
+
+  /**
+   * Gets the secret owner input element from the form.
+   * @returns {HTMLInputElement|null} The secret owner input element, or null if not found.
+   */
+  getInputSecretOwner() {
+    return this.getElementById('secret_owner');
+  }
+
+  /**
+   * Gets the secret login URL input element from the form.
+   * @returns {HTMLInputElement|null} The secret URL input element, or null if not found.
+   */
+  getInputSecretUrl() {
+    return this.getElementById('secret_url');
+  }
+
+  /**
+   * Gets the secret tags input element from the form.
+   * @returns {HTMLInputElement|null} The secret tags input element, or null if not found.
+   */
+  getInputSecretTags() {
+    return this.getElementById('secret_tags');
+  }
+
+  /**
+   * Gets the secret rotation interval (in days) input element from the form.
+   * @returns {HTMLInputElement|null} The rotation interval input element, or null if not found.
+   */
+  getInputSecretRotationDays() {
+    return this.getElementById('secret_rotation_days');
+  }
+
   /**
    * Gets the button that activates the 'credential' tab.
    * @returns {HTMLButtonElement|null} The credential tab button, or null if not found.
@@ -149,6 +219,14 @@ export class PageController extends PageBaseController {
     return this.getElementById('button_save');
   }
 
+  /**
+   * Gets the warning shown when the passwords and tokens are saved without a passphrase or a Transit key.
+   * @returns {HTMLElement|null} The encryption warning element, or null if not found.
+   */
+  getLabelEncryptionWarning() {
+    return this.getElementById('encryption_warning');
+  }
+
   /**
    * Gets the cancel button for the form.
    * @returns {HTMLButtonElement|null} The cancel button element, or null if not found.
@@ -157,6 +235,54 @@ export class PageController extends PageBaseController {
     return this.getElementById('button_cancel');
   }
 
+  /**
+   * Gets the container of the save and cancel buttons of the form.
+   * @returns {HTMLDivElement|null} The form buttons container, or null if not found.
+   */
+  getFormButtons() {
+    return this.getElementById('form_buttons');
+  }
+
+  /**
+   * Gets the section that is shown when someone else changed the secret while it was being edited.
+   * @returns {HTMLElement|null} The conflict dialog section, or null if not found.
+   */
+  getConflictDialog() {
+    return this.getElementById('conflict_dialog');
+  }
+
+  /**
+   * Gets the list that compares the server values with the values being saved.
+   * @returns {HTMLUListElement|null} The conflict list element, or null if not found.
+   */
+  getConflictList() {
+    return this.getElementById('conflict_list');
+  }
+
+  /**
+   * Gets the button that overwrites the server values with the values being saved.
+   * @returns {HTMLButtonElement|null} The overwrite button, or null if not found.
+   */
+  getButtonConflictOverwrite() {
+    return this.getElementById('button_conflict_overwrite');
+  }
+
+  /**
+   * Gets the button that merges the server values with the values being saved.
+   * @returns {HTMLButtonElement|null} The merge button, or null if not found.
+   */
+  getButtonConflictMerge() {
+    return this.getElementById('button_conflict_merge');
+  }
+
+  /**
+   * Gets the button that closes the conflict dialog without saving.
+   * @returns {HTMLButtonElement|null} The cancel button, or null if not found.
+   */
+  getButtonConflictCancel() {
+    return this.getElementById('button_conflict_cancel');
+  }
+
   /**
    * Retrieves the 'secretname' parameter from the URL query string.
    * @returns {string|null} The value of the 'secretname' parameter, or null if not present.
@@ -165,6 +291,24 @@ export class PageController extends PageBaseController {
     return this.getQueryString('secretname');
   }
 
+  /**
+   * Retrieves the 'namespace' parameter from the URL query string.
+   * It holds the child namespace of the secret's engine, and is empty for the namespace of the session.
+   * @returns {string} The value of the 'namespace' parameter, or an empty string if not present.
+   */
+  getNamespaceFromQueryString() {
+    return this.getQueryString('namespace') || '';
+  }
+
+  /**
+   * Retrieves the 'profile' parameter from the URL query string.
+   * It holds the ID of the profile whose session found the secret, and is empty for the session without a profile.
+   * @returns {string|null} The value of the 'profile' parameter, or null if not present.
+   */
+  getProfileFromQueryString() {
+    return this.getQueryString('profile');
+  }
+
   /**
    * Returns a function that opens a specific tab and sets focus.
    * This is a higher-order function designed to be used as an event listener.
@@ -213,6 +357,10 @@ export class PageController extends PageBaseController {
           return this.isValidUserNameOrPassword(element.value);
         case 'token':
           return this.isValidUserNameOrPassword(element.value);
+        case 'secret_url':
+          return this.isValidUrl(element.value);
+        case 'secret_rotation_days':
+          return this.isValidRotationDays(element.value);
       }
     }
 
@@ -262,6 +410,37 @@ export class PageController extends PageBaseController {
     };
   }
 
+  /**
+   * Validates the login URL of a secret.
+   * @param {string} text - The text to validate.
+   * @returns {{isValid: boolean, errorMessage?: string}} An object indicating if the value is valid.
+   */
+  isValidUrl(text) {
+    return {
+      // Regex: ^https?:\/\/\S+$
+      // - ^ and $: Ensure the entire string matches.
+      // - https?:\/\/: Requires the http:// or https:// scheme.
+      // - \S+: Requires at least one character without spaces.
+      isValid: this.isValidElement(text, /^https?:\/\/\S+$/gi),
+      errorMessage: ''
+    };
+  }
+
+  /**
+   * Validates the rotation interval of a secret, which must be a positive number of days.
+   * @param {string} text - The text to validate.
+   * @returns {{isValid: boolean, errorMessage?: string}} An object indicating if the value is valid.
+   */
+  isValidRotationDays(text) {
+    return {
+      // Regex: ^[1-9]\d*$
+      // - ^ and $: Ensure the entire string matches.
+      // - [1-9]\d*: A positive integer without leading zeros.
+      isValid: this.isValidElement(text, /^[1-9]\d*$/g),
+      errorMessage: ''
+    };
+  }
+
   /**
    * Sets focus on the first visible and interactive form element,
    * prioritizing the first empty one to guide user input.
@@ -319,6 +498,23 @@ export class PageController extends PageBaseController {
     return processed;
   }
 
+  /**
+   * Gets the text of an engine on the engines dropdown: its name and the source it was found on
+   * (e.g., 'team (sys/mounts)'), so the engines configured by hand can be told from the listed ones.
+   * @param {object} engine - The engine object, as returned by Vault.getKVEngines.
+   * @returns {string} The text of the engine.
+   */
+  getEngineOptionText(engine) {
+    const name = this.removeLastDash(engine.name);
+    const sourceKey = PageController.#ENGINE_SOURCE_KEYS[engine.source];
+
+    if (!sourceKey) {
+      return name;
+    }
+
+    return this.I18n.getMessage(PageController.i18nKeys.messages.UI_LABEL_ENGINE_SOURCE, [name, this.I18n.getMessage(sourceKey)]);
+  }
+
   /**
    * Removes the trailing slash from a string, typically an engine name.
    * @param {string} name - The string to process.
@@ -422,4 +618,249 @@ export class PageController extends PageBaseController {
     button?.click();
   }
 
+  /**
+   * Shows the metadata fields only for KVv2 engines, as KVv1 engines do not keep metadata.
+   * @param {object} engine - The selected engine object.
+   * @returns {void}
+   */
+  showOrHideSecretDetails(engine) {
+    if (engine?.options?.version === '2') {
+      this.form.show(this.getSecretDetails());
+    } else {
+      this.form.hide(this.getSecretDetails());
+    }
+  }
+
+  /**
+   * Builds the KVv2 custom metadata of the secret from the metadata fields of the form.
+   * @returns {object} The custom metadata map.
+   */
+  getCustomMetadataFromForm() {
+    return this.VaultUtils.prepareCustomMetadata({
+      owner: this.getInputSecretOwner().value,
+      url: this.getInputSecretUrl().value,
+      tags: this.VaultUtils.parseTags(this.getInputSecretTags().value),
+      rotationDays: this.getInputSecretRotationDays().value
+    });
+  }
+
+  /**
+   * Fills the metadata fields of the form with the KVv2 custom metadata of a secret.
+   * @param {object|null} customMetadata - The 'custom_metadata' returned by Vault.
+   * @returns {void}
+   */
+  setCustomMetadataInForm(customMetadata) {
+    const { owner, url, tags, rotationDays } = this.VaultUtils.extractCustomMetadata(customMetadata);
+
+    this.form.setValue(this.getInputSecretOwner(), owner);
+    this.form.setValue(this.getInputSecretUrl(), url);
+    this.form.setValue(this.getInputSecretTags(), tags.join(', '));
+    this.form.setValue(this.getInputSecretRotationDays(), rotationDays ?? '');
+  }
+
+  /**
+   * Returns a copy of the secret data with the password and token encrypted.
+   * They are encrypted by Vault when the engine has a Transit key, or with the passphrase of the session
+   * when there is one, so a value saved with an older version is upgraded the next time the secret is saved.
+   * @async
+   * @param {object} data - The normalized secret data with plain values.
+   * @param {string} salt - The salt used by the encryption, which is the full name of the secret.
+   * @param {Vault} vault - The Vault instance of the session, used by the Transit engine.
+   * @param {object} engine - The engine object where the secret is saved.
+   * @returns {Promise<object>} The secret data ready to be saved.
+   */
+  async encryptSecretData(data, salt, vault, engine) {
+    const encrypted = { ...data };
+    const options = {
+      vault,
+      transitKey: await vault.getTransitKey(engine),
+      passphrase: await this.storage.getPassphrase()
+    };
+
+    if (encrypted.pass) {
+      encrypted.pass = await this.VaultCrypto.encrypt(encrypted.pass, salt, options);
+    }
+
+    if (encrypted.token) {
+      encrypted.token = await this.VaultCrypto.encrypt(encrypted.token, salt, options);
+    }
+
+    return encrypted;
+  }
+
+  /**
+   * Shows a warning when the passwords and tokens of the engine would be saved with the V3 encryption,
+   * whose key is derived from the path of the secret alone, so anyone who can read the secret can decrypt them.
+   * @async
+   * @param {Vault} vault - The Vault instance of the session, used to find the Transit key of the engine.
+   * @param {object} engine - The engine object where the secret is saved.
+   * @returns {Promise<void>}
+   */
+  async showEncryptionWarning(vault, engine) {
+    const hasPassphrase = Boolean(await this.storage.getPassphrase());
+    const hasTransitKey = Boolean(await vault.getTransitKey(engine));
+
+    if (hasPassphrase || hasTransitKey) {
+      this.form.hide(this.getLabelEncryptionWarning());
+    } else {
+      this.form.show(this.getLabelEncryptionWarning());
+    }
+  }
+
+  /**
+   * Returns a copy of the secret data with the password and token decrypted.
+   * @async
+   * @param {object} data - The normalized secret data as stored in Vault.
+   * @param {string} salt - The salt used by the encryption, which is the full name of the secret.
+   * @param {Vault} vault - The Vault instance of the session, used by the Transit engine.
+   * @param {object} engine - The engine object where the secret is stored.
+   * @returns {Promise<object>} The secret data with plain values.
+   */
+  async decryptSecretData(data, salt, vault, engine) {
+    const decrypted = { ...data };
+    const options = { vault, namespace: engine?.namespace, passphrase: await this.storage.getPassphrase() };
+
+    if (decrypted.pass) {
+      decrypted.pass = await this.VaultCrypto.decrypt(decrypted.pass, salt, options);
+    }
+
+    if (decrypted.token) {
+      decrypted.token = await this.VaultCrypto.decrypt(decrypted.token, salt, options);
+    }
+
+    return decrypted;
+  }
+
+  /**
+   * Merges the values being saved with the values found on the server, using the values
+   * originally loaded in the form as the common base (three-way merge).
+   * A field changed only on one side keeps that change. When both sides changed
+   * the same field to different values, the value being saved wins and the field is reported.
+   * @param {object} base - The decrypted data originally loaded in the form.
+   * @param {object} ours - The decrypted data being saved.
+   * @param {object} theirs - The decrypted data currently stored on the server.
+   * @returns {{merged: object, conflicts: string[]}} The merged data and the fields changed by both sides.
+   */
+  mergeSecretData(base, ours, theirs) {
+    const merged = {};
+    const conflicts = [];
+
+    const keys = new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)]);
+
+    for (const key of keys) {
+      const baseValue = base[key];
+      const ourValue = ours[key];
+      const theirValue = theirs[key];
+
+      let value;
+      if (ourValue === baseValue) {
+        // Only the server changed it (or nobody did).
+        value = theirValue;
+      } else if ((theirValue === baseValue) || (theirValue === ourValue)) {
+        // Only we changed it, or both sides made the same change.
+        value = ourValue;
+      } else {
+        // Both sides changed it to different values.
+        value = ourValue;
+        conflicts.push(key);
+      }
+
+      // A value missing from the winning side means the field was removed.
+      if (value !== undefined) {
+        merged[key] = value;
+      }
+    }
+
+    return { merged, conflicts };
+  }
+
+  /**
+   * Gets the fields that have different values on the server and in the data being saved.
+   * @param {object} ours - The decrypted data being saved.
+   * @param {object} theirs - The decrypted data currently stored on the server.
+   * @returns {string[]} The keys of the fields that differ.
+   */
+  getDifferentFields(ours, theirs) {
+    const keys = new Set([...Object.keys(ours), ...Object.keys(theirs)]);
+
+    return [...keys].filter((key) => ours[key] !== theirs[key]);
+  }
+
+  /**
+   * Gets the localized label of a normalized secret field.
+   * @param {string} key - The normalized field name ('user', 'pass', 'token' or 'comment').
+   * @returns {string} The localized label, or the key itself for unknown fields.
+   */
+  getFieldLabel(key) {
+    const messages = PageController.i18nKeys.messages;
+
+    const labels = {
+      user: messages.UI_LABEL_USER,
+      pass: messages.UI_LABEL_PASSWORD,
+      token: messages.UI_LABEL_TOKEN,
+      comment: messages.UI_LABEL_COMMENT
+    };
+
+    return (labels[key]) ? this.I18n.getMessage(labels[key]) : key;
+  }
+
+  /**
+   * Formats a field value to be displayed in the conflict dialog.
+   * Passwords and tokens are masked, so they are never shown on the screen.
+   * @param {string} key - The normalized field name.
+   * @param {string|undefined} value - The field value.
+   * @returns {string} The value to display.
+   */
+  formatConflictValue(key, value) {
+    if (value === undefined || value === '') {
+      return this.I18n.getMessage(PageController.i18nKeys.messages.UI_LABEL_CONFLICT_EMPTY_VALUE);
+    }
+
+    if ((key === 'pass') || (key === 'token')) {
+      return this.form.replaceAllCharactersWithAsterisks(value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Shows the conflict dialog, hiding the form buttons meanwhile.
+   * @param {object} ours - The decrypted data being saved.
+   * @param {object} theirs - The decrypted data currently stored on the server.
+   * @param {string[]} changedByBoth - The fields changed both on the server and in the form.
+   * @returns {void}
+   */
+  showConflictDialog(ours, theirs, changedByBoth) {
+    const messages = PageController.i18nKeys.messages;
+    const conflictList = this.getConflictList();
+
+    this.form.clear(conflictList);
+
+    for (const key of this.getDifferentFields(ours, theirs)) {
+      const item = document.createElement('li');
+
+      let text = `${this.getFieldLabel(key)}: ${this.I18n.getMessage(messages.UI_LABEL_CONFLICT_SERVER_VALUE)} "${this.formatConflictValue(key, theirs[key])}"`;
+      text = `${text} | ${this.I18n.getMessage(messages.UI_LABEL_CONFLICT_YOUR_VALUE)} "${this.formatConflictValue(key, ours[key])}"`;
+
+      if (changedByBoth.includes(key)) {
+        text = `${text} (${this.I18n.getMessage(messages.UI_LABEL_CONFLICT_CHANGED_BY_BOTH)})`;
+      }
+
+      this.form.setValue(item, text);
+      conflictList.appendChild(item);
+    }
+
+    this.form.hide(this.getFormButtons());
+    this.form.show(this.getConflictDialog());
+  }
+
+  /**
+   * Hides the conflict dialog and shows the form buttons again.
+   * @returns {void}
+   */
+  hideConflictDialog() {
+    this.form.hide(this.getConflictDialog());
+    this.form.show(this.getFormButtons());
+  }
+
 }
@@ -17,6 +17,7 @@ class AddSecretController extends PageController {
    */
   engines = null;
   secretsOfEngine = null;
+  pendingSave = null;
 
   /**
    * Constructor that accepts dependencies and passes them to the base controller.
@@ -82,12 +83,20 @@ class AddSecretController extends PageController {
     this.form.addClickListener(btnSave, this.save.bind(this));
     this.form.addClickListener(btnCancel, this.cancel.bind(this));
 
+    this.form.addClickListener(this.getButtonConflictOverwrite(), this.overwriteConflict.bind(this));
+    this.form.addClickListener(this.getButtonConflictMerge(), this.mergeConflict.bind(this));
+    this.form.addClickListener(this.getButtonConflictCancel(), this.cancelConflict.bind(this));
+
     this.form.addEnterKeydownListener(engine, btnSave);
     this.form.addEnterKeydownListener(secretPath, btnSave);
     this.form.addEnterKeydownListener(secretName, btnSave);
     this.form.addEnterKeydownListener(username, btnSave);
     this.form.addEnterKeydownListener(password, btnSave);
     this.form.addEnterKeydownListener(token, btnSave);
+    this.form.addEnterKeydownListener(this.getInputSecretOwner(), btnSave);
+    this.form.addEnterKeydownListener(this.getInputSecretUrl(), btnSave);
+    this.form.addEnterKeydownListener(this.getInputSecretTags(), btnSave);
+    this.form.addEnterKeydownListener(this.getInputSecretRotationDays(), btnSave);
 
     await this.prepareForm();
   }
@@ -101,11 +110,12 @@ class AddSecretController extends PageController {
    */
   async prepareForm() {
     const token = await this.storage.getToken();
-    const vault = this.vaultFactory.create(await this.storage.getUrl(), token);
+    const vault = this.vaultFactory.create(await this.storage.getUrl(), token, await this.storage.getNamespace());
 
     await this.populateElementsInTheForm(vault);
 
     const secret = await this.getNewOrEditSecret();
+    await this.disableEnginesWithoutCapabilities(vault, secret);
     await this.selectElementsInTheForm(vault, secret);
 
     this.setFocusOnFirstElementOrFirstEmpty();
@@ -137,11 +147,66 @@ class AddSecretController extends PageController {
     engineElement.add(this.createOption(this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_LOADING)));
 
     // Retrieve the list of KV engines.
-    this.engines = await vault.getKVEngines();
+    // A secret found in a child namespace can only be edited with the engines of its namespace.
+    this.engines = await vault.getKVEngines(this.getNamespaceFromQueryString());
 
     this.form.clear(engineElement);
     for (const engine of this.engines) {
-      engineElement.add(this.createOption(this.removeLastDash(engine.name)));
+      engineElement.add(this.createOption(this.removeLastDash(engine.name), this.getEngineOptionText(engine)));
+    }
+  }
+
+  /**
+   * Disables the engines the token can not write secrets to, with a tooltip telling which capability is missing.
+   * The capabilities of all the engines are read with a single request to sys/capabilities-self, on the folder
+   * a new secret is saved to by default: the root of the engine, or the folder of the user on personal engines.
+   * The engine of the secret being edited is never disabled, and any failure leaves every engine enabled.
+   * @async
+   * @param {Vault} vault - The Vault instance to query for the capabilities.
+   * @param {object} selectedSecret - The secret object containing engine information.
+   * @returns {Promise<void>}
+   */
+  async disableEnginesWithoutCapabilities(vault, selectedSecret) {
+    const { CREATE, UPDATE } = PageController.i18nKeys.constants.CAPABILITY;
+    const username = await this.storage.getUsername();
+
+    const paths = new Map(this.engines.map(engine => {
+      const subkeys = (engine.isPersonal) ? [username] : [];
+
+      return [engine, `${this.VaultUtils.getSecretDataPath(engine, subkeys)}${PageController.i18nKeys.constants.PATH_SEPARATOR}`];
+    }));
+
+    const capabilities = await vault.getCapabilities([...new Set(paths.values())], this.getNamespaceFromQueryString());
+    if (!capabilities) {
+      return;
+    }
+
+    const engineElement = this.getInputEngine();
+    const editedEngineName = this.removeLastDash(selectedSecret.engine.name);
+
+    for (const option of engineElement.options) {
+      const engine = this.engines.find((x) => x.name === `${option.value}/`);
+
+      if (!engine || (editedEngineName && (option.value === editedEngineName))) {
+        continue;
+      }
+
+      const path = paths.get(engine);
+
+      // A new secret requires 'create', while a secret that already exists there is written with 'update'.
+      if (!this.VaultUtils.hasCapability(capabilities[path], CREATE) && !this.VaultUtils.hasCapability(capabilities[path], UPDATE)) {
+        this.form.disable(option);
+        this.form.setTooltip(option, this.I18n.getMessage(PageController.i18nKeys.messages.UI_TOOLTIP_CAPABILITY_MISSING, [CREATE, path]));
+      }
+    }
+
+    // A new secret is saved to the first engine the token can write to.
+    if (engineElement.selectedOptions[0]?.disabled) {
+      const firstEnabledOption = Array.from(engineElement.options).find(option => !option.disabled);
+
+      if (firstEnabledOption) {
+        engineElement.value = firstEnabledOption.value;
+      }
     }
   }
 
@@ -190,6 +255,10 @@ class AddSecretController extends PageController {
     await this.setSecretTypeCredentialTab(selectedSecret);
 
     this.setExtraAttributesInForm(selectedSecret);
+
+    this.setSecretDetailsInForm(selectedSecret);
+
+    await this.showEncryptionWarning(vault, selectedSecret.engine);
   }
 
   /**
@@ -279,6 +348,10 @@ class AddSecretController extends PageController {
       if (secretData) {
         // Inject data into secret object.
         foundSecret.data = secretData.data;
+
+        // Remember the loaded version (KVv2 only), so the save can detect changes made by someone else.
+        foundSecret.version = secretData.metadata?.version;
+        foundSecret.customMetadata = secretData.metadata?.custom_metadata;
       }
 
       selectedSecret = foundSecret;
@@ -351,6 +424,19 @@ class AddSecretController extends PageController {
     }
   }
 
+  /**
+   * Shows the metadata fields for KVv2 engines and fills them when editing a secret that has custom metadata.
+   * @param {object} selectedSecret - The secret object containing engine and custom metadata.
+   * @returns {void}
+   */
+  setSecretDetailsInForm(selectedSecret) {
+    this.showOrHideSecretDetails(selectedSecret.engine);
+
+    if (selectedSecret.customMetadata) {
+      this.setCustomMetadataInForm(selectedSecret.customMetadata);
+    }
+  }
+
   /**
    * Handles the engine dropdown change event.
    * When the user selects a different engine, updates the secret paths dropdown
@@ -361,7 +447,7 @@ class AddSecretController extends PageController {
   async onChangeEngine() {
     const token = await this.storage.getToken();
     if (this.VaultUtils.isTokenValid(token)) {
-      const vault = this.vaultFactory.create(await this.storage.getUrl(), token);
+      const vault = this.vaultFactory.create(await this.storage.getUrl(), token, await this.storage.getNamespace());
 
       const engine = this.getInputEngine();
 
@@ -423,12 +509,18 @@ class AddSecretController extends PageController {
         };
       }
 
+      // Find the selected engine object.
+      const engine = this.engines.find((x) => x.name === `${engineElement.value}/`);
+      const isKVv2 = engine?.options?.version === '2';
+
+      // The metadata fields are only available on KVv2 engines.
+      if (isValid && isKVv2) {
+        isValid = this.form.validate({ optional: [this.getInputSecretUrl(), this.getInputSecretRotationDays()] }, this.isValid.bind(this));
+      }
+
       if (isValid) {
         this.showSavingMessage();
 
-        // Find the selected engine object.
-        const engine = this.engines.find((x) => x.name === `${engineElement.value}/`);
-
         let path = '';
         if (secretPathElement.value !== PageController.i18nKeys.constants.ELEMENT_IN_ROOT_PATH) {
           // Remove trailing slash.
@@ -445,40 +537,192 @@ class AddSecretController extends PageController {
         // Get the existing secret if we're editing.
         const editingSecret = await this.getEditingSecretOrNull();
 
-        // Encrypt sensitive fields before saving.
+        // The salt used to encrypt sensitive fields.
         const saltKey = editingSecret ? editingSecret.fullName : this.VaultUtils.getSecretFullPath(engine.name, subkeys);
 
         // Process the data to ensure consistent key naming.
         data = this.processObject(data);
 
-        // Encrypt username if it exists.
-        if (data.pass) {
-          data.pass = await this.VaultCrypto.encrypt(data.pass, saltKey);
-        }
+        // Initialize Vault client.
+        const vault = this.vaultFactory.create(await this.storage.getUrl(), token, await this.storage.getNamespace());
+        vault.setServerVersion(await this.storage.getServerVersion());
+
+        // Older servers do not keep the custom metadata, so only the data is saved there.
+        const saveCustomMetadata = isKVv2 && vault.supportsVersion(PageController.i18nKeys.constants.VAULT_MIN_VERSION.CUSTOM_METADATA);
+
+        // Check if the secret is saved to the same location it was loaded from.
+        const isSameLocation = editingSecret?.fullName === this.VaultUtils.getSecretFullPath(engine.name, subkeys);
+
+        // Keep everything needed to retry the save if someone else changed the secret meanwhile.
+        this.pendingSave = {
+          engine,
+          subkeys,
+          data,
+          saltKey,
+          // The data originally loaded in the form is the common base for a merge.
+          base: (isSameLocation) ? editingSecret.data : null,
+          customMetadata: (saveCustomMetadata) ? this.getCustomMetadataFromForm() : null,
+          loadedCustomMetadata: (isSameLocation) ? editingSecret.customMetadata : null
+        };
 
-        // Encrypt token if it exists.
-        if (data.token) {
-          data.token = await this.VaultCrypto.encrypt(data.token, saltKey);
-        }
+        await this.writeSecret(vault, this.getCheckAndSetOptions(engine, subkeys, editingSecret));
+      }
+    } catch (error) {
+      this.hideSavingMessage();
+      this.notification.error(error);
+    }
+  }
 
-        // Initialize Vault client.
-        const vault = this.vaultFactory.create(await this.storage.getUrl(), token);
+  /**
+   * Builds the check-and-set option for the save operation (KVv2 only).
+   * When editing, the version loaded in the form is expected. When creating a secret,
+   * or saving it to another location, the secret must not exist yet (cas = 0).
+   * @param {object} engine - The engine object where the secret will be stored.
+   * @param {string[]} subkeys - An array of sub-paths forming the path to the secret.
+   * @param {object|null} editingSecret - The secret being edited, or null for new secrets.
+   * @returns {object} The write options to send to Vault.
+   */
+  getCheckAndSetOptions(engine, subkeys, editingSecret) {
+    if (engine?.options?.version !== '2') {
+      return {};
+    }
 
-        // Call Vault to add or update the secret.
-        await vault.addSecret(engine, subkeys, data);
+    const fullName = this.VaultUtils.getSecretFullPath(engine.name, subkeys);
 
-        // Show success notification.
-        this.notification.info(this.I18n.getMessage('ui_message_save_success'));
+    if ((editingSecret?.fullName === fullName) && (editingSecret.version !== undefined)) {
+      return { cas: editingSecret.version };
+    }
+
+    return { cas: 0 };
+  }
 
-        // Redirect back to secrets list with search context.
-        this.redirectToSecretsPage();
+  /**
+   * Encrypts and writes the pending secret to Vault, then goes back to the list.
+   * If the check-and-set is rejected, the conflict dialog is shown instead.
+   * @async
+   * @param {Vault} vault - The Vault instance used to save the secret.
+   * @param {object} options - The write options to send to Vault.
+   * @param {object} [data=this.pendingSave.data] - The decrypted data to save.
+   * @returns {Promise<void>}
+   */
+  async writeSecret(vault, options, data = this.pendingSave.data) {
+    const { engine, subkeys, saltKey } = this.pendingSave;
+
+    try {
+      // Encrypt sensitive fields before saving.
+      const encryptedData = await this.encryptSecretData(data, saltKey, vault, engine);
+
+      // Call Vault to add or update the secret.
+      await vault.addSecret(engine, subkeys, encryptedData, options);
+
+      // A new secret must be found by the next search, so its folder is listed again on the search index.
+      await this.refreshSecretIndex(await this.storage.getProfileId(), { engine, subkeys: subkeys.slice(0, -1) });
+
+      // The metadata is not versioned with the data, so it is only written when it was changed.
+      const { customMetadata, loadedCustomMetadata } = this.pendingSave;
+      if (customMetadata && !this.VaultUtils.isSameCustomMetadata(customMetadata, loadedCustomMetadata)) {
+        await vault.updateSecretMetadata(engine, subkeys, customMetadata);
+      }
+
+      // Show success notification.
+      this.notification.info(this.I18n.getMessage('ui_message_save_success'));
+
+      // Redirect back to secrets list with search context.
+      this.redirectToSecretsPage();
+    } catch (error) {
+      if (vault.isCheckAndSetError(error)) {
+        await this.showConflict(vault);
+        return;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Reads the current value of the secret from Vault and shows the conflict dialog,
+   * comparing the server values with the values being saved.
+   * @async
+   * @param {Vault} vault - The Vault instance used to read the secret.
+   * @returns {Promise<void>}
+   */
+  async showConflict(vault) {
+    const { engine, subkeys, data, saltKey, base } = this.pendingSave;
+
+    // Get the latest version stored on the server.
+    const serverSecret = await vault.getSecretData(engine, subkeys);
+
+    // The secret may have been destroyed meanwhile, so it must not exist when saving again.
+    this.pendingSave.serverVersion = serverSecret?.metadata?.version ?? 0;
+
+    const theirs = (serverSecret?.data) ? await this.decryptSecretData(this.processObject(serverSecret.data), saltKey, vault, engine) : {};
+    const baseData = (base) ? await this.decryptSecretData(this.processObject(base), saltKey, vault, engine) : {};
+
+    const { merged, conflicts } = this.mergeSecretData(baseData, data, theirs);
+    this.pendingSave.merged = merged;
+
+    this.notification.clear();
+
+    this.showConflictDialog(data, theirs, conflicts);
+  }
+
+  /**
+   * Saves the values of the form, replacing the values changed on the server.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async overwriteConflict() {
+    await this.resolveConflict(this.pendingSave.data);
+  }
+
+  /**
+   * Saves the merge of the form values with the values changed on the server.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async mergeConflict() {
+    await this.resolveConflict(this.pendingSave.merged);
+  }
+
+  /**
+   * Saves the chosen data, expecting the server version shown in the conflict dialog.
+   * @async
+   * @param {object} data - The decrypted data to save.
+   * @returns {Promise<void>}
+   */
+  async resolveConflict(data) {
+    try {
+      this.hideConflictDialog();
+      this.showSavingMessage();
+
+      const token = await this.storage.getToken();
+
+      // Validate the token before proceeding.
+      if (!this.VaultUtils.isTokenValid(token)) {
+        this.redirectToLoginPage();
+        return;
       }
+
+      const vault = this.vaultFactory.create(await this.storage.getUrl(), token, await this.storage.getNamespace());
+
+      await this.writeSecret(vault, { cas: this.pendingSave.serverVersion }, data);
     } catch (error) {
       this.hideSavingMessage();
       this.notification.error(error);
     }
   }
 
+  /**
+   * Closes the conflict dialog without saving, keeping the values in the form.
+   * @returns {void}
+   */
+  cancelConflict() {
+    this.pendingSave = null;
+
+    this.hideConflictDialog();
+    this.hideSavingMessage();
+  }
+
   /**
    * Retrieves the currently editing secret or returns null for new secrets.
    * Checks if there's a secret name in the query string to determine
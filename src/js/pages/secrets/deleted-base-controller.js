@@ -0,0 +1,146 @@
+import { PageBaseController } from '../../ui/page-base-controller.js';
+
+export class PageController extends PageBaseController {
+
+  /**
+   * Constants and I18n keys that are specific to the page.
+   * @private
+   * @static
+   * @readonly
+   */
+  static i18nKeys = {
+    constants: {
+      ...PageBaseController.i18nKeys.constants // Inherit all base constants.
+    },
+    messages: {
+      ...PageBaseController.i18nKeys.messages, // Inherit base messages.
+      UI_LABEL_VERSION: 'ui_label_version',
+      UI_LABEL_VERSION_DELETED: 'ui_label_version_deleted',
+      UI_MESSAGE_NO_DELETED_SECRETS: 'ui_message_no_deleted_secrets',
+      UI_CONFIRM_UNDELETE_SECRET: 'ui_confirm_undelete_secret',
+      UI_MESSAGE_UNDELETE_SECRET_SUCCESS: 'ui_message_undelete_secret_success',
+      UI_CONFIRM_DESTROY_SECRET: 'ui_confirm_destroy_secret',
+      UI_MESSAGE_DESTROY_SECRET_SUCCESS: 'ui_message_destroy_secret_success',
+      ERROR_SEARCH_COMPLETED_WITH_ERRORS: 'error_search_completed_with_errors'
+    },
+  };
+
+  /**
+   * Searches the sessions of all the profiles at once.
+   * @type {object|null}
+   */
+  vaultSessions;
+
+  /**
+   * Constructor that accepts dependencies and passes them to the base class.
+   * @param {object} dependencies - The injected dependencies.
+   */
+  constructor(dependencies) {
+    super(dependencies);
+
+    // Extract specific dependencies this controller needs.
+    this.vaultSessions = dependencies.vaultSessions;
+  }
+
+  /**
+   * Gets the search input element from the page.
+   * @returns {HTMLInputElement|null} The search input element, or null if not found.
+   */
+  getInputSearch() {
+    return this.getElementById('search');
+  }
+
+  /**
+   * Gets the search button element from the page.
+   * @returns {HTMLButtonElement|null} The search button element, or null if not found.
+   */
+  getButtonSearch() {
+    return this.getElementById('button_search');
+  }
+
+  /**
+   * Gets the 'Back' button element from the page.
+   * @returns {HTMLButtonElement|null} The 'Back' button element, or null if not found.
+   */
+  getButtonBack() {
+    return this.getElementById('button_back');
+  }
+
+  /**
+   * Gets the container element where the list of deleted secrets is rendered.
+   * @returns {HTMLDivElement|null} The deleted secrets container, or null if not found.
+   */
+  getDeletedList() {
+    return this.getElementById('deleted_list');
+  }
+
+  /**
+   * Gets the template `<ul>` element that holds the list of deleted secrets.
+   * @returns {HTMLUListElement|null} The deleted list template, or null if not found.
+   */
+  getDeletedListTemplate() {
+    return this.getElementById('deleted_list_template');
+  }
+
+  /**
+   * Gets the template element for a single deleted secret in the list.
+   * This is cloned for each deleted secret to be displayed.
+   * @returns {HTMLLIElement|null} The deleted secret template, or null if not found.
+   */
+  getDeletedTemplate() {
+    return this.getElementById('deleted_template');
+  }
+
+  /**
+   * Retrieves the 'search' parameter from the URL query string.
+   * @returns {string|null} The value of the 'search' parameter, or null if not present.
+   */
+  getSearchFromQueryString() {
+    return this.getQueryString('search');
+  }
+
+  /**
+   * Validates a given form element from the recently deleted page.
+   * @param {HTMLElement} element - The HTML element to validate.
+   * @returns {{isValid: boolean, errorMessage?: string}} An object indicating if the element's value is valid.
+   */
+  isValid(element) {
+    if (element) {
+      if (element.id === 'search') {
+        return {
+          // Regex: ^(.)+$ - Requires at least one character.
+          isValid: this.isValidElement(element.value, /^(.)+$/gi),
+          errorMessage: ''
+        };
+      }
+    }
+
+    return {
+      isValid: false,
+      errorMessage: ''
+    };
+  }
+
+  /**
+   * Sets the focus on the search input field.
+   * @returns {void}
+   */
+  setFocusOnFirstElementOrFirstEmpty() {
+    this.form.setFocusOnFirstElementOrFirstEmpty([this.getInputSearch()]);
+  }
+
+  /**
+   * Builds the body text of a deleted secret, e.g. "Version 3 | Deleted: 01/01/2025 10:00:00".
+   * @param {object} secret - The deleted secret returned by Vault.getDeletedSecretsByText.
+   * @returns {string} The body text.
+   */
+  getDeletedSecretBody(secret) {
+    const messages = PageController.i18nKeys.messages;
+
+    const version = `${this.I18n.getMessage(messages.UI_LABEL_VERSION)} ${secret.version}`;
+    const deleted = `${this.I18n.getMessage(messages.UI_LABEL_VERSION_DELETED)}: ${new Date(secret.deletionTime).toLocaleString()}`;
+
+    return `${version} | ${deleted}`;
+  }
+
+}
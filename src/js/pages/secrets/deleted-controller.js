@@ -0,0 +1,233 @@
+import { PageController } from './deleted-base-controller.js';
+import { dependencies } from '../../services/secrets.js';
+
+// Initialize controller when i18n translation is complete.
+document.addEventListener('i18nReady', () => {
+  // Create the instance of the Controller with the necessary dependencies.
+  const controller = new DeletedSecretsController(dependencies);
+
+  // Execute the main controller logic.
+  controller.main();
+}, false);
+
+class DeletedSecretsController extends PageController {
+
+  /**
+   * State variables for the controller.
+   */
+  isMergedSearch = false;
+
+  /**
+   * Constructor that accepts dependencies and passes them to the base controller.
+   * @param {object} dependencies - The injected dependencies.
+   */
+  constructor(dependencies) {
+    super(dependencies);
+  }
+
+  /**
+   * Main entry point called after i18n translation is complete.
+   * Validates the stored token and either shows the recently deleted page
+   * or redirects to login if the token is invalid.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async main() {
+    try {
+      const token = await this.storage.getToken();
+      if (this.VaultUtils.isTokenValid(token)) {
+        await this.showPage();
+      } else {
+        this.redirectToLoginPage();
+      }
+    } catch (error) {
+      this.notification.error(error);
+    }
+  }
+
+  /**
+   * Initializes the recently deleted page by setting up the event listeners.
+   * If the list page sent a search text, the search starts immediately.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async showPage() {
+    const inputSearch = this.getInputSearch();
+    const btnSearch = this.getButtonSearch();
+    const btnBack = this.getButtonBack();
+
+    this.form.addEnterKeydownListener(inputSearch, btnSearch);
+
+    this.form.addClickListener(btnSearch, this.searchDeletedSecrets.bind(this));
+    this.form.addClickListener(btnBack, this.redirectToSecretsPage.bind(this));
+
+    const searchFromQueryString = this.getSearchFromQueryString();
+    if (searchFromQueryString) {
+      this.form.setValue(inputSearch, searchFromQueryString);
+
+      btnSearch.click();
+    }
+
+    this.setFocusOnFirstElementOrFirstEmpty();
+  }
+
+  /**
+   * Searches for deleted secrets matching the search text and renders them.
+   * The sessions of all the profiles are searched, like on the list page, so a secret deleted on another cluster is found.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async searchDeletedSecrets() {
+    try {
+      this.notification.clear();
+
+      const search = this.getInputSearch();
+
+      if (this.form.validate({ required: [search] }, this.isValid.bind(this))) {
+        const token = await this.storage.getToken();
+
+        // Ensure we have a valid token before proceeding.
+        if (!this.VaultUtils.isTokenValid(token)) {
+          this.redirectToLoginPage();
+          return;
+        }
+
+        this.form.disable(this.getButtonSearch());
+        this.notification.info(this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_CONNECTING), { removeOption: false });
+
+        this.form.clear(this.getDeletedList());
+
+        const result = await this.vaultSessions.getDeletedSecretsByText(this.getAllSubdomains(search.value));
+
+        this.isMergedSearch = (result.sessions.length > 1);
+
+        this.form.enable(this.getButtonSearch());
+        this.notification.clear();
+
+        this.displayDeletedSecrets(result.secrets);
+
+        // Display notifications for any errors that occurred during the search.
+        if (result.errors.length > 0) {
+          const errorMessages = result.errors.map(e => `[${e.type} - ${e.engine}] ${e.reason || e.error}`).join(', ');
+
+          throw new Error(this.I18n.getMessage(PageController.i18nKeys.messages.ERROR_SEARCH_COMPLETED_WITH_ERRORS, [result.errors.length, errorMessages]));
+        }
+      }
+    } catch (error) {
+      this.form.enable(this.getButtonSearch());
+
+      this.notification.clear().error(error);
+    }
+  }
+
+  /**
+   * Renders the list of deleted secrets, cloning the template for each one.
+   * @param {Array<object>} secrets - The deleted secrets returned by VaultSessions.getDeletedSecretsByText.
+   * @returns {void}
+   */
+  displayDeletedSecrets(secrets) {
+    if (secrets.length === 0) {
+      this.notification.info(this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_NO_DELETED_SECRETS));
+      return;
+    }
+
+    const newList = this.getDeletedListTemplate().cloneNode();
+    // Clear the ID to avoid duplicates.
+    newList.id = '';
+
+    for (const secret of secrets) {
+      const secretElement = this.getDeletedTemplate().cloneNode(true);
+      // Clear the ID to avoid duplicates.
+      secretElement.id = '';
+
+      // The cluster is shown when more than one is searched, like on the list page.
+      const displayName = this.VaultUtils.getSecretDisplayName(secret);
+      const secretName = (this.isMergedSearch) ? `[${secret.session.name}] ${displayName}` : displayName;
+
+      this.form.setValue(secretElement.querySelector('.list_item_text_title'), this.form.cutTextAfter(secretName));
+      this.form.setValue(secretElement.querySelector('.list_item_text_body'), this.getDeletedSecretBody(secret));
+
+      // Button index 0 is the main list item button, 1 is undelete and 2 is destroy.
+      const buttons = secretElement.getElementsByTagName('button');
+
+      this.form.addClickListener(buttons[1], this.undeleteSecret.bind(this, secret));
+      this.form.addClickListener(buttons[2], this.destroySecret.bind(this, secret));
+
+      newList.appendChild(secretElement);
+    }
+
+    this.getDeletedList().appendChild(newList);
+    this.form.show(newList);
+  }
+
+  /**
+   * Restores the deleted version of a secret.
+   * It confirms the action with the user and searches again afterwards.
+   * @async
+   * @param {object} secret - The deleted secret to restore.
+   * @returns {Promise<void>}
+   */
+  async undeleteSecret(secret) {
+    const messages = PageController.i18nKeys.messages;
+
+    await this.changeSecret(secret, messages.UI_CONFIRM_UNDELETE_SECRET, messages.UI_MESSAGE_UNDELETE_SECRET_SUCCESS,
+      (vault, subkeys) => vault.undeleteSecret(secret.engine, subkeys, [secret.version]));
+  }
+
+  /**
+   * Permanently destroys a secret with all of its versions.
+   * It confirms the action with the user and searches again afterwards.
+   * @async
+   * @param {object} secret - The deleted secret to destroy.
+   * @returns {Promise<void>}
+   */
+  async destroySecret(secret) {
+    const messages = PageController.i18nKeys.messages;
+
+    await this.changeSecret(secret, messages.UI_CONFIRM_DESTROY_SECRET, messages.UI_MESSAGE_DESTROY_SECRET_SUCCESS,
+      async (vault, subkeys) => {
+        await vault.destroySecret(secret.engine, subkeys);
+
+        // A destroyed secret is not listed anymore, so its folder is listed again on the search index of its session.
+        await this.refreshSecretIndex(secret.session.profileId, { engine: secret.engine, subkeys: subkeys.slice(0, -1) });
+      });
+  }
+
+  /**
+   * Confirms an action on a deleted secret, executes it on the cluster of the secret and reloads the list.
+   * @async
+   * @param {object} secret - The deleted secret.
+   * @param {string} confirmMessageKey - The i18n key of the confirmation message.
+   * @param {string} successMessageKey - The i18n key of the success message.
+   * @param {function(Vault, string[]): Promise<Response>} action - The Vault operation to execute.
+   * @returns {Promise<void>}
+   */
+  async changeSecret(secret, confirmMessageKey, successMessageKey, action) {
+    try {
+      // Get the token of the session where the secret was found.
+      const token = await secret.session.storage.getToken();
+
+      // Ensure we have a valid token before proceeding.
+      if (!this.VaultUtils.isTokenValid(token)) {
+        this.redirectToLoginPage();
+        return;
+      }
+
+      if (confirm(this.I18n.getMessage(confirmMessageKey, [secret.fullName]))) {
+        // Build the path array required for the Vault API call.
+        const subkeys = this.VaultUtils.getSubKeys(secret.path, secret.name);
+
+        // The secret is changed on the cluster it was found on.
+        await action(secret.session.vault, subkeys);
+
+        // Do a new search to reload the page.
+        await this.searchDeletedSecrets();
+
+        this.notification.info(this.I18n.getMessage(successMessageKey, [secret.fullName]), { removeOption: true });
+      }
+    } catch (error) {
+      this.notification.clear().error(error);
+    }
+  }
+
+}
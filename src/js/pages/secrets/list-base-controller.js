@@ -13,20 +13,33 @@ export class PageController extends PageBaseController {
       ...PageBaseController.i18nKeys.constants, // Inherit all base constants.
       SECRET_LIST_PAGE_ID_PATTERN: 'secret_list_page_',
       ELEMENTS_PER_PAGE: 4,
-      MAXIMUM_NUMBER_OF_PAGINATION_BUTTONS: 11
+      MAXIMUM_NUMBER_OF_PAGINATION_BUTTONS: 11,
+      LOAD_PAGE_DATA_CONCURRENCY: 6
     },
     messages: {
       ...PageBaseController.i18nKeys.messages, // Inherit base messages.
       UI_CONFIRM_DELETE_SECRET: 'ui_confirm_delete_secret',
       UI_MESSAGE_DELETE_SECRET_SUCCESS: 'ui_message_delete_secret_success',
+      UI_CONFIRM_SOFT_DELETE_SECRET: 'ui_confirm_soft_delete_secret',
+      UI_MESSAGE_SOFT_DELETE_SECRET_SUCCESS: 'ui_message_soft_delete_secret_success',
+      UI_MESSAGE_SECRET_DELETED: 'ui_message_secret_deleted',
+      UI_MESSAGE_SEARCH_CANCELLED: 'ui_message_search_cancelled',
+      UI_MESSAGE_SEARCH_PROGRESS: 'ui_message_search_progress',
+      UI_MESSAGE_SEARCH_INDEX_AGE: 'ui_message_search_index_age',
       UI_LABEL_USER: 'ui_label_user',
       UI_TOOLTIP_BUTTON_COPY_PASSWORD: 'ui_tooltip_button_copy_password',
       UI_LABEL_TOKEN: 'ui_label_token',
       UI_TOOLTIP_BUTTON_COPY_TOKEN: 'ui_tooltip_button_copy_token',
+      UI_TOOLTIP_CAPABILITY_MISSING: 'ui_tooltip_capability_missing',
       UI_MESSAGE_INVALID_ATTRIBUTES: 'ui_message_invalid_attributes',
+      UI_LABEL_OWNER: 'ui_label_input_secret_owner',
+      UI_LABEL_URL: 'ui_label_input_secret_url',
+      UI_LABEL_TAGS: 'ui_label_input_secret_tags',
+      UI_LABEL_ROTATION_DUE: 'ui_label_rotation_due',
       ERROR_MESSAGE_HANDLING_FAILED: 'error_message_handling_failed',
       ERROR_LOAD_PAGE_DATA_FAILED: 'error_load_page_data_failed',
-      ERROR_SEARCH_COMPLETED_WITH_ERRORS: 'error_search_completed_with_errors'
+      ERROR_SEARCH_COMPLETED_WITH_ERRORS: 'error_search_completed_with_errors',
+      ERROR_SEARCH_INTERRUPTED: 'error_search_interrupted'
     },
   };
 
@@ -54,6 +67,18 @@ export class PageController extends PageBaseController {
    */
   HTMLReplacer;
 
+  /**
+   * Searches the sessions of all the profiles at once.
+   * @type {object|null}
+   */
+  vaultSessions;
+
+  /**
+   * Storage of the last search, restored when the popup is opened again.
+   * @type {object|null}
+   */
+  searchStorage;
+
   /**
    * Constructor that accepts dependencies and passes them to the base class.
    * @param {object} dependencies - The injected dependencies.
@@ -66,6 +91,8 @@ export class PageController extends PageBaseController {
     this.pagination = dependencies.pagination;
     this.PromisePool = dependencies.PromisePool;
     this.HTMLReplacer = dependencies.HTMLReplacer;
+    this.vaultSessions = dependencies.vaultSessions;
+    this.searchStorage = dependencies.searchStorage;
   }
 
   /**
@@ -76,6 +103,14 @@ export class PageController extends PageBaseController {
     return this.getElementById('search');
   }
 
+  /**
+   * Gets the tag filter input element from the page.
+   * @returns {HTMLInputElement|null} The tag filter input element, or null if not found.
+   */
+  getInputSearchTag() {
+    return this.getElementById('search_tag');
+  }
+
   /**
    * Gets the search button element from the page.
    * @returns {HTMLButtonElement|null} The search button element, or null if not found.
@@ -84,6 +119,30 @@ export class PageController extends PageBaseController {
     return this.getElementById('button_search');
   }
 
+  /**
+   * Gets the 'Cancel search' button element from the page.
+   * @returns {HTMLButtonElement|null} The 'Cancel search' button element, or null if not found.
+   */
+  getButtonCancelSearch() {
+    return this.getElementById('button_cancel_search');
+  }
+
+  /**
+   * Gets the element that shows the progress of the search in progress.
+   * @returns {HTMLSpanElement|null} The progress element, or null if not found.
+   */
+  getSearchProgress() {
+    return this.getElementById('search_progress');
+  }
+
+  /**
+   * Gets the element that shows the age of the search index the last search was answered from.
+   * @returns {HTMLSpanElement|null} The index age element, or null if not found.
+   */
+  getSearchIndexAge() {
+    return this.getElementById('search_index_age');
+  }
+
   /**
    * Gets the 'New Secret' button element from the page.
    * @returns {HTMLButtonElement|null} The 'New Secret' button element, or null if not found.
@@ -92,6 +151,14 @@ export class PageController extends PageBaseController {
     return this.getElementById('button_new_secret');
   }
 
+  /**
+   * Gets the 'Recently Deleted' button element from the page.
+   * @returns {HTMLButtonElement|null} The 'Recently Deleted' button element, or null if not found.
+   */
+  getButtonDeletedSecrets() {
+    return this.getElementById('button_deleted_secrets');
+  }
+
   /**
    * Gets the main container element where the list of secrets is rendered.
    * @returns {HTMLDivElement|null} The secrets list container, or null if not found.
@@ -150,6 +217,14 @@ export class PageController extends PageBaseController {
     return this.getQueryString('search');
   }
 
+  /**
+   * Retrieves the 'tag' parameter from the URL query string.
+   * @returns {string|null} The value of the 'tag' parameter, or null if not present.
+   */
+  getTagFromQueryString() {
+    return this.getQueryString('tag');
+  }
+
   /**
    * Retrieves the 'page' parameter from the URL query string.
    * @returns {string|null} The value of the 'page' parameter, or null if not present.
@@ -165,7 +240,7 @@ export class PageController extends PageBaseController {
    */
   isValid(element) {
     if (element) {
-      if (element.id === 'search') {
+      if ((element.id === 'search') || (element.id === 'search_tag')) {
         return this.isValidSearch(element.value);
       }
     }
@@ -218,6 +293,17 @@ export class PageController extends PageBaseController {
     return { startIndex, endIndex };
   }
 
+  /**
+   * Checks whether an element is inside the visible area of the window, even partially.
+   * @param {HTMLElement} element - The element to check.
+   * @returns {boolean} True if the element can be seen without scrolling.
+   */
+  isInViewport(element) {
+    const rect = element.getBoundingClientRect();
+
+    return (rect.height > 0) && (rect.bottom > 0) && (rect.top < window.innerHeight);
+  }
+
   /**
    * Calculates the total number of pages needed based on available secrets.
    * Used by pagination component to determine how many page buttons to show.
@@ -250,19 +336,64 @@ export class PageController extends PageBaseController {
   }
 
   /**
-   * Shows search loading state by disabling the search button and displaying a loading message.
+   * Shows search loading state by disabling the search button, showing the cancel button and displaying a loading message.
    */
   showSearchLoading() {
     this.form.disable(this.getButtonSearch());
+    this.form.show(this.getButtonCancelSearch());
+    this.form.hide(this.getSearchIndexAge());
 
     this.notification.info(this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_CONNECTING), { removeOption: false });
   }
 
   /**
-   * Hides search loading state by enabling the search button and clearing notifications.
+   * Shows the progress of the search in progress: the engines and folders done and pending.
+   * Nothing is shown while no engine is being crawled (e.g., only indexed sessions are searched).
+   * @param {{enginesDone: number, enginesTotal: number, foldersDone: number, foldersPending: number}} progress - The progress.
+   */
+  showSearchProgress(progress) {
+    const element = this.getSearchProgress();
+
+    if (progress.enginesTotal === 0) {
+      this.form.hide(element);
+      return;
+    }
+
+    this.form.setValue(element, this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_SEARCH_PROGRESS, [
+      progress.enginesDone,
+      progress.enginesTotal,
+      progress.foldersDone,
+      progress.foldersPending
+    ]));
+    this.form.show(element);
+  }
+
+  /**
+   * Shows how old the search index the search was answered from is, because the secrets created outside the extension
+   * since its last refresh are not found. Nothing is shown when every session was crawled.
+   * @param {number|null} updatedTime - The time of the last refresh of the oldest index searched, or null if there is none.
+   */
+  showSearchIndexAge(updatedTime) {
+    const element = this.getSearchIndexAge();
+
+    if (!updatedTime) {
+      this.form.hide(element);
+      return;
+    }
+
+    const minutes = Math.max(0, Math.round((Date.now() - updatedTime) / (60 * 1000)));
+
+    this.form.setValue(element, this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_SEARCH_INDEX_AGE, [minutes]));
+    this.form.show(element);
+  }
+
+  /**
+   * Hides search loading state by enabling the search button, hiding the cancel button and the progress, and clearing notifications.
    */
   hideSearchLoading() {
     this.form.enable(this.getButtonSearch());
+    this.form.hide(this.getButtonCancelSearch());
+    this.form.hide(this.getSearchProgress());
 
     this.notification.clear();
   }
@@ -287,6 +418,38 @@ export class PageController extends PageBaseController {
     return isNaN(pageNumber) ? 1 : Number(pageNumber);
   }
 
+  /**
+   * Builds the details text of a secret from its KVv2 custom metadata,
+   * e.g. "Owner: team-a | Tags: database, prod | Rotation due".
+   * @param {object} secret - The secret object, including the metadata returned by Vault.
+   * @returns {string} The details text, or an empty string if the secret has no custom metadata.
+   */
+  getSecretDetailsText(secret) {
+    const messages = PageController.i18nKeys.messages;
+    const { owner, url, tags, rotationDays } = this.VaultUtils.extractCustomMetadata(secret.metadata?.custom_metadata);
+
+    const details = [];
+
+    if (owner) {
+      details.push(`${this.I18n.getMessage(messages.UI_LABEL_OWNER)}: ${owner}`);
+    }
+
+    if (tags.length > 0) {
+      details.push(`${this.I18n.getMessage(messages.UI_LABEL_TAGS)}: ${tags.join(', ')}`);
+    }
+
+    if (url) {
+      details.push(`${this.I18n.getMessage(messages.UI_LABEL_URL)}: ${url}`);
+    }
+
+    // The created time of the current version is when the secret was last changed.
+    if (this.VaultUtils.isRotationDue(secret.metadata?.created_time, rotationDays)) {
+      details.push(this.I18n.getMessage(messages.UI_LABEL_ROTATION_DUE));
+    }
+
+    return details.join(' | ');
+  }
+
   /**
    * Creates a basic key-value map for HTML template replacement.
    * @param {string} title - The title text to replace __template_title__.
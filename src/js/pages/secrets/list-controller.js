@@ -24,6 +24,18 @@ class ListSecretsController extends PageController {
   // Global list of secrets.
   listSecrets = [];
 
+  // True when the secrets were found on more than one cluster, so each one is labelled with its cluster.
+  isMergedSearch = false;
+
+  // Cancels the requests of the search in progress, if any.
+  searchAbortController = null;
+
+  // Stops loading the data of the page displayed before, when another page is displayed.
+  pageLoadAbortController = null;
+
+  // The text and tag of the last search, saved with the page displayed so they are restored when the popup is opened again.
+  lastSearch = null;
+
   /**
    * Constructor that accepts dependencies and passes them to the base controller.
    * @param {object} dependencies - The injected dependencies.
@@ -69,11 +81,16 @@ class ListSecretsController extends PageController {
     const btnNewSecret = this.getButtonNewSecret();
 
     this.form.addEnterKeydownListener(inputSearch, btnSearch);
+    this.form.addEnterKeydownListener(this.getInputSearchTag(), btnSearch);
 
     this.form.addClickListener(btnSearch, this.searchSecret.bind(this));
 
+    this.form.addClickListener(this.getButtonCancelSearch(), this.cancelSearch.bind(this));
+
     this.form.addClickListener(btnNewSecret, this.newSecret.bind(this));
 
+    this.form.addClickListener(this.getButtonDeletedSecrets(), this.showDeletedSecrets.bind(this));
+
     this.setFocusOnFirstElementOrFirstEmpty();
 
     await this.listSecretBasedOnCurrentPage();
@@ -81,12 +98,34 @@ class ListSecretsController extends PageController {
 
   /**
    * Lists secrets based on the current page's context.
-   * It determines the appropriate search text (from the URL or active tab)
+   * It determines the appropriate search text (from the URL, the last search or the active tab)
    * and triggers the search.
    * @async
    * @returns {Promise<void>}
    */
   async listSecretBasedOnCurrentPage() {
+    const tagFromQueryString = this.getTagFromQueryString();
+
+    if (tagFromQueryString) {
+      // The search text is optional when filtering by tag, so it is not replaced by the hostname.
+      this.form.setValue(this.getInputSearchTag(), tagFromQueryString);
+      this.form.setValue(this.getInputSearch(), this.getSearchFromQueryString() || '');
+
+      this.getButtonSearch()?.click();
+      return;
+    }
+
+    // The popup is closed as soon as it loses the focus, so a recent search is restored on the page it was.
+    const lastSearch = (this.getSearchFromQueryString()) ? null : await this.getRecentLastSearch();
+
+    if (lastSearch) {
+      this.form.setValue(this.getInputSearch(), lastSearch.text);
+      this.form.setValue(this.getInputSearchTag(), lastSearch.tag);
+
+      await this.searchSecret(null, lastSearch.pageNumber);
+      return;
+    }
+
     const searchText = await this.getSearchText();
 
     if (searchText) {
@@ -113,6 +152,43 @@ class ListSecretsController extends PageController {
     }
   }
 
+  /**
+   * Gets the last search, if it was used recently enough to be restored.
+   * @async
+   * @returns {Promise<{text: string, tag: string, pageNumber: number, time: number}|null>} The last search, or null.
+   */
+  async getRecentLastSearch() {
+    try {
+      const lastSearch = await this.searchStorage.getLastSearch();
+      const maxAge = PageController.i18nKeys.constants.BACKGROUND_SEARCH.MAX_AGE_MINUTES * 60 * 1000;
+
+      return (lastSearch && (Date.now() - lastSearch.time < maxAge)) ? lastSearch : null;
+    } catch (error) {
+      this.logger.info(`Could not read the last search: ${error.message}`);
+
+      return null;
+    }
+  }
+
+  /**
+   * Saves the last search with the page displayed, so they are restored when the popup is opened again.
+   * Failures are only logged, because the search itself is not affected.
+   * @async
+   * @param {number} pageNumber - The page displayed.
+   * @returns {Promise<void>}
+   */
+  async saveLastSearch(pageNumber) {
+    if (!this.lastSearch) {
+      return;
+    }
+
+    try {
+      await this.searchStorage.setLastSearch({ ...this.lastSearch, pageNumber, time: Date.now() });
+    } catch (error) {
+      this.logger.info(`Could not save the last search: ${error.message}`);
+    }
+  }
+
   /**
    * Handles the search operation for secrets, triggered by a user event.
    * Validates the search input and initiates the search process, including pagination.
@@ -126,33 +202,69 @@ class ListSecretsController extends PageController {
       this.notification.clear();
 
       const search = this.getInputSearch();
+      const searchTag = this.getInputSearchTag();
 
-      const result = this.form.validate({ required: [search] }, this.isValid.bind(this));
+      // When filtering by tag, the search text is optional and an empty text matches every secret.
+      const elements = (searchTag.value) ? { required: [searchTag], optional: [search] } : { required: [search] };
+
+      const result = this.form.validate(elements, this.isValid.bind(this));
       if (result) {
+        this.searchAbortController = new AbortController();
+        const signal = this.searchAbortController.signal;
+
+        pageNumber = this.getPageNumber(pageNumber);
+
+        this.lastSearch = { text: search.value, tag: searchTag.value };
+        await this.saveLastSearch(pageNumber);
+
         this.showSearchLoading();
 
-        await this.searchSecretsByText(search.value, this.getPageNumber(pageNumber));
+        await this.searchSecretsByText(search.value, pageNumber, searchTag.value, signal);
 
         this.hideSearchLoading();
+
+        if (signal.aborted) {
+          this.notification.info(this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_SEARCH_CANCELLED, [this.listSecrets.length]));
+        }
       }
     } catch (error) {
       this.hideSearchLoading();
 
       this.notification.error(error);
     } finally {
+      this.searchAbortController = null;
+
       this.setFocusOnFirstElementOrFirstEmpty();
     }
   }
 
+  /**
+   * Cancels the search in progress, aborting all its requests on every cluster.
+   * The search runs in the background service worker, which is asked to cancel it.
+   * The secrets found before the cancellation are still displayed.
+   * @returns {void}
+   */
+  cancelSearch() {
+    this.searchAbortController?.abort();
+  }
+
   /**
    * Searches for secrets in Vault using the provided text query.
    * Retrieves secrets matching the search text, including subdomains, and displays them.
+   * The sessions of all the profiles are searched, and their results are merged.
+   * The search runs in the background service worker, so it goes on if the popup is closed, and a search of the
+   * same query that is still running or finished recently is resumed, with the secrets found so far.
+   * The secrets are displayed as soon as they are found, while the slower engines are still crawled.
+   * Each new batch is added after the secrets already displayed, so the list never reorders under the user.
    * @async
    * @param {string} text - The search text used to find matching secrets.
    * @param {number} pageNumber - The page number to display.
+   * @param {string} [tag=''] - An optional tag. When informed, only the KVv2 secrets with this tag are displayed.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the search. The secrets found
+   * before the cancellation are displayed.
    * @returns {Promise<void>}
    */
-  async searchSecretsByText(text, pageNumber) {
+  async searchSecretsByText(text, pageNumber, tag = '', signal = null) {
     const token = await this.storage.getToken();
 
     // Ensure we have a valid token before proceeding.
@@ -166,24 +278,27 @@ class ListSecretsController extends PageController {
     this.form.clear(this.getPaginationBar());
     this.listSecrets = [];
 
-    // Get the username for the current session.
-    const username = await this.storage.getUsername();
     // Expand search text to include subdomains (if applicable) for better matching.
     text = this.getAllSubdomains(text);
 
-    // Initialize Vault client.
-    const vault = this.vaultFactory.create(await this.storage.getUrl(), token);
+    /**
+     * Displays the secrets found so far and the progress of the search.
+     * @param {{secrets: Array<object>, progress: object}} update - The new secrets and the progress of the search.
+     */
+    const onProgress = ({ secrets, progress }) => {
+      this.isMergedSearch = (progress.clusters > 1);
+
+      this.showSearchProgress(progress);
+      this.appendSecrets(secrets, pageNumber);
+    };
 
-    // Search for secrets matching the username and expanded text.
-    const result = await vault.getSecretsByText(username, text);
+    // Search for secrets matching the username of each session and expanded text, filtering by tag if requested.
+    // The sessions that were crawled are indexed by the background service worker, so their next searches are instant.
+    const result = await this.searchInBackground(text, tag, signal, onProgress);
 
-    // Display secrets if any were found.
-    if (result.secrets.length > 0) {
-      // Reset it, to make sure we don't mix secrets from different searches.
-      this.listSecrets = result.secrets;
+    this.isMergedSearch = (result.clusters > 1);
 
-      this.createAndDisplaySecretsPage(pageNumber);
-    }
+    this.showSearchIndexAge(result.indexUpdatedTime);
 
     // Display notifications for any errors that occurred during the search.
     if (result.errors.length > 0) {
@@ -195,6 +310,99 @@ class ListSecretsController extends PageController {
     }
   }
 
+  /**
+   * Runs a search in the background service worker and receives its messages through a port.
+   * The secrets are received without their session, which is found again by the ID of its profile.
+   * @async
+   * @param {string | string[]} text - The search text or an array of search terms.
+   * @param {string} tag - The tag to look for, or an empty string.
+   * @param {AbortSignal | null} signal - A signal that cancels the search in the background.
+   * @param {function({secrets: Array<object>, progress: object}): void} onProgress - Called with the secrets found,
+   * with their session, and the progress of the search.
+   * @returns {Promise<{errors: Array<object>, clusters: number, cancelled: boolean, indexUpdatedTime: number|null}>}
+   * A promise resolving with the errors of the search, the number of clusters searched and the time of the last refresh
+   * of the oldest index searched, or rejecting if the search failed or was interrupted.
+   */
+  async searchInBackground(text, tag, signal, onProgress) {
+    const { BACKGROUND_SEARCH, REQUEST_MESSAGE_ID } = PageController.i18nKeys.constants;
+
+    const sessions = new Map((await this.vaultSessions.getSessions()).map(session => [session.profileId, session]));
+
+    return new Promise((resolve, reject) => {
+      const port = this.getBrowserHandler().runtime.connect({ name: BACKGROUND_SEARCH.PORT_NAME });
+
+      const cancel = () => port.postMessage({ message: REQUEST_MESSAGE_ID.SEARCH_CANCEL });
+      signal?.addEventListener('abort', cancel);
+
+      port.onMessage.addListener((response) => {
+        if (response?.message === REQUEST_MESSAGE_ID.SEARCH_PROGRESS) {
+          // The secrets of a session closed meanwhile can not be read, so they are not displayed.
+          const secrets = response.secrets
+            .filter(secret => sessions.has(secret.profileId))
+            .map(({ profileId, ...secret }) => ({ ...secret, session: sessions.get(profileId) }));
+
+          onProgress({ secrets, progress: response.progress });
+        } else if (response?.message === REQUEST_MESSAGE_ID.SEARCH_DONE) {
+          signal?.removeEventListener('abort', cancel);
+          port.disconnect();
+
+          if (response.error) {
+            reject(new Error(response.error));
+          } else {
+            resolve(response);
+          }
+        }
+      });
+
+      // The port is only disconnected by the background if the service worker is stopped before the search ends.
+      port.onDisconnect.addListener(() => {
+        signal?.removeEventListener('abort', cancel);
+
+        reject(new Error(this.I18n.getMessage(PageController.i18nKeys.messages.ERROR_SEARCH_INTERRUPTED)));
+      });
+
+      port.postMessage({ message: REQUEST_MESSAGE_ID.SEARCH_START, text, tag });
+    });
+  }
+
+  /**
+   * Adds newly found secrets after the ones already displayed.
+   * The first secrets found create and display the requested page. The next ones are added to the page
+   * they belong to, if it was already created, and the pagination bar and the displayed page are updated.
+   * @param {Array<object>} secrets - The new secrets.
+   * @param {number} [pageNumber=1] - The page to display when the first secrets are found.
+   * @returns {void}
+   */
+  appendSecrets(secrets, pageNumber = 1) {
+    if (secrets.length === 0) {
+      return;
+    }
+
+    const startIndex = this.listSecrets.length;
+    this.listSecrets.push(...secrets);
+
+    if (startIndex === 0) {
+      this.createAndDisplaySecretsPage(pageNumber);
+      return;
+    }
+
+    try {
+      const elementsPerPage = PageController.i18nKeys.constants.ELEMENTS_PER_PAGE;
+
+      // The pages not created yet get their secrets when they are displayed.
+      for (let index = startIndex; index < this.listSecrets.length; index++) {
+        const pageElement = document.getElementById(PageController.i18nKeys.constants.SECRET_LIST_PAGE_ID_PATTERN + (Math.floor(index / elementsPerPage) + 1));
+
+        pageElement?.appendChild(this.createSecretElement(this.listSecrets[index]));
+      }
+
+      // Update the pagination bar and load the data of the new secrets of the displayed page.
+      this.displaySecretsOfPage(this.currentDisplayingPageNumber);
+    } catch (error) {
+      this.notification.error(error);
+    }
+  }
+
   /**
    * Orchestrates the display of retrieved secrets.
    * Inserts the secrets into the DOM and displays the specified page.
@@ -256,24 +464,46 @@ class ListSecretsController extends PageController {
 
     // Create DOM elements only for secrets that belong to this page.
     secretsForThisPage.forEach(secret => {
-      const secretElement = secretTemplate.cloneNode(true);
-      // Clear the ID to avoid duplicates.
-      secretElement.id = '';
-
-      // Mark secret as not loaded yet - detailed data will be fetched when page is displayed.
-      secret.isLoaded = false;
-
-      // Populate the element with basic secret information (name, path, etc.).
-      this.replaceHTMLWithBasicData(secretElement, secret);
-
       // Add this secret element to the current page.
-      newPage.appendChild(secretElement);
+      newPage.appendChild(this.createSecretElement(secret, secretTemplate));
     });
 
     // Add the completed page to the DOM.
     secretList.appendChild(newPage);
   }
 
+  /**
+   * Creates the HTML element of a secret, with its basic information only.
+   * Its detailed data is fetched when its page is displayed.
+   * @param {object} secret - The secret object.
+   * @param {HTMLElement} [secretTemplate] - The template to clone. It is read from the page when omitted.
+   * @returns {HTMLElement} The element of the secret.
+   */
+  createSecretElement(secret, secretTemplate = this.getSecretTemplate()) {
+    const secretElement = secretTemplate.cloneNode(true);
+    // Clear the ID to avoid duplicates.
+    secretElement.id = '';
+
+    // Mark secret as not loaded yet - detailed data will be fetched when page is displayed.
+    secret.isLoaded = false;
+
+    // Populate the element with basic secret information (name, path, etc.).
+    this.replaceHTMLWithBasicData(secretElement, secret);
+
+    return secretElement;
+  }
+
+  /**
+   * Displays the page of secrets chosen on the pagination bar, and saves it with the last search.
+   * @param {number} pageNumber - The page number to display.
+   * @returns {void}
+   */
+  changeSecretsPage(pageNumber) {
+    this.createAndDisplaySecretsPage(pageNumber);
+
+    this.saveLastSearch(pageNumber);
+  }
+
   /**
    * Displays a specific page of secrets and manages pagination controls.
    * It also triggers the loading of detailed data for the secrets on the visible page.
@@ -295,7 +525,7 @@ class ListSecretsController extends PageController {
     const totalPages = this.calculateTotalPages(this.listSecrets.length, PageController.i18nKeys.constants.ELEMENTS_PER_PAGE);
 
     // Create pagination bar with calculated total pages (not DOM child count)
-    this.createPaginationBar(totalPages, pageNumber, this.createAndDisplaySecretsPage.bind(this), PageController.i18nKeys.constants.MAXIMUM_NUMBER_OF_PAGINATION_BUTTONS);
+    this.createPaginationBar(totalPages, pageNumber, this.changeSecretsPage.bind(this), PageController.i18nKeys.constants.MAXIMUM_NUMBER_OF_PAGINATION_BUTTONS);
 
     // Handle page switching: hide current page if we're switching to a different one
     if (this.currentDisplayingPageNumber != pageNumber) {
@@ -306,16 +536,119 @@ class ListSecretsController extends PageController {
       this.currentDisplayingPageNumber = pageNumber;
     }
 
+    // Show the requested page.
+    this.form.show(pageElement);
+
     // Load detailed data for secrets on this page if not already loaded (username, password, etc.)
+    // The page is shown first, so the secrets that can be seen without scrolling are loaded first.
     this.loadPageData(pageNumber);
 
-    // Show the requested page.
-    this.form.show(pageElement);
+    // Disable the actions the token is not allowed to do on the secrets of this page.
+    this.loadPageCapabilities(pageNumber);
+  }
+
+  /**
+   * Finds the secret of a DOM element in the list of secrets, using the data attributes of the element.
+   * The same full name may exist in more than one child namespace and in more than one cluster.
+   * @param {HTMLElement} secretElement - The DOM element for a single secret in the list.
+   * @returns {object|undefined} The secret object, or undefined if it is not in the list.
+   */
+  getSecretOfElement(secretElement) {
+    const { fullName, namespace, profileId } = secretElement.dataset;
+
+    return this.listSecrets.find((x) => (x.fullName === fullName) && ((x.engine?.namespace || '') === namespace) && (x.session.profileId === profileId));
+  }
+
+  /**
+   * Reads the capabilities of the token on the secrets of a page that were not checked yet,
+   * and disables the edit and delete buttons of the secrets the token is not allowed to change.
+   * The secrets of each cluster and namespace are checked with a single request to sys/capabilities-self.
+   * Any failure is ignored, the buttons stay enabled and Vault still refuses the actions that are not allowed.
+   * @async
+   * @param {number} pageNumber - The page number to check.
+   * @returns {Promise<void>}
+   */
+  async loadPageCapabilities(pageNumber) {
+    const pageElement = document.getElementById(PageController.i18nKeys.constants.SECRET_LIST_PAGE_ID_PATTERN + pageNumber);
+    if (!pageElement) {
+      return;
+    }
+
+    // The secrets to check, grouped by the cluster and the namespace they were found on.
+    const groups = new Map();
+
+    for (const secretElement of pageElement.children) {
+      const secret = this.getSecretOfElement(secretElement);
+
+      // The capabilities are only read once for each secret. Null means they are being read or could not be read.
+      if (!secret || secret.capabilities !== undefined) {
+        continue;
+      }
+
+      secret.capabilities = null;
+
+      const namespace = secret.engine?.namespace || '';
+      const key = JSON.stringify([secret.session.profileId, namespace]);
+
+      if (!groups.has(key)) {
+        groups.set(key, { vault: secret.session.vault, namespace, items: [] });
+      }
+
+      groups.get(key).items.push({ secretElement, secret, path: this.getSecretDataPath(secret) });
+    }
+
+    for (const { vault, namespace, items } of groups.values()) {
+      try {
+        const capabilities = await vault.getCapabilities([...new Set(items.map(item => item.path))], namespace);
+
+        for (const { secretElement, secret, path } of items) {
+          secret.capabilities = capabilities?.[path] ?? null;
+
+          this.applySecretCapabilities(secretElement, secret, path);
+        }
+      } catch (error) {
+        this.logger.error('Failed to read the capabilities of the secrets:', error);
+      }
+    }
+  }
+
+  /**
+   * Gets the API path of the data of a secret, which is the path its capabilities are checked on.
+   * @param {object} secret - The secret object.
+   * @returns {string} The path, relative to the namespace of the secret (e.g., "team/data/apps/github.com").
+   */
+  getSecretDataPath(secret) {
+    return this.VaultUtils.getSecretDataPath(secret.engine, this.VaultUtils.getSubKeys(secret.path, secret.name));
+  }
+
+  /**
+   * Disables the edit and delete buttons of a secret if the token does not have the capability they require,
+   * with a tooltip telling which capability is missing.
+   * @param {HTMLElement} element - The DOM element for the secret.
+   * @param {object} secret - The secret object, with its capabilities.
+   * @param {string} path - The path the capabilities were read on.
+   * @returns {void}
+   */
+  applySecretCapabilities(element, secret, path) {
+    const { UPDATE, DELETE } = PageController.i18nKeys.constants.CAPABILITY;
+    const buttons = element.getElementsByTagName('button');
+
+    // Edit (4) writes the secret again and Delete (5) deletes it, on its data path.
+    const actions = [[buttons[4], UPDATE], [buttons[5], DELETE]];
+
+    for (const [button, capability] of actions) {
+      if (!this.VaultUtils.hasCapability(secret.capabilities, capability)) {
+        this.form.disable(button);
+        this.form.setTooltip(button, this.I18n.getMessage(PageController.i18nKeys.messages.UI_TOOLTIP_CAPABILITY_MISSING, [capability, path]));
+      }
+    }
   }
 
   /**
    * Loads detailed data for all secrets on a specific page if they haven't been loaded yet.
    * Uses PromisePool for parallel fetching with concurrency control for optimal performance.
+   * The secrets that can be seen without scrolling are loaded first, and a new load stops the previous one
+   * from starting the secrets it has not started yet (they are loaded again when their page is displayed).
    * Individual secret failures are handled gracefully without affecting other secrets.
    * @async
    * @param {number} pageNumber - The page number to load data for.
@@ -327,8 +660,8 @@ class ListSecretsController extends PageController {
       return;
     }
 
-    const token = await this.storage.getToken();
-    const vault = this.vaultFactory.create(await this.storage.getUrl(), token);
+    // Loading a page is a new operation, so the Vault of each cluster gets a new retry budget.
+    new Set(this.listSecrets.map(secret => secret.session.vault)).forEach(vault => vault.resetRetryBudget());
 
     /**
      * Processes a single secret element: fetches its data and updates the UI.
@@ -340,27 +673,34 @@ class ListSecretsController extends PageController {
      */
     const processSecret = async (secretElement, index) => {
       try {
-        // Extract secret information from the DOM element's data attribute.
         const fullName = secretElement.dataset.fullName;
 
-        // Find the secret in the global list using its full name.
-        const secret = this.listSecrets.find((x) => x.fullName === fullName);
+        // Find the secret in the global list using the data attributes of its element.
+        const secret = this.getSecretOfElement(secretElement);
 
         // Skip processing if the secret isn't found or its data is already loaded.
-        if (!secret || secret.isLoaded) {
+        // The page is loaded again when new secrets are added to it, while its first secrets may still be loading.
+        if (!secret || secret.isLoaded || secret.isLoading) {
           return { status: 'skipped', secretName: fullName, reason: 'Already loaded or not found' };
         }
 
         // Build the path array required for the Vault API call.
         const subkeys = this.VaultUtils.getSubKeys(secret.path, secret.name);
 
-        // Fetch the secret data. This is the asynchronous network call.
-        const secretData = await vault.getSecretData(secret.engine, subkeys);
+        // Fetch the secret data from the cluster where it was found. This is the asynchronous network call.
+        let secretData;
+        secret.isLoading = true;
+        try {
+          secretData = await secret.session.vault.getSecretData(secret.engine, subkeys);
+        } finally {
+          secret.isLoading = false;
+        }
 
         // If data is successfully retrieved, update the secret object and the UI.
         if (secretData) {
           // Inject data into secret object.
           secret.data = secretData.data;
+          secret.metadata = secretData.metadata;
 
           // Update the UI with the loaded secret data.
           this.updateSecretElementWithData(secretElement, secret);
@@ -378,9 +718,15 @@ class ListSecretsController extends PageController {
     // Convert the HTMLCollection of child elements to an array for PromisePool processing.
     const elementsToProcess = Array.from(pageElement.children);
 
-    // Use PromisePool to process secret elements with concurrency control (default: 6 concurrent requests).
+    // Use PromisePool to process secret elements with concurrency control.
     if (elementsToProcess.length > 0) {
-      const results = await this.PromisePool.process(elementsToProcess, processSecret);
+      this.pageLoadAbortController?.abort();
+      this.pageLoadAbortController = new AbortController();
+
+      const results = await this.PromisePool.process(elementsToProcess, processSecret, PageController.i18nKeys.constants.LOAD_PAGE_DATA_CONCURRENCY, {
+        signal: this.pageLoadAbortController.signal,
+        priority: (secretElement) => (this.isInViewport(secretElement)) ? 1 : 0
+      });
 
       // Log processing summary for debugging.
       const skipped = results.filter(r => r.status === 'skipped').length;
@@ -403,12 +749,23 @@ class ListSecretsController extends PageController {
 
   /**
    * Updates a secret's DOM element with its fully loaded data.
-   * It determines if the secret is a credential, a token, or has invalid attributes, and updates the UI accordingly.
+   * It determines if the secret is deleted, a credential, a token, or has invalid attributes, and updates the UI accordingly.
    * @param {HTMLElement} secretElement - The DOM element for the secret.
    * @param {object} secret - The full secret object, including its data.
    * @returns {void}
    */
   updateSecretElementWithData(secretElement, secret) {
+    // The latest version of a KVv2 secret may have been deleted, leaving only its metadata.
+    if (!secret.data && secret.metadata && (secret.metadata.destroyed || this.VaultUtils.isDeletionTimeReached(secret.metadata.deletion_time))) {
+      this.replaceHTMLWithDeleted(secretElement);
+
+      // Mark as loaded.
+      secret.isLoaded = true;
+      return;
+    }
+
+    this.replaceHTMLWithDetails(secretElement, secret);
+
     const usernameKeys = this.I18n.getMessage(PageController.i18nKeys.messages.CONFIG_SECRET_USERNAME_KEYS);
     const passwordKeys = this.I18n.getMessage(PageController.i18nKeys.messages.CONFIG_SECRET_PASSWORD_KEYS);
     const tokenKeys = this.I18n.getMessage(PageController.i18nKeys.messages.CONFIG_SECRET_TOKEN_KEYS);
@@ -440,7 +797,8 @@ class ListSecretsController extends PageController {
    * @returns {void}
    */
   replaceHTMLWithBasicData(element, secret) {
-    const secretName = this.form.cutTextAfter(secret.fullName);
+    const displayName = this.VaultUtils.getSecretDisplayName(secret);
+    const secretName = this.form.cutTextAfter((this.isMergedSearch) ? `[${secret.session.name}] ${displayName}` : displayName);
     const initialMessage = this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_LOADING);
 
     const keyValuesToReplace = this.getBasicKeyValuesToReplace(secretName, initialMessage);
@@ -448,14 +806,16 @@ class ListSecretsController extends PageController {
     // Store full name of the secret in the element.
     // This will be used to identify the secret later.
     element.dataset.fullName = secret.fullName;
+    element.dataset.namespace = secret.engine?.namespace || '';
+    element.dataset.profileId = secret.session.profileId;
 
     // Replace HTML content with the secret's basic data.
     this.replaceHtml(element, keyValuesToReplace);
 
     const buttons = element.getElementsByTagName('button');
 
-    // We only have 2 buttons: Edit (index 1) and Delete (index 2).
     // Button index 0 is the main list item button.
+    // The actions are: Copy user (1), Copy value (2), Versions (3), Edit (4) and Delete (5).
     for (let i = 0; i < buttons.length; i++) {
       const button = buttons[i];
 
@@ -468,10 +828,17 @@ class ListSecretsController extends PageController {
         case 2:
           break;
         case 3:
+          // Only KVv2 engines keep the version history of a secret.
+          if (secret.engine?.options?.version === '2') {
+            this.form.show(button);
+            callback = this.showSecretVersions.bind(this, secret);
+          }
+          break;
+        case 4:
           this.form.show(button);
           callback = this.editSecret.bind(this, secret);
           break;
-        case 4:
+        case 5:
           callback = this.deleteSecret.bind(this, secret);
           break;
       }
@@ -519,10 +886,13 @@ class ListSecretsController extends PageController {
           callback = this.copySecretToClipboard.bind(this, password, secret);
           break;
         case 3:
+          //callback = this.showSecretVersions.bind(this, secret);
+          break;
+        case 4:
           this.form.show(button);
           //callback = this.editSecret.bind(this, secret);
           break;
-        case 4:
+        case 5:
           //callback = this.deleteSecret.bind(this, secret);
           break;
       }
@@ -568,10 +938,13 @@ class ListSecretsController extends PageController {
           callback = this.copySecretToClipboard.bind(this, token, secret);
           break;
         case 3:
+          //callback = this.showSecretVersions.bind(this, secret);
+          break;
+        case 4:
           this.form.show(button);
           //callback = this.editSecret.bind(this, secret);
           break;
-        case 4:
+        case 5:
           //callback = this.deleteSecret.bind(this, secret);
           break;
       }
@@ -584,7 +957,7 @@ class ListSecretsController extends PageController {
 
   /**
    * Updates a secret's DOM element to indicate that it has missing or invalid attributes.
-   * Disables interactive buttons except for the delete button.
+   * Disables interactive buttons except for the versions and delete buttons.
    * @async
    * @param {HTMLElement} element - The DOM element for the secret.
    * @param {object} secret - The full secret object.
@@ -608,10 +981,14 @@ class ListSecretsController extends PageController {
         case 0:
         case 1:
         case 2:
-        case 3:
+        case 4:
           this.form.hide(button);
           break;
-        case 4:
+        case 3:
+          // The versions stay available, an older version may still have valid attributes.
+          //callback = this.showSecretVersions.bind(this, secret);
+          break;
+        case 5:
           //callback = this.deleteSecret.bind(this, secret);
           break;
       }
@@ -622,6 +999,64 @@ class ListSecretsController extends PageController {
     }
   }
 
+  /**
+   * Updates a secret's DOM element to indicate that its latest version was deleted.
+   * Only the versions button stays available, so an older version can still be restored.
+   * @param {HTMLElement} element - The DOM element for the secret.
+   * @returns {void}
+   */
+  replaceHTMLWithDeleted(element) {
+    const deletedMessage = this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_SECRET_DELETED);
+
+    const keyValuesToReplace = this.getKeyValuesToReplace(deletedMessage);
+
+    this.replaceHtml(element, keyValuesToReplace);
+
+    const buttons = element.getElementsByTagName('button');
+
+    for (let i = 0; i < buttons.length; i++) {
+      // Keep only the versions button (index 3).
+      if (i !== 3) {
+        this.form.hide(buttons[i]);
+      }
+    }
+  }
+
+  /**
+   * Displays the owner, tags, URL and rotation state of a secret, stored in its KVv2 custom metadata.
+   * The details line stays hidden when the secret has no custom metadata.
+   * @param {HTMLElement} element - The DOM element for the secret.
+   * @param {object} secret - The full secret object, including its metadata.
+   * @returns {void}
+   */
+  replaceHTMLWithDetails(element, secret) {
+    const detailsElement = element.querySelector('.list_item_text_details');
+    const details = this.getSecretDetailsText(secret);
+
+    if (details) {
+      this.form.setValue(detailsElement, this.form.cutTextAfter(details, 80));
+      this.form.show(detailsElement);
+    } else {
+      this.form.hide(detailsElement);
+    }
+  }
+
+  /**
+   * Decrypts a secret value (password or token) with the session the secret was found in:
+   * its passphrase, or its token for a value encrypted by the Transit engine.
+   * @async
+   * @param {string} text - The encrypted text.
+   * @param {object} secret - The secret object, used to get the salt and the session.
+   * @returns {Promise<string>} The decrypted value.
+   */
+  async decryptSecretValue(text, secret) {
+    return this.VaultCrypto.decrypt(text, secret.fullName, {
+      vault: secret.session.vault,
+      namespace: secret.engine?.namespace,
+      passphrase: await secret.session.storage.getPassphrase()
+    });
+  }
+
   /**
    * Decrypts a secret value (password or token) and copies it to the clipboard.
    * @async
@@ -631,7 +1066,7 @@ class ListSecretsController extends PageController {
    */
   async copySecretToClipboard(text, secret) {
     try {
-      this.copyStringToClipboard(await this.VaultCrypto.decrypt(text, secret.fullName));
+      this.copyStringToClipboard(await this.decryptSecretValue(text, secret));
     } catch (error) {
       this.notification.clear().error(error);
     }
@@ -665,7 +1100,7 @@ class ListSecretsController extends PageController {
       this.fillContentInPage({
         message: PageController.i18nKeys.constants.REQUEST_MESSAGE_ID.FILL_CREDENTIALS_IN_PAGE,
         username,
-        password: await this.VaultCrypto.decrypt(password, secret.fullName)
+        password: await this.decryptSecretValue(password, secret)
       });
     } catch (error) {
       this.notification.clear().error(error);
@@ -684,7 +1119,7 @@ class ListSecretsController extends PageController {
     try {
       this.fillContentInPage({
         message: PageController.i18nKeys.constants.REQUEST_MESSAGE_ID.FILL_TOKEN_IN_PAGE,
-        token: await this.VaultCrypto.decrypt(token, secret.fullName)
+        token: await this.decryptSecretValue(token, secret)
       });
     } catch (error) {
       this.notification.clear().error(error);
@@ -755,6 +1190,9 @@ class ListSecretsController extends PageController {
 
       url = `${url}&search=${encodeURIComponent(search.value)}`;
       url = `${url}&page=${encodeURIComponent(this.currentDisplayingPageNumber)}`;
+      url = `${url}&tag=${encodeURIComponent(this.getInputSearchTag().value)}`;
+      url = `${url}&namespace=${encodeURIComponent(secret.engine?.namespace || '')}`;
+      url = `${url}&profile=${encodeURIComponent(secret.session.profileId)}`;
 
       // Redirect to the edit page.
       location.href = url;
@@ -763,18 +1201,55 @@ class ListSecretsController extends PageController {
     }
   }
 
+  /**
+   * Handles showing the version history of a secret by navigating to the versions page.
+   * Constructs the URL with the secret's full name and current search context,
+   * so the list can be restored when the user goes back.
+   * @async
+   * @param {object} secret - The secret object containing its full name.
+   * @returns {Promise<void>}
+   */
+  async showSecretVersions(secret) {
+    try {
+      let url = `${this.Link.SecretsVersions}?secretname=${encodeURIComponent(secret.fullName)}`;
+
+      const search = this.getInputSearch();
+
+      url = `${url}&search=${encodeURIComponent(search.value)}`;
+      url = `${url}&page=${encodeURIComponent(this.currentDisplayingPageNumber)}`;
+      url = `${url}&tag=${encodeURIComponent(this.getInputSearchTag().value)}`;
+      url = `${url}&namespace=${encodeURIComponent(secret.engine?.namespace || '')}`;
+      url = `${url}&profile=${encodeURIComponent(secret.session.profileId)}`;
+
+      // Redirect to the versions page.
+      location.href = url;
+    } catch (error) {
+      this.notification.error(error);
+    }
+  }
+
+  /**
+   * Navigates to the recently deleted page, keeping the current search text.
+   * @returns {void}
+   */
+  showDeletedSecrets() {
+    const search = this.getInputSearch();
+
+    location.href = `${this.Link.SecretsDeleted}?search=${encodeURIComponent(search.value)}`;
+  }
+
   /**
    * Handles the deletion of a secret.
    * It confirms the action with the user, then calls the Vault API to delete the secret
-   * and reloads the list.
+   * and reloads the list. On KVv2 engines the secret can be recovered from the recently deleted page.
    * @async
    * @param {object} secret - The secret object to delete.
    * @returns {Promise<void>}
    */
   async deleteSecret(secret) {
     try {
-      // Get the current token.
-      const token = await this.storage.getToken();
+      // Get the token of the session where the secret was found.
+      const token = await secret.session.storage.getToken();
 
       // Ensure we have a valid token before proceeding.
       if (!this.VaultUtils.isTokenValid(token)) {
@@ -782,24 +1257,33 @@ class ListSecretsController extends PageController {
         return;
       }
 
+      // KVv2 engines only soft-delete the latest version, while KVv1 engines delete the secret permanently.
+      const isSoftDelete = secret.engine?.options?.version === '2';
+
       // Get the delete message with the secret's full name.
-      let message = this.I18n.getMessage(PageController.i18nKeys.messages.UI_CONFIRM_DELETE_SECRET, [secret.fullName]);
+      let message = this.I18n.getMessage(isSoftDelete
+        ? PageController.i18nKeys.messages.UI_CONFIRM_SOFT_DELETE_SECRET
+        : PageController.i18nKeys.messages.UI_CONFIRM_DELETE_SECRET, [secret.fullName]);
 
       if (confirm(message)) {
         // Build the path array required for the Vault API call.
         const subkeys = this.VaultUtils.getSubKeys(secret.path, secret.name);
 
-        // Initialize Vault client.
-        const vault = this.vaultFactory.create(await this.storage.getUrl(), token);
+        // Call the Vault of the cluster where the secret was found to delete it.
+        await secret.session.vault.deleteSecret(secret.engine, subkeys);
 
-        // Call Vault to delete the secret.
-        await vault.deleteSecret(secret.engine, subkeys);
+        // A soft-deleted secret is still listed, so only a permanent deletion changes the search index.
+        if (!isSoftDelete) {
+          await this.refreshSecretIndex(secret.session.profileId, { engine: secret.engine, subkeys: subkeys.slice(0, -1) });
+        }
 
         // Do a new search to reload the page.
         await this.searchSecret(null, this.currentDisplayingPageNumber);
 
         // Get the success message with the secret's full name.
-        message = this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_DELETE_SECRET_SUCCESS, [secret.fullName]);
+        message = this.I18n.getMessage(isSoftDelete
+          ? PageController.i18nKeys.messages.UI_MESSAGE_SOFT_DELETE_SECRET_SUCCESS
+          : PageController.i18nKeys.messages.UI_MESSAGE_DELETE_SECRET_SUCCESS, [secret.fullName]);
 
         // Notify the user of successful deletion.
         this.notification.info(message, { removeOption: true });
@@ -0,0 +1,182 @@
+import { PageBaseController } from '../../ui/page-base-controller.js';
+
+export class PageController extends PageBaseController {
+
+  /**
+   * Constants and I18n keys that are specific to the page.
+   * @private
+   * @static
+   * @readonly
+   */
+  static i18nKeys = {
+    constants: {
+      ...PageBaseController.i18nKeys.constants // Inherit all base constants.
+    },
+    messages: {
+      ...PageBaseController.i18nKeys.messages, // Inherit base messages.
+      UI_LABEL_USER: 'ui_label_user',
+      UI_LABEL_PASSWORD: 'ui_label_input_password',
+      UI_LABEL_TOKEN: 'ui_label_token',
+      UI_LABEL_VERSION: 'ui_label_version',
+      UI_LABEL_VERSION_CURRENT: 'ui_label_version_current',
+      UI_LABEL_VERSION_CREATED: 'ui_label_version_created',
+      UI_LABEL_VERSION_DELETED: 'ui_label_version_deleted',
+      UI_LABEL_VERSION_DESTROYED: 'ui_label_version_destroyed',
+      UI_MESSAGE_INVALID_ATTRIBUTES: 'ui_message_invalid_attributes',
+      UI_CONFIRM_RESTORE_VERSION: 'ui_confirm_restore_version',
+      UI_MESSAGE_RESTORE_VERSION_SUCCESS: 'ui_message_restore_version_success',
+      UI_MESSAGE_RESTORE_VERSION_CONFLICT: 'ui_message_restore_version_conflict',
+      ERROR_SECRET_LOAD_FAILED: 'error_secret_load_failed'
+    },
+  };
+
+  /**
+   * Crypto service for encryption and decryption operations.
+   * @type {object|null}
+   */
+  VaultCrypto;
+
+  /**
+   * Constructor that accepts dependencies and passes them to the base class.
+   * @param {object} dependencies - The injected dependencies.
+   */
+  constructor(dependencies) {
+    super(dependencies);
+
+    // Extract specific dependencies this controller needs.
+    this.VaultCrypto = dependencies.VaultCrypto;
+
+    // A secret found in the session of another profile (e.g., another cluster) is handled with that session.
+    const profileId = this.getProfileFromQueryString();
+    if (profileId !== null) {
+      this.storage = this.storage.forProfile(profileId);
+    }
+  }
+
+  /**
+   * Gets the element that displays the full name of the secret.
+   * @returns {HTMLSpanElement|null} The secret name element, or null if not found.
+   */
+  getSecretName() {
+    return this.getElementById('secret_name');
+  }
+
+  /**
+   * Gets the container element where the list of versions is rendered.
+   * @returns {HTMLDivElement|null} The versions list container, or null if not found.
+   */
+  getVersionList() {
+    return this.getElementById('version_list');
+  }
+
+  /**
+   * Gets the template `<ul>` element that holds the list of versions.
+   * @returns {HTMLUListElement|null} The version list template, or null if not found.
+   */
+  getVersionListTemplate() {
+    return this.getElementById('version_list_template');
+  }
+
+  /**
+   * Gets the template element for a single version in the list.
+   * This is cloned for each version to be displayed.
+   * @returns {HTMLLIElement|null} The version item template, or null if not found.
+   */
+  getVersionTemplate() {
+    return this.getElementById('version_template');
+  }
+
+  /**
+   * Gets the 'Back' button element from the page.
+   * @returns {HTMLButtonElement|null} The 'Back' button element, or null if not found.
+   */
+  getButtonBack() {
+    return this.getElementById('button_back');
+  }
+
+  /**
+   * Retrieves the 'secretname' parameter from the URL query string.
+   * @returns {string|null} The value of the 'secretname' parameter, or null if not present.
+   */
+  getSecretNameFromQueryString() {
+    return this.getQueryString('secretname');
+  }
+
+  /**
+   * Retrieves the 'namespace' parameter from the URL query string.
+   * It holds the child namespace of the secret's engine, and is empty for the namespace of the session.
+   * @returns {string} The value of the 'namespace' parameter, or an empty string if not present.
+   */
+  getNamespaceFromQueryString() {
+    return this.getQueryString('namespace') || '';
+  }
+
+  /**
+   * Retrieves the 'profile' parameter from the URL query string.
+   * It holds the ID of the profile whose session found the secret, and is empty for the session without a profile.
+   * @returns {string|null} The value of the 'profile' parameter, or null if not present.
+   */
+  getProfileFromQueryString() {
+    return this.getQueryString('profile');
+  }
+
+  /**
+   * Formats a date returned by Vault (RFC 3339) using the browser's locale.
+   * @param {string} value - The date string returned by Vault.
+   * @returns {string} The localized date, or an empty string if the value is empty.
+   */
+  formatDate(value) {
+    if (!value) {
+      return '';
+    }
+
+    return new Date(value).toLocaleString();
+  }
+
+  /**
+   * Builds the title text of a version item, e.g. "Version 3 (current)".
+   * @param {object} version - The version object returned by Vault.getSecretVersions.
+   * @returns {string} The title text.
+   */
+  getVersionTitle(version) {
+    let title = `${this.I18n.getMessage(PageController.i18nKeys.messages.UI_LABEL_VERSION)} ${version.version}`;
+
+    if (version.isCurrent) {
+      title = `${title} (${this.I18n.getMessage(PageController.i18nKeys.messages.UI_LABEL_VERSION_CURRENT)})`;
+    }
+
+    return title;
+  }
+
+  /**
+   * Builds the body text of a version item with its created, deleted or destroyed state.
+   * @param {object} version - The version object returned by Vault.getSecretVersions.
+   * @returns {string} The body text.
+   */
+  getVersionBody(version) {
+    const messages = PageController.i18nKeys.messages;
+
+    if (version.destroyed) {
+      return this.I18n.getMessage(messages.UI_LABEL_VERSION_DESTROYED);
+    }
+
+    let body = `${this.I18n.getMessage(messages.UI_LABEL_VERSION_CREATED)}: ${this.formatDate(version.createdTime)}`;
+
+    if (version.isDeleted) {
+      body = `${body} | ${this.I18n.getMessage(messages.UI_LABEL_VERSION_DELETED)}: ${this.formatDate(version.deletionTime)}`;
+    }
+
+    return body;
+  }
+
+  /**
+   * Checks if the data of a version can still be read from Vault.
+   * Deleted and destroyed versions do not return any data.
+   * @param {object} version - The version object returned by Vault.getSecretVersions.
+   * @returns {boolean} True if the version can be read, false otherwise.
+   */
+  isVersionReadable(version) {
+    return !version.destroyed && !version.isDeleted;
+  }
+
+}
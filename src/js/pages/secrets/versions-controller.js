@@ -0,0 +1,347 @@
+import { PageController } from './versions-base-controller.js';
+import { dependencies } from '../../services/secrets.js';
+
+// Initialize controller when i18n translation is complete.
+document.addEventListener('i18nReady', () => {
+  // Create the instance of the Controller with the necessary dependencies.
+  const controller = new SecretVersionsController(dependencies);
+
+  // Execute the main controller logic.
+  controller.main();
+}, false);
+
+class SecretVersionsController extends PageController {
+
+  /**
+   * State variables for the controller.
+   */
+  secret = null;
+  subkeys = null;
+  currentVersion = null;
+
+  /**
+   * Constructor that accepts dependencies and passes them to the base controller.
+   * @param {object} dependencies - The injected dependencies.
+   */
+  constructor(dependencies) {
+    super(dependencies);
+  }
+
+  /**
+   * Main entry point called after i18n translation is complete.
+   * Validates the stored token and either shows the versions page
+   * or redirects to login if the token is invalid.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async main() {
+    try {
+      const token = await this.storage.getToken();
+      if (this.VaultUtils.isTokenValid(token)) {
+        await this.showPage();
+      } else {
+        this.redirectToLoginPage();
+      }
+    } catch (error) {
+      this.notification.error(error);
+    }
+  }
+
+  /**
+   * Initializes the versions page by setting up the event listeners
+   * and loading the version history of the secret from the query string.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async showPage() {
+    const btnBack = this.getButtonBack();
+
+    this.form.addClickListener(btnBack, this.redirectToSecretsPage.bind(this));
+
+    await this.loadVersions();
+  }
+
+  /**
+   * Loads the version history of the secret from Vault and renders it.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async loadVersions() {
+    try {
+      const token = await this.storage.getToken();
+
+      // Ensure we have a valid token before proceeding.
+      if (!this.VaultUtils.isTokenValid(token)) {
+        this.redirectToLoginPage();
+        return;
+      }
+
+      this.notification.info(this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_LOADING), { removeOption: false });
+
+      const secret = this.extractSecretFrom(this.getSecretNameFromQueryString() || '');
+      const namespace = this.getNamespaceFromQueryString();
+      this.form.setValue(this.getSecretName(), this.VaultUtils.getSecretDisplayName({ ...secret, engine: { namespace } }));
+
+      // Initialize Vault client.
+      const vault = this.vaultFactory.create(await this.storage.getUrl(), token, await this.storage.getNamespace());
+
+      // The engine object holds the KV version, which is required to build the endpoints.
+      const engines = await vault.getKVEngines(namespace);
+      const engine = engines.find((x) => x.name === `${secret.engine.name}/`);
+
+      if (!engine || !secret.name) {
+        throw new Error(this.I18n.getMessage(PageController.i18nKeys.messages.ERROR_SECRET_LOAD_FAILED, [secret.fullName]));
+      }
+
+      this.secret = { ...secret, engine };
+
+      // Build the path array required for the Vault API call.
+      this.subkeys = this.VaultUtils.getSubKeys(secret.path, secret.name);
+
+      const versions = await vault.getSecretVersions(engine, this.subkeys);
+
+      // The restore is based on the current version shown, so a change made after the page was loaded is not overwritten.
+      this.currentVersion = versions.find((x) => x.isCurrent)?.version ?? null;
+
+      this.displayVersions(versions);
+
+      this.notification.clear();
+    } catch (error) {
+      this.notification.clear().error(error);
+    }
+  }
+
+  /**
+   * Renders the list of versions, cloning the version template for each one.
+   * @param {Array<object>} versions - The versions returned by Vault.getSecretVersions.
+   * @returns {void}
+   */
+  displayVersions(versions) {
+    const versionList = this.getVersionList();
+    this.form.clear(versionList);
+
+    const newList = this.getVersionListTemplate().cloneNode();
+    // Clear the ID to avoid duplicates.
+    newList.id = '';
+
+    for (const version of versions) {
+      const versionElement = this.getVersionTemplate().cloneNode(true);
+      // Clear the ID to avoid duplicates.
+      versionElement.id = '';
+
+      this.replaceHTMLWithVersion(versionElement, version);
+
+      newList.appendChild(versionElement);
+    }
+
+    versionList.appendChild(newList);
+    this.form.show(newList);
+  }
+
+  /**
+   * Populates a version's DOM element and sets up its action buttons.
+   * Button index 0 shows the value, index 1 copies it and index 2 restores the version.
+   * @param {HTMLElement} element - The DOM element for the version.
+   * @param {object} version - The version object.
+   * @returns {void}
+   */
+  replaceHTMLWithVersion(element, version) {
+    this.form.setValue(element.querySelector('.list_item_text_title'), this.getVersionTitle(version));
+    this.form.setValue(element.querySelector('.list_item_text_body'), this.getVersionBody(version));
+
+    const isReadable = this.isVersionReadable(version);
+    const buttons = element.getElementsByTagName('button');
+
+    for (let i = 0; i < buttons.length; i++) {
+      const button = buttons[i];
+
+      let callback;
+      switch (i) {
+        case 0:
+          if (isReadable) {
+            callback = this.toggleVersionValue.bind(this, element, version);
+          } else {
+            this.form.disable(button);
+          }
+          break;
+        case 1:
+          if (isReadable) {
+            this.form.show(button);
+            callback = this.copyVersionToClipboard.bind(this, version);
+          }
+          break;
+        case 2:
+          // There is no reason to restore the version that is already the current one.
+          if (isReadable && !version.isCurrent) {
+            this.form.show(button);
+            callback = this.restoreVersion.bind(this, version);
+          }
+          break;
+      }
+
+      if (callback) {
+        this.form.addClickListener(button, callback);
+      }
+    }
+  }
+
+  /**
+   * Reads the data of a specific version from Vault, caching it in the version object.
+   * @async
+   * @param {object} version - The version object.
+   * @returns {Promise<object>} The key-value data of the version.
+   * @throws {Error} If the version data could not be read.
+   */
+  async getVersionData(version) {
+    if (version.data) {
+      return version.data;
+    }
+
+    const token = await this.storage.getToken();
+    const vault = this.vaultFactory.create(await this.storage.getUrl(), token, await this.storage.getNamespace());
+
+    const secretData = await vault.getSecretData(this.secret.engine, this.subkeys, version.version);
+
+    if (!secretData?.data) {
+      throw new Error(this.I18n.getMessage(PageController.i18nKeys.messages.ERROR_SECRET_LOAD_FAILED, [this.secret.fullName]));
+    }
+
+    version.data = secretData.data;
+
+    return version.data;
+  }
+
+  /**
+   * Gets the decrypted values (user, password and token) of a specific version.
+   * @async
+   * @param {object} version - The version object.
+   * @returns {Promise<{user: string|null, password: string|null, token: string|null}>} The decrypted values.
+   */
+  async getDecryptedValues(version) {
+    const messages = PageController.i18nKeys.messages;
+    const data = await this.getVersionData(version);
+
+    const user = this.getValueIfDataHasKey(data, this.I18n.getMessage(messages.CONFIG_SECRET_USERNAME_KEYS));
+    const password = this.getValueIfDataHasKey(data, this.I18n.getMessage(messages.CONFIG_SECRET_PASSWORD_KEYS));
+    const token = this.getValueIfDataHasKey(data, this.I18n.getMessage(messages.CONFIG_SECRET_TOKEN_KEYS));
+
+    // The full name of the secret is the salt used by every encryption version.
+    // A value encrypted by the Transit engine is sent to Vault, in the namespace of the engine.
+    const vault = this.vaultFactory.create(await this.storage.getUrl(), await this.storage.getToken(), await this.storage.getNamespace());
+    const options = { vault, namespace: this.secret.engine?.namespace, passphrase: await this.storage.getPassphrase() };
+
+    return {
+      user: user,
+      password: (password) ? await this.VaultCrypto.decrypt(password, this.secret.fullName, options) : null,
+      token: (token) ? await this.VaultCrypto.decrypt(token, this.secret.fullName, options) : null
+    };
+  }
+
+  /**
+   * Shows or hides the decrypted value of a version in its body text.
+   * @async
+   * @param {HTMLElement} element - The DOM element for the version.
+   * @param {object} version - The version object.
+   * @returns {Promise<void>}
+   */
+  async toggleVersionValue(element, version) {
+    try {
+      const messages = PageController.i18nKeys.messages;
+      const body = element.querySelector('.list_item_text_body');
+
+      if (element.dataset.showValue) {
+        delete element.dataset.showValue;
+
+        this.form.setValue(body, this.getVersionBody(version));
+        return;
+      }
+
+      const { user, password, token } = await this.getDecryptedValues(version);
+
+      let text;
+      if ((user) && (password)) {
+        text = `${this.I18n.getMessage(messages.UI_LABEL_USER)}: ${user} | ${this.I18n.getMessage(messages.UI_LABEL_PASSWORD)}: ${password}`;
+      } else if (token) {
+        text = `${this.I18n.getMessage(messages.UI_LABEL_TOKEN)}: ${token}`;
+      } else {
+        text = this.I18n.getMessage(messages.UI_MESSAGE_INVALID_ATTRIBUTES);
+      }
+
+      element.dataset.showValue = 'true';
+      this.form.setValue(body, text);
+    } catch (error) {
+      this.notification.clear().error(error);
+    }
+  }
+
+  /**
+   * Decrypts the password or token of a version and copies it to the clipboard.
+   * @async
+   * @param {object} version - The version object.
+   * @returns {Promise<void>}
+   */
+  async copyVersionToClipboard(version) {
+    try {
+      const { password, token } = await this.getDecryptedValues(version);
+
+      const value = password || token;
+      if (!value) {
+        throw new Error(this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_INVALID_ATTRIBUTES));
+      }
+
+      await this.copyValueToClipboard(value);
+    } catch (error) {
+      this.notification.clear().error(error);
+    }
+  }
+
+  /**
+   * Restores an older version as the new current version of the secret.
+   * It confirms the action with the user and reloads the version list afterwards.
+   * When the secret was changed after the list was loaded, the list is reloaded and nothing is restored.
+   * @async
+   * @param {object} version - The version object to restore.
+   * @returns {Promise<void>}
+   */
+  async restoreVersion(version) {
+    let vault;
+
+    try {
+      const token = await this.storage.getToken();
+
+      // Ensure we have a valid token before proceeding.
+      if (!this.VaultUtils.isTokenValid(token)) {
+        this.redirectToLoginPage();
+        return;
+      }
+
+      let message = this.I18n.getMessage(PageController.i18nKeys.messages.UI_CONFIRM_RESTORE_VERSION, [version.version, this.secret.fullName]);
+
+      if (confirm(message)) {
+        // Initialize Vault client.
+        vault = this.vaultFactory.create(await this.storage.getUrl(), token, await this.storage.getNamespace());
+
+        // The data is written as it is, so the encrypted values stay valid for the same full name.
+        await vault.restoreSecretVersion(this.secret.engine, this.subkeys, version.version, this.currentVersion);
+
+        // Reload the list to show the new current version.
+        await this.loadVersions();
+
+        message = this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_RESTORE_VERSION_SUCCESS, [version.version]);
+
+        this.notification.info(message, { removeOption: true });
+      }
+    } catch (error) {
+      if (vault?.isCheckAndSetError(error)) {
+        // Show the versions saved meanwhile, so the user can decide again.
+        await this.loadVersions();
+
+        this.notification.clear().error(this.I18n.getMessage(PageController.i18nKeys.messages.UI_MESSAGE_RESTORE_VERSION_CONFLICT, [this.secret.fullName]));
+        return;
+      }
+
+      this.notification.clear().error(error);
+    }
+  }
+
+}
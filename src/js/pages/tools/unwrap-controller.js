@@ -98,7 +98,7 @@ class UnwrapController extends PageController {
         this.showLoading();
 
         // Create a new Vault instance using the stored URL and user token.
-        const vault = this.vaultFactory.create(await this.storage.getUrl(), token);
+        const vault = this.vaultFactory.create(await this.storage.getUrl(), token, await this.storage.getNamespace());
 
         // Get the hash value entered in the form by the user.
         const data = this.form.getValue(inputUnwrapHash);
@@ -136,7 +136,7 @@ class WrapController extends PageController {
         this.showLoading();
 
         // Create a new Vault instance using the current URL and token.
-        const vault = this.vaultFactory.create(await this.storage.getUrl(), token);
+        const vault = this.vaultFactory.create(await this.storage.getUrl(), token, await this.storage.getNamespace());
 
         // Get the TTL (time-to-live) value from the input field.
         const ttl = this.form.getValue(wrapTTL);
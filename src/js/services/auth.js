@@ -1,9 +1,16 @@
 import { dependencies as coreDependencies } from './core.js';
+import { VaultCrypto } from '../crypto/vaultcrypto.js';
+import { VaultSessions } from '../vault/sessions.js';
 import { initializePage } from './page-initializer.js';
 
+// Create the single, shared instance of vaultSessions, used to show the search index of the session.
+const vaultSessions = new VaultSessions(coreDependencies);
+
 // Export dependencies.
 export const dependencies = {
-  ...coreDependencies
+  ...coreDependencies,
+  VaultCrypto,
+  vaultSessions
 };
 
 // Initialize the page startup.
@@ -1,30 +1,59 @@
 import * as constants from '../core/constants.js';
 import { I18n } from '../core/i18n.js';
 import { ConsoleLogger } from '../core/consolelogger.js';
-import { VaultStorage } from '../core/storage.js';
+import { EngineStorage, ProfileStorage, SecretIndexStorage, VaultStorage } from '../core/storage.js';
 import { PromisePool } from '../core/promise-pool.js';
+import { VaultAuthMethods } from '../vault/auth-methods.js';
 import { VaultUtils } from '../vault/utils.js';
+import { VaultAcl } from '../vault/acl.js';
 import { VaultRequestBuilder } from '../vault/requestbuilder.js';
-import { Vault } from '../vault/vault.js';
+import { VaultSecretIndex } from '../vault/secret-index.js';
+import { VaultFactory } from '../vault/vault-factory.js';
+import { VaultSessions } from '../vault/sessions.js';
+import { VaultSearches } from '../vault/searches.js';
 
 // Create the single, shared instance of logger.
 const logger = new ConsoleLogger(constants.DEBUG);
 
-// Create the single, shared instance of storage.
-const storage = new VaultStorage(browser.storage.session);
+// Create the single, shared instance of the profiles storage.
+const profileStorage = new ProfileStorage(browser.storage.local);
 
-// Create a factory object for Vault instances that injects dependencies.
-const vaultFactory = {
-  create: (endpoint, token = null) => {
-    // Injects the shared dependencies into a new Vault instance.
-    return new Vault({ constants, I18n, logger, PromisePool, VaultUtils, VaultRequestBuilder }, endpoint, token);
-  }
-};
+// Create the single, shared instance of storage. The session is the one of the active profile.
+const storage = new VaultStorage(browser.storage.session, profileStorage);
+
+// Create the single, shared instance of the engines configured for tokens that can not list the mounts.
+const engineStorage = new EngineStorage(browser.storage.local, browser.storage.managed);
+
+// Create the single, shared instance of the search index of the secrets of each session.
+const secretIndex = new VaultSecretIndex({
+  constants,
+  logger,
+  PromisePool,
+  VaultUtils,
+  secretIndexStorage: new SecretIndexStorage(browser.storage.local)
+});
+
+// Create the single, shared instance of vaultFactory, which creates the Vault instances with the limiter of their server.
+// The limiters belong to this context, so the budget of a server is not shared with the other contexts (e.g., the popup).
+const vaultFactory = new VaultFactory({ constants, I18n, logger, PromisePool, VaultAuthMethods, VaultUtils, VaultRequestBuilder, VaultAcl, engineStorage });
+
+// Create the single, shared instance of vaultSessions, which finds the sessions of all the profiles to index.
+const vaultSessions = new VaultSessions({ I18n, logger, VaultUtils, vaultFactory, profileStorage, secretIndex, storage });
+
+// Create the single, shared instance of vaultSearches, which runs the searches of the popup and keeps their results.
+const vaultSearches = new VaultSearches({ constants, logger, secretIndex, vaultSessions });
 
 // Export core dependencies as a single object for dependency injection.
 export const dependencies = {
+  constants,
+  I18n,
   logger,
+  profileStorage,
+  secretIndex,
   storage,
+  vaultSearches,
+  vaultSessions,
+  VaultAuthMethods,
   VaultUtils,
   vaultFactory
 };
@@ -2,15 +2,19 @@ import '../browser/browser-polyfill.min.js';
 import * as constants from '../core/constants.js';
 import { I18n } from '../core/i18n.js';
 import { ConsoleLogger } from '../core/consolelogger.js';
-import { VaultStorage } from '../core/storage.js';
+import { EngineStorage, ProfileStorage, SecretIndexStorage, VaultStorage } from '../core/storage.js';
 import { PromisePool } from '../core/promise-pool.js';
 import { HTMLReplacer } from '../ui/html-replace.js';
 import { I18nLocalizer } from '../ui/i18n-localizer.js';
 import { Notification } from '../ui/notification.js';
 import { Form } from '../ui/forms.js';
+import { ProfileSwitcher } from '../ui/profile-switcher.js';
+import { VaultAuthMethods } from '../vault/auth-methods.js';
 import { VaultUtils } from '../vault/utils.js';
+import { VaultAcl } from '../vault/acl.js';
 import { VaultRequestBuilder } from '../vault/requestbuilder.js';
-import { Vault } from '../vault/vault.js';
+import { VaultSecretIndex } from '../vault/secret-index.js';
+import { VaultFactory } from '../vault/vault-factory.js';
 
 // Create the single, shared instance of logger.
 const logger = new ConsoleLogger(constants.DEBUG);
@@ -18,8 +22,14 @@ const logger = new ConsoleLogger(constants.DEBUG);
 // Create the single, shared instance of i18nLocalizer.
 const i18nLocalizer = new I18nLocalizer(I18n, HTMLReplacer, logger);
 
-// Create the single, shared instance of storage.
-const storage = new VaultStorage(browser.storage.session);
+// Create the single, shared instance of the profiles storage.
+const profileStorage = new ProfileStorage(browser.storage.local);
+
+// Create the single, shared instance of storage. The session is the one of the active profile.
+const storage = new VaultStorage(browser.storage.session, profileStorage);
+
+// Create the single, shared instance of the engines configured for tokens that can not list the mounts.
+const engineStorage = new EngineStorage(browser.storage.local, browser.storage.managed);
 
 // Create the single, shared instance of notification.
 const notification = new Notification('notify', I18n);
@@ -27,13 +37,21 @@ const notification = new Notification('notify', I18n);
 // Create the single, shared instance of form.
 const form = new Form(notification, I18n, logger);
 
-// Create a factory object for Vault instances that injects dependencies.
-const vaultFactory = {
-  create: (endpoint, token = null) => {
-    // Injects the shared dependencies into a new Vault instance.
-    return new Vault({ constants, I18n, logger, PromisePool, VaultUtils, VaultRequestBuilder }, endpoint, token);
-  }
-};
+// Create the single, shared instance of profileSwitcher.
+const profileSwitcher = new ProfileSwitcher(form, I18n, profileStorage, constants.Link, logger);
+
+// Create the single, shared instance of the search index of the secrets of each session.
+const secretIndex = new VaultSecretIndex({
+  constants,
+  logger,
+  PromisePool,
+  VaultUtils,
+  secretIndexStorage: new SecretIndexStorage(browser.storage.local)
+});
+
+// Create the single, shared instance of vaultFactory, which creates the Vault instances with the limiter of their server.
+// The limiters belong to this context, so the budget of a server is not shared with the other contexts (e.g., the service worker).
+const vaultFactory = new VaultFactory({ constants, I18n, logger, PromisePool, VaultAuthMethods, VaultUtils, VaultRequestBuilder, VaultAcl, engineStorage });
 
 // Export core dependencies as a single object for dependency injection.
 export const dependencies = {
@@ -42,10 +60,15 @@ export const dependencies = {
   HTMLReplacer,
   logger,
   i18nLocalizer,
+  profileStorage,
+  engineStorage,
   storage,
   notification,
   form,
+  profileSwitcher,
   PromisePool,
+  secretIndex,
+  VaultAuthMethods,
   VaultUtils,
   vaultFactory
 };
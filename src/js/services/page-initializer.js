@@ -41,17 +41,25 @@ class PageInitializer {
    */
   form;
 
+  /**
+   * Profile switcher shown in the header of the pages.
+   * @type {object|null}
+   */
+  profileSwitcher;
+
   /**
    * Constructor that accepts dependencies.
    * @param {object} dependencies - The injected dependencies.
    * @param {boolean} dependencies.DEBUG - Debug flag.
    * @param {object} dependencies.i18nLocalizer - I18n localizer service.
    * @param {object} dependencies.form - Form utility service.
+   * @param {object} dependencies.profileSwitcher - Profile switcher of the header.
    */
   constructor(dependencies) {
     this.constants = dependencies.constants;
     this.i18nLocalizer = dependencies.i18nLocalizer;
     this.form = dependencies.form;
+    this.profileSwitcher = dependencies.profileSwitcher;
   }
 
   /**
@@ -67,6 +75,9 @@ class PageInitializer {
     // Then localize the HTML.
     this.localizeDocument();
 
+    // Then fill the profile switcher, which uses the localized messages.
+    await this.initializeProfileSwitcher();
+
     // Finally signal ready.
     this.fireI18nReadyEvent();
   }
@@ -90,6 +101,15 @@ class PageInitializer {
     this.i18nLocalizer.localize(document);
   }
 
+  /**
+   * Fills and shows the profile switcher, if the page has one.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async initializeProfileSwitcher() {
+    await this.profileSwitcher?.initialize();
+  }
+
   /**
    * Fires a custom 'i18nReady' event to signal that internationalization is complete.
    * Uses requestAnimationFrame to ensure smooth UI updates.
@@ -1,12 +1,20 @@
 import { dependencies as coreDependencies } from './core.js';
 import { Password } from '../core/password.js';
+import { SearchStorage } from '../core/storage.js';
 import { VaultCrypto } from '../crypto/vaultcrypto.js';
 import { Pagination } from '../ui/pagination.js';
+import { VaultSessions } from '../vault/sessions.js';
 import { initializePage } from './page-initializer.js';
 
 // Create the single, shared instance of pagination.
 const pagination = new Pagination(coreDependencies.form);
 
+// Create the single, shared instance of vaultSessions, which searches the sessions of all the profiles.
+const vaultSessions = new VaultSessions(coreDependencies);
+
+// Create the single, shared instance of the storage of the last search, restored when the popup is opened again.
+const searchStorage = new SearchStorage(browser.storage.session);
+
 /**
  * Export dependencies for secrets controllers.
  * This includes both add/edit and list secret functionality.
@@ -15,7 +23,9 @@ export const dependencies = {
   ...coreDependencies,
   VaultCrypto,
   Password,
-  pagination
+  pagination,
+  searchStorage,
+  vaultSessions
 };
 
 // Initialize the page startup.
@@ -520,6 +520,17 @@ export class Form {
     }
   }
 
+  /**
+   * Sets the tooltip (title) of an HTML element if it exists.
+   * @param {HTMLElement | null} element - The HTML element.
+   * @param {string} text - The text of the tooltip.
+   */
+  setTooltip(element, text) {
+    if (element) {
+      element.title = text;
+    }
+  }
+
   /**
    * Checks if at least one of the provided elements (e.g., checkboxes, radio buttons) is checked.
    * @param {...(HTMLInputElement | null)} elements - A list of elements to check.
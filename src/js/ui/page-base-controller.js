@@ -105,6 +105,31 @@ export class PageBaseController {
     return browser || chrome;
   }
 
+  /**
+   * Asks the background service worker to refresh the search index of the secrets of a profile's session.
+   * The index is refreshed even if the page is closed meanwhile. Failures are only logged, because the
+   * searches crawl the engines while a session is not indexed.
+   * @param {string} profileId - The ID of the profile, or an empty string for the session without a profile.
+   * @param {{engine: object, subkeys: string[]}|null} [folder=null] - A folder where a secret was saved or deleted.
+   * If informed, only this folder is listed again.
+   * @param {boolean} [rebuild=false] - If true, the whole index is built again.
+   * @returns {Promise<{success: boolean, error?: string}>} The result of the refresh.
+   */
+  async refreshSecretIndex(profileId, folder = null, rebuild = false) {
+    try {
+      return await this.getBrowserHandler().runtime.sendMessage({
+        message: constants.REQUEST_MESSAGE_ID.REFRESH_SECRET_INDEX,
+        profileId,
+        folder,
+        rebuild
+      });
+    } catch (error) {
+      this.logger.info(`Could not refresh the secret index: ${error.message}`);
+
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Redirects to the login page.
    */
@@ -0,0 +1,111 @@
+/**
+ * Handles the profile switcher shown in the header of the pages.
+ * It lists the saved Vault server profiles and activates the one selected by the user.
+ * Each profile keeps its own session, so switching does not require a new login.
+ */
+export class ProfileSwitcher {
+  /** @private @readonly */
+  #CONTAINER_ID = 'profile_switcher_container';
+  /** @private @readonly */
+  #SELECT_ID = 'profile_switcher';
+  /** @private @readonly */
+  #NEW_PROFILE_VALUE = '';
+  /** @private @readonly */
+  #NEW_PROFILE_MESSAGE_KEY = 'ui_value_new_profile';
+  /** @private */
+  #form;
+  /** @private */
+  #i18n;
+  /** @private */
+  #profileStorage;
+  /** @private */
+  #link;
+  /** @private */
+  #logger;
+
+  /**
+   * Creates an instance of the ProfileSwitcher class.
+   * @param {Form} form - An instance of the Form utility class.
+   * @param {I18n} i18nClass - The I18n class, used to get the localized messages.
+   * @param {ProfileStorage} profileStorage - The storage of the profiles.
+   * @param {object} link - The URLs of the pages of the extension.
+   * @param {object} logger - The logger instance.
+   */
+  constructor(form, i18nClass, profileStorage, link, logger) {
+    this.#form = form;
+    this.#i18n = i18nClass;
+    this.#profileStorage = profileStorage;
+    this.#link = link;
+    this.#logger = logger;
+  }
+
+  /**
+   * Fills the switcher with the saved profiles and shows it.
+   * It stays hidden on pages without the switcher and while no profile has been saved.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    const container = document.getElementById(this.#CONTAINER_ID);
+    const select = document.getElementById(this.#SELECT_ID);
+
+    if (!container || !select) {
+      return;
+    }
+
+    try {
+      const profiles = await this.#profileStorage.getProfiles();
+
+      if (profiles.length === 0) {
+        return;
+      }
+
+      this.#form.clear(select);
+
+      for (const profile of profiles) {
+        select.add(this.#createOption(profile.id, profile.name));
+      }
+      select.add(this.#createOption(this.#NEW_PROFILE_VALUE, this.#i18n.getMessage(this.#NEW_PROFILE_MESSAGE_KEY)));
+
+      this.#form.setValue(select, await this.#profileStorage.getActiveProfileId());
+
+      this.#form.addChangeListener(select, this.#switchProfile.bind(this));
+
+      this.#form.show(container);
+    } catch (error) {
+      this.#logger.error('Failed to load the profiles:', error);
+    }
+  }
+
+  /**
+   * Activates the selected profile and opens the secrets page, which asks for a login if its session has expired.
+   * The 'New profile' option opens the login page without an active profile, so a new profile can be saved.
+   * @async
+   * @param {Event} event - The change event of the switcher.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #switchProfile(event) {
+    const profileId = event.target.value;
+
+    await this.#profileStorage.setActiveProfileId(profileId);
+
+    location.href = (profileId === this.#NEW_PROFILE_VALUE) ? this.#link.LoginPage : this.#link.SecretsList;
+  }
+
+  /**
+   * Creates an option element for the switcher.
+   * @param {string} value - The value of the option.
+   * @param {string} text - The text of the option.
+   * @returns {HTMLOptionElement} The option element.
+   * @private
+   */
+  #createOption(value, text) {
+    const option = document.createElement('option');
+
+    option.value = value;
+    option.text = text;
+
+    return option;
+  }
+}
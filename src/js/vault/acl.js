@@ -0,0 +1,216 @@
+/**
+ * Represents the resultant ACL of a token, as returned by 'sys/internal/ui/resultant-acl'.
+ * It tells which paths the token can list, so the folder crawl of a search only visits those paths
+ * instead of listing every folder and ignoring the forbidden ones.
+ *
+ * The paths are relative to the namespace of the session (e.g., "personal/metadata/user1/").
+ * The most specific rule that matches a path wins, following the priority rules of Vault policies.
+ */
+export class VaultAcl {
+
+  /**
+   * The capabilities checked on the rules.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #CAPABILITY = {
+    LIST: 'list',
+    DENY: 'deny'
+  };
+
+  /** @type {string} @private @static @readonly */
+  static #SEGMENT_WILDCARD = '+';
+
+  /**
+   * Whether the token is a root token, which can list every path.
+   * @type {boolean}
+   * @private
+   */
+  #isRoot;
+
+  /**
+   * The rules of the ACL, with the path, whether it is a glob (prefix) path, the capabilities and the matcher.
+   * @type {Array<{path: string, isGlob: boolean, capabilities: Set<string>, matcher: RegExp}>}
+   * @private
+   */
+  #rules;
+
+  /**
+   * Creates an instance of the VaultAcl class.
+   * @param {object} data - The 'data' object of the resultant ACL response.
+   * @param {object} [data.exact_paths] - The rules of the exact paths, by path.
+   * @param {object} [data.glob_paths] - The rules of the glob paths, by path without the trailing '*'.
+   * @param {boolean} [data.root] - Whether the token is a root token.
+   */
+  constructor(data) {
+    this.#isRoot = (data?.root === true);
+
+    this.#rules = [
+      ...Object.entries(data?.exact_paths || {}).map(([path, rule]) => this.#createRule(path, rule, false)),
+      ...Object.entries(data?.glob_paths || {}).map(([path, rule]) => this.#createRule(path, rule, true))
+    ];
+  }
+
+  /**
+   * Checks whether the token is a root token, which can list every path.
+   * @returns {boolean} True for a root token.
+   * @public
+   */
+  isRoot() {
+    return this.#isRoot;
+  }
+
+  /**
+   * Checks whether a folder can be listed.
+   * @param {string} path - The path of the folder, ending with the path separator (e.g., "team/metadata/apps/").
+   * @returns {boolean} True if the rule that applies to the path has the 'list' capability and does not deny it.
+   * @public
+   */
+  canList(path) {
+    if (this.#isRoot) {
+      return true;
+    }
+
+    const rule = this.#getRule(path);
+
+    return Boolean(rule) && this.#allowsList(rule);
+  }
+
+  /**
+   * Gets the folders to list to find every secret the token can list at or under a folder.
+   * If the folder itself can be listed, it is the only one returned. Otherwise, the outermost folders
+   * under it that can be listed are returned (e.g., "team/metadata/apps/" for a policy on "team/metadata/apps/*").
+   * @param {string} path - The path of the folder, ending with the path separator.
+   * @returns {string[]} The paths of the folders to list, or an empty array if nothing under the folder can be listed.
+   * @public
+   */
+  getListableFolders(path) {
+    if (this.canList(path)) {
+      return [path];
+    }
+
+    const folders = new Set();
+
+    for (const rule of this.#rules) {
+      if (!this.#allowsList(rule)) {
+        continue;
+      }
+
+      const folder = this.#getFixedFolder(rule.path);
+
+      if (folder.length > path.length && folder.startsWith(path) && this.canList(folder)) {
+        folders.add(folder);
+      }
+    }
+
+    // The folders under another listable folder are found when it is listed.
+    return [...folders].filter(folder => ![...folders].some(other => other !== folder && folder.startsWith(other)));
+  }
+
+  /**
+   * Creates a rule from an entry of the resultant ACL.
+   * @param {string} path - The path of the rule.
+   * @param {object} rule - The rule, with its 'capabilities'.
+   * @param {boolean} isGlob - Whether the path is a glob (prefix) path.
+   * @returns {{path: string, isGlob: boolean, capabilities: Set<string>, matcher: RegExp}} The rule.
+   * @private
+   */
+  #createRule(path, rule, isGlob) {
+    // The '+' wildcard matches exactly one segment of the path.
+    const pattern = path
+      .split(VaultAcl.#SEGMENT_WILDCARD)
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]+');
+
+    return {
+      path,
+      isGlob,
+      capabilities: new Set(rule?.capabilities || []),
+      matcher: new RegExp(`^${pattern}${(isGlob) ? '' : '$'}`)
+    };
+  }
+
+  /**
+   * Checks whether a rule allows a path to be listed.
+   * @param {object} rule - The rule.
+   * @returns {boolean} True if the rule has the 'list' capability and does not deny it.
+   * @private
+   */
+  #allowsList(rule) {
+    return rule.capabilities.has(VaultAcl.#CAPABILITY.LIST) && !rule.capabilities.has(VaultAcl.#CAPABILITY.DENY);
+  }
+
+  /**
+   * Gets the rule that applies to a path, which is the matching rule with the highest priority.
+   * @param {string} path - The path.
+   * @returns {object|undefined} The rule, or undefined if no rule matches the path.
+   * @private
+   */
+  #getRule(path) {
+    return this.#rules
+      .filter(rule => rule.matcher.test(path))
+      .sort((a, b) => this.#comparePriority(b, a))[0];
+  }
+
+  /**
+   * Compares the priority of two rules that match the same path, as Vault does:
+   * the rule whose first wildcard comes later wins, then the rule that is not a glob,
+   * then the rule with fewer '+' wildcards and finally the longest rule.
+   * @param {object} a - The first rule.
+   * @param {object} b - The second rule.
+   * @returns {number} A positive number if 'a' has a higher priority, negative if 'b' has, or zero.
+   * @private
+   */
+  #comparePriority(a, b) {
+    const wildcardA = this.#getFirstWildcardIndex(a);
+    const wildcardB = this.#getFirstWildcardIndex(b);
+
+    if (wildcardA !== wildcardB) {
+      return wildcardA - wildcardB;
+    }
+
+    if (a.isGlob !== b.isGlob) {
+      return (a.isGlob) ? -1 : 1;
+    }
+
+    const segmentWildcardsA = a.path.split(VaultAcl.#SEGMENT_WILDCARD).length;
+    const segmentWildcardsB = b.path.split(VaultAcl.#SEGMENT_WILDCARD).length;
+
+    if (segmentWildcardsA !== segmentWildcardsB) {
+      return segmentWildcardsB - segmentWildcardsA;
+    }
+
+    return a.path.length - b.path.length;
+  }
+
+  /**
+   * Gets the position of the first wildcard of a rule. The '*' of a glob path is at its end.
+   * @param {object} rule - The rule.
+   * @returns {number} The position, or Infinity if the rule has no wildcard.
+   * @private
+   */
+  #getFirstWildcardIndex(rule) {
+    const index = rule.path.indexOf(VaultAcl.#SEGMENT_WILDCARD);
+
+    if (index !== -1) {
+      return index;
+    }
+
+    return (rule.isGlob) ? rule.path.length : Infinity;
+  }
+
+  /**
+   * Gets the folder of the fixed part of a rule's path, before its first wildcard
+   * (e.g., "team/metadata/apps/" for "team/metadata/apps/web-" or "team/metadata/apps/+/db").
+   * @param {string} path - The path of the rule.
+   * @returns {string} The path of the folder.
+   * @private
+   */
+  #getFixedFolder(path) {
+    const fixedPart = path.split(VaultAcl.#SEGMENT_WILDCARD)[0];
+
+    return fixedPart.slice(0, fixedPart.lastIndexOf('/') + 1);
+  }
+
+}
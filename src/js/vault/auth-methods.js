@@ -0,0 +1,307 @@
+/**
+ * Registry of the authentication methods that can be used to log into Vault.
+ * Each method is described by a descriptor that lists its form fields, how its
+ * login request is built and how its token is renewed. New methods can be added
+ * with VaultAuthMethods.register() without changing the login page or the Vault class.
+ */
+export class VaultAuthMethods {
+
+  /**
+   * How the token of a method is obtained.
+   * - REQUEST: A POST request to 'auth/<mount>/<path>' with the values of the form.
+   * - TOKEN: The user already has a token, which is only looked up.
+   * - OIDC: The browser web auth flow, which runs in the background service worker.
+   * @static
+   * @readonly
+   */
+  static FLOW = {
+    REQUEST: 'request',
+    TOKEN: 'token',
+    OIDC: 'oidc'
+  };
+
+  /**
+   * How the token of a method is renewed by the background service worker.
+   * - TOKEN: The token renews itself with 'auth/token/renew-self'.
+   * - NONE: The token is not renewed. It is used until it expires or the user logs out.
+   * @static
+   * @readonly
+   */
+  static RENEWAL = {
+    TOKEN: 'renew-self',
+    NONE: 'none'
+  };
+
+  /**
+   * The ID of the method selected when the user has never logged in.
+   * @static
+   * @readonly
+   */
+  static DEFAULT_METHOD_ID = 'ldap';
+
+  /**
+   * The minimum size of the passwords, shared by the methods that use a username and password.
+   * @type {number}
+   * @private
+   * @static
+   * @readonly
+   */
+  static #PASSWORD_MINIMUM_SIZE = 7;
+
+  /**
+   * The registered methods, in the order they are shown on the login page.
+   * @type {Map<string, object>}
+   * @private
+   * @static
+   */
+  static #methods = new Map();
+
+  static {
+    VaultAuthMethods.register(VaultAuthMethods.#createPasswordMethod('ldap', 'ui_value_auth_method_ldap'));
+    VaultAuthMethods.register(VaultAuthMethods.#createPasswordMethod('userpass', 'ui_value_auth_method_userpass'));
+
+    VaultAuthMethods.register({
+      ...VaultAuthMethods.#createPasswordMethod('okta', 'ui_value_auth_method_okta'),
+      fields: [
+        VaultAuthMethods.#getUsernameField(),
+        VaultAuthMethods.#getPasswordField(),
+        {
+          id: 'totp',
+          labelKey: 'ui_label_input_totp',
+          placeholderKey: 'ui_placeholder_input_totp',
+          type: 'text',
+          autocomplete: 'one-time-code',
+          required: false,
+          // Regex: ^\d{6}$
+          // - \d{6}: Exactly 6 digits, the size of the codes of the Okta Verify app.
+          pattern: /^\d{6}$/
+        }
+      ],
+      buildLoginRequest: (values) => ({
+        path: `login/${encodeURIComponent(values.username)}`,
+        body: {
+          password: values.password,
+          // Okta sends a push notification to the user's device when no code is sent.
+          ...(values.totp ? { totp: values.totp } : {})
+        }
+      })
+    });
+
+    VaultAuthMethods.register(VaultAuthMethods.#createPasswordMethod('radius', 'ui_value_auth_method_radius'));
+
+    VaultAuthMethods.register({
+      id: 'github',
+      labelKey: 'ui_value_auth_method_github',
+      defaultMount: 'github',
+      flow: VaultAuthMethods.FLOW.REQUEST,
+      renewal: VaultAuthMethods.RENEWAL.TOKEN,
+      fields: [
+        {
+          id: 'github_token',
+          labelKey: 'ui_label_input_github_token',
+          type: 'password',
+          autocomplete: 'off',
+          required: true
+        }
+      ],
+      buildLoginRequest: (values) => ({
+        path: 'login',
+        body: { token: values.github_token }
+      }),
+      // The GitHub login is the username, because the form only has the personal token.
+      getUsername: (values, auth) => auth?.metadata?.username || ''
+    });
+
+    VaultAuthMethods.register({
+      id: 'approle',
+      labelKey: 'ui_value_auth_method_approle',
+      defaultMount: 'approle',
+      flow: VaultAuthMethods.FLOW.REQUEST,
+      renewal: VaultAuthMethods.RENEWAL.TOKEN,
+      fields: [
+        {
+          id: 'role_id',
+          labelKey: 'ui_label_input_role_id',
+          type: 'text',
+          autocomplete: 'off',
+          required: true
+        },
+        {
+          id: 'secret_id',
+          labelKey: 'ui_label_input_secret_id',
+          type: 'password',
+          autocomplete: 'off',
+          required: true
+        }
+      ],
+      buildLoginRequest: (values) => ({
+        path: 'login',
+        body: { role_id: values.role_id, secret_id: values.secret_id }
+      }),
+      // An AppRole has no user, so the name of the role is used to find the personal secrets.
+      getUsername: (values, auth) => auth?.metadata?.role_name || ''
+    });
+
+    VaultAuthMethods.register({
+      id: 'token',
+      labelKey: 'ui_value_auth_method_token',
+      defaultMount: 'token',
+      flow: VaultAuthMethods.FLOW.TOKEN,
+      // The token was not created by the extension, so it may not be renewable.
+      renewal: VaultAuthMethods.RENEWAL.NONE,
+      // The token may be used elsewhere, so it is only forgotten on logout.
+      revokeOnLogout: false,
+      fields: [
+        {
+          id: 'token',
+          labelKey: 'ui_label_input_token',
+          type: 'password',
+          autocomplete: 'off',
+          required: true
+        }
+      ],
+      buildLoginRequest: () => null,
+      // Tokens created by a login keep the username of the method in their metadata.
+      getUsername: (values, auth) => auth?.metadata?.username || auth?.display_name || ''
+    });
+
+    VaultAuthMethods.register({
+      id: 'oidc',
+      labelKey: 'ui_value_auth_method_oidc',
+      defaultMount: 'oidc',
+      flow: VaultAuthMethods.FLOW.OIDC,
+      renewal: VaultAuthMethods.RENEWAL.TOKEN,
+      fields: [
+        {
+          id: 'role',
+          labelKey: 'ui_label_input_role',
+          placeholderKey: 'ui_placeholder_input_role',
+          type: 'text',
+          autocomplete: 'off',
+          required: false,
+          // Regex: ^[\w-]+$
+          // - [\w-]: Allows alphanumeric characters, underscores and hyphens.
+          // - +: Requires at least one character.
+          pattern: /^[\w-]+$/
+        }
+      ],
+      // The login request is built by the background service worker with the values returned by the provider.
+      buildLoginRequest: () => null,
+      getUsername: () => ''
+    });
+  }
+
+  /**
+   * Adds an authentication method to the registry, replacing any method with the same ID.
+   * @param {object} descriptor - The descriptor of the method.
+   * @param {string} descriptor.id - The unique ID of the method (e.g., 'ldap').
+   * @param {string} descriptor.labelKey - The i18n key of the name shown on the login page.
+   * @param {string} descriptor.defaultMount - The path where Vault mounts the method by default (e.g., 'ldap').
+   * @param {string} descriptor.flow - One of VaultAuthMethods.FLOW.
+   * @param {string} descriptor.renewal - One of VaultAuthMethods.RENEWAL.
+   * @param {Array<object>} descriptor.fields - The form fields, with 'id', 'labelKey', 'type', 'autocomplete',
+   * 'required' and the optional 'placeholderKey', 'minLength' and 'pattern'.
+   * @param {function(object): ({path: string, body: object}|null)} descriptor.buildLoginRequest - Builds the path
+   * (relative to the mount) and the body of the login request from the values of the fields.
+   * @param {function(object, object): string} descriptor.getUsername - Returns the username used to find the
+   * personal secrets, from the values of the fields and the 'auth' object of the login response.
+   * @param {boolean} [descriptor.revokeOnLogout=true] - If false, the token is not revoked on logout.
+   * @returns {void}
+   * @static
+   */
+  static register(descriptor) {
+    VaultAuthMethods.#methods.set(descriptor.id, descriptor);
+  }
+
+  /**
+   * Gets a registered authentication method.
+   * @param {string} id - The ID of the method.
+   * @returns {object|undefined} The descriptor of the method, or undefined if it is not registered.
+   * @static
+   */
+  static get(id) {
+    return VaultAuthMethods.#methods.get(id);
+  }
+
+  /**
+   * Gets all the registered authentication methods.
+   * @returns {Array<object>} The descriptors, in the order they were registered.
+   * @static
+   */
+  static getAll() {
+    return [...VaultAuthMethods.#methods.values()];
+  }
+
+  /**
+   * Checks if a method is registered.
+   * @param {string} id - The ID of the method.
+   * @returns {boolean} True if the method is registered, false otherwise.
+   * @static
+   */
+  static has(id) {
+    return VaultAuthMethods.#methods.has(id);
+  }
+
+  /**
+   * Creates the descriptor of a method that logs in with a username and password on 'auth/<mount>/login/<username>'.
+   * This is the case of LDAP, userpass, Okta and RADIUS.
+   * @param {string} id - The ID of the method, which is also its default mount.
+   * @param {string} labelKey - The i18n key of the name of the method.
+   * @returns {object} The descriptor of the method.
+   * @private
+   * @static
+   */
+  static #createPasswordMethod(id, labelKey) {
+    return {
+      id,
+      labelKey,
+      defaultMount: id,
+      flow: VaultAuthMethods.FLOW.REQUEST,
+      renewal: VaultAuthMethods.RENEWAL.TOKEN,
+      fields: [
+        VaultAuthMethods.#getUsernameField(),
+        VaultAuthMethods.#getPasswordField()
+      ],
+      buildLoginRequest: (values) => ({
+        path: `login/${encodeURIComponent(values.username)}`,
+        body: { password: values.password }
+      }),
+      getUsername: (values) => values.username
+    };
+  }
+
+  /**
+   * Gets the username field shared by the methods that use a username and password.
+   * @returns {object} The field descriptor.
+   * @private
+   * @static
+   */
+  static #getUsernameField() {
+    return {
+      id: 'username',
+      labelKey: 'ui_label_input_username',
+      placeholderKey: 'ui_placeholder_input_username',
+      type: 'text',
+      autocomplete: 'username',
+      required: true
+    };
+  }
+
+  /**
+   * Gets the password field shared by the methods that use a username and password.
+   * @returns {object} The field descriptor.
+   * @private
+   * @static
+   */
+  static #getPasswordField() {
+    return {
+      id: 'password',
+      labelKey: 'ui_label_input_password',
+      type: 'password',
+      autocomplete: 'current-password',
+      required: true,
+      minLength: VaultAuthMethods.#PASSWORD_MINIMUM_SIZE
+    };
+  }
+
+}
@@ -16,12 +16,21 @@ export class VaultRequestBuilder {
    */
   #endpoint;
 
+  /**
+   * The Vault Enterprise namespace of the session (e.g., "org/team"). Empty for the root namespace.
+   * @type {string}
+   * @private
+   */
+  #namespace;
+
   /**
    * Creates an instance of the VaultRequestBuilder.
    * @param {string} endpoint - The base URL of the Vault server (e.g., "https://vault.example.com").
+   * @param {string} [namespace=''] - The Vault Enterprise namespace of the session (e.g., "org/team").
    */
-  constructor(endpoint) {
+  constructor(endpoint, namespace = '') {
     this.#endpoint = endpoint;
+    this.#namespace = VaultUtils.joinNamespaces(namespace);
   }
 
   /**
@@ -53,6 +62,24 @@ export class VaultRequestBuilder {
     };
   }
 
+  /**
+   * Creates the Vault Enterprise namespace header.
+   * @param {string} [childNamespace=''] - An optional namespace under the namespace of the session (e.g., "team-a").
+   * @returns {object} The X-Vault-Namespace header or an empty object for the root namespace.
+   */
+  getNamespaceHeader(childNamespace = '') {
+    const namespace = VaultUtils.joinNamespaces(this.#namespace, childNamespace);
+
+    // Requests without the header are sent to the root namespace, which is also what Vault OSS expects.
+    if (!namespace) {
+      return {};
+    }
+
+    return {
+      'X-Vault-Namespace': namespace
+    };
+  }
+
   /**
    * Creates the X-Vault-Wrap-TTL header for response wrapping.
    * @param {string} ttl - The Time-To-Live string (e.g., "30m", "1h").
@@ -147,13 +174,70 @@ export class VaultRequestBuilder {
   }
 
   /**
-   * Constructs the full endpoint for a user login operation.
-   * @param {string} username - The username for the login path.
-   * @param {string} authMethod - The authentication method (e.g., 'ldap').
+   * Constructs the full endpoint for a login operation.
+   * @param {string} mount - The mount path of the auth method (e.g., 'ldap' or 'corp-ldap').
+   * @param {string} path - The login path under the mount (e.g., 'login/user1' or 'login').
    * @returns {string} The normalized login endpoint URL.
    */
-  getLoginEndpoint(username, authMethod) {
-    return VaultUtils.removeDoubleSlash(`${this.#getAuthEndpoint()}/${authMethod}/login/${username}`);
+  getLoginEndpoint(mount, path) {
+    return VaultUtils.removeDoubleSlash(`${this.#getAuthEndpoint()}/${mount}/${path}`);
+  }
+
+  /**
+   * Constructs the endpoint that returns the authorization URL of an OIDC provider.
+   * @param {string} mount - The mount path of the OIDC auth method (e.g., 'oidc').
+   * @returns {string} The normalized auth_url endpoint URL.
+   */
+  getOidcAuthUrlEndpoint(mount) {
+    return VaultUtils.removeDoubleSlash(`${this.#getAuthEndpoint()}/${mount}/oidc/auth_url`);
+  }
+
+  /**
+   * Constructs the endpoint that completes an OIDC login with the values returned by the provider.
+   * @param {string} mount - The mount path of the OIDC auth method (e.g., 'oidc').
+   * @param {object} params - The query string parameters.
+   * @param {string} params.state - The state returned by the provider.
+   * @param {string} params.code - The authorization code returned by the provider.
+   * @param {string} params.clientNonce - The nonce sent when the authorization URL was requested.
+   * @returns {string} The normalized callback endpoint URL.
+   */
+  getOidcCallbackEndpoint(mount, { state, code, clientNonce }) {
+    const query = new URLSearchParams({ state, code, client_nonce: clientNonce });
+
+    return `${VaultUtils.removeDoubleSlash(`${this.#getAuthEndpoint()}/${mount}/oidc/callback`)}?${query.toString()}`;
+  }
+
+  /**
+   * Constructs the endpoint of the health of the server. Every state is answered with 200, so a sealed or standby
+   * server is not taken as an error (and retried), and its state is read from the response instead.
+   * @returns {string} The normalized health endpoint URL.
+   */
+  getHealthEndpoint() {
+    const query = new URLSearchParams({
+      standbyok: 'true',
+      perfstandbyok: 'true',
+      sealedcode: '200',
+      uninitcode: '200',
+      drsecondarycode: '200'
+    });
+
+    return `${VaultUtils.removeDoubleSlash(`${this.#getSysEndpoint()}/health`)}?${query.toString()}`;
+  }
+
+  /**
+   * Constructs the endpoint of the seal status of the server.
+   * @returns {string} The normalized seal-status endpoint URL.
+   */
+  getSealStatusEndpoint() {
+    return VaultUtils.removeDoubleSlash(`${this.#getSysEndpoint()}/seal-status`);
+  }
+
+  /**
+   * Constructs the endpoint that completes a login that returned an MFA requirement.
+   * @returns {string} The normalized MFA validate endpoint URL.
+   */
+  getMfaValidateEndpoint() {
+    return VaultUtils.removeDoubleSlash(`${this.#getSysEndpoint()}/mfa/validate`);
   }
 
   /**
@@ -196,6 +280,26 @@ export class VaultRequestBuilder {
     return VaultUtils.removeDoubleSlash(`${this.#getWrappingEndpoint()}/unwrap`);
   }
 
+  /**
+   * Constructs the endpoint that encrypts a value with a key of the Transit secrets engine.
+   * @param {string} mount - The mount path of the Transit engine (e.g., 'transit').
+   * @param {string} key - The name of the key.
+   * @returns {string} The normalized Transit encrypt endpoint URL.
+   */
+  getTransitEncryptEndpoint(mount, key) {
+    return VaultUtils.removeDoubleSlash(`${this.#getBaseEndpoint()}/${mount}/encrypt/${encodeURIComponent(key)}`);
+  }
+
+  /**
+   * Constructs the endpoint that decrypts a value with a key of the Transit secrets engine.
+   * @param {string} mount - The mount path of the Transit engine (e.g., 'transit').
+   * @param {string} key - The name of the key.
+   * @returns {string} The normalized Transit decrypt endpoint URL.
+   */
+  getTransitDecryptEndpoint(mount, key) {
+    return VaultUtils.removeDoubleSlash(`${this.#getBaseEndpoint()}/${mount}/decrypt/${encodeURIComponent(key)}`);
+  }
+
   /**
    * Constructs the endpoint for listing secret engines.
    * @param {string} [engineName=''] - An optional specific engine name.
@@ -211,6 +315,41 @@ export class VaultRequestBuilder {
     return VaultUtils.removeDoubleSlash(url);
   }
 
+  /**
+   * Constructs the endpoint for listing all the mounted secret engines. It requires the 'read' capability on 'sys/mounts'.
+   * @returns {string} The normalized mounts endpoint URL.
+   */
+  getMountsEndpoint() {
+    return VaultUtils.removeDoubleSlash(`${this.#getSysEndpoint()}/mounts`);
+  }
+
+  /**
+   * Constructs the endpoint for listing the child namespaces of a namespace (Vault Enterprise only).
+   * The namespace itself is sent in the X-Vault-Namespace header.
+   * @returns {string} The normalized namespaces endpoint URL.
+   */
+  getNamespacesEndpoint() {
+    return VaultUtils.removeDoubleSlash(`${this.#getSysEndpoint()}/namespaces`);
+  }
+
+  /**
+   * Constructs the endpoint that returns the resultant ACL of the current token (the paths and capabilities
+   * granted by all its policies). The namespace is sent in the X-Vault-Namespace header.
+   * @returns {string} The normalized resultant ACL endpoint URL.
+   */
+  getResultantAclEndpoint() {
+    return VaultUtils.removeDoubleSlash(`${this.#getSysEndpoint()}/internal/ui/resultant-acl`);
+  }
+
+  /**
+   * Constructs the endpoint that returns the capabilities of the current token on a list of paths.
+   * The namespace is sent in the X-Vault-Namespace header.
+   * @returns {string} The normalized capabilities-self endpoint URL.
+   */
+  getCapabilitiesSelfEndpoint() {
+    return VaultUtils.removeDoubleSlash(`${this.#getSysEndpoint()}/capabilities-self`);
+  }
+
   /**
    * Constructs the endpoint for listing secrets (metadata path for KVv2).
    * @param {object} engine - The engine object.
@@ -225,10 +364,39 @@ export class VaultRequestBuilder {
    * Constructs the endpoint for accessing secret data (data path for KVv2).
    * @param {object} engine - The engine object.
    * @param {string[]} subkeys - An array of sub-path segments.
+   * @param {number|null} [version=null] - An optional KVv2 version to read instead of the latest one.
    * @returns {string} The normalized secret data endpoint URL.
    */
-  getSecretDataEndpoint(engine, subkeys) {
-    return this.#getEndpoint(engine, subkeys, 'data');
+  getSecretDataEndpoint(engine, subkeys, version = null) {
+    const url = this.#getEndpoint(engine, subkeys, 'data');
+
+    // Only KVv2 engines keep older versions of a secret.
+    if (version && engine?.options?.version === '2') {
+      return `${url}?version=${encodeURIComponent(version)}`;
+    }
+
+    return url;
+  }
+
+  /**
+   * Constructs the endpoint for restoring soft-deleted versions of a secret (KVv2 only).
+   * @param {object} engine - The engine object.
+   * @param {string[]} subkeys - An array of sub-path segments.
+   * @returns {string} The normalized secret undelete endpoint URL.
+   */
+  getSecretUndeleteEndpoint(engine, subkeys) {
+    return this.#getEndpoint(engine, subkeys, 'undelete');
+  }
+
+  /**
+   * Constructs the endpoint for reading the metadata of a single secret (KVv2 only).
+   * The metadata holds the version history, including creation and deletion times.
+   * @param {object} engine - The engine object.
+   * @param {string[]} subkeys - An array of sub-path segments.
+   * @returns {string} The normalized secret metadata endpoint URL.
+   */
+  getSecretMetadataEndpoint(engine, subkeys) {
+    return this.#getEndpoint(engine, subkeys, 'metadata');
   }
 
 }
@@ -0,0 +1,293 @@
+/**
+ * Runs the searches of the secrets list in the background service worker, so a search goes on when the popup
+ * is closed (the popup is destroyed as soon as it loses the focus), and keeps their results for a few minutes.
+ * A search of the same query on the same sessions is reused while it runs or while it is recent, so the popup
+ * opened again picks up the search where it was instead of starting it again.
+ *
+ * The secrets are kept without their session, which can not be sent to the popup, but with the ID of its profile.
+ */
+export class VaultSearches {
+
+  /**
+   * The searches that are running or finished recently, by their key.
+   * @type {Map<string, object>}
+   * @private
+   */
+  #searches = new Map();
+
+  /**
+   * The searches still running, including the ones forgotten by clear.
+   * @type {Set<object>}
+   * @private
+   */
+  #runningSearches = new Set();
+
+  /**
+   * Creates an instance of the VaultSearches class.
+   * @param {object} dependencies - The injected dependencies.
+   * @param {object} dependencies.constants - Shared constants, such as the settings of the background searches.
+   * @param {object} dependencies.logger - The logger instance.
+   * @param {object} dependencies.secretIndex - The search index of the secrets of each session.
+   * @param {object} dependencies.vaultSessions - Searches the sessions of all the profiles at once.
+   */
+  constructor(dependencies) {
+    this.constants = dependencies.constants;
+    this.logger = dependencies.logger;
+    this.secretIndex = dependencies.secretIndex;
+    this.vaultSessions = dependencies.vaultSessions;
+  }
+
+  /**
+   * Starts a search, or returns the search of the same query on the same sessions if it is still running or finished recently.
+   * A search that was cancelled or failed is not reused.
+   * @param {string | string[]} text - The search text or an array of search terms.
+   * @param {string} [tag=''] - An optional tag. When informed, only the KVv2 secrets with this tag are found.
+   * @returns {Promise<object>} The search, to subscribe to and to cancel.
+   * @public
+   */
+  async start(text, tag = '') {
+    this.#dropOldSearches();
+
+    const key = this.#getKey(text, tag, await this.vaultSessions.getSessions());
+
+    if (this.#searches.has(key)) {
+      return this.#searches.get(key);
+    }
+
+    const search = {
+      key,
+      secrets: [],
+      progress: { clusters: 0, enginesDone: 0, enginesTotal: 0, foldersDone: 0, foldersPending: 0 },
+      result: null,
+      finishedTime: null,
+      listeners: new Set(),
+      abortController: new AbortController()
+    };
+
+    this.#searches.set(key, search);
+    this.#runningSearches.add(search);
+
+    // The search is not awaited, it goes on while the popups subscribe and unsubscribe.
+    this.#run(search, text, tag);
+
+    return search;
+  }
+
+  /**
+   * Subscribes to the messages of a search. The secrets found so far and the progress are sent at once,
+   * followed by the end of the search if it has finished.
+   * @param {object} search - The search, as returned by start.
+   * @param {function(object): void} listener - Called with each message ('SEARCH_PROGRESS' or 'SEARCH_DONE').
+   * @returns {function(): void} A function that unsubscribes the listener.
+   * @public
+   */
+  subscribe(search, listener) {
+    listener(this.#createProgressMessage(search.secrets, search.progress));
+
+    if (search.result) {
+      listener(search.result);
+
+      return () => { };
+    }
+
+    search.listeners.add(listener);
+
+    return () => search.listeners.delete(listener);
+  }
+
+  /**
+   * Cancels a search, aborting all its requests. The secrets found before the cancellation are still sent.
+   * @param {object} search - The search, as returned by start.
+   * @returns {void}
+   * @public
+   */
+  cancel(search) {
+    search.abortController.abort();
+  }
+
+  /**
+   * Checks whether any search is still running.
+   * @returns {boolean} True if a search is running.
+   * @public
+   */
+  isRunning() {
+    return this.#runningSearches.size > 0;
+  }
+
+  /**
+   * Forgets all the searches, e.g. when a secret is saved or deleted, so the next searches find the change.
+   * The searches still running go on for the popups subscribed to them, but are not reused.
+   * @returns {void}
+   * @public
+   */
+  clear() {
+    this.#searches.clear();
+  }
+
+  /**
+   * Runs a search on all the sessions, sending the secrets to the subscribers as soon as they are found.
+   * The sessions that were crawled are indexed afterwards, unless the search was cancelled, so their next searches are instant.
+   * @param {object} search - The search.
+   * @param {string | string[]} text - The search text or an array of search terms.
+   * @param {string} tag - The tag to look for, or an empty string.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #run(search, text, tag) {
+    const signal = search.abortController.signal;
+    const streamedSecrets = new Set();
+
+    const onProgress = ({ secrets, progress }) => {
+      secrets.forEach(secret => streamedSecrets.add(secret));
+
+      this.#addSecrets(search, secrets, progress);
+    };
+
+    let result;
+
+    try {
+      result = (tag)
+        ? await this.vaultSessions.getSecretsByTag(text, tag, signal, onProgress)
+        : await this.vaultSessions.getSecretsByText(text, signal, onProgress);
+    } catch (error) {
+      this.logger.error('Failed to search the secrets:', error);
+
+      this.#finish(search, { errors: [], clusters: search.progress.clusters, cancelled: signal.aborted, error: error.message });
+      return;
+    }
+
+    // The secrets filtered by tag are only known at the end.
+    const remainingSecrets = result.secrets.filter(secret => !streamedSecrets.has(secret));
+
+    if (remainingSecrets.length > 0) {
+      this.#addSecrets(search, remainingSecrets, search.progress);
+    }
+
+    // The oldest index searched tells how late a secret created outside the extension may be found.
+    const indexTimes = result.sessions.filter(session => session.isIndexed).map(session => session.indexUpdatedTime);
+    const indexUpdatedTime = (indexTimes.length > 0) ? Math.min(...indexTimes) : null;
+
+    this.#finish(search, { errors: result.errors, clusters: result.sessions.length, cancelled: signal.aborted, indexUpdatedTime });
+
+    // The user stopped the crawl, so it is not started again here. The periodic refresh builds the index instead.
+    if (signal.aborted) {
+      return;
+    }
+
+    for (const session of result.sessions.filter(session => !session.isIndexed)) {
+      try {
+        await this.secretIndex.refresh(session);
+      } catch (error) {
+        this.logger.error(`Failed to build the secret index of '${session.name}':`, error);
+      }
+    }
+  }
+
+  /**
+   * Adds the secrets found to a search and sends them to its subscribers.
+   * @param {object} search - The search.
+   * @param {Array<object>} secrets - The secrets found, with their session.
+   * @param {object} progress - The progress of the search on all the sessions.
+   * @returns {void}
+   * @private
+   */
+  #addSecrets(search, secrets, progress) {
+    // The session is found again by the popup, from the ID of its profile.
+    const secretsWithoutSession = secrets.map(({ session, ...secret }) => ({ ...secret, profileId: session.profileId }));
+
+    search.secrets.push(...secretsWithoutSession);
+    search.progress = progress;
+
+    this.#notify(search, this.#createProgressMessage(secretsWithoutSession, progress));
+  }
+
+  /**
+   * Finishes a search and sends its end to the subscribers.
+   * @param {object} search - The search.
+   * @param {{errors: Array<object>, clusters: number, cancelled: boolean, indexUpdatedTime?: number|null, error?: string}} result -
+   * The errors of the sessions, the number of sessions searched, whether the search was cancelled, the time of the
+   * last refresh of the oldest index searched, if any, and why it failed, if it did.
+   * @returns {void}
+   * @private
+   */
+  #finish(search, result) {
+    search.result = { message: this.constants.REQUEST_MESSAGE_ID.SEARCH_DONE, ...result };
+    search.finishedTime = Date.now();
+
+    this.#runningSearches.delete(search);
+
+    // The partial results of a cancelled or failed search are not reused, the next one starts again.
+    if ((result.cancelled || result.error) && (this.#searches.get(search.key) === search)) {
+      this.#searches.delete(search.key);
+    }
+
+    this.#notify(search, search.result);
+
+    search.listeners.clear();
+  }
+
+  /**
+   * Sends a message to all the subscribers of a search.
+   * @param {object} search - The search.
+   * @param {object} message - The message.
+   * @returns {void}
+   * @private
+   */
+  #notify(search, message) {
+    for (const listener of search.listeners) {
+      try {
+        listener(message);
+      } catch (error) {
+        // A popup closed meanwhile can not receive the message, it gets the results when it is opened again.
+        this.logger.info(`Could not send the search message: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Creates the message with the secrets found and the progress of a search.
+   * @param {Array<object>} secrets - The secrets found, without their session.
+   * @param {object} progress - The progress of the search on all the sessions.
+   * @returns {{message: string, secrets: Array<object>, progress: object}} The message.
+   * @private
+   */
+  #createProgressMessage(secrets, progress) {
+    return { message: this.constants.REQUEST_MESSAGE_ID.SEARCH_PROGRESS, secrets: [...secrets], progress };
+  }
+
+  /**
+   * Drops the finished searches that are too old, and the oldest ones beyond the number of searches kept.
+   * @returns {void}
+   * @private
+   */
+  #dropOldSearches() {
+    const { MAX_AGE_MINUTES, MAX_SEARCHES } = this.constants.BACKGROUND_SEARCH;
+    const minTime = Date.now() - MAX_AGE_MINUTES * 60 * 1000;
+
+    const finishedSearches = [...this.#searches.values()]
+      .filter(search => search.result)
+      .sort((a, b) => b.finishedTime - a.finishedTime);
+
+    finishedSearches.forEach((search, index) => {
+      if ((search.finishedTime < minTime) || (index >= MAX_SEARCHES)) {
+        this.#searches.delete(search.key);
+      }
+    });
+  }
+
+  /**
+   * Gets the key of a search. The same query finds other secrets on other sessions (e.g., after logging into
+   * another profile), so the key includes what identifies each session: the same user on the same server and namespace.
+   * @param {string | string[]} text - The search text or an array of search terms.
+   * @param {string} tag - The tag to look for, or an empty string.
+   * @param {Array<object>} sessions - The sessions, as returned by VaultSessions.
+   * @returns {string} The key of the search.
+   * @private
+   */
+  #getKey(text, tag, sessions) {
+    const identities = sessions.map(session => [session.profileId, session.url, session.namespace, session.username, session.includeChildNamespaces]);
+
+    return JSON.stringify([text, tag, identities]);
+  }
+
+}
@@ -0,0 +1,476 @@
+/**
+ * Keeps a local index of the secrets of each profile's session, so the searches do not crawl every folder of every
+ * KV engine with LIST requests. The index holds the engines, the folders and the names of the secrets, but never
+ * their values. It is built and refreshed by the background service worker and read by the extension pages.
+ *
+ * The index is refreshed incrementally: only the folders whose listing is older than the maximum age are listed again,
+ * and the folder of a secret saved or deleted by the extension is listed again right away. Vault only dates the changes
+ * of the secrets, not of the folders, so when a listing finds new secrets, the KVv2 metadata 'updated_time' of a few of
+ * them dates the change of the folder. The folders changed recently are listed on every refresh, because they are the
+ * most likely to change again. The subfolders found while listing a folder are listed in the same refresh.
+ *
+ * Like the searches, the crawl is pruned with the resultant ACL of the token, read once per refresh: only the folders
+ * the token can list are listed, so the forbidden folders are not requested at all.
+ */
+export class VaultSecretIndex {
+
+  /**
+   * The version of the structure of the index. An index with another version is rebuilt.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #INDEX_VERSION = 1;
+
+  /**
+   * The refresh in progress of each profile, so the index of a profile is never written by two refreshes at once.
+   * @type {Map<string, Promise<void>>}
+   * @private
+   */
+  #refreshes = new Map();
+
+  /**
+   * Creates an instance of the VaultSecretIndex class.
+   * @param {object} dependencies - The injected dependencies.
+   * @param {object} dependencies.constants - Shared constants, such as the settings of the index.
+   * @param {object} dependencies.logger - The logger instance.
+   * @param {object} dependencies.PromisePool - Runs the LIST requests of the folders in parallel.
+   * @param {object} dependencies.VaultUtils - Utility functions for Vault.
+   * @param {object} dependencies.secretIndexStorage - The storage of the index of each profile.
+   */
+  constructor(dependencies) {
+    this.constants = dependencies.constants;
+    this.logger = dependencies.logger;
+    this.PromisePool = dependencies.PromisePool;
+    this.VaultUtils = dependencies.VaultUtils;
+    this.secretIndexStorage = dependencies.secretIndexStorage;
+  }
+
+  /**
+   * Gets the index of a session.
+   * An index built for another server, namespace or user (e.g., the profile was edited) is not returned.
+   * @param {object} session - The session, as returned by VaultSessions.
+   * @returns {Promise<object|null>} The index, or null if the session has not been indexed yet.
+   * @public
+   */
+  async getIndex(session) {
+    const index = await this.secretIndexStorage.getIndex(session.profileId);
+
+    return (this.#isIndexOf(index, session)) ? index : null;
+  }
+
+  /**
+   * Gets the number of secrets and the time of the last refresh of the index of a session.
+   * @param {object} session - The session, as returned by VaultSessions.
+   * @returns {Promise<{secretCount: number, updatedTime: number}|null>} The status, or null if the session has not been indexed yet.
+   * @public
+   */
+  async getStatus(session) {
+    const index = await this.getIndex(session);
+
+    if (!index) {
+      return null;
+    }
+
+    const secretCount = Object.values(index.folders).reduce((count, folder) => count + folder.secrets.length, 0);
+
+    return { secretCount, updatedTime: index.updatedTime };
+  }
+
+  /**
+   * Searches the index of a session, without any request to Vault.
+   * @param {object} session - The session, as returned by VaultSessions.
+   * @param {string | string[]} text - The search text or an array of search terms.
+   * @returns {Promise<{secrets: Array<object>, errors: Array<object>, updatedTime: number}|null>} The secrets found,
+   * in the same format as Vault.getSecretsByText, with the time of the last refresh of the index, or null if the
+   * session has not been indexed yet.
+   * @public
+   */
+  async search(session, text) {
+    const index = await this.getIndex(session);
+
+    if (!index) {
+      return null;
+    }
+
+    const secrets = [];
+
+    for (const folder of Object.values(index.folders)) {
+      const engine = index.engines[folder.engine];
+
+      for (const secretName of folder.secrets) {
+        if (this.VaultUtils.textMatchWithSecret(text, secretName)) {
+          const subkeys = [...folder.subkeys, secretName];
+
+          secrets.push({
+            engine: engine,
+            path: this.VaultUtils.extractPath(subkeys),
+            name: this.VaultUtils.extractName(subkeys),
+            fullName: this.VaultUtils.getSecretFullPath(engine.name, subkeys),
+            isPersonal: this.VaultUtils.isPersonalEngine(engine.name)
+          });
+        }
+      }
+    }
+
+    return {
+      secrets: this.VaultUtils.sortSecrets(secrets, text),
+      errors: [],
+      updatedTime: index.updatedTime
+    };
+  }
+
+  /**
+   * Refreshes the index of a session. The engines are always listed again, but only the stale and the active folders are.
+   * The progress is saved after each level of folders, so a refresh stopped halfway (e.g., the service worker
+   * was terminated) is resumed by the next one.
+   * @param {object} session - The session, as returned by VaultSessions.
+   * @param {boolean} [rebuild=false] - If true, the index is discarded and every folder is listed again.
+   * @returns {Promise<void>} A promise that resolves when the index is refreshed.
+   * @public
+   */
+  async refresh(session, rebuild = false) {
+    return this.#runExclusive(session.profileId, async () => {
+      const index = (rebuild) ? this.#createIndex(session) : (await this.getIndex(session) || this.#createIndex(session));
+      const acl = await session.vault.getResultantAcl();
+
+      await this.#refreshEngines(index, session, acl);
+
+      const { FOLDER_MAX_AGE_MINUTES, ACTIVE_FOLDER_HOURS } = this.constants.SECRET_INDEX;
+
+      await this.#refreshFolders(index, session, acl, Date.now() - FOLDER_MAX_AGE_MINUTES * 60 * 1000, Date.now() - ACTIVE_FOLDER_HOURS * 60 * 60 * 1000);
+    });
+  }
+
+  /**
+   * Lists again the folder of a secret that was saved or deleted, so the change is found by the next search.
+   * When the folder is new, its deepest indexed parent is listed instead, which finds the new subfolders.
+   * Nothing is done if the session has not been indexed yet.
+   * @param {object} session - The session, as returned by VaultSessions.
+   * @param {object} engine - The engine of the secret.
+   * @param {string[]} subkeys - The path of the folder of the secret.
+   * @returns {Promise<void>} A promise that resolves when the folder is refreshed.
+   * @public
+   */
+  async refreshFolder(session, engine, subkeys) {
+    return this.#runExclusive(session.profileId, async () => {
+      const index = await this.getIndex(session);
+
+      if (!index) {
+        return;
+      }
+
+      const engineKey = this.VaultUtils.getEngineDisplayName(engine);
+
+      for (let depth = subkeys.length; depth >= 0; depth--) {
+        const folder = index.folders[this.#getFolderKey(engineKey, subkeys.slice(0, depth))];
+
+        if (folder) {
+          // A folder that was never listed is refreshed by any refresh, regardless of its age.
+          folder.refreshedTime = 0;
+          folder.changedTime = Date.now();
+          break;
+        }
+      }
+
+      await this.#refreshFolders(index, session, await session.vault.getResultantAcl(), 0);
+    });
+  }
+
+  /**
+   * Deletes the index of a profile's session, e.g. on logout, so the paths of its secrets are not kept on the disk.
+   * @param {string} profileId - The ID of the profile, or an empty string for the session without a profile.
+   * @returns {Promise<void>} A promise that resolves when the index is deleted.
+   * @public
+   */
+  async clear(profileId) {
+    return this.#runExclusive(profileId, () => this.secretIndexStorage.clearIndex(profileId));
+  }
+
+  /**
+   * Runs a task after the previous task of the same profile has finished.
+   * @param {string} profileId - The ID of the profile.
+   * @param {function(): Promise<void>} task - The task that reads and writes the index of the profile.
+   * @returns {Promise<void>} A promise that resolves when the task has finished.
+   * @private
+   */
+  async #runExclusive(profileId, task) {
+    const previous = this.#refreshes.get(profileId) || Promise.resolve();
+    const current = previous.catch(() => { }).then(task);
+
+    this.#refreshes.set(profileId, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.#refreshes.get(profileId) === current) {
+        this.#refreshes.delete(profileId);
+      }
+    }
+  }
+
+  /**
+   * Creates an empty index for a session.
+   * @param {object} session - The session, as returned by VaultSessions.
+   * @returns {object} The empty index.
+   * @private
+   */
+  #createIndex(session) {
+    return {
+      version: VaultSecretIndex.#INDEX_VERSION,
+      identity: this.#getIdentity(session),
+      updatedTime: 0,
+      engines: {},
+      folders: {}
+    };
+  }
+
+  /**
+   * Checks if an index was built for a session.
+   * @param {object|null} index - The index.
+   * @param {object} session - The session, as returned by VaultSessions.
+   * @returns {boolean} True if the index can be used by the session.
+   * @private
+   */
+  #isIndexOf(index, session) {
+    return (index?.version === VaultSecretIndex.#INDEX_VERSION) && (index.identity === this.#getIdentity(session));
+  }
+
+  /**
+   * Gets what identifies the secrets seen by a session: the same user on the same server and namespace.
+   * @param {object} session - The session, as returned by VaultSessions.
+   * @returns {string} The identity of the session.
+   * @private
+   */
+  #getIdentity(session) {
+    return JSON.stringify([session.url, session.namespace, session.username, session.includeChildNamespaces]);
+  }
+
+  /**
+   * Gets the key of a folder in the index.
+   * @param {string} engineKey - The key of the engine of the folder.
+   * @param {string[]} subkeys - The path of the folder.
+   * @returns {string} The key of the folder.
+   * @private
+   */
+  #getFolderKey(engineKey, subkeys) {
+    return `${engineKey}:${subkeys.join(this.constants.PATH_SEPARATOR)}`;
+  }
+
+  /**
+   * Lists the KV engines of the session again. The folders of the removed engines are discarded,
+   * and the root folder of the new engines is added, to be listed by the next refresh of the folders.
+   * When the root folder can not be listed, the outermost folders under it that the token can list are added instead.
+   * The personal engines are only indexed under the folder of the user, like in the searches.
+   * @param {object} index - The index to update.
+   * @param {object} session - The session, as returned by VaultSessions.
+   * @param {object | null} acl - The resultant ACL of the token, or null to list every folder.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #refreshEngines(index, session, acl) {
+    const engines = await session.vault.getKVEnginesInNamespaces(session.includeChildNamespaces);
+
+    index.engines = {};
+    for (const engine of engines) {
+      index.engines[this.VaultUtils.getEngineDisplayName(engine)] = engine;
+    }
+
+    for (const [folderKey, folder] of Object.entries(index.folders)) {
+      if (!index.engines[folder.engine]) {
+        delete index.folders[folderKey];
+      }
+    }
+
+    for (const [engineKey, engine] of Object.entries(index.engines)) {
+      const subkeys = (this.VaultUtils.isPersonalEngine(engine.name)) ? [session.username] : [];
+
+      for (const folderSubkeys of session.vault.getFoldersToExplore(engine, subkeys, acl)) {
+        index.folders[this.#getFolderKey(engineKey, folderSubkeys)] ??= this.#createFolder(engineKey, folderSubkeys);
+      }
+    }
+  }
+
+  /**
+   * Lists again the folders refreshed before a given time, or changed after another, level by level, until no folder
+   * is stale. The new subfolders are never listed, so they are listed in the next level. The index is saved after each level.
+   * @param {object} index - The index to update.
+   * @param {object} session - The session, as returned by VaultSessions.
+   * @param {object | null} acl - The resultant ACL of the token, or null to list every folder.
+   * @param {number} staleBefore - The folders refreshed before this time (in milliseconds) are listed again.
+   * @param {number} [activeAfter=Infinity] - The folders changed after this time (in milliseconds) are listed again.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #refreshFolders(index, session, acl, staleBefore, activeAfter = Infinity) {
+    let staleFolders = Object.values(index.folders)
+      .filter(folder => (folder.refreshedTime <= staleBefore) || ((folder.changedTime || 0) > activeAfter));
+
+    while (staleFolders.length > 0) {
+      this.logger.info(`Refreshing ${staleFolders.length} folder(s) of the secret index.`);
+
+      await this.PromisePool.process(staleFolders, (folder) => this.#refreshFolder(index, session, acl, folder));
+
+      // The session may have been closed during the refresh (e.g., logout), so its index must not be saved again.
+      if (!this.VaultUtils.isTokenValid(await session.storage.getToken())) {
+        await this.secretIndexStorage.clearIndex(session.profileId);
+        return;
+      }
+
+      index.updatedTime = Date.now();
+      await this.secretIndexStorage.setIndex(session.profileId, index);
+
+      staleFolders = Object.values(index.folders).filter(folder => folder.refreshedTime === 0);
+    }
+  }
+
+  /**
+   * Lists a folder again, updating its secrets and subfolders.
+   * The subfolders that are gone are discarded with all their content. A folder that can not be listed
+   * anymore (e.g., deleted or forbidden) is emptied. On other errors, the previous listing is kept.
+   * A new subfolder the token can not list is not added, only the outermost folders under it that it can list.
+   * @param {object} index - The index to update.
+   * @param {object} session - The session, as returned by VaultSessions.
+   * @param {object | null} acl - The resultant ACL of the token, or null to list every folder.
+   * @param {object} folder - The folder to list.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #refreshFolder(index, session, acl, folder) {
+    const engine = index.engines[folder.engine];
+    const foldersToList = session.vault.getFoldersToExplore(engine, folder.subkeys, acl);
+
+    // A folder indexed before the token lost the right to list it is replaced by the folders under it that it can list.
+    if (!foldersToList.some(subkeys => subkeys.length === folder.subkeys.length)) {
+      delete index.folders[this.#getFolderKey(folder.engine, folder.subkeys)];
+
+      for (const subkeys of foldersToList) {
+        index.folders[this.#getFolderKey(folder.engine, subkeys)] ??= this.#createFolder(folder.engine, subkeys);
+      }
+      return;
+    }
+
+    let secretList;
+    try {
+      secretList = await session.vault.listSecrets(engine, folder.subkeys) || [];
+    } catch (error) {
+      this.logger.info(`Could not refresh the folder '${folder.subkeys.join(this.constants.PATH_SEPARATOR)}' of the secret index: ${error.message}`);
+
+      folder.refreshedTime = Date.now();
+      return;
+    }
+
+    // The folder may have been removed while it was listed, because its parent was listed at the same time.
+    if (index.folders[this.#getFolderKey(folder.engine, folder.subkeys)] !== folder) {
+      return;
+    }
+
+    const isListedBefore = (folder.refreshedTime > 0);
+    const secrets = [];
+    const folders = [];
+
+    for (const secretName of secretList) {
+      // Skip ignored secret names, like the searches.
+      if (this.constants.IGNORED_SECRET_NAMES.has(secretName)) {
+        continue;
+      }
+
+      if (this.VaultUtils.isSecretAFolder(secretName)) {
+        folders.push(secretName.replace(this.constants.PATH_SEPARATOR, ''));
+      } else {
+        secrets.push(secretName);
+      }
+    }
+
+    for (const folderName of folder.folders.filter(name => !folders.includes(name))) {
+      this.#removeFolder(index, folder.engine, [...folder.subkeys, folderName]);
+    }
+
+    for (const folderName of folders) {
+      const subkeys = [...folder.subkeys, folderName];
+
+      for (const folderSubkeys of session.vault.getFoldersToExplore(engine, subkeys, acl)) {
+        index.folders[this.#getFolderKey(folder.engine, folderSubkeys)] ??= this.#createFolder(folder.engine, folderSubkeys);
+      }
+    }
+
+    // The first listing of a folder finds all its secrets, so there is no change to date.
+    const newSecrets = secrets.filter(name => !folder.secrets.includes(name));
+    if (isListedBefore && (newSecrets.length > 0 || secrets.length < folder.secrets.length)) {
+      folder.changedTime = Math.max(folder.changedTime || 0, await this.#getChangedTime(engine, folder.subkeys, newSecrets, session));
+    }
+
+    folder.secrets = secrets;
+    folder.folders = folders;
+    folder.refreshedTime = Date.now();
+  }
+
+  /**
+   * Dates the change of a folder with the newest KVv2 'updated_time' of its new secrets.
+   * The removed secrets have no metadata anymore, and KVv1 engines keep none, so their change is dated now.
+   * @param {object} engine - The engine of the folder.
+   * @param {string[]} subkeys - The path of the folder.
+   * @param {string[]} newSecrets - The names of the secrets found since the previous listing.
+   * @param {object} session - The session, as returned by VaultSessions.
+   * @returns {Promise<number>} The time of the change (in milliseconds).
+   * @private
+   */
+  async #getChangedTime(engine, subkeys, newSecrets, session) {
+    if ((newSecrets.length === 0) || (engine?.options?.version !== '2')) {
+      return Date.now();
+    }
+
+    const secretNames = newSecrets.slice(0, this.constants.SECRET_INDEX.MAX_METADATA_READS);
+
+    const times = await Promise.all(secretNames.map(async (secretName) => {
+      try {
+        const metadata = await session.vault.getSecretMetadata(engine, [...subkeys, secretName]);
+
+        return Date.parse(metadata?.updated_time) || 0;
+      } catch (error) {
+        this.logger.info(`Could not read the metadata of '${secretName}' of the secret index: ${error.message}`);
+
+        return Date.now();
+      }
+    }));
+
+    return Math.max(...times);
+  }
+
+  /**
+   * Creates a folder that was never listed.
+   * @param {string} engineKey - The key of the engine of the folder.
+   * @param {string[]} subkeys - The path of the folder.
+   * @returns {object} The folder.
+   * @private
+   */
+  #createFolder(engineKey, subkeys) {
+    return {
+      engine: engineKey,
+      subkeys,
+      secrets: [],
+      folders: [],
+      refreshedTime: 0,
+      changedTime: 0
+    };
+  }
+
+  /**
+   * Removes a folder and all its subfolders from the index.
+   * @param {object} index - The index to update.
+   * @param {string} engineKey - The key of the engine of the folder.
+   * @param {string[]} subkeys - The path of the folder.
+   * @returns {void}
+   * @private
+   */
+  #removeFolder(index, engineKey, subkeys) {
+    const folderKey = this.#getFolderKey(engineKey, subkeys);
+
+    for (const key of Object.keys(index.folders)) {
+      if (key === folderKey || key.startsWith(`${folderKey}${this.constants.PATH_SEPARATOR}`)) {
+        delete index.folders[key];
+      }
+    }
+  }
+
+}
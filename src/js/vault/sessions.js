@@ -0,0 +1,269 @@
+/**
+ * Searches the sessions of all the profiles at once, so the credentials split across several
+ * Vault clusters (e.g., one in each data center) are found with a single search.
+ * Each profile keeps its own session, and only the sessions with a valid token are searched.
+ * Every secret found keeps a reference to its session, so it is read, edited and deleted
+ * with the Vault instance of the cluster it came from.
+ * A session whose secrets have been indexed is searched on its index, without any request to Vault.
+ */
+export class VaultSessions {
+
+  /**
+   * I18n keys for messages specific to this class.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #i18nKeys = {
+    ERROR_TYPE_CLUSTER_FAILURE: 'error_type_cluster_failure'
+  };
+
+  /**
+   * Creates an instance of the VaultSessions class.
+   * @param {object} dependencies - The injected dependencies.
+   * @param {object} dependencies.I18n - The I18n class, used to get the localized messages.
+   * @param {object} dependencies.logger - The logger instance.
+   * @param {object} dependencies.VaultUtils - Utility functions for Vault.
+   * @param {object} dependencies.vaultFactory - Factory to create Vault instances.
+   * @param {object} dependencies.profileStorage - The storage of the saved profiles.
+   * @param {object} dependencies.secretIndex - The search index of the secrets of each session.
+   * @param {object} dependencies.storage - The storage of the session of the active profile.
+   */
+  constructor(dependencies) {
+    this.I18n = dependencies.I18n;
+    this.logger = dependencies.logger;
+    this.VaultUtils = dependencies.VaultUtils;
+    this.vaultFactory = dependencies.vaultFactory;
+    this.profileStorage = dependencies.profileStorage;
+    this.secretIndex = dependencies.secretIndex;
+    this.storage = dependencies.storage;
+  }
+
+  /**
+   * Gets the sessions with a valid token, the one of the active profile first.
+   * The session without a profile is included too, for users who never saved a profile.
+   * @returns {Promise<Array<{profileId: string, name: string, storage: object, vault: object, url: string,
+   * namespace: string, username: string, includeChildNamespaces: boolean}>>} The sessions.
+   * @public
+   */
+  async getSessions() {
+    const activeProfileId = await this.storage.getProfileId();
+    const profiles = await this.profileStorage.getProfiles();
+
+    const profileIds = [...new Set([activeProfileId, '', ...profiles.map(profile => profile.id)])];
+
+    const sessions = [];
+
+    for (const profileId of profileIds) {
+      const session = await this.getSession(profileId, profiles);
+
+      if (session) {
+        sessions.push(session);
+      }
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Gets the session of a profile, if its token is valid.
+   * @param {string} profileId - The ID of the profile, or an empty string for the session without a profile.
+   * @param {Array<object>} [profiles] - The saved profiles, to avoid reading them again. They are read when omitted.
+   * @returns {Promise<object|null>} The session, as returned by getSessions, or null if it is not open.
+   * @public
+   */
+  async getSession(profileId, profiles = null) {
+    const storage = this.storage.forProfile(profileId);
+    const token = await storage.getToken();
+
+    if (!this.VaultUtils.isTokenValid(token)) {
+      return null;
+    }
+
+    const url = await storage.getUrl();
+    const namespace = await storage.getNamespace();
+    const profile = (profiles || await this.profileStorage.getProfiles()).find(profile => profile.id === profileId);
+
+    const vault = this.vaultFactory.create(url, token, namespace);
+    vault.setServerVersion(await storage.getServerVersion());
+
+    return {
+      profileId,
+      // The session without a profile is named after the host of its Vault address.
+      name: profile?.name || new URL(url).host,
+      storage,
+      vault,
+      url,
+      namespace,
+      username: await storage.getUsername(),
+      includeChildNamespaces: await storage.getIncludeChildNamespaces()
+    };
+  }
+
+  /**
+   * Searches for secrets on all the sessions based on search text.
+   * @param {string | string[]} text - The search text or an array of search terms.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the search on all the sessions.
+   * @param {function({secrets: Array<object>, progress: object}): void | null} [onProgress=null] - An optional callback,
+   * called with the secrets found as soon as they are found (each batch sorted on its own) and the progress
+   * of the search on all the sessions: { clusters, enginesDone, enginesTotal, foldersDone, foldersPending }.
+   * @returns {Promise<{secrets: Array<object>, errors: Array<object>, sessions: Array<object>}>} A promise resolving
+   * with the merged and sorted secrets, the errors of all the sessions and the sessions that were searched.
+   * @public
+   */
+  async getSecretsByText(text, signal = null, onProgress = null) {
+    return this.#searchAllSessions(text, signal, onProgress, (session, onSessionProgress) => {
+      return this.#searchSession(session, text, signal, onSessionProgress);
+    });
+  }
+
+  /**
+   * Searches for the secrets whose latest version was soft-deleted on all the sessions.
+   * The deleted secrets are not on the search index, so every session is crawled.
+   * @param {string | string[]} text - The search text or an array of search terms.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the search on all the sessions.
+   * @returns {Promise<{secrets: Array<object>, errors: Array<object>, sessions: Array<object>}>} A promise resolving
+   * with the merged and sorted deleted secrets, the errors of all the sessions and the sessions that were searched.
+   * @public
+   */
+  async getDeletedSecretsByText(text, signal = null) {
+    return this.#searchAllSessions(text, signal, null, (session) => {
+      return session.vault.getDeletedSecretsByText(session.username, text, session.includeChildNamespaces, signal);
+    });
+  }
+
+  /**
+   * Searches for secrets on all the sessions that have a given tag in their custom metadata.
+   * The tag of a secret is only known once its metadata is read, after the search, so the progress
+   * is reported without any secret and the tagged secrets are only returned at the end.
+   * @param {string | string[]} text - The search text or an array of search terms. An empty text matches every secret.
+   * @param {string} tag - The tag to look for.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the search on all the sessions.
+   * @param {function({secrets: Array<object>, progress: object}): void | null} [onProgress=null] - An optional callback,
+   * called with the progress of the search, as in getSecretsByText.
+   * @returns {Promise<{secrets: Array<object>, errors: Array<object>, sessions: Array<object>}>} A promise resolving
+   * with the merged and sorted secrets, the errors of all the sessions and the sessions that were searched.
+   * @public
+   */
+  async getSecretsByTag(text, tag, signal = null, onProgress = null) {
+    const onUntaggedProgress = (onProgress) ? ({ progress }) => onProgress({ secrets: [], progress }) : null;
+
+    return this.#searchAllSessions(text, signal, onUntaggedProgress, async (session, onSessionProgress) => {
+      const result = await this.#searchSession(session, text, signal, onSessionProgress);
+
+      // The tags are kept in the custom metadata, which is not indexed.
+      return session.vault.filterSecretsByTag(result, tag, signal);
+    });
+  }
+
+  /**
+   * Searches for secrets on a session, using its index if it has been indexed, or crawling all its engines otherwise.
+   * The session is flagged with 'isIndexed', so the caller can ask for the index of the other sessions to be built,
+   * and with 'indexUpdatedTime', the time of the last refresh of its index, so the caller can tell how old the result is.
+   * @param {object} session - The session to search.
+   * @param {string | string[]} text - The search text or an array of search terms.
+   * @param {AbortSignal | null} signal - The signal that cancels the search.
+   * @param {function({secrets: Array<object>, progress: object}): void} onProgress - Called with the secrets
+   * found and the progress of the search on the session.
+   * @returns {Promise<{secrets: Array<object>, errors: Array<object>}>} The secrets found and any errors.
+   * @private
+   */
+  async #searchSession(session, text, signal, onProgress) {
+    const result = await this.secretIndex.search(session, text);
+
+    session.isIndexed = Boolean(result);
+    session.indexUpdatedTime = result?.updatedTime ?? null;
+
+    if (result) {
+      // The index is searched at once, without any engine or folder to crawl.
+      onProgress({ secrets: result.secrets, progress: { enginesDone: 0, enginesTotal: 0, foldersDone: 0, foldersPending: 0 } });
+
+      return result;
+    }
+
+    return session.vault.getSecretsByText(session.username, text, session.includeChildNamespaces, signal, onProgress);
+  }
+
+  /**
+   * Runs a search on all the sessions at the same time and merges their results.
+   * A cluster that can not be reached does not stop the search on the others, it is reported as an error.
+   * When more than one cluster is searched, the errors are prefixed with the name of their cluster.
+   * A cluster whose search was cancelled before it found anything is not reported as an error.
+   * @param {string | string[]} text - The search text, used to sort the merged secrets.
+   * @param {AbortSignal | null} signal - The signal that cancels the search.
+   * @param {function({secrets: Array<object>, progress: object}): void | null} onProgress - The callback of the
+   * caller, called with the secrets found on any session and the progress added up across all the sessions.
+   * @param {function(object, function): Promise<{secrets: Array<object>, errors: Array<object>}>} search - Searches
+   * one session, reporting its secrets and progress to the callback it receives.
+   * @returns {Promise<{secrets: Array<object>, errors: Array<object>, sessions: Array<object>}>} The merged result.
+   * @private
+   */
+  async #searchAllSessions(text, signal, onProgress, search) {
+    const sessions = await this.getSessions();
+    const isMerged = (sessions.length > 1);
+
+    // The progress of each session, added up to report the progress of the whole search.
+    const sessionProgress = sessions.map(() => ({ enginesDone: 0, enginesTotal: 0, foldersDone: 0, foldersPending: 0 }));
+
+    /**
+     * Creates the progress callback of a session, which labels its secrets with the session and reports
+     * them with the progress of all the sessions.
+     * @param {number} index - The index of the session.
+     * @returns {function({secrets: Array<object>, progress: object}): void} The callback.
+     */
+    const createProgressCallback = (index) => ({ secrets, progress }) => {
+      sessionProgress[index] = progress;
+
+      // The session is used later to read, edit and delete the secret on its own cluster.
+      secrets.forEach(secret => secret.session = sessions[index]);
+
+      const totalProgress = { clusters: sessions.length };
+      for (const key of ['enginesDone', 'enginesTotal', 'foldersDone', 'foldersPending']) {
+        totalProgress[key] = sessionProgress.reduce((sum, item) => sum + item[key], 0);
+      }
+
+      onProgress?.({ secrets: this.VaultUtils.sortSecrets([...secrets], text), progress: totalProgress });
+    };
+
+    const results = await Promise.allSettled(sessions.map((session, index) => search(session, createProgressCallback(index))));
+
+    const allSecrets = [];
+    const allErrors = [];
+
+    results.forEach((result, index) => {
+      const session = sessions[index];
+
+      if (result.status === 'rejected') {
+        if (signal?.aborted) {
+          return;
+        }
+
+        this.logger.error(`Failed to search the cluster '${session.name}':`, result.reason);
+
+        allErrors.push({
+          type: this.I18n.getMessage(VaultSessions.#i18nKeys.ERROR_TYPE_CLUSTER_FAILURE),
+          engine: session.name,
+          reason: result.reason.message
+        });
+        return;
+      }
+
+      result.value.secrets.forEach(secret => {
+        // The session is used later to read, edit and delete the secret on its own cluster.
+        secret.session = session;
+        allSecrets.push(secret);
+      });
+
+      result.value.errors.forEach(error => {
+        allErrors.push((isMerged) ? { ...error, engine: `${session.name}: ${error.engine}` } : error);
+      });
+    });
+
+    return {
+      secrets: (isMerged) ? this.VaultUtils.sortSecrets(allSecrets, text) : allSecrets,
+      errors: allErrors,
+      sessions
+    };
+  }
+
+}
@@ -1,4 +1,4 @@
-import { PATH_SEPARATOR } from '../core/constants.js';
+import { CAPABILITY, PATH_SEPARATOR } from '../core/constants.js';
 import { I18n } from '../core/i18n.js';
 
 /**
@@ -18,6 +18,21 @@ export class VaultUtils {
     CONFIG_SECRET_PERSONAL_ENGINES: 'config_secret_personal_engines'
   };
 
+  /**
+   * Keys used to store the extension fields in the KVv2 'custom_metadata' of a secret.
+   * Vault only accepts string values, so the tags are joined with TAG_SEPARATOR.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #CUSTOM_METADATA = {
+    OWNER: 'owner',
+    URL: 'url',
+    TAGS: 'tags',
+    ROTATION_DAYS: 'rotation_days',
+    TAG_SEPARATOR: ','
+  };
+
   /**
    * Checks if a given Vault token object is valid (exists and not expired).
    * Assumes the token object has an 'expire_date' property.
@@ -60,6 +75,40 @@ export class VaultUtils {
     return VaultUtils.removeDoubleSlash(cleanPathParts.join(PATH_SEPARATOR));
   }
 
+  /**
+   * Constructs the API path of a secret's data, relative to its namespace, as written in Vault policies
+   * (e.g., "team/data/apps/github.com" on KVv2 or "legacy/apps/github.com" on KVv1).
+   * @param {object} engine - The engine object (must have 'name' and 'options.version').
+   * @param {string[]} subkeys - An array of sub-path segments under the engine.
+   * @returns {string} The path of the secret's data.
+   * @static
+   */
+  static getSecretDataPath(engine, subkeys) {
+    // On KVv2, the data of a secret is read and written on the data path.
+    const engineName = engine.name + ((engine?.options?.version === '2') ? 'data' : '');
+
+    return VaultUtils.getSecretFullPath(engineName, subkeys);
+  }
+
+  /**
+   * Checks whether the capabilities of a path, as returned by sys/capabilities-self, allow an action.
+   * @param {string[] | null | undefined} capabilities - The capabilities of the path. Null when they could not be read.
+   * @param {string} capability - The capability the action requires (e.g., 'update').
+   * @returns {boolean} True if the capability is granted or unknown, so an action is only refused when Vault says so.
+   * @static
+   */
+  static hasCapability(capabilities, capability) {
+    if (!Array.isArray(capabilities)) {
+      return true;
+    }
+
+    if (capabilities.includes(CAPABILITY.DENY)) {
+      return false;
+    }
+
+    return capabilities.includes(CAPABILITY.ROOT) || capabilities.includes(capability);
+  }
+
   /**
    * Constructs an array of subkeys from a given path and secret name.
    * If a path is provided, splits the path by the PATH_SEPARATOR and appends the secret name.
@@ -93,16 +142,172 @@ export class VaultUtils {
     return url.replace(/([^:])(\/\/+)/g, '$1/');
   }
 
+  /**
+   * Extracts the username from the 'display_name' of a token created by an auth method.
+   * Vault prefixes the display name with the mount path of the auth method.
+   * Example: ('oidc-john.doe', 'oidc') -> "john.doe"
+   * @param {string} displayName - The 'display_name' returned by a token lookup.
+   * @param {string} mount - The mount path of the auth method used to log in.
+   * @returns {string} The username, or an empty string if there is no display name.
+   * @static
+   */
+  static getUsernameFromDisplayName(displayName, mount) {
+    if (!displayName) {
+      return '';
+    }
+
+    // Vault replaces the slashes of nested mount paths with dashes.
+    const prefix = `${mount.replace(/\/+$/, '').replaceAll('/', '-')}-`;
+
+    return (displayName.startsWith(prefix)) ? displayName.slice(prefix.length) : displayName;
+  }
+
+  /**
+   * Normalizes the mount path of an auth method, so users can type it as Vault shows it.
+   * E.g., 'auth/corp-ldap/', '/corp-ldap' and 'corp-ldap' all return 'corp-ldap'.
+   * @param {string} mount - The mount path typed by the user.
+   * @returns {string} The mount path without the 'auth/' prefix and without leading or trailing slashes.
+   * @static
+   */
+  static getAuthMount(mount) {
+    return (mount || '').trim().replace(/^\/+|\/+$/g, '').replace(/^auth\//, '');
+  }
+
+  /**
+   * Joins Vault Enterprise namespaces into a single path without leading or trailing slashes.
+   * E.g., ('org/', '/team-a/') returns 'org/team-a' and ('', '') returns '' (the root namespace).
+   * @param {...string} namespaces - The namespaces to join, from the parent to the child.
+   * @returns {string} The joined namespace path.
+   * @static
+   */
+  static joinNamespaces(...namespaces) {
+    return namespaces
+      .map(namespace => (namespace || '').trim().replace(/^\/+|\/+$/g, ''))
+      .filter(namespace => namespace.length > 0)
+      .join(PATH_SEPARATOR);
+  }
+
+  /**
+   * Parses the KV engines typed by the user, as a comma-separated list of paths and KV versions.
+   * E.g., 'personal:2, team/apps:1' returns [{ path: 'personal/', version: '2' }, { path: 'team/apps/', version: '1' }].
+   * @param {string} text - The typed engines. The version is optional and defaults to 2.
+   * @returns {Array<{path: string, version: string}>} The engines, with their path ending with a slash.
+   * @static
+   */
+  static parseEnginePaths(text) {
+    return (text || '')
+      .split(',')
+      .map(item => item.trim())
+      .filter(item => item.length > 0)
+      .map(item => {
+        const [path, version] = item.split(':');
+
+        return {
+          path: `${path.trim().replace(/^\/+|\/+$/g, '')}${PATH_SEPARATOR}`,
+          version: (version || '2').trim()
+        };
+      });
+  }
+
+  /**
+   * Formats KV engines as the comma-separated list typed by the user. It is the opposite of parseEnginePaths.
+   * @param {Array<{path: string, version: string}>} engines - The engines.
+   * @returns {string} The formatted engines (e.g., 'personal:2, team/apps:1').
+   * @static
+   */
+  static formatEnginePaths(engines) {
+    return (engines || [])
+      .map(engine => `${engine.path.replace(/\/+$/, '')}:${engine.version}`)
+      .join(', ');
+  }
+
+  /**
+   * Parses the Transit keys of the engines typed by the user.
+   * Each entry is the path of a KV engine and its Transit key, with the mount of the Transit engine (e.g., 'team=transit/team').
+   * The mount defaults to 'transit' when only the key is typed (e.g., 'team=team').
+   * @param {string} text - The comma-separated entries (e.g., 'team=transit/team, personal=transit-eu/user1').
+   * @returns {Array<{engine: string, mount: string, key: string}>} The Transit keys, or an empty array if there is none.
+   * @static
+   */
+  static parseTransitKeys(text) {
+    return (text || '')
+      .split(',')
+      .map(item => item.trim())
+      .filter(item => item.length > 0)
+      .map(item => {
+        const [engine, transitKey = ''] = item.split('=').map(part => part.trim().replace(/^\/+|\/+$/g, ''));
+
+        // The key is the last segment, so the mount of the Transit engine can be nested (e.g., 'team/transit/app').
+        const separatorIndex = transitKey.lastIndexOf(PATH_SEPARATOR);
+
+        return {
+          engine: `${engine}${PATH_SEPARATOR}`,
+          mount: (separatorIndex > 0) ? transitKey.slice(0, separatorIndex) : 'transit',
+          key: transitKey.slice(separatorIndex + 1)
+        };
+      });
+  }
+
+  /**
+   * Formats the Transit keys of the engines as the comma-separated list typed by the user. It is the opposite of parseTransitKeys.
+   * @param {Array<{engine: string, mount: string, key: string}>} transitKeys - The Transit keys.
+   * @returns {string} The formatted Transit keys (e.g., 'team=transit/team, personal=transit-eu/user1').
+   * @static
+   */
+  static formatTransitKeys(transitKeys) {
+    return (transitKeys || [])
+      .map(transitKey => `${transitKey.engine.replace(/\/+$/, '')}=${transitKey.mount}${PATH_SEPARATOR}${transitKey.key}`)
+      .join(', ');
+  }
+
+  /**
+   * Gets the name of a secret as shown to the user, prefixed by the child namespace of its engine, if any.
+   * The full name itself is not changed, because it is also the salt of the encrypted values.
+   * @param {object} secret - The secret object, with 'fullName' and 'engine'.
+   * @returns {string} The name to display (e.g., 'team-a/secret/path/name').
+   * @static
+   */
+  static getSecretDisplayName(secret) {
+    return VaultUtils.#prefixWithNamespace(secret?.engine?.namespace, secret?.fullName);
+  }
+
+  /**
+   * Gets the name of an engine as shown to the user, prefixed by its child namespace, if any.
+   * @param {object} engine - The engine object, with 'name' and 'namespace'.
+   * @returns {string} The name to display (e.g., 'team-a/secret/').
+   * @static
+   */
+  static getEngineDisplayName(engine) {
+    return VaultUtils.#prefixWithNamespace(engine?.namespace, engine?.name);
+  }
+
+  /**
+   * Prefixes a name with a namespace, keeping the name unchanged for the namespace of the session.
+   * @param {string} namespace - The child namespace.
+   * @param {string} name - The name to prefix.
+   * @returns {string} The prefixed name.
+   * @private
+   * @static
+   */
+  static #prefixWithNamespace(namespace, name) {
+    return (namespace) ? `${namespace}${PATH_SEPARATOR}${name}` : name;
+  }
+
   /**
    * Prepares the request body for adding/updating a secret.
    * @param {object} engine - The engine object, containing options like version.
    * @param {object} data - The secret data (key-value pairs) to be stored.
+   * @param {object} [options={}] - Optional KVv2 write options, such as 'cas' (check-and-set). Ignored by KVv1.
    * @returns {string} The stringified JSON request body.
    * @static
    */
-  static prepareBody(engine, data) {
+  static prepareBody(engine, data, options = {}) {
     if (engine?.options?.version === '2') {
       // KVv2 expects data to be wrapped in a "data" field within the request body.
+      if (options && Object.keys(options).length > 0) {
+        return JSON.stringify({ options, data });
+      }
+
       return JSON.stringify({ data });
     } else {
       // KVv1 expects the data directly as the request body.
@@ -337,4 +542,227 @@ export class VaultUtils {
     return secretName === searchText;
   }
 
+  /**
+   * Converts the 'versions' map of a KVv2 metadata response into a list sorted from the newest to the oldest version.
+   * Vault returns the versions as an object keyed by the version number, e.g. { "1": { created_time, deletion_time, destroyed } }.
+   * @param {object} metadata - The 'data' object of a KVv2 metadata response.
+   * @returns {Array<{version: number, createdTime: string, deletionTime: string, isDeleted: boolean, destroyed: boolean, isCurrent: boolean}>} The list of versions.
+   * @static
+   */
+  static extractVersions(metadata) {
+    const versions = [];
+
+    for (const [key, value] of Object.entries(metadata?.versions || {})) {
+      const version = Number(key);
+
+      versions.push({
+        version: version,
+        createdTime: value?.created_time || '',
+        // Vault returns an empty string when the version was never deleted.
+        deletionTime: value?.deletion_time || '',
+        isDeleted: VaultUtils.isDeletionTimeReached(value?.deletion_time),
+        destroyed: value?.destroyed === true,
+        isCurrent: version === metadata.current_version
+      });
+    }
+
+    return versions.sort((a, b) => b.version - a.version);
+  }
+
+  /**
+   * Checks if a KVv2 deletion time has already been reached, meaning the version is (soft) deleted.
+   * Engines configured with 'delete_version_after' return a deletion time in the future, which is not a deletion yet.
+   * @param {string} deletionTime - The 'deletion_time' returned by Vault. An empty string means never deleted.
+   * @returns {boolean} True if the version is deleted, false otherwise.
+   * @static
+   */
+  static isDeletionTimeReached(deletionTime) {
+    if (!deletionTime) {
+      return false;
+    }
+
+    return new Date(deletionTime) <= new Date();
+  }
+
+  /**
+   * Splits a comma separated text into a list of unique, lower case tags.
+   * Example: (' Database, team-a,,database ') -> ['database', 'team-a']
+   * @param {string | null} text - The text with the tags.
+   * @returns {string[]} The list of tags, or an empty list if there are none.
+   * @static
+   */
+  static parseTags(text) {
+    if (!text) {
+      return [];
+    }
+
+    const tags = String(text)
+      .split(VaultUtils.#CUSTOM_METADATA.TAG_SEPARATOR)
+      .map((tag) => tag.trim().toLowerCase())
+      .filter((tag) => tag.length > 0);
+
+    return [...new Set(tags)];
+  }
+
+  /**
+   * Converts the extension fields of a secret into the string map expected by the KVv2 'custom_metadata'.
+   * Empty fields are not included, so they are removed from Vault.
+   * @param {object} fields - The fields of the secret.
+   * @param {string} [fields.owner] - The person or team responsible for the secret.
+   * @param {string} [fields.url] - The login URL where the secret is used.
+   * @param {string[]} [fields.tags] - The tags of the secret.
+   * @param {number|string} [fields.rotationDays] - The number of days after which the secret should be rotated.
+   * @returns {object} The custom metadata map.
+   * @static
+   */
+  static prepareCustomMetadata(fields) {
+    const keys = VaultUtils.#CUSTOM_METADATA;
+    const customMetadata = {};
+
+    const owner = fields?.owner?.trim();
+    if (owner) {
+      customMetadata[keys.OWNER] = owner;
+    }
+
+    const url = fields?.url?.trim();
+    if (url) {
+      customMetadata[keys.URL] = url;
+    }
+
+    const tags = VaultUtils.parseTags((fields?.tags || []).join(keys.TAG_SEPARATOR));
+    if (tags.length > 0) {
+      customMetadata[keys.TAGS] = tags.join(keys.TAG_SEPARATOR);
+    }
+
+    const rotationDays = Number(fields?.rotationDays);
+    if (Number.isInteger(rotationDays) && rotationDays > 0) {
+      customMetadata[keys.ROTATION_DAYS] = String(rotationDays);
+    }
+
+    return customMetadata;
+  }
+
+  /**
+   * Extracts the extension fields of a secret from its KVv2 'custom_metadata'.
+   * @param {object | null} customMetadata - The 'custom_metadata' returned by Vault.
+   * @returns {{owner: string, url: string, tags: string[], rotationDays: number|null}} The fields of the secret.
+   * @static
+   */
+  static extractCustomMetadata(customMetadata) {
+    const keys = VaultUtils.#CUSTOM_METADATA;
+    const rotationDays = Number(customMetadata?.[keys.ROTATION_DAYS]);
+
+    return {
+      owner: customMetadata?.[keys.OWNER] || '',
+      url: customMetadata?.[keys.URL] || '',
+      tags: VaultUtils.parseTags(customMetadata?.[keys.TAGS]),
+      rotationDays: (Number.isInteger(rotationDays) && rotationDays > 0) ? rotationDays : null
+    };
+  }
+
+  /**
+   * Checks if two KVv2 'custom_metadata' maps hold the same keys and values.
+   * @param {object | null} a - The first map.
+   * @param {object | null} b - The second map.
+   * @returns {boolean} True if both maps are equal, false otherwise.
+   * @static
+   */
+  static isSameCustomMetadata(a, b) {
+    const entriesA = Object.entries(a || {});
+    const entriesB = Object.entries(b || {});
+
+    if (entriesA.length !== entriesB.length) {
+      return false;
+    }
+
+    return entriesA.every(([key, value]) => b[key] === value);
+  }
+
+  /**
+   * Checks if a secret has a given tag in its KVv2 'custom_metadata'.
+   * @param {object | null} customMetadata - The 'custom_metadata' returned by Vault.
+   * @param {string} tag - The tag to look for. The comparison ignores the case.
+   * @returns {boolean} True if the secret has the tag, false otherwise.
+   * @static
+   */
+  static hasTag(customMetadata, tag) {
+    const [searchTag] = VaultUtils.parseTags(tag);
+
+    if (!searchTag) {
+      return false;
+    }
+
+    return VaultUtils.extractCustomMetadata(customMetadata).tags.includes(searchTag);
+  }
+
+  /**
+   * Checks if a secret is due for rotation, based on when its current version was created.
+   * @param {string} createdTime - The 'created_time' of the current version returned by Vault.
+   * @param {number | null} rotationDays - The rotation interval in days. Null means no rotation is required.
+   * @returns {boolean} True if the rotation interval has passed, false otherwise.
+   * @static
+   */
+  static isRotationDue(createdTime, rotationDays) {
+    if (!createdTime || !rotationDays) {
+      return false;
+    }
+
+    const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+    return (new Date() - new Date(createdTime)) >= (rotationDays * MILLISECONDS_PER_DAY);
+  }
+
+  /**
+   * Formats a duration in seconds, such as a TTL, with its largest units first (e.g., "2d 3h 4m 5s" or "45m 0s").
+   * @param {number} seconds - The duration in seconds.
+   * @returns {string} The formatted duration.
+   * @static
+   */
+  static formatDuration(seconds) {
+    const totalSeconds = Math.max(0, Math.floor(seconds));
+
+    const units = [
+      ['d', Math.floor(totalSeconds / 86400)],
+      ['h', Math.floor(totalSeconds / 3600) % 24],
+      ['m', Math.floor(totalSeconds / 60) % 60],
+      ['s', totalSeconds % 60]
+    ];
+
+    // The leading units without a value are left out, but the seconds are always shown.
+    const firstUnit = units.findIndex(([, value]) => value > 0);
+
+    return units.slice((firstUnit === -1) ? units.length - 1 : firstUnit).map(([unit, value]) => `${value}${unit}`).join(' ');
+  }
+
+  /**
+   * Checks if a Vault version is the same as or later than a minimum version (e.g., "1.15.2+ent" and "1.10.0").
+   * An unknown version is assumed to be recent, so no feature is refused when the version could not be found.
+   * @param {string} version - The version of the server (e.g., "1.15.2" or "v1.15.2+ent").
+   * @param {string} minimumVersion - The minimum version (e.g., "1.10.0").
+   * @returns {boolean} True if the version is the same as or later than the minimum, or if it is unknown.
+   * @static
+   */
+  static isVersionAtLeast(version, minimumVersion) {
+    // Regex: ^v?(\d+)\.(\d+)(?:\.(\d+))?
+    // - v?: An optional 'v' prefix.
+    // - (\d+)\.(\d+): The major and minor numbers.
+    // - (?:\.(\d+))?: An optional patch number. Anything after it (e.g., '+ent' or '-rc1') is ignored.
+    const parse = (text) => String(text || '').match(/^v?(\d+)\.(\d+)(?:\.(\d+))?/)?.slice(1).map(part => Number(part || 0));
+
+    const current = parse(version);
+    const minimum = parse(minimumVersion);
+
+    if (!current || !minimum) {
+      return true;
+    }
+
+    for (let i = 0; i < minimum.length; i++) {
+      if (current[i] !== minimum[i]) {
+        return current[i] > minimum[i];
+      }
+    }
+
+    return true;
+  }
+
 }
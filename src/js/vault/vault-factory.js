@@ -0,0 +1,69 @@
+import { AdaptiveLimiter } from '../core/adaptive-limiter.js';
+import { Vault } from './vault.js';
+
+/**
+ * Creates the Vault instances, injecting the shared dependencies and the adaptive limiter of their server.
+ * There is one limiter per Vault server, so all the Vault instances of a server share a single request budget.
+ *
+ * Each JavaScript context (the popup or an extension page, and the background service worker) creates its own
+ * factory, so each context has its own limiter per server: the budget is not shared across contexts.
+ *
+ * Example usage:
+ * const vaultFactory = new VaultFactory({ constants, I18n, logger, ... });
+ * const vault = vaultFactory.create(url, token, namespace);
+ */
+export class VaultFactory {
+
+  /**
+   * The dependencies injected into every Vault instance.
+   * @type {object}
+   * @private
+   */
+  #dependencies;
+
+  /**
+   * The adaptive limiters of the requests in flight, by Vault address.
+   * @type {Map<string, AdaptiveLimiter>}
+   * @private
+   */
+  #requestLimiters = new Map();
+
+  /**
+   * Creates an instance of the VaultFactory class.
+   * @param {object} dependencies - The dependencies injected into every Vault instance (e.g., constants, I18n,
+   * logger, PromisePool, VaultAuthMethods, VaultUtils, VaultRequestBuilder, VaultAcl and engineStorage).
+   * @param {object} dependencies.constants - The shared constants, with ADAPTIVE_CONCURRENCY.
+   */
+  constructor(dependencies) {
+    this.#dependencies = dependencies;
+  }
+
+  /**
+   * Gets the adaptive limiter of the requests in flight to a Vault server, creating it on first use.
+   * @param {string} endpoint - The Vault address.
+   * @returns {AdaptiveLimiter} The limiter of the server.
+   * @private
+   */
+  #getRequestLimiter(endpoint) {
+    const key = String(endpoint || '').replace(/\/+$/, '');
+
+    if (!this.#requestLimiters.has(key)) {
+      this.#requestLimiters.set(key, new AdaptiveLimiter(this.#dependencies.constants.ADAPTIVE_CONCURRENCY));
+    }
+
+    return this.#requestLimiters.get(key);
+  }
+
+  /**
+   * Creates a Vault instance with the shared dependencies and the limiter of its server.
+   * @param {string} endpoint - The base URL of the Vault server.
+   * @param {object | null} [token=null] - An optional pre-existing token object.
+   * @param {string} [namespace=''] - The Vault Enterprise namespace of the session. Empty for the root namespace.
+   * @returns {Vault} The Vault instance.
+   */
+  create(endpoint, token = null, namespace = '') {
+    const requestLimiter = this.#getRequestLimiter(endpoint);
+
+    return new Vault({ ...this.#dependencies, requestLimiter }, endpoint, token, namespace);
+  }
+}
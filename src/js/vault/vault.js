@@ -31,6 +31,12 @@ export class Vault extends HttpRequest {
    */
   PromisePool;
 
+  /**
+   * Registry of the authentication methods, used to log in with the flow of each method.
+   * @type {object|null}
+   */
+  VaultAuthMethods;
+
   /**
    * Vault utility functions for token validation and path management.
    * @type {object|null}
@@ -43,6 +49,24 @@ export class Vault extends HttpRequest {
    */
   VaultRequestBuilder;
 
+  /**
+   * Vault ACL class, used to find the paths the token can list.
+   * @type {object|null}
+   */
+  VaultAcl;
+
+  /**
+   * Storage of the KV engines configured for tokens that can not list the mounts.
+   * @type {object|null}
+   */
+  engineStorage;
+
+  /**
+   * The adaptive limiter of the requests in flight to this Vault server, shared by all its Vault instances.
+   * @type {object|null}
+   */
+  requestLimiter;
+
   /**
    * The type identifier for Key-Value (KV) secret engines in Vault.
    * @private
@@ -51,14 +75,32 @@ export class Vault extends HttpRequest {
    */
   static #ENGINE_TYPE_KV = 'kv';
 
+  /**
+   * Maximum concurrent engine searches during secret discovery.
+   * The engines also follow the adaptive limit of the requests to the server, so an overloaded server gets fewer.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #ENGINE_CONCURRENCY_LIMIT = 6;
+
   /**
    * Maximum concurrent folder explorations per engine during secret discovery.
-   * This limit prevents overwhelming the Vault server while maintaining good performance.
+   * The folders also follow the adaptive limit of the requests to the server, which all the engines share,
+   * so this limit is only reached by fast servers.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #FOLDER_CONCURRENCY_LIMIT = 16;
+
+  /**
+   * Maximum concurrent metadata reads when the secrets found are filtered by their metadata (e.g., by tag).
    * @private
    * @static
    * @readonly
    */
-  static #FOLDER_CONCURRENCY_LIMIT = 6;
+  static #METADATA_CONCURRENCY_LIMIT = 6;
 
   /**
    * HTTP status codes relevant for Vault responses.
@@ -67,11 +109,22 @@ export class Vault extends HttpRequest {
    * @readonly
    */
   static #STATUS_CODE = {
+    BAD_REQUEST: 400,
     FORBIDDEN: 403,
     NOT_FOUND: 404,
     TOO_MANY_REQUESTS: 429
   };
 
+  /**
+   * Causes attached to errors that callers may need to handle in a specific way.
+   * @private
+   * @static
+   * @readonly
+   */
+  static #ERROR_CAUSE = {
+    CHECK_AND_SET: 'check-and-set'
+  };
+
   /**
    * Supported authentication methods for Vault login.
    * @private
@@ -79,10 +132,17 @@ export class Vault extends HttpRequest {
    * @readonly
    */
   static #AUTH_METHOD = {
-    LDAP: 'ldap',
-    USERPASS: 'userpass'
+    OIDC: 'oidc'
   };
 
+  /**
+   * The lifetime given to tokens without TTL, so they are kept until the user logs out (10 years).
+   * @private
+   * @static
+   * @readonly
+   */
+  static #NON_EXPIRING_TOKEN_SECONDS = 10 * 365 * 24 * 60 * 60;
+
   /**
    * Internationalization keys for Vault-specific messages.
    * These keys map to user-facing messages in the messages.json files.
@@ -93,13 +153,29 @@ export class Vault extends HttpRequest {
   static #i18nKeys = {
     VAULT_ENDPOINT_REQUIRED: 'error_vault_endpoint_required',
     VAULT_LOGIN_FAILED: 'error_vault_login_failed',
+    VAULT_MFA_FAILED: 'error_vault_mfa_failed',
+    VAULT_MFA_TOTP_FAILED: 'error_vault_mfa_totp_failed',
+    VAULT_MFA_DUO_FAILED: 'error_vault_mfa_duo_failed',
+    VAULT_MFA_OKTA_FAILED: 'error_vault_mfa_okta_failed',
+    VAULT_SERVER_VERSION_UNSUPPORTED: 'error_vault_server_version_unsupported',
+    VAULT_OIDC_AUTH_URL_FAILED: 'error_vault_oidc_auth_url_failed',
     VAULT_CURRENT_TOKEN_FAILED: 'error_vault_token_lookup_failed',
     VAULT_RENEW_TOKEN_FAILED: 'error_vault_token_renew_failed',
     VAULT_LOGOUT_FAILED: 'error_vault_logout_failed',
     VAULT_SECRET_DELETE_FAILED: 'error_vault_secret_delete_failed',
+    VAULT_SECRET_UNDELETE_FAILED: 'error_vault_secret_undelete_failed',
+    VAULT_SECRET_DESTROY_FAILED: 'error_vault_secret_destroy_failed',
     VAULT_SECRET_ADD_FAILED: 'error_vault_secret_add_failed',
+    VAULT_SECRET_CHECK_AND_SET_FAILED: 'error_vault_secret_check_and_set_failed',
+    VAULT_SECRET_METADATA_FAILED: 'error_vault_secret_metadata_failed',
+    VAULT_SECRET_METADATA_UPDATE_FAILED: 'error_vault_secret_metadata_update_failed',
+    VAULT_SECRET_METADATA_NOT_SUPPORTED: 'error_vault_secret_metadata_not_supported',
+    VAULT_SECRET_VERSIONS_NOT_SUPPORTED: 'error_vault_secret_versions_not_supported',
+    VAULT_SECRET_RESTORE_FAILED: 'error_vault_secret_restore_failed',
     VAULT_WRAP_FAILED: 'error_vault_wrap_failed',
     VAULT_UNWRAP_FAILED: 'error_vault_unwrap_failed',
+    VAULT_TRANSIT_ENCRYPT_FAILED: 'error_vault_transit_encrypt_failed',
+    VAULT_TRANSIT_DECRYPT_FAILED: 'error_vault_transit_decrypt_failed',
     VAULT_ENGINES_FAILED: 'error_vault_engines_failed',
     VAULT_SECRETS_FAILED: 'error_vault_secrets_failed',
     VAULT_FORBIDDEN_FAILED: 'error_vault_permission_denied',
@@ -118,6 +194,13 @@ export class Vault extends HttpRequest {
    */
   #token;
 
+  /**
+   * The version of the Vault server, used to leave out the features it does not support. Empty when unknown.
+   * @type {string}
+   * @private
+   */
+  #serverVersion = '';
+
   /**
    * An instance of the request builder for constructing URLs and headers.
    * @type {VaultRequestBuilder}
@@ -125,22 +208,44 @@ export class Vault extends HttpRequest {
    */
   #requestBuilder;
 
+  /**
+   * The base URL of the Vault server, without trailing slashes.
+   * @type {string}
+   * @private
+   */
+  #endpoint;
+
+  /**
+   * The Vault Enterprise namespace of the session. Empty for the root namespace.
+   * @type {string}
+   * @private
+   */
+  #namespace;
+
   /**
    * Creates an instance of the Vault API client.
    * @param {object} dependencies - The injected dependencies object containing shared services.
    * @param {string} endpoint - The base URL of the Vault server (e.g., "https://vault.example.com").
    * @param {object | null} [token=null] - An optional pre-existing token object.
+   * @param {string} [namespace=''] - The Vault Enterprise namespace of the session. Empty for the root namespace.
    */
-  constructor(dependencies, endpoint, token = null) {
-    super();
+  constructor(dependencies, endpoint, token = null, namespace = '') {
+    // Rate-limited and transient errors are retried before they reach #processErrorResponse.
+    // Each attempt of a request is aborted after the timeout, so a hung request does not stall a search.
+    // The requests in flight are limited by the adaptive limiter of the server, if any.
+    super(dependencies.logger, dependencies.constants?.RETRY_POLICY, dependencies.constants?.REQUEST_TIMEOUT_MS, dependencies.requestLimiter);
 
     // Store the injected dependencies.
     this.constants = dependencies.constants;
     this.I18n = dependencies.I18n;
     this.logger = dependencies.logger;
     this.PromisePool = dependencies.PromisePool;
+    this.VaultAuthMethods = dependencies.VaultAuthMethods;
     this.VaultUtils = dependencies.VaultUtils;
     this.VaultRequestBuilder = dependencies.VaultRequestBuilder;
+    this.VaultAcl = dependencies.VaultAcl;
+    this.engineStorage = dependencies.engineStorage;
+    this.requestLimiter = dependencies.requestLimiter || null;
 
     // Validate the endpoint parameter.
     if (!endpoint || typeof endpoint !== 'string' || endpoint.trim() === '') {
@@ -151,17 +256,110 @@ export class Vault extends HttpRequest {
     const normalizedEndpoint = endpoint.replace(/\/+$/, '');
 
     // Create an instance of the request builder for this Vault instance.
-    this.#requestBuilder = new this.VaultRequestBuilder(normalizedEndpoint);
+    this.#requestBuilder = new this.VaultRequestBuilder(normalizedEndpoint, namespace);
+
+    this.#endpoint = normalizedEndpoint;
+    this.#namespace = namespace;
 
     this.#token = token;
   }
 
+  /**
+   * Sets the version of the Vault server, as found when logging in, so the features it does not support are left out.
+   * @param {string} version - The version (e.g., '1.15.2'), or an empty string if it is unknown.
+   * @returns {void}
+   * @public
+   */
+  setServerVersion(version) {
+    this.#serverVersion = version || '';
+  }
+
+  /**
+   * Checks if the Vault server supports a feature, after its version. A server whose version is unknown is assumed to support it.
+   * @param {string} minimumVersion - The minimum version of the feature, from VAULT_MIN_VERSION (e.g., '1.10.0').
+   * @returns {boolean} True if the feature is supported.
+   * @public
+   */
+  supportsVersion(minimumVersion) {
+    return this.VaultUtils.isVersionAtLeast(this.#serverVersion, minimumVersion);
+  }
+
+  /**
+   * Retrieves the state of the Vault server, from sys/health and sys/seal-status. Both are read without a token,
+   * so the state is known before logging in (e.g., a sealed server refuses every login).
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the requests.
+   * @returns {Promise<{initialized: boolean, sealed: boolean, standby: boolean, performanceStandby: boolean, version: string,
+   * clusterName: string, unsealThreshold: number, unsealProgress: number}|null>} A promise that resolves with the state
+   * of the server, or null if neither endpoint answered (e.g., the address is wrong or the server is down).
+   * @public
+   */
+  async getServerStatus(signal = null) {
+    // Only the JSON header. The state of the server belongs to the root namespace.
+    const headers = this.#requestBuilder.getJsonHeader();
+
+    const [health, sealStatus] = await Promise.all([
+      this.#getServerStatusData(this.#requestBuilder.getHealthEndpoint(), headers, signal),
+      this.#getServerStatusData(this.#requestBuilder.getSealStatusEndpoint(), headers, signal)
+    ]);
+
+    if (!health && !sealStatus) {
+      return null;
+    }
+
+    return {
+      initialized: health?.initialized ?? sealStatus?.initialized ?? false,
+      sealed: sealStatus?.sealed ?? health?.sealed ?? false,
+      standby: health?.standby === true,
+      performanceStandby: health?.performance_standby === true,
+      // A sealed server does not tell its cluster name on sys/health, but it does on sys/seal-status.
+      version: health?.version || sealStatus?.version || '',
+      clusterName: health?.cluster_name || sealStatus?.cluster_name || '',
+      unsealThreshold: sealStatus?.t ?? 0,
+      unsealProgress: sealStatus?.progress ?? 0
+    };
+  }
+
+  /**
+   * Reads one of the endpoints of the state of the server. Any failure is logged and ignored.
+   * @param {string} url - The endpoint URL.
+   * @param {object} headers - The headers of the request.
+   * @param {AbortSignal | null} signal - An optional signal to cancel the request.
+   * @returns {Promise<object|null>} A promise that resolves with the JSON of the response, or null if it could not be read.
+   * @throws {Error} If the request is cancelled.
+   * @private
+   */
+  async #getServerStatusData(url, headers, signal) {
+    this.logger.logRequest('getServerStatus', url);
+
+    try {
+      // Execute the GET request.
+      const response = await this.get(url, headers, signal);
+
+      if (response.ok) {
+        return await response.json();
+      }
+
+      this.logger.info(`Could not read the state of the server on '${url}': [${response.status}].`);
+    } catch (error) {
+      // A cancelled request is not a failure of the server.
+      if (signal?.aborted) {
+        throw error;
+      }
+
+      this.logger.info(`Could not read the state of the server on '${url}': ${error.message}`);
+    }
+
+    return null;
+  }
+
   /**
    * Processes a successful authentication-related response from Vault.
    * Parses the JSON, validates the structure, extracts the 'auth' object, and processes the token.
+   * A login that requires MFA has no token yet, so only its MFA requirement is returned.
    * @param {Response} response - The successful HTTP response object from Vault.
    * @param {string} failureMessageKey - The i18n key for the generic failure message for this operation (e.g., login failed, renew failed).
-   * @returns {Promise<object>} The 'auth' object from Vault's response, augmented with a processed 'token' property.
+   * @returns {Promise<object>} The 'auth' object from Vault's response, augmented with a processed 'token' property,
+   * or an object with only the 'mfa_requirement' property, to be completed with validateMfa.
    * @throws {Error} A localized error if processing fails.
    * @private
    */
@@ -169,6 +367,10 @@ export class Vault extends HttpRequest {
     // Get the JSON body of the response.
     const responseData = await response.json();
 
+    if (responseData?.auth?.mfa_requirement) {
+      return { mfa_requirement: this.#getMfaRequirement(responseData.auth.mfa_requirement) };
+    }
+
     if (responseData?.auth) {
       const authResult = responseData.auth;
 
@@ -258,6 +460,61 @@ export class Vault extends HttpRequest {
     };
   }
 
+  /**
+   * Processes the MFA requirement of a login into the request ID and the constraints to satisfy.
+   * Each constraint (an enforcement of Vault) is satisfied by any one of its methods.
+   * @param {object} mfaRequirement - The 'mfa_requirement' object of a login response.
+   * @param {string} mfaRequirement.mfa_request_id - The ID of the login waiting for the validation.
+   * @param {object} mfaRequirement.mfa_constraints - The methods of each constraint, in their 'any' array, by constraint name.
+   * @returns {{requestId: string, constraints: {name: string, methods: {id: string, type: string, name: string, usesPasscode: boolean}[]}[]}}
+   * The processed MFA requirement.
+   * @private
+   */
+  #getMfaRequirement(mfaRequirement) {
+    return {
+      requestId: mfaRequirement.mfa_request_id,
+      constraints: Object.entries(mfaRequirement.mfa_constraints || {}).map(([name, constraint]) => ({
+        name,
+        methods: (constraint?.any || []).map(method => ({
+          id: method.id,
+          type: method.type,
+          name: method.name || '',
+          usesPasscode: Boolean(method.uses_passcode)
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Gets the i18n key of the failure message of an MFA validation, after the factor used.
+   * A validation made with more than one type of factor gets the generic message.
+   * @param {object} mfaRequirement - The processed MFA requirement.
+   * @param {string[]} methodIds - The IDs of the methods used.
+   * @returns {string} The i18n key of the failure message.
+   * @private
+   */
+  #getMfaFailureMessageKey(mfaRequirement, methodIds) {
+    const types = new Set(mfaRequirement.constraints
+      .flatMap(constraint => constraint.methods)
+      .filter(method => methodIds.includes(method.id))
+      .map(method => method.type));
+
+    if (types.size !== 1) {
+      return Vault.#i18nKeys.VAULT_MFA_FAILED;
+    }
+
+    switch ([...types][0]) {
+      case this.constants.MFA.METHOD_TYPE.TOTP:
+        return Vault.#i18nKeys.VAULT_MFA_TOTP_FAILED;
+      case this.constants.MFA.METHOD_TYPE.DUO:
+        return Vault.#i18nKeys.VAULT_MFA_DUO_FAILED;
+      case this.constants.MFA.METHOD_TYPE.OKTA:
+        return Vault.#i18nKeys.VAULT_MFA_OKTA_FAILED;
+      default:
+        return Vault.#i18nKeys.VAULT_MFA_FAILED;
+    }
+  }
+
   /**
    * Retrieves details about the current client token.
    * @returns {Promise<object>} A promise that resolves with the token's data from Vault.
@@ -268,9 +525,10 @@ export class Vault extends HttpRequest {
     // Get the endpoint URL for looking up the current token.
     const url = this.#requestBuilder.getCurrentTokenEndpoint();
 
-    // Prepare headers including JSON content type and the current token.
+    // Prepare headers including JSON content type, the namespace and the current token.
     const headers = this.VaultUtils.mergeObjects([
       this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(),
       this.#requestBuilder.getVaultTokenHeader(this.#token)
     ]);
 
@@ -298,9 +556,10 @@ export class Vault extends HttpRequest {
     // Get the endpoint URL for renewing the current token.
     const url = this.#requestBuilder.getRenewTokenEndpoint();
 
-    // Prepare headers including JSON content type and the current token.
+    // Prepare headers including JSON content type, the namespace and the current token.
     const headers = this.VaultUtils.mergeObjects([
       this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(),
       this.#requestBuilder.getVaultTokenHeader(this.#token)
     ]);
 
@@ -317,30 +576,200 @@ export class Vault extends HttpRequest {
   }
 
   /**
-   * Logs into Vault using the specified credentials and authentication method.
+   * Logs into Vault with one of the methods of the VaultAuthMethods registry.
    * Upon successful login, the instance's token is updated.
    * The authentication response from Vault, augmented with a processed token object, is returned.
-   * @param {string} username - The username for login.
-   * @param {string} password - The password for login.
-   * @param {string} [authMethod=Vault.#AUTH_METHOD.LDAP] - The Vault authentication method to use.
+   * @param {object} authMethod - The descriptor of the auth method, from VaultAuthMethods.
+   * @param {object} values - The values of the form fields of the method, by field ID.
+   * @param {string} [mount=authMethod.defaultMount] - The mount path of the auth method (e.g., 'corp-ldap').
    * @returns {Promise<object>} A promise resolving with the Vault 'auth' response object.
    * This object includes an added 'token' property containing the client_token and calculated expire_date.
    * @throws {Error} If login fails (network, non-OK HTTP status, bad response format, or invalid credentials).
    * @public
    */
-  async login(username, password, authMethod = Vault.#AUTH_METHOD.LDAP) {
-    // Get the login endpoint URL for the specified auth method.
-    const url = this.#requestBuilder.getLoginEndpoint(username, authMethod);
+  async login(authMethod, values, mount = authMethod.defaultMount) {
+    // A raw token does not need a login request, only a lookup to check it.
+    if (authMethod.flow === this.VaultAuthMethods.FLOW.TOKEN) {
+      return this.loginWithToken(values.token);
+    }
 
-    // Get the JSON header.
-    const headers = this.#requestBuilder.getJsonHeader();
+    const loginRequest = authMethod.buildLoginRequest(values);
+
+    // Get the login endpoint URL for the mount of the auth method.
+    const url = this.#requestBuilder.getLoginEndpoint(this.VaultUtils.getAuthMount(mount), loginRequest.path);
+
+    // Get the JSON and namespace headers.
+    const headers = this.VaultUtils.mergeObjects([
+      this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader()
+    ]);
+
+    // Prepare the request body with the values of the auth method.
+    const body = JSON.stringify(loginRequest.body);
+
+    // Execute the POST request.
+    const response = await this.post(url, headers, body);
+
+    if (response.ok) {
+      // Delegate to the shared processing method.
+      return this.#processAuthResponse(response, Vault.#i18nKeys.VAULT_LOGIN_FAILED);
+    }
+
+    // If execution reaches this point, the response was not successful and must be handled as an error.
+    await this.#processErrorResponse(response, [], Vault.#i18nKeys.VAULT_LOGIN_FAILED);
+  }
+
+  /**
+   * Completes a login that returned an MFA requirement, with one method of each of its constraints.
+   * The passcode is sent for the methods that use one (e.g., TOTP). For a push (e.g., Duo or Okta), Vault only
+   * answers once the user approves or denies it on the phone, so the request waits longer than the others.
+   * Upon successful validation, the instance's token is updated.
+   * @param {object} mfaRequirement - The 'mfa_requirement' returned by login.
+   * @param {object} passcodes - The passcode of each method used, by method ID. An empty passcode for a push.
+   * @returns {Promise<object>} A promise resolving with the Vault 'auth' response object.
+   * This object includes an added 'token' property containing the client_token and calculated expire_date.
+   * @throws {Error} A localized error of the factor used (e.g., an invalid passcode or a denied push).
+   * @public
+   */
+  async validateMfa(mfaRequirement, passcodes) {
+    // Get the endpoint URL for validating the MFA requirement.
+    const url = this.#requestBuilder.getMfaValidateEndpoint();
+
+    // Get the JSON and namespace headers. The request ID identifies the login, so no token is sent.
+    const headers = this.VaultUtils.mergeObjects([
+      this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader()
+    ]);
+
+    // Prepare the request body. A push is sent without passcode.
+    const body = JSON.stringify({
+      mfa_request_id: mfaRequirement.requestId,
+      mfa_payload: Object.fromEntries(Object.entries(passcodes).map(([methodId, passcode]) => [methodId, (passcode) ? [passcode] : []]))
+    });
+
+    const failureMessageKey = this.#getMfaFailureMessageKey(mfaRequirement, Object.keys(passcodes));
+
+    // Execute the POST request, waiting for the user to approve a push.
+    const response = await this.post(url, headers, body, null, this.constants.MFA.VALIDATE_TIMEOUT_MS);
+
+    if (response.ok) {
+      // Delegate to the shared processing method.
+      return this.#processAuthResponse(response, failureMessageKey);
+    }
+
+    // An invalid passcode or a denied push is refused, and reported with the message of the factor.
+    if ([Vault.#STATUS_CODE.BAD_REQUEST, Vault.#STATUS_CODE.FORBIDDEN].includes(response.status)) {
+      throw new Error(this.I18n.getMessage(failureMessageKey));
+    }
+
+    // If execution reaches this point, the response was not successful and must be handled as an error.
+    await this.#processErrorResponse(response, [], failureMessageKey);
+  }
+
+  /**
+   * Logs into Vault with an existing token, which is looked up to check that it is valid.
+   * Upon successful login, the instance's token is updated.
+   * @param {string} clientToken - The Vault token.
+   * @returns {Promise<object>} A promise resolving with an object shaped like the 'auth' object of a login response
+   * (client_token, lease_duration, metadata and display_name), with an added 'token' property.
+   * @throws {Error} If the token is invalid or the lookup fails.
+   * @public
+   */
+  async loginWithToken(clientToken) {
+    this.#token = { client_token: clientToken };
+
+    const tokenData = (await this.getCurrentToken())?.data;
+    if (!tokenData) {
+      throw new Error(this.I18n.getMessage(Vault.#i18nKeys.VAULT_LOGIN_FAILED));
+    }
+
+    const authResult = {
+      client_token: clientToken,
+      // A token without TTL (e.g., a root token) never expires.
+      lease_duration: tokenData.ttl || Vault.#NON_EXPIRING_TOKEN_SECONDS,
+      metadata: tokenData.meta,
+      display_name: tokenData.display_name
+    };
+
+    this.#token = this.#getToken(authResult);
+    authResult.token = this.#token;
+
+    return authResult;
+  }
+
+  /**
+   * Requests the authorization URL of the OIDC provider configured in Vault.
+   * This is the first step of an OIDC login. The user must open the URL and, after authenticating
+   * with the provider, be redirected to 'redirectUri' with the 'state' and 'code' parameters.
+   * @param {string} role - The OIDC role to log in with. An empty role uses the default role of the auth method.
+   * @param {string} redirectUri - The URI the provider redirects to. It must be allowed by the role.
+   * @param {string} clientNonce - A random value that must be sent again to completeOidcLogin.
+   * @param {string} [mount=Vault.#AUTH_METHOD.OIDC] - The mount path of the OIDC auth method.
+   * @returns {Promise<string>} A promise resolving with the authorization URL.
+   * @throws {Error} If the request fails or Vault does not return a URL (e.g., the redirect URI is not allowed).
+   * @public
+   */
+  async getOidcAuthUrl(role, redirectUri, clientNonce, mount = Vault.#AUTH_METHOD.OIDC) {
+    // Get the endpoint URL for requesting the authorization URL.
+    const url = this.#requestBuilder.getOidcAuthUrlEndpoint(mount);
 
-    // Prepare the request body with the password.
-    const body = JSON.stringify({ password });
+    // Get the JSON and namespace headers.
+    const headers = this.VaultUtils.mergeObjects([
+      this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader()
+    ]);
+
+    // Prepare the request body. Vault uses the default role when none is sent.
+    const body = JSON.stringify({
+      ...(role ? { role } : {}),
+      redirect_uri: redirectUri,
+      client_nonce: clientNonce
+    });
 
     // Execute the POST request.
     const response = await this.post(url, headers, body);
 
+    if (response.ok) {
+      const json = await response.json();
+
+      // Vault answers with an empty URL when the redirect URI is not allowed by the role.
+      if (json?.data?.auth_url) {
+        return json.data.auth_url;
+      }
+
+      throw new Error(this.I18n.getMessage(Vault.#i18nKeys.VAULT_OIDC_AUTH_URL_FAILED, [redirectUri]));
+    }
+
+    // If execution reaches this point, the response was not successful and must be handled as an error.
+    await this.#processErrorResponse(response, [], Vault.#i18nKeys.VAULT_OIDC_AUTH_URL_FAILED, [redirectUri]);
+  }
+
+  /**
+   * Completes an OIDC login with the values the provider sent to the redirect URI.
+   * Upon successful login, the instance's token is updated.
+   * @param {object} params - The values of the OIDC login.
+   * @param {string} params.state - The 'state' parameter received on the redirect URI.
+   * @param {string} params.code - The 'code' parameter received on the redirect URI.
+   * @param {string} params.clientNonce - The same nonce sent to getOidcAuthUrl.
+   * @param {string} [mount=Vault.#AUTH_METHOD.OIDC] - The mount path of the OIDC auth method.
+   * @returns {Promise<object>} A promise resolving with the Vault 'auth' response object.
+   * This object includes an added 'token' property containing the client_token and calculated expire_date.
+   * @throws {Error} If the login fails.
+   * @public
+   */
+  async completeOidcLogin(params, mount = Vault.#AUTH_METHOD.OIDC) {
+    // Get the callback endpoint URL with the values returned by the provider.
+    const url = this.#requestBuilder.getOidcCallbackEndpoint(mount, params);
+
+    // Get the JSON and namespace headers.
+    const headers = this.VaultUtils.mergeObjects([
+      this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader()
+    ]);
+
+    // Execute the GET request.
+    const response = await this.get(url, headers);
+
     if (response.ok) {
       // Delegate to the shared processing method.
       return this.#processAuthResponse(response, Vault.#i18nKeys.VAULT_LOGIN_FAILED);
@@ -362,9 +791,10 @@ export class Vault extends HttpRequest {
     // Get the endpoint URL for logging out (revoking the current token).
     const url = this.#requestBuilder.getLogoutEndpoint();
 
-    // Prepare headers including JSON content type and the current token.
+    // Prepare headers including JSON content type, the namespace and the current token.
     const headers = this.VaultUtils.mergeObjects([
       this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(),
       this.#requestBuilder.getVaultTokenHeader(this.#token)
     ]);
 
@@ -385,35 +815,93 @@ export class Vault extends HttpRequest {
 
   /**
    * Retrieves a list of Key-Value (KV) secret engines accessible by the current token.
+   * The engines are listed from 'sys/internal/ui/mounts' and, if it fails, from 'sys/mounts'. When neither
+   * finds any engine, the engines configured by the administrator or on the Login page are used instead,
+   * so tokens without access to the mounts can still search. Each engine tells the source it was found on.
    * The engines are sorted with personal engines first, then alphabetically.
+   * @param {string} [namespace=''] - An optional child namespace of the session's namespace to list the engines of.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the request.
    * @returns {Promise<Array<object>>} A promise that resolves with an array of engine objects.
-   * Each engine object contains name, uuid, type, options, isPersonal, and description.
-   * @throws {Error} If the request fails or the response structure is invalid.
+   * Each engine object contains name, uuid, type, options, isPersonal, description, namespace
+   * (the child namespace, which is sent on every request made with the engine) and source (see ENGINE_SOURCE).
+   * @throws {Error} If the engines can not be listed and none is configured.
    * @public
    */
-  async getKVEngines() {
+  async getKVEngines(namespace = '', signal = null) {
+    let engines = null;
+    let listError = null;
+
+    for (const source of [this.constants.ENGINE_SOURCE.UI_MOUNTS, this.constants.ENGINE_SOURCE.SYS_MOUNTS]) {
+      try {
+        engines = await this.#listKVEngines(source, namespace, signal);
+        break;
+      } catch (error) {
+        // A cancelled search must not try the other sources.
+        if (signal?.aborted) {
+          throw error;
+        }
+
+        this.logger.info(`Could not list the engines from '${source}' of the namespace '${namespace}': ${error.message}`);
+        listError = listError || error;
+      }
+    }
+
+    if (!engines || engines.length === 0) {
+      const configuredEngines = await this.#getConfiguredKVEngines(namespace);
+
+      if (configuredEngines.length > 0) {
+        return this.VaultUtils.sortEngines(configuredEngines);
+      }
+    }
+
+    // Without any configured engine, the error of the first source is the most relevant one.
+    if (!engines) {
+      throw listError;
+    }
+
+    // Sort the engines before returning.
+    return this.VaultUtils.sortEngines(engines);
+  }
+
+  /**
+   * Lists the KV engines from one of the mount endpoints of Vault.
+   * @param {string} source - The source to list the engines from, ENGINE_SOURCE.UI_MOUNTS or ENGINE_SOURCE.SYS_MOUNTS.
+   * @param {string} namespace - The child namespace of the session's namespace to list the engines of.
+   * @param {AbortSignal | null} signal - The signal that cancels the request.
+   * @returns {Promise<Array<object>>} A promise that resolves with the engines, as returned by getKVEngines.
+   * @throws {Error} If the request fails or the response structure is invalid.
+   * @private
+   */
+  async #listKVEngines(source, namespace, signal) {
+    const isUiMounts = (source === this.constants.ENGINE_SOURCE.UI_MOUNTS);
+
     // Get the endpoint URL for listing secret engines.
-    const url = this.#requestBuilder.getEnginesEndpoint();
+    const url = (isUiMounts) ? this.#requestBuilder.getEnginesEndpoint() : this.#requestBuilder.getMountsEndpoint();
 
-    // Prepare headers including JSON content type and the current token.
+    // Prepare headers including JSON content type, the namespace and the current token.
     const headers = this.VaultUtils.mergeObjects([
       this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(namespace),
       this.#requestBuilder.getVaultTokenHeader(this.#token)
     ]);
 
     this.logger.logRequest('listEngines', url);
     // Execute the GET request.
-    const response = await this.get(url, headers);
+    const response = await this.get(url, headers, signal);
 
     if (response.ok) {
       // Get the JSON body of the response.
       const jsonData = await response.json();
 
-      const engines = [];
+      // The UI endpoint groups the mounts by kind, while 'sys/mounts' returns the secret engines directly.
+      const mounts = (isUiMounts) ? jsonData?.data?.secret : jsonData?.data;
+
       // Validate the expected structure of the response.
-      if (jsonData?.data?.secret && typeof jsonData.data.secret === 'object') {
-        for (const key in jsonData.data.secret) {
-          const engine = jsonData.data.secret[key];
+      if (mounts && typeof mounts === 'object') {
+        const engines = [];
+
+        for (const key in mounts) {
+          const engine = mounts[key];
 
           if (engine && engine.type === Vault.#ENGINE_TYPE_KV) {
             engines.push({
@@ -422,13 +910,14 @@ export class Vault extends HttpRequest {
               type: engine.type,
               options: engine.options,
               isPersonal: this.VaultUtils.isPersonalEngine(key),
-              description: engine.description
+              description: engine.description,
+              namespace: this.VaultUtils.joinNamespaces(namespace),
+              source
             });
           }
         }
 
-        // Sort the engines before returning.
-        return this.VaultUtils.sortEngines(engines);
+        return engines;
       }
     }
 
@@ -437,47 +926,311 @@ export class Vault extends HttpRequest {
   }
 
   /**
-   * Searches for secrets across all accessible KV engines based on search text.
-   * Uses PromisePool for parallel engine processing with concurrency control.
-   * Results are compiled from all engines and then sorted.
-   * @param {string} username - The username, potentially used for pathing in personal engines.
-   * @param {string | string[]} text - The search text or an array of search terms.
-   * @returns {Promise<Array<object>>} A promise that resolves with a flat, sorted array of found secret objects.
-   * @public
+   * Gets the KV engines configured for the server and namespace, for tokens that can not list the mounts.
+   * The engines set by the administrator take precedence over the ones typed on the Login page.
+   * @param {string} namespace - The child namespace of the session's namespace.
+   * @returns {Promise<Array<object>>} A promise that resolves with the engines, as returned by getKVEngines.
+   * @private
    */
-  async getSecretsByText(username, text) {
-    const allSecrets = [];
-    const allErrors = [];
+  async #getConfiguredKVEngines(namespace) {
+    if (!this.engineStorage) {
+      return [];
+    }
 
-    // Reset the logger for a fresh start.
-    this.logger.reset();
+    const fullNamespace = this.VaultUtils.joinNamespaces(this.#namespace, namespace);
 
-    // Get all KV engines the user has access to.
-    const engines = await this.getKVEngines();
+    let source = this.constants.ENGINE_SOURCE.ADMIN;
+    let configuredEngines = await this.engineStorage.getAdminEngines(this.#endpoint, fullNamespace);
 
-    /**
-     * Processes a single engine: searches for secrets within it.
-     * Returns status objects to allow batch processing error handling.
-     * @param {object} engine - The engine object to search within.
-     * @returns {Promise<object>} Status object with results or error information.
-     */
-    const processEngine = async (engine) => {
-      // It will return a report object.
-      // We don't need a try/catch here because it will never reject.
-      return await this.getSecretsByTextOnEngine(engine, username, text);
-    };
+    if (configuredEngines.length === 0) {
+      source = this.constants.ENGINE_SOURCE.USER;
+      configuredEngines = await this.engineStorage.getUserEngines(this.#endpoint, fullNamespace);
+    }
 
-    // Process all engines in parallel using PromisePool.
-    const engineResults = await this.PromisePool.process(engines, processEngine);
+    return configuredEngines.map(configuredEngine => {
+      const name = `${configuredEngine.path.replace(/^\/+|\/+$/g, '')}${this.constants.PATH_SEPARATOR}`;
+
+      return {
+        name,
+        type: Vault.#ENGINE_TYPE_KV,
+        options: { version: String(configuredEngine.version) },
+        isPersonal: this.VaultUtils.isPersonalEngine(name),
+        description: '',
+        namespace: this.VaultUtils.joinNamespaces(namespace),
+        source
+      };
+    });
+  }
 
-    // Collect all secrets and all errors from the engine results.
-    engineResults.forEach((result, index) => {
-      if (result.status === 'rejected') {
-        allErrors.push({
-          type: this.I18n.getMessage(Vault.#i18nKeys.ERROR_TYPE_ENGINE_FAILURE),
-          engine: engines[index]?.name,
-          reason: result.reason.message
-        });
+  /**
+   * Retrieves all the child namespaces under a namespace, recursively (Vault Enterprise only).
+   * Namespaces that can not be listed (e.g., Vault OSS or missing permissions) are skipped.
+   * @param {string} [namespace=''] - The child namespace of the session's namespace to start from.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the requests.
+   * @returns {Promise<string[]>} A promise that resolves with the child namespaces, relative to the session's namespace.
+   * @public
+   */
+  async getChildNamespaces(namespace = '', signal = null) {
+    // Get the endpoint URL for listing namespaces.
+    const url = this.#requestBuilder.getNamespacesEndpoint();
+
+    // Prepare headers including JSON content type, the namespace and the current token.
+    const headers = this.VaultUtils.mergeObjects([
+      this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(namespace),
+      this.#requestBuilder.getVaultTokenHeader(this.#token)
+    ]);
+
+    // Execute the LIST request.
+    const response = await this.list(url, headers, signal);
+
+    if (!response.ok) {
+      this.logger.info(`Could not list the child namespaces of '${namespace}': [${response.status}].`);
+
+      return [];
+    }
+
+    const jsonData = await response.json();
+    const childNamespaces = (jsonData?.data?.keys || []).map(key => this.VaultUtils.joinNamespaces(namespace, key));
+
+    const descendants = await Promise.all(childNamespaces.map(child => this.getChildNamespaces(child, signal)));
+
+    return childNamespaces.concat(...descendants);
+  }
+
+  /**
+   * Retrieves the KV engines of the session's namespace and, optionally, of all its child namespaces.
+   * The child namespaces whose engines can not be listed are skipped.
+   * @param {boolean} [includeChildNamespaces=false] - If true, the engines of the child namespaces are included.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the requests.
+   * @returns {Promise<Array<object>>} A promise that resolves with the engines, as returned by getKVEngines.
+   * @public
+   */
+  async getKVEnginesInNamespaces(includeChildNamespaces = false, signal = null) {
+    const engines = await this.getKVEngines('', signal);
+
+    if (!includeChildNamespaces) {
+      return engines;
+    }
+
+    for (const namespace of await this.getChildNamespaces('', signal)) {
+      // The engines found so far are searched when the search is cancelled.
+      if (signal?.aborted) {
+        break;
+      }
+
+      try {
+        engines.push(...await this.getKVEngines(namespace, signal));
+      } catch (error) {
+        this.logger.info(`Could not list the engines of the namespace '${namespace}': ${error.message}`);
+      }
+    }
+
+    return engines;
+  }
+
+  /**
+   * Retrieves the resultant ACL of the current token, which tells the paths it can list.
+   * The endpoint is only available on Vault 1.10 or later, so any failure is logged and ignored.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the request.
+   * @returns {Promise<object|null>} A promise that resolves with a VaultAcl, or null if the ACL could not be read.
+   * @public
+   */
+  async getResultantAcl(signal = null) {
+    if (!this.supportsVersion(this.constants.VAULT_MIN_VERSION.RESULTANT_ACL)) {
+      this.logger.info(`The resultant ACL is not available on Vault ${this.#serverVersion}. Every folder will be listed.`);
+
+      return null;
+    }
+
+    // Get the endpoint URL of the resultant ACL.
+    const url = this.#requestBuilder.getResultantAclEndpoint();
+
+    // Prepare headers including JSON content type, the namespace and the current token.
+    const headers = this.VaultUtils.mergeObjects([
+      this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(),
+      this.#requestBuilder.getVaultTokenHeader(this.#token)
+    ]);
+
+    this.logger.logRequest('getResultantAcl', url);
+
+    try {
+      // Execute the GET request.
+      const response = await this.get(url, headers, signal);
+
+      if (response.ok) {
+        const jsonData = await response.json();
+
+        if (jsonData?.data && typeof jsonData.data === 'object') {
+          return new this.VaultAcl(jsonData.data);
+        }
+      }
+
+      this.logger.info(`Could not read the resultant ACL: [${response.status}]. Every folder will be listed.`);
+    } catch (error) {
+      // A cancelled search must stop here, as any other request would.
+      if (signal?.aborted) {
+        throw error;
+      }
+
+      this.logger.info(`Could not read the resultant ACL: ${error.message}. Every folder will be listed.`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Retrieves the capabilities of the current token on several paths at once, with sys/capabilities-self,
+   * so the actions the token is not allowed to do are not offered.
+   * Any failure is logged and ignored, and the actions are offered as before: Vault still refuses them if they are not allowed.
+   * @param {string[]} paths - The API paths, relative to the namespace (e.g., "team/data/apps/github.com").
+   * @param {string} [namespace=''] - An optional child namespace of the paths, under the namespace of the session.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the request.
+   * @returns {Promise<Object<string, string[]>|null>} A promise that resolves with the capabilities of each path,
+   * by path, or null if they could not be read.
+   * @public
+   */
+  async getCapabilities(paths, namespace = '', signal = null) {
+    if (paths.length === 0) {
+      return {};
+    }
+
+    // Get the endpoint URL of the capabilities of the current token.
+    const url = this.#requestBuilder.getCapabilitiesSelfEndpoint();
+
+    // Prepare headers including JSON content type, the namespace and the current token.
+    const headers = this.VaultUtils.mergeObjects([
+      this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(namespace),
+      this.#requestBuilder.getVaultTokenHeader(this.#token)
+    ]);
+
+    this.logger.logRequest('getCapabilities', url);
+
+    try {
+      // Execute the POST request with all the paths, so a page of secrets costs a single request.
+      const response = await this.post(url, headers, JSON.stringify({ paths }), signal);
+
+      if (response.ok) {
+        const jsonData = await response.json();
+
+        // The capabilities of each path are keyed by the path, in 'data' and at the top level of the response.
+        const data = jsonData?.data || jsonData || {};
+
+        return Object.fromEntries(paths.map(path => [path, Array.isArray(data[path]) ? data[path] : null]));
+      }
+
+      this.logger.info(`Could not read the capabilities of the token: [${response.status}]. Every action will be offered.`);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+
+      this.logger.info(`Could not read the capabilities of the token: ${error.message}. Every action will be offered.`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Searches for secrets across all accessible KV engines based on search text.
+   * Uses PromisePool for parallel engine processing with concurrency control.
+   * Results are compiled from all engines and then sorted.
+   * The resultant ACL of the token is read first, so only the folders the token can list are crawled.
+   * When the search is cancelled, the secrets found so far are returned, without the errors caused by the cancellation.
+   * @param {string} username - The username, potentially used for pathing in personal engines.
+   * @param {string | string[]} text - The search text or an array of search terms.
+   * @param {boolean} [includeChildNamespaces=false] - If true, the engines of the child namespaces are also searched.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the search.
+   * @param {function({secrets: Array<object>, progress: object}): void | null} [onProgress=null] - An optional callback,
+   * called with the secrets of each folder as soon as it is listed, and the progress of the whole search:
+   * { enginesDone, enginesTotal, foldersDone, foldersPending }.
+   * @returns {Promise<Array<object>>} A promise that resolves with a flat, sorted array of found secret objects.
+   * @public
+   */
+  async getSecretsByText(username, text, includeChildNamespaces = false, signal = null, onProgress = null) {
+    const allSecrets = [];
+    const allErrors = [];
+
+    // Reset the logger for a fresh start.
+    this.logger.reset();
+
+    // The folder crawl makes many requests, so the whole search shares a single retry budget.
+    this.resetRetryBudget();
+
+    // Get all KV engines the user has access to.
+    const engines = await this.getKVEnginesInNamespaces(includeChildNamespaces, signal);
+
+    // A root token can list everything, so its ACL does not prune anything.
+    const acl = await this.getResultantAcl(signal);
+    const listableAcl = (acl?.isRoot()) ? null : acl;
+
+    // The folders done and pending of each engine, added up to report the progress of the whole search.
+    const engineFolders = engines.map(() => ({ foldersDone: 0, foldersPending: 0 }));
+    let enginesDone = 0;
+
+    /**
+     * Reports the secrets found and the progress of the search, if a callback was given.
+     * @param {Array<object>} secrets - The secrets found since the last report.
+     */
+    const reportProgress = (secrets) => {
+      onProgress?.({
+        secrets,
+        progress: {
+          enginesDone,
+          enginesTotal: engines.length,
+          foldersDone: engineFolders.reduce((sum, folders) => sum + folders.foldersDone, 0),
+          foldersPending: engineFolders.reduce((sum, folders) => sum + folders.foldersPending, 0)
+        }
+      });
+    };
+
+    reportProgress([]);
+
+    /**
+     * Processes a single engine: searches for secrets within it.
+     * Returns status objects to allow batch processing error handling.
+     * @param {object} engine - The engine object to search within.
+     * @param {number} index - The index of the engine.
+     * @returns {Promise<object>} Status object with results or error information.
+     */
+    const processEngine = async (engine, index) => {
+      // It will return a report object.
+      // We don't need a catch here because it will never reject.
+      return await this.getSecretsByTextOnEngine(engine, username, text, signal, listableAcl, (engineProgress) => {
+        engineFolders[index] = { foldersDone: engineProgress.foldersDone, foldersPending: engineProgress.foldersPending };
+
+        reportProgress(engineProgress.secrets);
+      });
+    };
+
+    // Process all engines in parallel using PromisePool, following the adaptive limit of the server.
+    // The personal engines are searched first, and a cancelled search does not start the engines left.
+    const engineResults = await this.PromisePool.process(engines, processEngine, Vault.#ENGINE_CONCURRENCY_LIMIT, {
+      limiter: this.requestLimiter,
+      signal,
+      priority: (engine) => (this.VaultUtils.isPersonalEngine(engine.name)) ? 1 : 0,
+      onProgress: ({ completed }) => {
+        enginesDone = completed;
+        reportProgress([]);
+      },
+      logger: this.logger
+    });
+
+    // Collect all secrets and all errors from the engine results.
+    engineResults.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        // The engines left unsearched by a cancelled search are not errors.
+        if (signal?.aborted) {
+          return;
+        }
+
+        allErrors.push({
+          type: this.I18n.getMessage(Vault.#i18nKeys.ERROR_TYPE_ENGINE_FAILURE),
+          engine: this.VaultUtils.getEngineDisplayName(engines[index]),
+          reason: result.reason.message
+        });
       } else {
         if (Array.isArray(result.secrets) && result.secrets.length > 0) {
           // Flatten successful results into a single array.
@@ -487,7 +1240,7 @@ export class Vault extends HttpRequest {
           result.errors.forEach(e =>
             allErrors.push({
               type: this.I18n.getMessage(Vault.#i18nKeys.ERROR_TYPE_PATH_FAILURE),
-              engine: engines[index]?.name,
+              engine: this.VaultUtils.getEngineDisplayName(engines[index]),
               ...e
             }));
         }
@@ -497,6 +1250,10 @@ export class Vault extends HttpRequest {
     // Log a summary of all requests made during this operation.
     this.logger.logSummary();
 
+    if (this.requestLimiter) {
+      this.logger.info(`Adaptive concurrency limit after the search: ${this.requestLimiter.limit}`);
+    }
+
     // Return the final report to the UI layer.
     return {
       secrets: this.VaultUtils.sortSecrets(allSecrets, text),
@@ -510,14 +1267,24 @@ export class Vault extends HttpRequest {
    * @param {object} engine - The engine object to search within.
    * @param {string} username - The username, used for pathing in personal engines.
    * @param {string | string[]} text - The search text or an array of search terms.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the search. No new folder is explored
+   * once it is aborted, and the secrets found so far are returned.
+   * @param {object | null} [acl=null] - An optional resultant ACL of the token, as returned by getResultantAcl.
+   * When given, only the folders the token can list are explored, and the others are logged as skipped.
+   * Without it, every folder is listed and the forbidden ones are ignored.
+   * @param {function({secrets: Array<object>, foldersDone: number, foldersPending: number}): void | null} [onProgress=null] -
+   * An optional callback, called after each folder is listed with the secrets found in it and the folders
+   * done and pending on the engine.
    * @returns {Promise<{secrets: Array<object>, errors: Array<object>}>} A promise resolving with secrets and any path exploration errors.
    * @public
    */
-  async getSecretsByTextOnEngine(engine, username, text) {
+  async getSecretsByTextOnEngine(engine, username, text, signal = null, acl = null, onProgress = null) {
     const allSecrets = [];
     const allErrors = [];
     const foldersToExplore = [];
     let activeTasks = 0;
+    let foldersDone = 0;
+    let reportedSecrets = 0;
 
     /**
      * Explores one folder path, adding secrets to the results list and new
@@ -533,7 +1300,7 @@ export class Vault extends HttpRequest {
         }
 
         // Get the secrets for the engine at the current path.
-        const secretList = await this.#getSecrets(engine, currentSubkeys);
+        const secretList = await this.#getSecrets(engine, currentSubkeys, signal);
         if (!secretList) {
           return;
         }
@@ -550,7 +1317,7 @@ export class Vault extends HttpRequest {
 
           if (this.VaultUtils.isSecretAFolder(secretName)) {
             // Add to the dynamic queue for later exploration.
-            foldersToExplore.push(childItemSubkeys);
+            foldersToExplore.push(...this.getFoldersToExplore(engine, childItemSubkeys, acl));
 
           } else if (this.VaultUtils.textMatchWithSecret(text, secretName)) {
             // Create and add the secret object immediately.
@@ -564,6 +1331,11 @@ export class Vault extends HttpRequest {
           }
         }
       } catch (error) {
+        // The folders left unexplored by a cancelled search are not errors.
+        if (signal?.aborted) {
+          return;
+        }
+
         // Collect path exploration errors for potential user notification.
         allErrors.push({
           path: currentSubkeys.join(this.constants.PATH_SEPARATOR),
@@ -579,14 +1351,21 @@ export class Vault extends HttpRequest {
        * up to the concurrency limit. This is the key to efficient concurrency!
        */
       const manageQueue = () => {
+        // A cancelled search does not explore new folders, it only waits for the workers to finish.
+        if (signal?.aborted) {
+          foldersToExplore.length = 0;
+        }
+
         // When the "to-do" list is empty and all workers are idle, the job is done.
         if (foldersToExplore.length === 0 && activeTasks === 0) {
           // Resolve the main promise with the final report.
           return resolve({ secrets: allSecrets, errors: allErrors });
         }
 
-        // Fill any available worker slots with tasks from the queue.
-        while (foldersToExplore.length > 0 && activeTasks < Vault.#FOLDER_CONCURRENCY_LIMIT) {
+        // Fill any available worker slots with tasks from the queue, following the adaptive limit of the server.
+        const concurrencyLimit = Math.min(Vault.#FOLDER_CONCURRENCY_LIMIT, this.requestLimiter?.limit ?? Vault.#FOLDER_CONCURRENCY_LIMIT);
+
+        while (foldersToExplore.length > 0 && activeTasks < concurrencyLimit) {
           activeTasks++;
 
           // Get the next folder path to explore.
@@ -598,6 +1377,17 @@ export class Vault extends HttpRequest {
 
             // A worker has become free.
             activeTasks--;
+            foldersDone++;
+
+            // Report the secrets of the folder right away, so they can be shown before the whole engine is crawled.
+            const folderSecrets = allSecrets.slice(reportedSecrets);
+            reportedSecrets = allSecrets.length;
+
+            onProgress?.({
+              secrets: folderSecrets,
+              foldersDone,
+              foldersPending: foldersToExplore.length + activeTasks
+            });
 
             // Immediately check for more work to do!
             manageQueue();
@@ -608,37 +1398,202 @@ export class Vault extends HttpRequest {
       // Initialize the exploration with the user's personal path if applicable.
       const initialSubkeys = (this.VaultUtils.isPersonalEngine(engine.name)) ? [username] : [];
 
-      // Add the initial path to the exploration queue.
-      foldersToExplore.push(initialSubkeys);
+      // Add the initial path to the exploration queue, or the folders under it the token can list.
+      foldersToExplore.push(...this.getFoldersToExplore(engine, initialSubkeys, acl));
 
       // Start the queue manager.
       manageQueue();
     });
   }
 
+  /**
+   * Gets the folders to explore to find the secrets at or under a folder of an engine.
+   * Without an ACL, it is the folder itself. With an ACL, it is the folder if the token can list it,
+   * or the outermost folders under it that the token can list. A folder with nothing listable is skipped.
+   * The engines of the child namespaces are not pruned, as the policies defined in a child namespace
+   * may not be part of the ACL read in the session's namespace.
+   * @param {object} engine - The engine object.
+   * @param {string[]} subkeys - The path of the folder under the engine.
+   * @param {object | null} acl - The resultant ACL of the token, as returned by getResultantAcl, or null.
+   * @returns {Array<string[]>} The paths of the folders to explore, under the engine.
+   * @public
+   */
+  getFoldersToExplore(engine, subkeys, acl) {
+    if (!acl || engine?.namespace) {
+      return [subkeys];
+    }
+
+    // On KVv2, folders are listed on the metadata path.
+    const enginePath = engine.name + ((engine?.options?.version === '2') ? 'metadata/' : '');
+    const folderPath = enginePath + subkeys.map(key => `${key}${this.constants.PATH_SEPARATOR}`).join('');
+
+    const folders = acl.getListableFolders(folderPath);
+
+    if (folders.length === 0) {
+      this.logger.logSkipped(folderPath);
+    }
+
+    return folders.map(folder => folder.slice(enginePath.length).split(this.constants.PATH_SEPARATOR).filter(Boolean));
+  }
+
+  /**
+   * Searches for secrets whose latest version was soft-deleted on KVv2 engines.
+   * The deleted secrets are still listed by the metadata path, so the regular search is used
+   * and its results are filtered by the metadata of each secret.
+   * @param {string} username - The username, potentially used for pathing in personal engines.
+   * @param {string | string[]} text - The search text or an array of search terms.
+   * @param {boolean} [includeChildNamespaces=false] - If true, the engines of the child namespaces are also searched.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the search.
+   * @returns {Promise<{secrets: Array<object>, errors: Array<object>}>} A promise resolving with the deleted secrets
+   * (augmented with 'version' and 'deletionTime') and any errors found.
+   * @public
+   */
+  async getDeletedSecretsByText(username, text, includeChildNamespaces = false, signal = null) {
+    const result = await this.getSecretsByText(username, text, includeChildNamespaces, signal);
+
+    return await this.#filterSecretsByMetadata(result, (secret, metadata) => {
+      const currentVersion = metadata?.versions?.[metadata.current_version];
+
+      // Destroyed versions can not be restored anymore.
+      if (currentVersion && !currentVersion.destroyed && this.VaultUtils.isDeletionTimeReached(currentVersion.deletion_time)) {
+        return {
+          ...secret,
+          version: metadata.current_version,
+          deletionTime: currentVersion.deletion_time
+        };
+      }
+
+      return null;
+    }, signal);
+  }
+
+  /**
+   * Searches for secrets on KVv2 engines that have a given tag in their custom metadata.
+   * The regular search is used and its results are filtered by the metadata of each secret.
+   * @param {string} username - The username, potentially used for pathing in personal engines.
+   * @param {string | string[]} text - The search text or an array of search terms. An empty text matches every secret.
+   * @param {string} tag - The tag to look for.
+   * @param {boolean} [includeChildNamespaces=false] - If true, the engines of the child namespaces are also searched.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the search.
+   * @returns {Promise<{secrets: Array<object>, errors: Array<object>}>} A promise resolving with the tagged secrets and any errors found.
+   * @public
+   */
+  async getSecretsByTag(username, text, tag, includeChildNamespaces = false, signal = null) {
+    const result = await this.getSecretsByText(username, text, includeChildNamespaces, signal);
+
+    return await this.filterSecretsByTag(result, tag, signal);
+  }
+
+  /**
+   * Keeps only the secrets of a search result that have a given tag in their custom metadata.
+   * It is used to filter the results found on the search index, which does not keep the metadata.
+   * @param {{secrets: Array<object>, errors: Array<object>}} result - The result of a search.
+   * @param {string} tag - The tag to look for.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the requests.
+   * @returns {Promise<{secrets: Array<object>, errors: Array<object>}>} A promise resolving with the tagged secrets and any errors found.
+   * @public
+   */
+  async filterSecretsByTag(result, tag, signal = null) {
+    return await this.#filterSecretsByMetadata(result, (secret, metadata) => {
+      return (this.VaultUtils.hasTag(metadata?.custom_metadata, tag)) ? secret : null;
+    }, signal);
+  }
+
+  /**
+   * Reads the metadata of each KVv2 secret of a search result and keeps only the secrets accepted by the filter.
+   * Secrets stored on KVv1 engines are discarded, as they do not have metadata.
+   * When the search is cancelled, the secrets whose metadata was not read are discarded, without an error.
+   * @param {{secrets: Array<object>, errors: Array<object>}} result - The result of a search.
+   * @param {function(object, object): (object|null)} filter - Receives the secret and its metadata, and returns
+   * the secret to keep (optionally augmented) or null to discard it.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the requests.
+   * @returns {Promise<{secrets: Array<object>, errors: Array<object>}>} A promise resolving with the filtered secrets,
+   * the errors of the search and the errors found while reading the metadata.
+   * @private
+   */
+  async #filterSecretsByMetadata(result, filter, signal = null) {
+    // Only KVv2 engines keep metadata.
+    const candidates = result.secrets.filter((secret) => secret.engine?.options?.version === '2');
+
+    /**
+     * Reads the metadata of a secret and applies the filter.
+     * @param {object} secret - The secret object to check.
+     * @returns {Promise<object|null>} The secret to keep, or null.
+     */
+    const processSecret = async (secret) => {
+      const subkeys = this.VaultUtils.getSubKeys(secret.path, secret.name);
+      const metadata = await this.getSecretMetadata(secret.engine, subkeys, signal);
+
+      return filter(secret, metadata);
+    };
+
+    const results = await this.PromisePool.process(candidates, processSecret, Vault.#METADATA_CONCURRENCY_LIMIT, {
+      limiter: this.requestLimiter,
+      signal
+    });
+
+    const secrets = [];
+    const errors = [...result.errors];
+
+    results.forEach((item, index) => {
+      if (item?.status === 'rejected') {
+        if (signal?.aborted) {
+          return;
+        }
+
+        errors.push({
+          type: this.I18n.getMessage(Vault.#i18nKeys.ERROR_TYPE_PATH_FAILURE),
+          engine: candidates[index]?.engine?.name,
+          path: candidates[index]?.fullName,
+          error: item.reason.message
+        });
+      } else if (item) {
+        secrets.push(item);
+      }
+    });
+
+    return { secrets, errors };
+  }
+
+  /**
+   * Lists the secrets and folders (ending with the path separator) under a given path of an engine.
+   * This is a public wrapper around the private #getSecrets method.
+   * @param {object} engine - The engine object.
+   * @param {string[]} [subkeys=[]] - An array of sub-paths to navigate under the engine.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the request.
+   * @returns {Promise<string[]|undefined>} A promise resolving to the names, or undefined if the path
+   * does not exist or can not be listed.
+   * @public
+   */
+  async listSecrets(engine, subkeys = [], signal = null) {
+    return await this.#getSecrets(engine, subkeys, signal);
+  }
+
   /**
    * Lists keys (secrets or sub-paths/folders) under a given path in a Vault KVv2 engine.
    * This method is typically used with metadata paths for KVv2 engines.
    * @param {object} engine - The engine object (containing name, options, etc.).
    * @param {string[]} [subkeys=[]] - An array of sub-paths to navigate under the engine.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the request.
    * @returns {Promise<string[]>} A promise that resolves with an array of secret keys/names.
    * @throws {Error} If the request fails or the response is invalid.
    * @private
    */
-  async #getSecrets(engine, subkeys = []) {
+  async #getSecrets(engine, subkeys = [], signal = null) {
     // Build the endpoint URL for listing secrets at the given path.
     const url = this.#requestBuilder.getSecretsEndpoint(engine, subkeys);
 
     // Prepare headers with JSON content type and Vault token.
     const headers = this.VaultUtils.mergeObjects([
       this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(engine?.namespace),
       this.#requestBuilder.getVaultTokenHeader(this.#token)
     ]);
 
     // Log the request for debugging and traceability.
     this.logger.logRequest('listSecrets', url);
     // Perform the LIST request to Vault.
-    const response = await this.list(url, headers);
+    const response = await this.list(url, headers, signal);
 
     if (response.ok) {
       // Parse the JSON response body.
@@ -671,11 +1626,13 @@ export class Vault extends HttpRequest {
    * This is a public wrapper around the private #getSecretDataOnEngine method.
    * @param {object} engine - The engine object.
    * @param {string[]} subkeys - An array of sub-paths to the secret.
+   * @param {number|null} [version=null] - An optional KVv2 version to read. The latest version is read when omitted.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the request.
    * @returns {Promise<object|null>} A promise resolving to the secret's data or null.
    * @public
    */
-  async getSecretData(engine, subkeys) {
-    return await this.#getSecretDataOnEngine(engine, subkeys);
+  async getSecretData(engine, subkeys, version = null, signal = null) {
+    return await this.#getSecretDataOnEngine(engine, subkeys, version, signal);
   }
 
   /**
@@ -684,24 +1641,36 @@ export class Vault extends HttpRequest {
    * only the direct secret data (key-value pairs) or null.
    * @param {object} engine - The engine object, containing options like version.
    * @param {string[]} subkeys - An array of sub-paths to the secret.
+   * @param {number|null} [version=null] - An optional KVv2 version to read.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the request.
    * @returns {Promise<object|null>} A promise resolving to the secret's direct key-value data object,
-   * or null if not found, on error, or if parsing fails.
+   * or null if not found, on error, or if parsing fails. For a deleted KVv2 version, 'data' is null and only 'metadata' is returned.
    * @private
    */
-  async #getSecretDataOnEngine(engine, subkeys = []) {
+  async #getSecretDataOnEngine(engine, subkeys = [], version = null, signal = null) {
     // Build the endpoint URL for fetching secret data at the given path.
-    const url = this.#requestBuilder.getSecretDataEndpoint(engine, subkeys);
+    const url = this.#requestBuilder.getSecretDataEndpoint(engine, subkeys, version);
 
     // Prepare headers with JSON content type and Vault token.
     const headers = this.VaultUtils.mergeObjects([
       this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(engine?.namespace),
       this.#requestBuilder.getVaultTokenHeader(this.#token)
     ]);
 
     // Log the request for debugging and traceability.
     this.logger.logRequest('getSecretData', url);
     // Perform the GET request to Vault.
-    const response = await this.get(url, headers);
+    const response = await this.get(url, headers, signal);
+
+    if ((response.status === Vault.#STATUS_CODE.NOT_FOUND) && (engine?.options?.version === '2')) {
+      // KVv2 answers a deleted or destroyed version with 404, but still returns its metadata.
+      const json = await response.json().catch(() => null);
+
+      if (json?.data?.metadata) {
+        return { data: null, metadata: json.data.metadata };
+      }
+    }
 
     if (response.ok) {
       // Parse the JSON response body.
@@ -726,62 +1695,276 @@ export class Vault extends HttpRequest {
     return null;
   }
 
+  /**
+   * Fetches the metadata of a secret stored in a KVv2 engine.
+   * The metadata contains the current version and the history of all versions.
+   * @param {object} engine - The engine object, containing options like version.
+   * @param {string[]} subkeys - An array of sub-paths to the secret.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the request.
+   * @returns {Promise<object>} A promise resolving to the 'data' object of the metadata response.
+   * @throws {Error} If the engine is not a KVv2 engine or the request fails.
+   * @public
+   */
+  async getSecretMetadata(engine, subkeys, signal = null) {
+    // Only KVv2 engines keep metadata and older versions of a secret.
+    if (engine?.options?.version !== '2') {
+      throw new Error(this.I18n.getMessage(Vault.#i18nKeys.VAULT_SECRET_VERSIONS_NOT_SUPPORTED, [engine?.name]));
+    }
+
+    // Build the endpoint URL for reading the metadata of the secret.
+    const url = this.#requestBuilder.getSecretMetadataEndpoint(engine, subkeys);
+
+    // Prepare headers with JSON content type and Vault token.
+    const headers = this.VaultUtils.mergeObjects([
+      this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(engine?.namespace),
+      this.#requestBuilder.getVaultTokenHeader(this.#token)
+    ]);
+
+    // Log the request for debugging and traceability.
+    this.logger.logRequest('getSecretMetadata', url);
+    // Perform the GET request to Vault.
+    const response = await this.get(url, headers, signal);
+
+    if (response.ok) {
+      // Parse the JSON response body.
+      const json = await response.json();
+
+      if (json?.data && typeof json.data === 'object') {
+        return json.data;
+      }
+    }
+
+    // For metadata operations, we include the secret name in the error message.
+    const fullName = this.VaultUtils.getSecretFullPath(engine.name, subkeys);
+
+    // If execution reaches this point, the response was not successful and must be handled as an error.
+    await this.#processErrorResponse(response, [], Vault.#i18nKeys.VAULT_SECRET_METADATA_FAILED, [fullName]);
+  }
+
+  /**
+   * Replaces the custom metadata (owner, URL, tags, etc.) of a secret stored in a KVv2 engine.
+   * Vault replaces the whole map, so keys that are not sent are removed.
+   * @param {object} engine - The engine object, containing options like version.
+   * @param {string[]} subkeys - An array of sub-paths to the secret.
+   * @param {object} customMetadata - A map of string keys to string values.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the request.
+   * @returns {Promise<Response>} A promise that resolves with the raw Fetch API Response object.
+   * @throws {Error} If the engine is not a KVv2 engine or the operation fails.
+   * @public
+   */
+  async updateSecretMetadata(engine, subkeys, customMetadata, signal = null) {
+    // Only KVv2 engines keep metadata.
+    if (engine?.options?.version !== '2') {
+      throw new Error(this.I18n.getMessage(Vault.#i18nKeys.VAULT_SECRET_METADATA_NOT_SUPPORTED, [engine?.name]));
+    }
+
+    // The custom metadata was added to KVv2 after the engine itself.
+    if (!this.supportsVersion(this.constants.VAULT_MIN_VERSION.CUSTOM_METADATA)) {
+      throw new Error(this.I18n.getMessage(Vault.#i18nKeys.VAULT_SERVER_VERSION_UNSUPPORTED, [this.constants.VAULT_MIN_VERSION.CUSTOM_METADATA, this.#serverVersion]));
+    }
+
+    // Build the endpoint URL for the metadata of the secret.
+    const url = this.#requestBuilder.getSecretMetadataEndpoint(engine, subkeys);
+
+    // Prepare headers including JSON content type, the namespace and the current token.
+    const headers = this.VaultUtils.mergeObjects([
+      this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(engine?.namespace),
+      this.#requestBuilder.getVaultTokenHeader(this.#token)
+    ]);
+
+    // Prepare the request body with the custom metadata.
+    const body = JSON.stringify({ custom_metadata: customMetadata });
+
+    // Execute the POST request.
+    const response = await this.post(url, headers, body, signal);
+
+    if (response.ok) {
+      return response;
+    }
+
+    // For metadata operations, we include the secret name in the error message.
+    const fullName = this.VaultUtils.getSecretFullPath(engine.name, subkeys);
+
+    // If execution reaches this point, the response was not successful and must be handled as an error.
+    await this.#processErrorResponse(response, [], Vault.#i18nKeys.VAULT_SECRET_METADATA_UPDATE_FAILED, [fullName]);
+  }
+
+  /**
+   * Retrieves the version history of a secret stored in a KVv2 engine.
+   * The versions are sorted from the newest to the oldest.
+   * @param {object} engine - The engine object, containing options like version.
+   * @param {string[]} subkeys - An array of sub-paths to the secret.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the request.
+   * @returns {Promise<Array<{version: number, createdTime: string, deletionTime: string, destroyed: boolean, isCurrent: boolean}>>}
+   * A promise resolving to the list of versions of the secret.
+   * @throws {Error} If the engine is not a KVv2 engine or the request fails.
+   * @public
+   */
+  async getSecretVersions(engine, subkeys, signal = null) {
+    const metadata = await this.getSecretMetadata(engine, subkeys, signal);
+
+    return this.VaultUtils.extractVersions(metadata);
+  }
+
+  /**
+   * Restores an older version of a KVv2 secret by writing its data as the new current version.
+   * The older version is kept untouched, so the restore itself can also be undone later.
+   * The write is a check-and-set against the current version, so it is accepted by the mounts with 'cas_required'
+   * and a change made after the current version was read is not overwritten. Use isCheckAndSetError to detect it.
+   * @param {object} engine - The engine object where the secret is located.
+   * @param {string[]} subkeys - An array of sub-paths forming the path to the secret.
+   * @param {number} version - The version to be restored.
+   * @param {number | null} [currentVersion=null] - The current version the restore is based on,
+   * or null to read it from the metadata of the secret.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the requests.
+   * @returns {Promise<Response>} A promise that resolves with the raw Fetch API Response object.
+   * @throws {Error} If the version can not be read (deleted or destroyed), the current version changed or the write fails.
+   * @public
+   */
+  async restoreSecretVersion(engine, subkeys, version, currentVersion = null, signal = null) {
+    // Read the data of the requested version.
+    const secretData = await this.getSecretData(engine, subkeys, version, signal);
+
+    if (!secretData?.data) {
+      // Deleted and destroyed versions do not return any data.
+      const fullName = this.VaultUtils.getSecretFullPath(engine.name, subkeys);
+
+      throw new Error(this.I18n.getMessage(Vault.#i18nKeys.VAULT_SECRET_RESTORE_FAILED, [version, fullName]));
+    }
+
+    const cas = currentVersion ?? (await this.getSecretMetadata(engine, subkeys, signal))?.current_version;
+
+    // Write the old data as the new current version.
+    return await this.addSecret(engine, subkeys, secretData.data, { cas }, signal);
+  }
+
   /**
    * Adds or updates a secret in Vault.
+   * On KVv2 engines, the 'cas' option makes Vault reject the write if the current version of the secret
+   * is not the expected one. Use isCheckAndSetError to detect this rejection.
    * @param {object} engine - The engine object where the secret will be stored.
    * @param {string[]} subkeys - An array of sub-paths forming the path to the secret.
    * @param {object} data - The secret data (key-value pairs) to store.
+   * @param {object} [options={}] - Optional KVv2 write options.
+   * @param {number} [options.cas] - The expected current version. 0 means the secret must not exist yet.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the request.
    * @returns {Promise<Response>} A promise that resolves with the raw Fetch API Response object.
    * Successful operations typically yield an HTTP 204 No Content.
    * @throws {Error} If the operation fails.
    * @public
    */
-  async addSecret(engine, subkeys, data) {
+  async addSecret(engine, subkeys, data, options = {}, signal = null) {
     // Get the endpoint URL for adding/updating the secret.
     const url = this.#requestBuilder.getSecretDataEndpoint(engine, subkeys);
 
-    // Prepare headers including JSON content type and the current token.
+    // Prepare headers including JSON content type, the namespace and the current token.
     const headers = this.VaultUtils.mergeObjects([
       this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(engine?.namespace),
       this.#requestBuilder.getVaultTokenHeader(this.#token)
     ]);
 
     // Prepare the request body using VaultUtils to handle engine specifics.
-    const body = this.VaultUtils.prepareBody(engine, data);
+    const body = this.VaultUtils.prepareBody(engine, data, options);
 
     // Execute the POST request.
-    const response = await this.post(url, headers, body);
+    const response = await this.post(url, headers, body, signal);
 
     if (response.ok) {
       // If the response is OK, return the raw response object.
       return response;
     }
 
+    if ((response.status === Vault.#STATUS_CODE.BAD_REQUEST) && (options?.cas !== undefined)) {
+      // Vault answers a check-and-set mismatch with 400 and a specific error message.
+      const json = await response.clone().json().catch(() => null);
+
+      if (json?.errors?.some((error) => String(error).includes(Vault.#ERROR_CAUSE.CHECK_AND_SET))) {
+        const fullName = this.VaultUtils.getSecretFullPath(engine.name, subkeys);
+
+        throw new Error(this.I18n.getMessage(Vault.#i18nKeys.VAULT_SECRET_CHECK_AND_SET_FAILED, [fullName]), { cause: Vault.#ERROR_CAUSE.CHECK_AND_SET });
+      }
+    }
+
     // If execution reaches this point, the response was not successful and must be handled as an error.
     await this.#processErrorResponse(response, [], Vault.#i18nKeys.VAULT_SECRET_ADD_FAILED);
   }
 
+  /**
+   * Checks if an error was thrown because a check-and-set write was rejected,
+   * meaning someone else changed the secret after it was read.
+   * @param {Error} error - The error thrown by addSecret.
+   * @returns {boolean} True if the error is a check-and-set conflict, false otherwise.
+   * @public
+   */
+  isCheckAndSetError(error) {
+    return error?.cause === Vault.#ERROR_CAUSE.CHECK_AND_SET;
+  }
+
   /**
    * Deletes a secret from Vault.
+   * For KVv2 engines, only the latest version is soft-deleted and it can be recovered with undeleteSecret.
+   * For KVv1 engines, which do not keep versions, the secret is permanently deleted.
    * @param {object} engine - The engine object where the secret is located.
    * @param {string[]} [subkeys=[]] - An array of sub-paths forming the path to the secret.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the request.
    * @returns {Promise<Response>} A promise that resolves with the raw Fetch API Response object.
    * A successful deletion typically results in an HTTP 204 No Content response.
    * @throws {Error} If the deletion fails.
    * @public
    */
-  async deleteSecret(engine, subkeys = []) {
-    // Get the endpoint URL for deleting the secret.
-    const url = this.#requestBuilder.getSecretsEndpoint(engine, subkeys);
+  async deleteSecret(engine, subkeys = [], signal = null) {
+    // The data path soft-deletes the latest version on KVv2 and deletes the secret on KVv1.
+    const url = this.#requestBuilder.getSecretDataEndpoint(engine, subkeys);
 
-    // Prepare headers including JSON content type and the current token.
+    return await this.#deleteSecretOnEndpoint(url, engine, subkeys, Vault.#i18nKeys.VAULT_SECRET_DELETE_FAILED, signal);
+  }
+
+  /**
+   * Permanently destroys a KVv2 secret, removing its metadata and all of its versions.
+   * This action cannot be undone.
+   * @param {object} engine - The engine object where the secret is located.
+   * @param {string[]} [subkeys=[]] - An array of sub-paths forming the path to the secret.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the request.
+   * @returns {Promise<Response>} A promise that resolves with the raw Fetch API Response object.
+   * @throws {Error} If the engine is not a KVv2 engine or the operation fails.
+   * @public
+   */
+  async destroySecret(engine, subkeys = [], signal = null) {
+    // KVv1 engines do not have a metadata path; deleteSecret is already permanent on them.
+    if (engine?.options?.version !== '2') {
+      throw new Error(this.I18n.getMessage(Vault.#i18nKeys.VAULT_SECRET_VERSIONS_NOT_SUPPORTED, [engine?.name]));
+    }
+
+    // Deleting the metadata path removes every version of the secret.
+    const url = this.#requestBuilder.getSecretMetadataEndpoint(engine, subkeys);
+
+    return await this.#deleteSecretOnEndpoint(url, engine, subkeys, Vault.#i18nKeys.VAULT_SECRET_DESTROY_FAILED, signal);
+  }
+
+  /**
+   * Sends a DELETE request for a secret and handles the error response.
+   * @param {string} url - The endpoint URL to send the DELETE request to.
+   * @param {object} engine - The engine object where the secret is located.
+   * @param {string[]} subkeys - An array of sub-paths forming the path to the secret.
+   * @param {string} fallbackMessageKey - The i18n key for the generic failure message for this operation.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the request.
+   * @returns {Promise<Response>} A promise that resolves with the raw Fetch API Response object.
+   * @throws {Error} If the deletion fails.
+   * @private
+   */
+  async #deleteSecretOnEndpoint(url, engine, subkeys, fallbackMessageKey, signal = null) {
+    // Prepare headers including JSON content type, the namespace and the current token.
     const headers = this.VaultUtils.mergeObjects([
       this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(engine?.namespace),
       this.#requestBuilder.getVaultTokenHeader(this.#token)
     ]);
 
     // Execute the DELETE request.
-    const response = await this.delete(url, headers);
+    const response = await this.delete(url, headers, signal);
 
     if (response.ok) {
       return response;
@@ -792,7 +1975,50 @@ export class Vault extends HttpRequest {
     const fullName = this.VaultUtils.getSecretFullPath(engine.name, subkeys);
 
     // If we reach this point, the response was not successful and the response needs to be handled.
-    await this.#processErrorResponse(response, [], Vault.#i18nKeys.VAULT_SECRET_DELETE_FAILED, [fullName]);
+    await this.#processErrorResponse(response, [], fallbackMessageKey, [fullName]);
+  }
+
+  /**
+   * Restores soft-deleted versions of a KVv2 secret.
+   * @param {object} engine - The engine object where the secret is located.
+   * @param {string[]} subkeys - An array of sub-paths forming the path to the secret.
+   * @param {number[]} versions - The versions to be restored.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the request.
+   * @returns {Promise<Response>} A promise that resolves with the raw Fetch API Response object.
+   * @throws {Error} If the engine is not a KVv2 engine or the operation fails.
+   * @public
+   */
+  async undeleteSecret(engine, subkeys, versions, signal = null) {
+    // Only KVv2 engines keep the deleted versions of a secret.
+    if (engine?.options?.version !== '2') {
+      throw new Error(this.I18n.getMessage(Vault.#i18nKeys.VAULT_SECRET_VERSIONS_NOT_SUPPORTED, [engine?.name]));
+    }
+
+    // Get the endpoint URL for undeleting versions of the secret.
+    const url = this.#requestBuilder.getSecretUndeleteEndpoint(engine, subkeys);
+
+    // Prepare headers including JSON content type, the namespace and the current token.
+    const headers = this.VaultUtils.mergeObjects([
+      this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(engine?.namespace),
+      this.#requestBuilder.getVaultTokenHeader(this.#token)
+    ]);
+
+    // Prepare the request body with the versions to be restored.
+    const body = JSON.stringify({ versions });
+
+    // Execute the POST request.
+    const response = await this.post(url, headers, body, signal);
+
+    if (response.ok) {
+      return response;
+    }
+
+    // For undelete operations, we include the secret name in the error message.
+    const fullName = this.VaultUtils.getSecretFullPath(engine.name, subkeys);
+
+    // If execution reaches this point, the response was not successful and must be handled as an error.
+    await this.#processErrorResponse(response, [], Vault.#i18nKeys.VAULT_SECRET_UNDELETE_FAILED, [fullName]);
   }
 
   /**
@@ -810,6 +2036,7 @@ export class Vault extends HttpRequest {
     // Prepare headers including JSON content type, user token, and wrapping TTL.
     const headers = this.VaultUtils.mergeObjects([
       this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(),
       this.#requestBuilder.getVaultTokenHeader(this.#token),
       this.#requestBuilder.getWrappingTTLHeader(ttl)
     ]);
@@ -848,6 +2075,7 @@ export class Vault extends HttpRequest {
     // Prepare headers including with JSON content type and user token.
     const headers = this.VaultUtils.mergeObjects([
       this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(),
       this.#requestBuilder.getVaultTokenHeader(this.#token)
     ]);
 
@@ -870,4 +2098,109 @@ export class Vault extends HttpRequest {
     await this.#processErrorResponse(response, [], Vault.#i18nKeys.VAULT_UNWRAP_FAILED);
   }
 
+  /**
+   * Gets the key of the Transit secrets engine that encrypts the passwords and tokens of a KV engine.
+   * A key set by the administrator for the engine takes precedence over the one typed on the Login page.
+   * @param {object} engine - The engine object, with 'name' and 'namespace'.
+   * @returns {Promise<{mount: string, key: string, namespace: string} | null>} A promise that resolves with the
+   * Transit key, in the namespace of the engine, or null if the engine has none.
+   * @public
+   */
+  async getTransitKey(engine) {
+    if (!this.engineStorage || !engine?.name) {
+      return null;
+    }
+
+    const fullNamespace = this.VaultUtils.joinNamespaces(this.#namespace, engine.namespace);
+    const engineName = engine.name.replace(/^\/+|\/+$/g, '');
+    const isEngine = transitKey => (transitKey.engine.replace(/^\/+|\/+$/g, '') === engineName);
+
+    const transitKey = (await this.engineStorage.getAdminTransitKeys(this.#endpoint, fullNamespace)).find(isEngine)
+      || (await this.engineStorage.getUserTransitKeys(this.#endpoint, fullNamespace)).find(isEngine);
+
+    if (!transitKey) {
+      return null;
+    }
+
+    return {
+      mount: transitKey.mount.replace(/^\/+|\/+$/g, ''),
+      key: transitKey.key,
+      namespace: engine.namespace || ''
+    };
+  }
+
+  /**
+   * Encrypts a value with a key of the Transit secrets engine. The value never leaves Vault unencrypted,
+   * and the access to the key is granted by the policies of the token ('update' on '<mount>/encrypt/<key>').
+   * @param {{mount: string, key: string, namespace: string}} transitKey - The Transit key, as returned by getTransitKey.
+   * @param {string} plaintext - The Base64 encoded value to encrypt.
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the request.
+   * @returns {Promise<string>} A promise that resolves with the ciphertext (e.g., 'vault:v1:...').
+   * @throws {Error} If the encryption fails or the response is malformed.
+   * @public
+   */
+  async transitEncrypt(transitKey, plaintext, signal = null) {
+    const url = this.#requestBuilder.getTransitEncryptEndpoint(transitKey.mount, transitKey.key);
+
+    // The Transit engine may be mounted in the child namespace of the KV engine.
+    const headers = this.VaultUtils.mergeObjects([
+      this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(transitKey.namespace),
+      this.#requestBuilder.getVaultTokenHeader(this.#token)
+    ]);
+
+    const body = JSON.stringify({ plaintext });
+
+    this.logger.logRequest('transitEncrypt', url);
+    const response = await this.post(url, headers, body, signal);
+
+    if (response.ok) {
+      const json = await response.json();
+
+      if (typeof json?.data?.ciphertext === 'string') {
+        return json.data.ciphertext;
+      }
+    }
+
+    // If execution reaches this point, the response was not successful and must be handled as an error.
+    await this.#processErrorResponse(response, [], Vault.#i18nKeys.VAULT_TRANSIT_ENCRYPT_FAILED, [transitKey.key]);
+  }
+
+  /**
+   * Decrypts a value with a key of the Transit secrets engine. The access to the key is granted by the policies
+   * of the token ('update' on '<mount>/decrypt/<key>'), so reading the secret alone is not enough.
+   * @param {{mount: string, key: string, namespace: string}} transitKey - The Transit key the value was encrypted with.
+   * @param {string} ciphertext - The ciphertext returned by transitEncrypt (e.g., 'vault:v1:...').
+   * @param {AbortSignal | null} [signal=null] - An optional signal to cancel the request.
+   * @returns {Promise<string>} A promise that resolves with the Base64 encoded value.
+   * @throws {Error} If the decryption fails or the response is malformed.
+   * @public
+   */
+  async transitDecrypt(transitKey, ciphertext, signal = null) {
+    const url = this.#requestBuilder.getTransitDecryptEndpoint(transitKey.mount, transitKey.key);
+
+    // The Transit engine may be mounted in the child namespace of the KV engine.
+    const headers = this.VaultUtils.mergeObjects([
+      this.#requestBuilder.getJsonHeader(),
+      this.#requestBuilder.getNamespaceHeader(transitKey.namespace),
+      this.#requestBuilder.getVaultTokenHeader(this.#token)
+    ]);
+
+    const body = JSON.stringify({ ciphertext });
+
+    this.logger.logRequest('transitDecrypt', url);
+    const response = await this.post(url, headers, body, signal);
+
+    if (response.ok) {
+      const json = await response.json();
+
+      if (typeof json?.data?.plaintext === 'string') {
+        return json.data.plaintext;
+      }
+    }
+
+    // If execution reaches this point, the response was not successful and must be handled as an error.
+    await this.#processErrorResponse(response, [], Vault.#i18nKeys.VAULT_TRANSIT_DECRYPT_FAILED, [transitKey.key]);
+  }
+
 }